@@ -8,8 +8,17 @@
 require('dotenv').config();
 
 const http = require('http');
-const { extractHandler, transformHandler, loadHandler, orchestratorHandler } = require('./src/handlers');
+const {
+  extractHandler,
+  transformHandler,
+  loadHandler,
+  orchestratorHandler,
+  pipelineHandler,
+} = require('./src/handlers');
 const logger = require('./src/utils/logger');
+const { config } = require('./src/config/config');
+const { connectToDatabase } = require('./src/utils/db');
+const { stopScheduler } = require('./src/utils/scheduler');
 
 // Create a simple HTTP server
 const server = http.createServer(async (req, res) => {
@@ -89,8 +98,27 @@ server.listen(PORT, () => {
   logger.info('  POST /transform');
   logger.info('  POST /load');
   logger.info('  POST /orchestrate');
+
+  startScheduler();
 });
 
+/**
+ * Start the pipeline scheduler when a database is configured
+ */
+async function startScheduler() {
+  if (!config.scheduler.enabled || !process.env.MONGODB_URI) {
+    logger.info('Pipeline scheduler disabled');
+    return;
+  }
+
+  try {
+    await connectToDatabase();
+    await pipelineHandler.startPipelineScheduler();
+  } catch (error) {
+    logger.error(`Failed to start pipeline scheduler: ${error.message}`);
+  }
+}
+
 // Handle server errors
 server.on('error', error => {
   logger.error(`Server error: ${error.message}`);
@@ -99,6 +127,7 @@ server.on('error', error => {
 // Handle process termination
 process.on('SIGINT', () => {
   logger.info('Server shutting down');
+  stopScheduler();
   server.close(() => {
     process.exit(0);
   });
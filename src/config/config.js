@@ -28,6 +28,30 @@ const config = {
     containerName: process.env.AZURE_STORAGE_CONTAINER_NAME || 'etl-data',
   },
   
+  // Object storage configuration of blob sources and destinations
+  storage: {
+    // Default provider: azure, s3 or gcs
+    provider: process.env.STORAGE_PROVIDER || 'azure',
+  },
+  
+  // S3-compatible storage configuration
+  s3: {
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined,
+    bucket: process.env.S3_BUCKET,
+  },
+  
+  // Google Cloud Storage configuration
+  gcs: {
+    projectId: process.env.GCS_PROJECT_ID || process.env.GCP_PROJECT_ID,
+    keyFilename: process.env.GCS_KEY_FILENAME,
+    apiEndpoint: process.env.GCS_API_ENDPOINT,
+    bucket: process.env.GCS_BUCKET,
+  },
+  
   // Application configuration
   app: {
     environment: process.env.NODE_ENV || 'development',
@@ -41,6 +65,25 @@ const config = {
     batchSize: parseInt(process.env.ETL_BATCH_SIZE || '100', 10),
     retryAttempts: parseInt(process.env.ETL_RETRY_ATTEMPTS || '3', 10),
     retryDelay: parseInt(process.env.ETL_RETRY_DELAY || '1000', 10),
+    // Largest content a compressed source may decompress to (in bytes), against decompression bombs
+    maxDecompressedSize: parseInt(process.env.ETL_MAX_DECOMPRESSED_SIZE || String(512 * 1024 * 1024), 10),
+  },
+  
+  // Background job configuration
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10),
+    maxHistory: parseInt(process.env.JOB_HISTORY_LIMIT || '500', 10),
+  },
+  
+  // Scheduler configuration
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+  },
+
+  // Credential store configuration
+  credentials: {
+    // 32 byte key (base64 or hex) encrypting stored credentials
+    masterKey: process.env.CREDENTIALS_MASTER_KEY,
   },
 };
 
@@ -57,7 +100,7 @@ function validateConfig() {
   }
   
   // Azure Storage validation
-  if (!config.azureStorage.connectionString) {
+  if (config.storage.provider === 'azure' && !config.azureStorage.connectionString) {
     warnings.push('AZURE_STORAGE_CONNECTION_STRING environment variable is not set. Blob storage features will be unavailable.');
   }
   
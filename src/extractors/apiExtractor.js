@@ -6,13 +6,289 @@ const axios = require('axios');
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
 const monitor = require('../utils/monitor');
+const { withRetry } = require('../utils/retryPolicy');
+const { chunkRecords } = require('../utils/streamUtils');
+const { getValueAtPath, hasRecordSelection, selectRecords } = require('../utils/jsonPath');
+const { getAuthConfig, authorizeRequest, invalidateAuth } = require('../utils/apiAuth');
+
+// Supported declarative pagination strategies
+const PAGINATION_TYPES = ['page', 'offset', 'cursor', 'link', 'next-url'];
+
+// Default maximum number of pages fetched by a paginated source
+const DEFAULT_MAX_PAGES = 100;
 
 /**
- * Extract data from an API endpoint
+ * Read and validate the pagination configuration of a source
+ * @param {Object} source - Source configuration
+ * @returns {Object|null} Pagination configuration with defaults, or null if the source is not paginated
+ */
+function getPaginationConfig(source) {
+  const pagination = source?.pagination;
+  if (!pagination) {
+    return null;
+  }
+
+  if (!PAGINATION_TYPES.includes(pagination.type)) {
+    throw new AppError(
+      `Invalid pagination type "${pagination.type}" (expected ${PAGINATION_TYPES.join(', ')})`,
+      400,
+    );
+  }
+
+  if (pagination.type === 'cursor' && !pagination.cursorPath) {
+    throw new AppError('Cursor pagination requires a cursorPath', 400);
+  }
+
+  if (pagination.type === 'next-url' && !pagination.nextUrlPath) {
+    throw new AppError('Next-URL pagination requires a nextUrlPath', 400);
+  }
+
+  const maxPages = pagination.maxPages ?? DEFAULT_MAX_PAGES;
+  if (!Number.isInteger(maxPages) || maxPages < 1) {
+    throw new AppError('Pagination maxPages must be a positive integer', 400);
+  }
+
+  return {
+    pageParam: 'page',
+    startPage: 1,
+    offsetParam: 'offset',
+    limitParam: 'limit',
+    limit: 100,
+    cursorParam: 'cursor',
+    delayMs: 0,
+    ...pagination,
+    maxPages,
+  };
+}
+
+/**
+ * Parse an RFC 5988 Link header
+ * @param {string} header - Link header value
+ * @returns {Object} URLs by relation type (for example { next: '...', last: '...' })
+ */
+function parseLinkHeader(header) {
+  if (!header) {
+    return {};
+  }
+
+  return String(header).split(',').reduce((links, part) => {
+    const match = part.match(/<([^>]*)>\s*((?:;\s*[^;]+)*)/);
+    if (!match) {
+      return links;
+    }
+
+    const rel = match[2].match(/;\s*rel\s*=\s*"?([^";]+)"?/i);
+    if (rel) {
+      for (const type of rel[1].trim().split(/\s+/)) {
+        links[type.toLowerCase()] = match[1];
+      }
+    }
+    return links;
+  }, {});
+}
+
+/**
+ * Send a request to an API source, retrying transient failures
+ * @param {Object} source - Source configuration
+ * @param {Object} [request] - Request overrides ({ url, params })
+ * @param {Object} [stats] - Accumulates the number of request attempts (stats.attempts)
+ * @returns {Promise<Object>} Axios response
+ */
+async function requestApi(source, request = {}, stats = {}) {
+  const method = source.method || 'GET';
+  const url = request.url || source.url;
+
+  // Authenticate every attempt, so signatures are fresh and refreshed tokens are used
+  const send = async () => axios(await authorizeRequest(source.auth, {
+    method,
+    url,
+    headers: source.headers || {},
+    data: source.data || null,
+    params: 'params' in request ? request.params : source.params || null,
+    timeout: source.timeout || 30000,
+    validateStatus: status => status >= 200 && status < 300,
+  }));
+
+  try {
+    const { result: response, attempts } = await withRetry(
+      async () => {
+        try {
+          return await send();
+        } catch (error) {
+          // An expired or revoked OAuth2 token is requested again once
+          if (error.response?.status === 401 && invalidateAuth(source.auth)) {
+            logger.warn(`API rejected the access token, requesting a new one: ${method} ${url}`);
+            return send();
+          }
+          throw error;
+        }
+      },
+      { operation: `API request ${method} ${url}` },
+    );
+    stats.attempts = (stats.attempts || 0) + attempts;
+
+    return response;
+  } catch (error) {
+    stats.attempts = (stats.attempts || 0) + (error.attempts || 0);
+    throw error;
+  }
+}
+
+/**
+ * Resolve the URL of the next page against the current one
+ * @param {string} next - Next page URL (absolute or relative)
+ * @param {string} url - Current page URL
+ * @returns {string|null} Absolute URL, or null when it leaves the origin of the source (the source
+ *   credentials are sent with every page, so pages on other hosts are not followed)
+ */
+function resolveNextUrl(next, url) {
+  const resolved = new URL(next, url);
+
+  if (resolved.origin !== new URL(url).origin) {
+    logger.warn(`Stopped paginating ${url}: next page ${resolved.origin} is on another origin`);
+    return null;
+  }
+  return resolved.href;
+}
+
+/**
+ * Work out the request of the next page
+ * @param {Object} pagination - Pagination configuration
+ * @param {Object} response - Axios response of the current page
+ * @param {Object} current - Current request ({ url, params }) and its records
+ * @returns {Object|null} Next request ({ url, params }), or null on the last page
+ */
+function getNextRequest(pagination, response, { url, params, records }) {
+  switch (pagination.type) {
+    case 'page':
+      if (records.length === 0 || (pagination.pageSize && records.length < pagination.pageSize)) {
+        return null;
+      }
+      return { url, params: { ...params, [pagination.pageParam]: Number(params[pagination.pageParam]) + 1 } };
+
+    case 'offset':
+      if (records.length === 0 || records.length < Number(params[pagination.limitParam])) {
+        return null;
+      }
+      return {
+        url,
+        params: { ...params, [pagination.offsetParam]: Number(params[pagination.offsetParam]) + records.length },
+      };
+
+    case 'cursor': {
+      const cursor = getValueAtPath(response.data, pagination.cursorPath);
+      if (cursor === undefined || cursor === null || cursor === '' || records.length === 0) {
+        return null;
+      }
+      return { url, params: { ...params, [pagination.cursorParam]: cursor } };
+    }
+
+    case 'link': {
+      const next = parseLinkHeader(response.headers?.link).next;
+      const nextUrl = next && resolveNextUrl(next, url);
+      // The next link carries its own query string
+      return nextUrl ? { url: nextUrl, params: undefined } : null;
+    }
+
+    case 'next-url': {
+      const next = getValueAtPath(response.data, pagination.nextUrlPath);
+      const nextUrl = next && resolveNextUrl(String(next), url);
+      return nextUrl ? { url: nextUrl, params: undefined } : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Fetch the pages of a paginated API source
+ * @param {Object} source - Source configuration (source.pagination declares the strategy)
+ * @param {Object} [stats] - Accumulates the number of request attempts (stats.attempts) and pages (stats.pages)
+ * @returns {AsyncGenerator<Array>} Records of each page
+ */
+async function* fetchPages(source, stats = {}) {
+  const pagination = getPaginationConfig(source);
+  const params = { ...source.params };
+
+  if (pagination.type === 'page') {
+    params[pagination.pageParam] = params[pagination.pageParam] ?? pagination.startPage;
+    if (pagination.pageSize && pagination.sizeParam) {
+      params[pagination.sizeParam] = pagination.pageSize;
+    }
+  } else if (pagination.type === 'offset') {
+    params[pagination.offsetParam] = params[pagination.offsetParam] ?? 0;
+    params[pagination.limitParam] = params[pagination.limitParam] ?? pagination.limit;
+  }
+
+  let request = { url: source.url, params };
+  let pages = 0;
+
+  while (request) {
+    if (pages > 0 && pagination.delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, pagination.delayMs));
+    }
+
+    logger.info(`Fetching page ${pages + 1} from API: ${request.url}`);
+
+    const response = await requestApi(source, request, stats);
+    const records = selectRecords(response.data, {
+      recordPath: pagination.recordPath ?? source.recordPath,
+      envelope: source.envelope,
+    });
+    stats.pages = ++pages;
+
+    yield records;
+
+    request = getNextRequest(pagination, response, { ...request, records });
+
+    if (request && pages >= pagination.maxPages) {
+      logger.warn(`Stopped paginating ${source.url} after ${pages} page(s) (maxPages reached)`);
+      request = null;
+    }
+  }
+}
+
+/**
+ * Convert a failed API request into an AppError
+ * @param {Error} error - Request error
  * @param {Object} source - Source configuration
+ * @returns {AppError} Error to throw
+ */
+function toApiError(error, source) {
+  const url = error.config?.url || source.url;
+
+  if (error.response) {
+    return new AppError(
+      `API request failed with status ${error.response.status}: ${error.response.statusText}`,
+      400,
+      {
+        url,
+        statusCode: error.response.status,
+        data: error.response.data,
+        attempts: error.attempts,
+      },
+    );
+  } else if (error.request) {
+    return new AppError(
+      `API request failed to receive a response: ${error.message}`,
+      500,
+      { url, attempts: error.attempts },
+    );
+  } else if (error instanceof AppError) {
+    return error;
+  }
+
+  return new AppError(`API request failed: ${error.message}`, 500);
+}
+
+/**
+ * Extract data from an API endpoint
+ * @param {Object} source - Source configuration (source.pagination fetches and concatenates all pages)
+ * @param {Object} [stats] - Receives the number of request attempts (stats.attempts) and pages (stats.pages)
  * @returns {Promise<any>} - Extracted data
  */
-async function extractFromApi(source) {
+async function extractFromApi(source, stats = {}) {
   const startTime = Date.now();
   
   try {
@@ -21,27 +297,28 @@ async function extractFromApi(source) {
     }
 
     const method = source.method || 'GET';
-    const headers = source.headers || {};
-    const data = source.data || null;
-    const params = source.params || null;
-    const timeout = source.timeout || 30000;
-
-    logger.info(`Extracting data from API: ${method} ${source.url}`);
-
-    const response = await axios({
-      method,
-      url: source.url,
-      headers,
-      data,
-      params,
-      timeout,
-      validateStatus: status => status >= 200 && status < 300,
-    });
+    const pagination = getPaginationConfig(source);
+    getAuthConfig(source.auth);
+
+    logger.info(`Extracting data from API: ${method} ${source.url}${pagination ? ` (${pagination.type} pagination)` : ''}`);
+
+    let data;
+    if (pagination) {
+      data = [];
+      for await (const records of fetchPages(source, stats)) {
+        for (const record of records) {
+          data.push(record);
+        }
+      }
+    } else {
+      const response = await requestApi(source, {}, stats);
+      data = hasRecordSelection(source) ? selectRecords(response.data, source) : response.data;
+    }
 
     const duration = Date.now() - startTime;
     logger.info(`API extraction completed in ${duration}ms`);
 
-    return response.data;
+    return data;
   } catch (error) {
     const duration = Date.now() - startTime;
     logger.error(`API extraction failed in ${duration}ms: ${error.message}`);
@@ -49,27 +326,7 @@ async function extractFromApi(source) {
     // Track error
     monitor.trackError(error, 'apiExtractor');
     
-    if (error.response) {
-      throw new AppError(
-        `API request failed with status ${error.response.status}: ${error.response.statusText}`,
-        400,
-        {
-          url: source.url,
-          statusCode: error.response.status,
-          data: error.response.data,
-        },
-      );
-    } else if (error.request) {
-      throw new AppError(
-        `API request failed to receive a response: ${error.message}`,
-        500,
-        { url: source.url },
-      );
-    } else if (error instanceof AppError) {
-      throw error;
-    } else {
-      throw new AppError(`API request failed: ${error.message}`, 500);
-    }
+    throw toApiError(error, source);
   }
 }
 
@@ -150,7 +407,51 @@ async function extractFromApiWithPagination(options) {
   }
 }
 
+/**
+ * Stream data from an API endpoint in chunks of records
+ * (paginated sources are fetched page by page, other responses are read whole, then chunked)
+ * @param {Object} source - Source configuration
+ * @param {Object} [options] - Streaming options
+ * @param {number} [options.chunkSize] - Records per chunk
+ * @param {Object} [options.stats] - Receives the number of request attempts (stats.attempts)
+ * @returns {AsyncGenerator<Array>} Record chunks
+ */
+async function* streamFromApi(source, { chunkSize, stats } = {}) {
+  if (!getPaginationConfig(source)) {
+    const data = await extractFromApi(source, stats);
+    yield* chunkRecords(Array.isArray(data) ? data : [data], chunkSize);
+    return;
+  }
+
+  if (!source.url) {
+    throw new AppError('API source must include a URL', 400);
+  }
+
+  /**
+   * Flatten the pages into records
+   * @returns {AsyncGenerator<Object>} Records
+   */
+  async function* records() {
+    for await (const page of fetchPages(source, stats)) {
+      yield* page;
+    }
+  }
+
+  try {
+    yield* chunkRecords(records(), chunkSize);
+  } catch (error) {
+    monitor.trackError(error, 'apiExtractor');
+    throw toApiError(error, source);
+  }
+}
+
 module.exports = {
   extractFromApi,
+  requestApi,
+  toApiError,
+  fetchPages,
+  getPaginationConfig,
+  parseLinkHeader,
   extractFromApiWithPagination,
+  streamFromApi,
 }; 
\ No newline at end of file
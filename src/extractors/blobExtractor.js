@@ -1,73 +1,174 @@
 /**
  * Blob Storage Extractor
- * Module to extract data from Azure Blob Storage
+ * Module to extract data from object storage (Azure Blob Storage, S3-compatible storage, Google Cloud Storage)
  */
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
-const { getBlobClient } = require('../utils/blobUtils');
+const { getStorage, getObjectLocation } = require('../storage');
 const monitor = require('../utils/monitor');
-const { BlobServiceClient } = require('@azure/storage-blob');
-const config = require('../config/config');
+const { chunkRecords } = require('../utils/streamUtils');
+const {
+  getFormat,
+  detectFormatFromPath,
+  detectFormatFromContentType,
+  parseRecords,
+  streamRecords,
+} = require('../formats');
+const { getGlobBase, createMatcher, getOriginField, tagOrigin } = require('../utils/fileMatching');
+const { selectFilesToProcess } = require('../utils/processedFiles');
+const { decompress, decompressStream } = require('../utils/compression');
 
 /**
- * Extract data from Azure Blob Storage
+ * Get the storage provider and location of a blob source
+ * @param {Object} source - Source configuration ({ provider, connection, containerName, blobName })
+ * @returns {Object} { storage, containerName, blobName }
+ */
+function getBlobSource(source) {
+  const storage = getStorage(source);
+  const { containerName, blobName } = getObjectLocation(source, storage);
+
+  if (!containerName || !blobName) {
+    throw new AppError('Blob source must include containerName and blobName', 400);
+  }
+
+  return { storage, containerName, blobName };
+}
+
+/**
+ * Get the format of a blob: the source format, else its content type, else its extension
+ * (blobs of unknown types are read as text)
+ * @param {Object} source - Source configuration
+ * @param {string} contentType - Blob content type
+ * @param {string} blobName - Blob name
+ * @returns {string} Format name
+ */
+function getBlobFormat(source, contentType, blobName) {
+  if (source.format) {
+    return getFormat(source.format).name;
+  }
+
+  return detectFormatFromContentType(contentType) || detectFormatFromPath(blobName) || 'txt';
+}
+
+/**
+ * Get the decompression options of a blob source
+ * @param {Object} source - Source configuration ({ compression, entry, format })
+ * @param {string} contentType - Blob content type
+ * @param {string} blobName - Blob name
+ * @returns {Object} Decompression options
+ */
+function getCompressionOptions(source, contentType, blobName) {
+  return {
+    compression: source.compression,
+    entry: source.entry,
+    name: blobName,
+    contentType,
+    format: source.format || detectFormatFromContentType(contentType) || detectFormatFromPath(blobName),
+  };
+}
+
+/**
+ * Check whether a blob source reads every blob under a prefix or matching a pattern
  * @param {Object} source - Source configuration
+ * @returns {boolean} True without a blobName and with a prefix or pattern
+ */
+function isMultiBlobSource(source) {
+  return !source.blobName && !source.key && (source.prefix !== undefined || Boolean(source.pattern));
+}
+
+/**
+ * List the blobs of a prefix or pattern source to extract, sorted by name
+ * @param {Object} source - Source configuration ({ prefix, pattern, skipProcessed, ... })
+ * @param {Object} stats - Receives the extracted blobs (stats.files, stats.skippedFiles, stats.processed)
+ * @returns {Promise<Object>} { storage, containerName, blobs: [{ name, fingerprint }] }
+ */
+async function listSourceBlobs(source, stats) {
+  const storage = getStorage(source);
+  const { containerName } = getObjectLocation(source, storage);
+
+  if (!containerName) {
+    throw new AppError('Blob source must include containerName', 400);
+  }
+
+  const prefix = source.prefix ?? getGlobBase(source.pattern);
+  const isMatch = source.pattern ? createMatcher(source.pattern) : () => true;
+
+  const blobs = (await storage.list(containerName, { prefix }))
+    .filter(blob => !blob.name.endsWith('/') && isMatch(blob.name))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(blob => ({
+      name: blob.name,
+      fingerprint: blob.etag || `${blob.size}:${new Date(blob.lastModified).getTime()}`,
+    }));
+
+  const location = `${storage.provider}://${containerName}/${source.pattern || prefix}`;
+  return { storage, containerName, blobs: await selectFilesToProcess(source, blobs, location, stats) };
+}
+
+/**
+ * Stream the records of every blob of a prefix or pattern source, tagged with their blob name
+ * @param {Object} source - Source configuration
+ * @param {Object} options - Streaming options ({ chunkSize, stats })
+ * @returns {AsyncGenerator<Object>} Records
+ */
+async function* streamBlobRecords(source, { chunkSize, stats }) {
+  const { containerName, blobs } = await listSourceBlobs(source, stats);
+  const originField = getOriginField(source);
+
+  for (const blob of blobs) {
+    const blobSource = { ...source, containerName, blobName: blob.name, prefix: undefined, pattern: undefined };
+    for await (const chunk of streamFromBlob(blobSource, { chunkSize })) {
+      yield* tagOrigin(chunk, originField, blob.name);
+    }
+  }
+}
+
+/**
+ * Extract data from object storage: one blob, or the records of every blob under a
+ * prefix or matching a pattern (gzip, brotli and zip blobs are decompressed first)
+ * @param {Object} source - Source configuration
+ * @param {Object} [stats] - Receives the extracted blobs of prefix and pattern sources
  * @returns {Promise<Object>} Extracted data
  */
-async function extractFromBlob(source) {
+async function extractFromBlob(source, stats = {}) {
+  if (isMultiBlobSource(source)) {
+    return extractFromBlobs(source, stats);
+  }
+
   const startTime = Date.now();
   
   try {
-    if (!source.containerName || !source.blobName) {
-      throw new AppError('Blob source must include containerName and blobName', 400);
-    }
-
-    logger.info(`Extracting data from blob: ${source.containerName}/${source.blobName}`);
+    const { storage, containerName, blobName } = getBlobSource(source);
 
-    const blobClient = await getBlobClient(source.containerName, source.blobName);
-    
-    try {
-      // Check if blob exists
-      const properties = await blobClient.getProperties();
-      logger.debug(`Blob found: ${source.blobName} (${properties.contentLength} bytes)`);
-    } catch (error) {
-      if (error.statusCode === 404) {
-        throw new AppError(`Blob not found: ${source.containerName}/${source.blobName}`, 404);
-      }
-      throw error;
-    }
+    logger.info(`Extracting data from blob: ${storage.provider}://${containerName}/${blobName}`);
     
-    // Download the blob
-    const downloadResponse = await blobClient.download();
+    // Download the blob (missing blobs fail with a 404)
+    const downloadResponse = await storage.download(containerName, blobName);
+    logger.debug(`Blob found: ${blobName} (${downloadResponse.contentLength} bytes)`);
     
     // Convert the stream to buffer
     const buffers = [];
-    for await (const chunk of downloadResponse.readableStreamBody) {
+    for await (const chunk of downloadResponse.body) {
       buffers.push(chunk);
     }
     
-    const content = Buffer.concat(buffers);
-    const contentString = content.toString();
+    // Decompress gzip, brotli and zip blobs (the content type of compressed blobs is the archive's)
+    const { content, name, compression } = await decompress(
+      Buffer.concat(buffers),
+      getCompressionOptions(source, downloadResponse.contentType, blobName),
+    );
     
-    // Determine content type and parse accordingly
-    const contentType = downloadResponse.contentType || '';
+    // Determine the format and parse accordingly
+    const format = getBlobFormat(source, compression ? undefined : downloadResponse.contentType, name);
     let data;
     
-    if (contentType.includes('json') || source.format === 'json') {
-      try {
-        data = JSON.parse(contentString);
-        logger.info(`Successfully parsed JSON data from blob (${content.length} bytes)`);
-      } catch (parseError) {
-        throw new AppError(`Failed to parse JSON data from blob: ${parseError.message}`, 400);
-      }
-    } else if (contentType.includes('csv') || source.format === 'csv') {
-      // For CSV, we'll return the raw content for now - the caller can use a CSV parser
-      data = { content: contentString, format: 'csv' };
-      logger.info(`Extracted CSV data from blob (${content.length} bytes)`);
-    } else {
-      // For other types, return raw content
-      data = { content: contentString };
+    if (format === 'txt') {
+      // Text blobs are returned as raw content
+      data = { content: content.toString() };
       logger.info(`Extracted raw data from blob (${content.length} bytes)`);
+    } else {
+      data = await parseRecords(content, format, source);
+      logger.info(`Parsed ${data.length} ${format} records from blob (${content.length} bytes)`);
     }
     
     const duration = Date.now() - startTime;
@@ -89,36 +190,101 @@ async function extractFromBlob(source) {
   }
 }
 
+/**
+ * Extract the records of every blob under a prefix or matching a pattern, tagged with their blob name
+ * (text blobs are parsed into line records as in streaming mode)
+ * @param {Object} source - Source configuration
+ * @param {Object} stats - Receives the extracted blobs
+ * @returns {Promise<Array>} Records of all blobs
+ */
+async function extractFromBlobs(source, stats) {
+  const startTime = Date.now();
+
+  try {
+    logger.info(`Extracting data from blobs: ${source.pattern || `${source.prefix}*`}`);
+
+    const data = [];
+    for await (const record of streamBlobRecords(source, { stats })) {
+      data.push(record);
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info(`Blob extraction completed in ${duration}ms: ${data.length} records from ${stats.files.length} blobs`);
+
+    return data;
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`Blob extraction failed in ${duration}ms: ${error.message}`);
+
+    monitor.trackError(error, 'blobExtractor');
+
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError(`Blob extraction failed: ${error.message}`, 500);
+  }
+}
+
+/**
+ * Stream data from object storage in chunks of records, parsing CSV, text and NDJSON blobs
+ * while they download (other formats are parsed whole, then chunked); gzip and brotli blobs
+ * are decompressed as they download, zip blobs once downloaded; prefix and
+ * pattern sources stream their blobs one after the other
+ * @param {Object} source - Source configuration
+ * @param {Object} [options] - Streaming options
+ * @param {number} [options.chunkSize] - Records per chunk
+ * @param {Object} [options.stats] - Receives the extracted blobs of prefix and pattern sources
+ * @returns {AsyncGenerator<Array>} Record chunks
+ */
+async function* streamFromBlob(source, { chunkSize, stats = {} } = {}) {
+  if (isMultiBlobSource(source)) {
+    yield* chunkRecords(streamBlobRecords(source, { chunkSize, stats }), chunkSize);
+    return;
+  }
+
+  const { storage, containerName, blobName } = getBlobSource(source);
+
+  logger.info(`Streaming data from blob: ${storage.provider}://${containerName}/${blobName}`);
+
+  let downloadResponse;
+  try {
+    downloadResponse = await storage.download(containerName, blobName);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError(`Blob download failed: ${error.message}`, 500);
+  }
+
+  const { stream, name, compression } = await decompressStream(
+    downloadResponse.body,
+    getCompressionOptions(source, downloadResponse.contentType, blobName),
+  );
+  const format = getBlobFormat(source, compression ? undefined : downloadResponse.contentType, name);
+
+  yield* chunkRecords(streamRecords(stream, format, source), chunkSize);
+}
+
 /**
  * List blobs in a container
  * @param {Object} options - Blob listing options
- * @param {string} options.containerName - Blob container name
+ * @param {string} [options.provider] - Storage provider (azure, s3 or gcs)
+ * @param {string} options.containerName - Blob container (bucket) name
  * @param {string} options.prefix - Blob name prefix
  * @returns {Promise<Array<string>>} List of blob names
  */
 async function listBlobs(options) {
   try {
-    const { containerName = config.azureStorage.containerName, prefix = '' } = options;
+    const storage = getStorage(options);
+    const { containerName } = getObjectLocation(options, storage);
 
     if (!containerName) {
       throw new Error('Blob container name is required');
     }
 
-    logger.info(`Listing blobs in container: ${containerName}`);
-
-    // Create the BlobServiceClient
-    const blobServiceClient = BlobServiceClient.fromConnectionString(
-      config.azureStorage.connectionString,
-    );
-
-    // Get a reference to the container
-    const containerClient = blobServiceClient.getContainerClient(containerName);
+    logger.info(`Listing blobs in container: ${storage.provider}://${containerName}`);
 
-    // List the blobs
-    const blobs = [];
-    for await (const blob of containerClient.listBlobsFlat({ prefix })) {
-      blobs.push(blob.name);
-    }
+    const blobs = (await storage.list(containerName, { prefix: options.prefix })).map(blob => blob.name);
 
     logger.info(`Found ${blobs.length} blobs in container: ${containerName}`);
 
@@ -147,25 +313,8 @@ async function _streamToString(readableStream) {
   });
 }
 
-/**
- * Parse CSV content
- * @param {string} content - CSV content
- * @returns {Array<Object>} Parsed CSV data
- */
-function _parseCSV(content) {
-  const lines = content.split('\n');
-  const headers = lines[0].split(',').map(header => header.trim());
-  
-  return lines.slice(1).filter(line => line.trim()).map(line => {
-    const values = line.split(',').map(value => value.trim());
-    return headers.reduce((obj, header, index) => {
-      obj[header] = values[index];
-      return obj;
-    }, {});
-  });
-}
-
 module.exports = {
   extractFromBlob,
   listBlobs,
+  streamFromBlob,
 }; 
\ No newline at end of file
@@ -0,0 +1,282 @@
+/**
+ * MongoDB Change Stream Extractor
+ * Tails the change stream of a collection and hands the events over in batches,
+ * persisting the resume token after each processed batch so a restart continues where it stopped
+ */
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const { getCollection } = require('../utils/db');
+const { resolveCredentials } = require('../utils/credentials');
+const monitor = require('../utils/monitor');
+const { config } = require('../config/config');
+
+// Default time window of a batch (in milliseconds)
+const DEFAULT_BATCH_WINDOW = 1000;
+
+// Pause after an empty poll, so streams that return immediately do not spin
+const IDLE_DELAY = 100;
+
+// Change events that carry a document
+const DOCUMENT_EVENTS = ['insert', 'update', 'replace'];
+
+/**
+ * Validate a change stream source configuration
+ * @param {Object} source - Source configuration
+ * @returns {Object} { collection, pipeline, operationTypes, includeDeletes, batchSize, batchWindowMs }
+ */
+function getChangeStreamConfig(source) {
+  if (!source?.collection) {
+    throw new AppError('Change stream source must include a collection name', 400);
+  }
+
+  if (source.pipeline !== undefined && !Array.isArray(source.pipeline)) {
+    throw new AppError('Change stream pipeline must be an array of aggregation stages', 400);
+  }
+
+  const batchSize = source.batchSize ?? config.etl.batchSize;
+  const batchWindowMs = source.batchWindowMs ?? DEFAULT_BATCH_WINDOW;
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new AppError('Change stream batchSize must be a positive integer', 400);
+  }
+
+  if (typeof batchWindowMs !== 'number' || batchWindowMs < 0) {
+    throw new AppError('Change stream batchWindowMs must be a positive number', 400);
+  }
+
+  return {
+    collection: source.collection,
+    pipeline: source.pipeline || [],
+    operationTypes: source.operationTypes,
+    includeDeletes: source.includeDeletes === true,
+    batchSize,
+    batchWindowMs,
+  };
+}
+
+/**
+ * Open the change stream of a collection
+ * @param {Object} source - Source configuration
+ * @param {Object} [resumeToken] - Token of the last processed event
+ * @returns {Promise<Object>} MongoDB change stream
+ */
+async function openChangeStream(source, resumeToken) {
+  const { collection, pipeline } = getChangeStreamConfig(await resolveCredentials(source));
+  const coll = await getCollection(collection);
+
+  logger.info(`Opening change stream on collection: ${collection}${resumeToken ? ' (resuming)' : ''}`);
+
+  return coll.watch(pipeline, {
+    fullDocument: 'updateLookup',
+    maxAwaitTimeMS: source.batchWindowMs ?? DEFAULT_BATCH_WINDOW,
+    ...(resumeToken ? { resumeAfter: resumeToken } : {}),
+  });
+}
+
+/**
+ * Convert change events into records
+ * (inserted, updated and replaced documents, and { _id, _deleted: true } for deletes if enabled)
+ * @param {Array<Object>} events - Change events
+ * @param {Object} source - Source configuration
+ * @returns {Array<Object>} Records
+ */
+function toRecords(events, source) {
+  const { operationTypes, includeDeletes } = getChangeStreamConfig(source);
+
+  return events
+    .filter(event => !operationTypes || operationTypes.includes(event.operationType))
+    .map(event => {
+      if (DOCUMENT_EVENTS.includes(event.operationType) && event.fullDocument) {
+        return event.fullDocument;
+      }
+      if (event.operationType === 'delete' && includeDeletes) {
+        return { ...event.documentKey, _deleted: true };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Create a consumer that reads a change stream in batches
+ * @param {Object} options - Consumer options
+ * @param {string} options.name - Consumer name (for logs)
+ * @param {Object} options.source - Change stream source configuration
+ * @param {Object} [options.resumeToken] - Token to resume after
+ * @param {Function} options.onBatch - Processes a batch of change events, async
+ * @param {Function} [options.saveResumeToken] - Persists the token of the last processed event, async
+ *   (resumeToken, events)
+ * @param {Function} [options.openStream=openChangeStream] - Opens the stream (source, resumeToken)
+ * @returns {Object} Consumer ({ start(), stop(), getStatus() })
+ */
+function createChangeStreamConsumer({
+  name,
+  source,
+  resumeToken,
+  onBatch,
+  saveResumeToken = async () => {},
+  openStream = openChangeStream,
+}) {
+  const { batchSize, batchWindowMs } = getChangeStreamConfig(source);
+
+  const status = {
+    name,
+    state: 'stopped',
+    startedAt: null,
+    stoppedAt: null,
+    batches: 0,
+    events: 0,
+    lastBatchAt: null,
+    lastError: null,
+  };
+
+  let stream = null;
+  let stopping = false;
+  let loop = null;
+  let lastToken = resumeToken;
+
+  /**
+   * Process a batch, then remember where the stream got to
+   * @param {Array<Object>} batch - Change events
+   * @returns {Promise<void>}
+   */
+  const flush = async batch => {
+    await onBatch(batch);
+
+    // The token only moves once the batch is loaded, so a failure or restart re-reads it
+    lastToken = batch[batch.length - 1]._id;
+    await saveResumeToken(lastToken, batch);
+
+    status.batches++;
+    status.events += batch.length;
+    status.lastBatchAt = new Date();
+  };
+
+  /**
+   * Read the stream until the consumer is stopped or fails
+   * @returns {Promise<void>}
+   */
+  const run = async () => {
+    let batch = [];
+    let batchStartedAt = 0;
+
+    try {
+      stream = await openStream(source, lastToken);
+      status.state = 'running';
+
+      while (!stopping) {
+        const event = await stream.tryNext();
+
+        if (event) {
+          if (batch.length === 0) {
+            batchStartedAt = Date.now();
+          }
+          batch.push(event);
+        }
+
+        const windowElapsed = batch.length > 0 && Date.now() - batchStartedAt >= batchWindowMs;
+
+        if (batch.length >= batchSize || windowElapsed) {
+          await flush(batch);
+          batch = [];
+        } else if (!event) {
+          await new Promise(resolve => setTimeout(resolve, Math.min(IDLE_DELAY, batchWindowMs || IDLE_DELAY)));
+        }
+      }
+
+      // Hand over what was read before the stop was requested
+      if (batch.length > 0) {
+        await flush(batch);
+      }
+
+      status.state = 'stopped';
+    } catch (error) {
+      // A stop closes the stream under a pending read, which is not a failure
+      if (stopping) {
+        status.state = 'stopped';
+      } else {
+        status.state = 'failed';
+        status.lastError = error.message;
+        logger.error(`Change stream "${name}" failed: ${error.message}`);
+        monitor.trackError(error, 'changeStream');
+      }
+    } finally {
+      status.stoppedAt = new Date();
+      await closeStream();
+    }
+  };
+
+  /**
+   * Close the underlying stream, ignoring errors
+   * @returns {Promise<void>}
+   */
+  const closeStream = async () => {
+    if (!stream) {
+      return;
+    }
+
+    const current = stream;
+    stream = null;
+
+    try {
+      await current.close();
+    } catch (error) {
+      logger.warn(`Error closing change stream "${name}": ${error.message}`);
+    }
+  };
+
+  return {
+    /**
+     * Start consuming in the background
+     * @returns {Object} Consumer status
+     */
+    start: () => {
+      if (loop) {
+        return status;
+      }
+
+      stopping = false;
+      status.state = 'starting';
+      status.startedAt = new Date();
+      status.stoppedAt = null;
+      status.lastError = null;
+
+      logger.info(`Starting change stream "${name}" (batches of ${batchSize} events or ${batchWindowMs}ms)`);
+
+      loop = run().finally(() => {
+        loop = null;
+      });
+
+      return status;
+    },
+
+    /**
+     * Stop consuming, after the batch in progress is processed
+     * @returns {Promise<Object>} Consumer status
+     */
+    stop: async () => {
+      if (!loop) {
+        return status;
+      }
+
+      logger.info(`Stopping change stream "${name}"`);
+      stopping = true;
+      await loop;
+
+      return status;
+    },
+
+    /**
+     * Get the consumer status
+     * @returns {Object} Consumer status
+     */
+    getStatus: () => ({ ...status }),
+  };
+}
+
+module.exports = {
+  getChangeStreamConfig,
+  openChangeStream,
+  toRecords,
+  createChangeStreamConsumer,
+};
@@ -3,19 +3,44 @@
  * Module to extract data from various file types
  */
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
-const csv = require('csv-parser');
-const { Readable } = require('stream');
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
 const monitor = require('../utils/monitor');
+const { chunkRecords } = require('../utils/streamUtils');
+const { resolveFormat, detectFormatFromPath, parseRecords, streamRecords } = require('../formats');
+const { decompress, decompressStream } = require('../utils/compression');
+const { isGlobPattern, listMatchingFiles, getOriginField, tagOrigin } = require('../utils/fileMatching');
+const { selectFilesToProcess } = require('../utils/processedFiles');
 
 /**
- * Extract data from a file
+ * Get the decompression options of a file source
+ * @param {Object} source - Source configuration ({ compression, entry, format })
+ * @param {string} filePath - File path
+ * @returns {Object} Decompression options
+ */
+function getCompressionOptions(source, filePath) {
+  return {
+    compression: source.compression,
+    entry: source.entry,
+    name: filePath,
+    format: source.format || detectFormatFromPath(filePath),
+  };
+}
+
+/**
+ * Extract data from a file, or from every file matching a glob pattern
+ * (gzip, brotli and zip files are decompressed first)
  * @param {Object} source - Source configuration
+ * @param {Object} [stats] - Receives the extracted files of glob sources (stats.files, stats.skippedFiles, stats.processed)
  * @returns {Promise<Array>} Extracted data
  */
-async function extractFromFile(source) {
+async function extractFromFile(source, stats = {}) {
+  if (isGlobPattern(source.path)) {
+    return extractFromFiles(source, stats);
+  }
+
   const startTime = Date.now();
   
   try {
@@ -24,9 +49,6 @@ async function extractFromFile(source) {
     }
 
     const filePath = path.resolve(source.path);
-    const fileFormat = source.format || path.extname(filePath).slice(1).toLowerCase();
-    
-    logger.info(`Extracting data from file: ${filePath} (${fileFormat})`);
 
     // Check if file exists
     try {
@@ -35,40 +57,16 @@ async function extractFromFile(source) {
       throw new AppError(`File does not exist or cannot be accessed: ${filePath}`, 404);
     }
 
-    // Read file content
-    const fileContent = await fs.readFile(filePath, 'utf8');
-    let data;
-
-    // Process file based on format
-    switch (fileFormat) {
-      case 'json':
-        try {
-          data = JSON.parse(fileContent);
-          // Convert to array if it's an object
-          if (!Array.isArray(data)) {
-            data = [data];
-          }
-        } catch (error) {
-          throw new AppError(`Invalid JSON format: ${error.message}`, 400);
-        }
-        break;
-        
-      case 'csv':
-        data = await parseCSV(fileContent);
-        break;
-        
-      case 'txt':
-        data = fileContent.split('\n')
-          .filter(line => line.trim())
-          .map(line => ({ content: line }));
-        break;
-        
-      default:
-        throw new AppError(`Unsupported file format: ${fileFormat}`, 400);
-    }
+    // Read, decompress and parse the file content
+    const { content, name, compression } = await decompress(await fs.readFile(filePath), getCompressionOptions(source, filePath));
+    const fileFormat = resolveFormat(source.format, name);
+
+    logger.info(`Extracting data from file: ${filePath} (${compression ? `${compression} ` : ''}${fileFormat})`);
+
+    const data = await parseRecords(content, fileFormat, source);
 
     const duration = Date.now() - startTime;
-    logger.info(`File extraction completed in ${duration}ms: ${Array.isArray(data) ? data.length : 1} records`);
+    logger.info(`File extraction completed in ${duration}ms: ${data.length} records`);
     
     return data;
   } catch (error) {
@@ -87,22 +85,116 @@ async function extractFromFile(source) {
 }
 
 /**
- * Parse CSV content to JSON
- * @param {string} content - CSV content
- * @returns {Promise<Array>} Parsed data
+ * List the files of a glob source to extract
+ * @param {Object} source - Source configuration
+ * @param {Object} stats - Receives the extracted files
+ * @returns {Promise<Array<Object>>} Files ({ name, path, fingerprint })
  */
-function parseCSV(content) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    
-    Readable.from(content)
-      .pipe(csv())
-      .on('data', data => results.push(data))
-      .on('end', () => resolve(results))
-      .on('error', error => reject(new AppError(`CSV parsing error: ${error.message}`, 400)));
-  });
+async function listSourceFiles(source, stats) {
+  const files = await listMatchingFiles(source.path);
+  return selectFilesToProcess(source, files, source.path, stats);
+}
+
+/**
+ * Extract the records of every file matching a glob pattern, tagged with their file name
+ * @param {Object} source - Source configuration (path is a glob pattern)
+ * @param {Object} stats - Receives the extracted files
+ * @returns {Promise<Array>} Records of all files
+ */
+async function extractFromFiles(source, stats) {
+  const startTime = Date.now();
+
+  try {
+    logger.info(`Extracting data from files: ${source.path}`);
+
+    const files = await listSourceFiles(source, stats);
+    const originField = getOriginField(source);
+    const data = [];
+
+    for (const file of files) {
+      const records = await extractFromFile({ ...source, path: file.path });
+      for (const record of tagOrigin(records, originField, file.name)) {
+        data.push(record);
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info(`File extraction completed in ${duration}ms: ${data.length} records from ${files.length} files`);
+
+    return data;
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`File extraction failed in ${duration}ms: ${error.message}`);
+
+    if (error instanceof AppError) {
+      throw error;
+    }
+    monitor.trackError(error, 'fileExtractor');
+    throw new AppError(`File extraction failed: ${error.message}`, 500);
+  }
+}
+
+/**
+ * Stream data from a file in chunks of records, reading CSV, text and NDJSON files
+ * incrementally (other formats are parsed whole, then chunked); gzip and brotli files
+ * are decompressed as they are read, zip files once read whole; glob sources
+ * stream their files one after the other
+ * @param {Object} source - Source configuration
+ * @param {Object} [options] - Streaming options
+ * @param {number} [options.chunkSize] - Records per chunk
+ * @param {Object} [options.stats] - Receives the extracted files of glob sources
+ * @returns {AsyncGenerator<Array>} Record chunks
+ */
+async function* streamFromFile(source, { chunkSize, stats = {} } = {}) {
+  if (!source.path) {
+    throw new AppError('File source must include a path', 400);
+  }
+
+  if (isGlobPattern(source.path)) {
+    yield* chunkRecords(streamFileRecords(source, { chunkSize, stats }), chunkSize);
+    return;
+  }
+
+  const filePath = path.resolve(source.path);
+
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    throw new AppError(`File does not exist or cannot be accessed: ${filePath}`, 404);
+  }
+
+  const { stream, name, compression } = await decompressStream(createReadStream(filePath), getCompressionOptions(source, filePath));
+  let fileFormat;
+  try {
+    fileFormat = resolveFormat(source.format, name);
+  } catch (error) {
+    stream.destroy();
+    throw error;
+  }
+
+  logger.info(`Streaming data from file: ${filePath} (${compression ? `${compression} ` : ''}${fileFormat})`);
+
+  yield* chunkRecords(streamRecords(stream, fileFormat, source), chunkSize);
+}
+
+/**
+ * Stream the records of every file matching a glob pattern, tagged with their file name
+ * @param {Object} source - Source configuration (path is a glob pattern)
+ * @param {Object} options - Streaming options ({ chunkSize, stats })
+ * @returns {AsyncGenerator<Object>} Records
+ */
+async function* streamFileRecords(source, { chunkSize, stats }) {
+  const files = await listSourceFiles(source, stats);
+  const originField = getOriginField(source);
+
+  for (const file of files) {
+    for await (const chunk of streamFromFile({ ...source, path: file.path }, { chunkSize })) {
+      yield* tagOrigin(chunk, originField, file.name);
+    }
+  }
 }
 
 module.exports = {
   extractFromFile,
+  streamFromFile,
 }; 
\ No newline at end of file
@@ -0,0 +1,246 @@
+/**
+ * GraphQL Extractor
+ * Module to extract data from GraphQL APIs, following Relay-style connection pagination
+ */
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const monitor = require('../utils/monitor');
+const { chunkRecords } = require('../utils/streamUtils');
+const { getValueAtPath, hasRecordSelection, selectRecords } = require('../utils/jsonPath');
+const { requestApi, toApiError } = require('./apiExtractor');
+
+// Default maximum number of pages fetched from a connection
+const DEFAULT_MAX_PAGES = 100;
+
+/**
+ * Validate a GraphQL source configuration
+ * @param {Object} source - Source configuration
+ * @returns {Object} { cursorVariable, maxPages, delayMs } with defaults
+ */
+function getGraphqlConfig(source) {
+  if (!source.url) {
+    throw new AppError('GraphQL source must include a URL', 400);
+  }
+
+  if (!source.query || typeof source.query !== 'string') {
+    throw new AppError('GraphQL source must include a query', 400);
+  }
+
+  if (source.variables !== undefined && (typeof source.variables !== 'object' || Array.isArray(source.variables))) {
+    throw new AppError('GraphQL variables must be an object', 400);
+  }
+
+  const maxPages = source.maxPages ?? DEFAULT_MAX_PAGES;
+  if (!Number.isInteger(maxPages) || maxPages < 1) {
+    throw new AppError('GraphQL maxPages must be a positive integer', 400);
+  }
+
+  return {
+    cursorVariable: source.cursorVariable || 'after',
+    maxPages,
+    delayMs: source.delayMs || 0,
+  };
+}
+
+/**
+ * Get the data of a GraphQL response, failing on GraphQL errors
+ * @param {Object} body - Response body ({ data, errors })
+ * @param {Object} source - Source configuration
+ * @returns {Object} Response data
+ */
+function getResponseData(body, source) {
+  const errors = Array.isArray(body?.errors) ? body.errors : [];
+
+  if (errors.length > 0) {
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    throw new AppError(`GraphQL request failed: ${errors[0].message}${more}`, 400, {
+      url: source.url,
+      operationName: source.operationName,
+      errors: errors.map(({ message, path, locations, extensions }) => ({ message, path, locations, extensions })),
+    });
+  }
+
+  if (!body || body.data === undefined || body.data === null) {
+    throw new AppError('GraphQL response did not include data', 502, { url: source.url });
+  }
+
+  return body.data;
+}
+
+/**
+ * Find the Relay connection of a response: the object at connectionPath, or else the first
+ * object holding pageInfo { hasNextPage }
+ * @param {Object} data - Response data
+ * @param {string} [connectionPath] - Path of the connection in the data
+ * @returns {Object|null} Connection
+ */
+function findConnection(data, connectionPath) {
+  if (connectionPath) {
+    return getValueAtPath(data, connectionPath) || null;
+  }
+
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  if (data.pageInfo && typeof data.pageInfo === 'object' && 'hasNextPage' in data.pageInfo) {
+    return data;
+  }
+
+  for (const value of Object.values(data)) {
+    const connection = !Array.isArray(value) && findConnection(value);
+    if (connection) {
+      return connection;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the records of a connection (edges[].node, or nodes)
+ * @param {Object} connection - Relay connection
+ * @returns {Array} Records
+ */
+function getConnectionRecords(connection) {
+  if (Array.isArray(connection.edges)) {
+    return connection.edges.map(edge => edge?.node).filter(node => node !== undefined && node !== null);
+  }
+  return Array.isArray(connection.nodes) ? connection.nodes : [];
+}
+
+/**
+ * Fetch the pages of a GraphQL query
+ * (queries without a connection are fetched once and yield their data as one page)
+ * @param {Object} source - Source configuration
+ * @param {Object} [stats] - Accumulates the number of request attempts (stats.attempts) and pages (stats.pages)
+ * @returns {AsyncGenerator<Object>} Pages ({ records, connection, data })
+ */
+async function* fetchGraphqlPages(source, stats = {}) {
+  const { cursorVariable, maxPages, delayMs } = getGraphqlConfig(source);
+  let variables = { ...source.variables };
+  let pages = 0;
+
+  for (;;) {
+    let body;
+    try {
+      const response = await requestApi({
+        ...source,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...source.headers },
+        data: { query: source.query, variables, operationName: source.operationName },
+        params: undefined,
+      }, {}, stats);
+      body = response.data;
+    } catch (error) {
+      // Servers may answer invalid queries with a 4xx status and a GraphQL errors array
+      if (!Array.isArray(error.response?.data?.errors)) {
+        throw error;
+      }
+      body = error.response.data;
+    }
+    stats.pages = ++pages;
+
+    const data = getResponseData(body, source);
+    const connection = findConnection(data, source.connectionPath);
+
+    if (!connection) {
+      yield { data, records: hasRecordSelection(source) ? selectRecords(data, source) : [data] };
+      return;
+    }
+
+    yield { data, connection, records: getConnectionRecords(connection) };
+
+    const { hasNextPage, endCursor } = connection.pageInfo || {};
+    if (!hasNextPage || !endCursor) {
+      return;
+    }
+
+    if (pages >= maxPages) {
+      logger.warn(`Stopped paginating GraphQL query ${source.operationName || source.url} after ${pages} page(s) (maxPages reached)`);
+      return;
+    }
+
+    variables = { ...variables, [cursorVariable]: endCursor };
+
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Extract data from a GraphQL API
+ * @param {Object} source - Source configuration ({ url, query, variables, operationName, ... })
+ * @param {Object} [stats] - Receives the number of request attempts (stats.attempts) and pages (stats.pages)
+ * @returns {Promise<any>} The nodes of the connection across all pages, or the response data
+ */
+async function extractFromGraphql(source, stats = {}) {
+  const startTime = Date.now();
+
+  try {
+    getGraphqlConfig(source);
+
+    logger.info(`Extracting data from GraphQL API: ${source.url}${source.operationName ? ` (${source.operationName})` : ''}`);
+
+    let result;
+    for await (const page of fetchGraphqlPages(source, stats)) {
+      if (!page.connection) {
+        result = hasRecordSelection(source) ? page.records : page.data;
+        break;
+      }
+
+      result = result || [];
+      for (const record of page.records) {
+        result.push(record);
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info(`GraphQL extraction completed in ${duration}ms (${stats.pages} page(s))`);
+
+    return result;
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`GraphQL extraction failed in ${duration}ms: ${error.message}`);
+
+    monitor.trackError(error, 'graphqlExtractor');
+
+    throw toApiError(error, source);
+  }
+}
+
+/**
+ * Stream data from a GraphQL API in chunks of records, page by page
+ * @param {Object} source - Source configuration
+ * @param {Object} [options] - Streaming options
+ * @param {number} [options.chunkSize] - Records per chunk
+ * @param {Object} [options.stats] - Receives the number of request attempts (stats.attempts)
+ * @returns {AsyncGenerator<Array>} Record chunks
+ */
+async function* streamFromGraphql(source, { chunkSize, stats } = {}) {
+  getGraphqlConfig(source);
+
+  /**
+   * Flatten the pages into records
+   * @returns {AsyncGenerator<Object>} Records
+   */
+  async function* records() {
+    for await (const page of fetchGraphqlPages(source, stats)) {
+      yield* page.records;
+    }
+  }
+
+  try {
+    yield* chunkRecords(records(), chunkSize);
+  } catch (error) {
+    monitor.trackError(error, 'graphqlExtractor');
+    throw toApiError(error, source);
+  }
+}
+
+module.exports = {
+  extractFromGraphql,
+  streamFromGraphql,
+  findConnection,
+};
@@ -4,8 +4,39 @@
  */
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
-const { connectToDatabase } = require('../utils/db');
+const { connectToDatabase, getCollection } = require('../utils/db');
 const monitor = require('../utils/monitor');
+const { chunkRecords } = require('../utils/streamUtils');
+
+/**
+ * Build a find cursor from a MongoDB source configuration
+ * @param {Object} collection - MongoDB collection
+ * @param {Object} source - Source configuration (query, projection, sort, skip, limit)
+ * @returns {Object} MongoDB cursor
+ */
+function buildCursor(collection, source) {
+  const query = source.query || {};
+  const projection = source.projection || {};
+  const sort = source.sort || {};
+  const limit = source.limit || 0;
+  const skip = source.skip || 0;
+
+  let cursor = collection.find(query, { projection });
+  
+  if (Object.keys(sort).length > 0) {
+    cursor = cursor.sort(sort);
+  }
+  
+  if (skip > 0) {
+    cursor = cursor.skip(skip);
+  }
+  
+  if (limit > 0) {
+    cursor = cursor.limit(limit);
+  }
+
+  return cursor;
+}
 
 /**
  * Extract data from MongoDB collection
@@ -26,30 +57,9 @@ async function extractFromMongo(source) {
 
     logger.info(`Extracting data from MongoDB collection: ${source.collection}`);
 
-    const db = await connectToDatabase();
-    const collection = db.collection(source.collection);
+    const collection = await getCollection(source.collection);
 
-    const query = source.query || {};
-    const projection = source.projection || {};
-    const sort = source.sort || {};
-    const limit = source.limit || 0;
-    const skip = source.skip || 0;
-
-    let cursor = collection.find(query, { projection });
-    
-    if (Object.keys(sort).length > 0) {
-      cursor = cursor.sort(sort);
-    }
-    
-    if (skip > 0) {
-      cursor = cursor.skip(skip);
-    }
-    
-    if (limit > 0) {
-      cursor = cursor.limit(limit);
-    }
-    
-    const data = await cursor.toArray();
+    const data = await buildCursor(collection, source).toArray();
     
     const duration = Date.now() - startTime;
     logger.info(`MongoDB extraction completed in ${duration}ms: ${data.length} records`);
@@ -70,6 +80,37 @@ async function extractFromMongo(source) {
   }
 }
 
+/**
+ * Stream documents from a MongoDB collection in chunks, reading the cursor batch by batch
+ * @param {Object} source - Source configuration
+ * @param {Object} [options] - Streaming options
+ * @param {number} [options.chunkSize] - Documents per chunk
+ * @returns {AsyncGenerator<Array>} Document chunks
+ */
+async function* streamFromMongo(source, { chunkSize } = {}) {
+  if (!source.collection) {
+    throw new AppError('MongoDB source must include a collection name', 400);
+  }
+
+  if (!process.env.MONGODB_URI) {
+    throw new AppError('MongoDB URI is not configured', 500);
+  }
+
+  logger.info(`Streaming data from MongoDB collection: ${source.collection}`);
+
+  const cursor = buildCursor(await getCollection(source.collection), source);
+
+  if (chunkSize) {
+    cursor.batchSize(chunkSize);
+  }
+
+  try {
+    yield* chunkRecords(cursor, chunkSize);
+  } finally {
+    await cursor.close();
+  }
+}
+
 /**
  * Extract data from MongoDB with pagination
  * @param {Object} options - MongoDB extraction options
@@ -150,4 +191,5 @@ async function extractFromMongoWithPagination(options) {
 module.exports = {
   extractFromMongo,
   extractFromMongoWithPagination,
+  streamFromMongo,
 }; 
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * SQL Extractor
+ * Module to extract data from PostgreSQL, MySQL and SQLite databases
+ */
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const monitor = require('../utils/monitor');
+const { config } = require('../config/config');
+const { withRetry } = require('../utils/retryPolicy');
+const { getSqlDb } = require('../utils/sqlDb');
+
+/**
+ * Validate a SQL source configuration
+ * @param {Object} source - Source configuration
+ * @returns {Object} { keyColumn, chunkSize } with defaults
+ */
+function getSqlSourceConfig(source) {
+  if (!source.query && !source.table) {
+    throw new AppError('SQL source must include a query or a table', 400);
+  }
+
+  if (source.query && typeof source.query !== 'string') {
+    throw new AppError('SQL query must be a string', 400);
+  }
+
+  if (source.bindings !== undefined && (source.bindings === null || typeof source.bindings !== 'object')) {
+    throw new AppError('SQL bindings must be an array or an object of named values', 400);
+  }
+
+  const chunkSize = source.chunkSize ?? config.etl.batchSize;
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new AppError('SQL chunkSize must be a positive integer', 400);
+  }
+
+  return {
+    keyColumn: source.keyColumn,
+    chunkSize,
+  };
+}
+
+/**
+ * Build the query of a source: its table, or its parameterized query as a subquery so
+ * keyset conditions can be added to it
+ * @param {Object} db - knex instance
+ * @param {Object} source - Source configuration
+ * @returns {Object} knex query builder
+ */
+function buildQuery(db, source) {
+  if (source.table) {
+    return db.select(source.columns || '*').from(source.table);
+  }
+
+  const query = source.query.trim().replace(/;+$/, '');
+  return db.select('*').from(db.raw(`(${query}) as etl_source`, source.bindings || []));
+}
+
+/**
+ * Run a query, retrying transient database failures
+ * @param {Object} query - knex query builder
+ * @param {Object} stats - Accumulates the number of attempts (stats.attempts)
+ * @returns {Promise<Array>} Rows
+ */
+async function runQuery(query, stats) {
+  try {
+    const { result, attempts } = await withRetry(() => query.clone(), { operation: 'SQL query' });
+    stats.attempts = (stats.attempts || 0) + attempts;
+    return result;
+  } catch (error) {
+    stats.attempts = (stats.attempts || 0) + (error.attempts || 0);
+    throw error;
+  }
+}
+
+/**
+ * Read the rows of a source in chunks. With a keyColumn, each chunk is a separate query
+ * resuming after the last key seen (keyset pagination); otherwise the rows are read at once.
+ * @param {Object} source - Source configuration
+ * @param {Object} [options] - Reading options
+ * @param {number} [options.chunkSize] - Rows per chunk (defaults to the source chunkSize)
+ * @param {Object} [options.stats] - Accumulates the number of attempts (stats.attempts) and chunks (stats.chunks)
+ * @returns {AsyncGenerator<Array>} Row chunks
+ */
+async function* readChunks(source, { chunkSize, stats = {} } = {}) {
+  const sourceConfig = getSqlSourceConfig(source);
+  const size = chunkSize || sourceConfig.chunkSize;
+  const { keyColumn } = sourceConfig;
+  const db = getSqlDb(source);
+
+  stats.chunks = 0;
+
+  if (!keyColumn) {
+    const rows = await runQuery(buildQuery(db, source), stats);
+    for (let i = 0; i < rows.length; i += size) {
+      stats.chunks++;
+      yield rows.slice(i, i + size);
+    }
+    return;
+  }
+
+  let lastKey;
+  for (;;) {
+    const query = buildQuery(db, source).orderBy(keyColumn).limit(size);
+    if (lastKey !== undefined) {
+      query.where(keyColumn, '>', lastKey);
+    }
+
+    const rows = await runQuery(query, stats);
+    if (rows.length === 0) {
+      return;
+    }
+
+    stats.chunks++;
+    yield rows;
+
+    if (rows.length < size) {
+      return;
+    }
+
+    lastKey = rows[rows.length - 1][keyColumn];
+    if (lastKey === undefined || lastKey === null) {
+      throw new AppError(`SQL keyColumn "${keyColumn}" is missing from the selected rows`, 400);
+    }
+  }
+}
+
+/**
+ * Convert a database error to an AppError
+ * @param {Error} error - Error
+ * @returns {AppError} Extraction error
+ */
+function toSqlError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+  return new AppError(`SQL extraction failed: ${error.message}`, 500, { code: error.code, attempts: error.attempts });
+}
+
+/**
+ * Extract data from a SQL database
+ * @param {Object} source - Source configuration ({ client, connection, query, bindings, table, keyColumn, ... })
+ * @param {Object} [stats] - Receives the number of attempts (stats.attempts) and chunks (stats.chunks)
+ * @returns {Promise<Array>} Extracted rows
+ */
+async function extractFromSql(source, stats = {}) {
+  const startTime = Date.now();
+
+  try {
+    logger.info(`Extracting data from SQL ${source.table ? `table: ${source.table}` : 'query'}`);
+
+    const data = [];
+    for await (const rows of readChunks(source, { stats })) {
+      for (const row of rows) {
+        data.push(row);
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info(`SQL extraction completed in ${duration}ms: ${data.length} records in ${stats.chunks} chunk(s)`);
+
+    return data;
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`SQL extraction failed in ${duration}ms: ${error.message}`);
+
+    monitor.trackError(error, 'sqlExtractor');
+
+    throw toSqlError(error);
+  }
+}
+
+/**
+ * Stream rows from a SQL database in chunks, querying chunk by chunk with a keyColumn
+ * @param {Object} source - Source configuration
+ * @param {Object} [options] - Streaming options
+ * @param {number} [options.chunkSize] - Rows per chunk
+ * @param {Object} [options.stats] - Receives the number of attempts (stats.attempts)
+ * @returns {AsyncGenerator<Array>} Row chunks
+ */
+async function* streamFromSql(source, { chunkSize, stats } = {}) {
+  logger.info(`Streaming data from SQL ${source.table ? `table: ${source.table}` : 'query'}`);
+
+  try {
+    yield* readChunks(source, { chunkSize, stats });
+  } catch (error) {
+    monitor.trackError(error, 'sqlExtractor');
+    throw toSqlError(error);
+  }
+}
+
+module.exports = {
+  extractFromSql,
+  streamFromSql,
+  getSqlSourceConfig,
+};
@@ -0,0 +1,19 @@
+/**
+ * CSV Format
+ * Comma-separated values (see csvParser for the delimiter, quote, header, encoding and type options);
+ * written with a header row of the columns of the first chunk.
+ */
+const { parseCsv, parseCsvStream } = require('../utils/csvParser');
+const { createRecordSerializer } = require('../utils/streamUtils');
+
+module.exports = {
+  name: 'csv',
+  aliases: [],
+  extensions: ['csv'],
+  contentType: 'text/csv',
+  mimeTypes: ['application/csv'],
+
+  parse: parseCsv,
+  stream: parseCsvStream,
+  createSerializer: () => createRecordSerializer('csv'),
+};
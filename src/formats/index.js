@@ -0,0 +1,192 @@
+/**
+ * File Formats
+ * Readers and writers of the formats file and blob sources and destinations exchange:
+ * JSON, CSV, text, NDJSON (JSON Lines), XLSX, Parquet, XML and YAML.
+ *
+ * Formats are objects with:
+ * - name, aliases, extensions, contentType (written) and mimeTypes (also recognized)
+ * - document: whether parse() returns a document whose records are selected with recordPath
+ * - parse(content, options) -> records (or document)
+ * - stream(readable, options) -> async iterable of records (optional: content is parsed whole otherwise)
+ * - serialize(records, options) -> string or Buffer (optional for formats with createSerializer)
+ * - createSerializer(options) -> { start(), serialize(records), end() }, for text formats written in chunks
+ * - createWriter(stream, options) -> { write(records), end() }, for binary formats writing to a stream
+ */
+const path = require('path');
+const { AppError } = require('../utils/errorHandler');
+const { writeToStream } = require('../utils/streamUtils');
+const { hasRecordSelection, selectRecords } = require('../utils/jsonPath');
+const { stripCompressionExtension } = require('../utils/compression');
+const jsonFormat = require('./jsonFormat');
+const csvFormat = require('./csvFormat');
+const textFormat = require('./textFormat');
+const ndjsonFormat = require('./ndjsonFormat');
+const xlsxFormat = require('./xlsxFormat');
+const parquetFormat = require('./parquetFormat');
+const xmlFormat = require('./xmlFormat');
+const yamlFormat = require('./yamlFormat');
+
+// Formats by name and alias
+const formats = new Map();
+
+/**
+ * Register a format
+ * @param {Object} format - Format (see the module description)
+ */
+function registerFormat(format) {
+  for (const name of [format.name, ...(format.aliases || [])]) {
+    formats.set(name, format);
+  }
+}
+
+[jsonFormat, csvFormat, textFormat, ndjsonFormat, xlsxFormat, parquetFormat, xmlFormat, yamlFormat].forEach(registerFormat);
+
+/**
+ * Get a format by name or alias
+ * @param {string} name - Format name (json, csv, txt, ndjson, xlsx, parquet, xml, yaml, or an alias)
+ * @returns {Object} Format
+ */
+function getFormat(name) {
+  const format = formats.get(String(name).toLowerCase());
+
+  if (!format) {
+    const names = [...new Set([...formats.values()].map(known => known.name))];
+    throw new AppError(`Unsupported file format: ${name} (expected ${names.join(', ')})`, 400);
+  }
+
+  return format;
+}
+
+/**
+ * Detect the format of a file from its extension, after any compression extension ("orders.csv.gz" is CSV)
+ * @param {string} filePath - File path or blob name
+ * @returns {string|undefined} Format name (undefined for unknown extensions)
+ */
+function detectFormatFromPath(filePath) {
+  const extension = path.extname(stripCompressionExtension(filePath)).slice(1).toLowerCase();
+  return [...formats.values()].find(format => format.extensions.includes(extension))?.name;
+}
+
+/**
+ * Get the format of a file: the configured format, else the format of its extension
+ * @param {string} [format] - Configured format
+ * @param {string} filePath - File path
+ * @returns {string} Format name
+ */
+function resolveFormat(format, filePath) {
+  const name = format || detectFormatFromPath(filePath);
+
+  if (!name) {
+    throw new AppError(`Unsupported file format: ${path.extname(stripCompressionExtension(filePath)).slice(1) || 'none'}`, 400);
+  }
+
+  return getFormat(name).name;
+}
+
+/**
+ * Detect the format of a blob from its content type
+ * @param {string} [contentType] - Content type
+ * @returns {string|undefined} Format name (undefined for unknown content types)
+ */
+function detectFormatFromContentType(contentType = '') {
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  return [...formats.values()]
+    .find(format => format.contentType === mimeType || (format.mimeTypes || []).includes(mimeType))?.name;
+}
+
+/**
+ * Parse content into records; the records of documents (JSON, XML, YAML) are selected with
+ * recordPath, or are the document itself
+ * @param {Buffer} content - Content
+ * @param {string} formatName - Format name
+ * @param {Object} [options] - Source configuration (format options, recordPath)
+ * @returns {Promise<Array>} Records
+ */
+async function parseRecords(content, formatName, options = {}) {
+  const format = getFormat(formatName);
+  const data = await format.parse(content, options);
+
+  if (format.document && hasRecordSelection(options)) {
+    return selectRecords(data, options);
+  }
+
+  return Array.isArray(data) ? data : [data];
+}
+
+/**
+ * Read the records of a stream, as they arrive for CSV, text and NDJSON
+ * @param {Readable} readable - Content stream
+ * @param {string} formatName - Format name
+ * @param {Object} [options] - Source configuration
+ * @returns {AsyncGenerator<Object>} Records
+ */
+async function* streamRecords(readable, formatName, options = {}) {
+  const format = getFormat(formatName);
+
+  if (format.stream) {
+    yield* format.stream(readable, options);
+    return;
+  }
+
+  const buffers = [];
+  for await (const chunk of readable) {
+    buffers.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+
+  yield* await parseRecords(Buffer.concat(buffers), formatName, options);
+}
+
+/**
+ * Serialize records into one document
+ * @param {Array} records - Records
+ * @param {string} formatName - Format name
+ * @param {Object} [options] - Destination configuration (format options)
+ * @returns {Promise<string|Buffer>} Content
+ */
+async function serializeRecords(records, formatName, options = {}) {
+  const format = getFormat(formatName);
+
+  if (format.serialize) {
+    return format.serialize(records, options);
+  }
+
+  const serializer = format.createSerializer(options);
+  return serializer.start() + serializer.serialize(records) + serializer.end();
+}
+
+/**
+ * Create a writer that writes record chunks to a stream as one document
+ * @param {string} formatName - Format name
+ * @param {Writable} stream - Output stream (ended by end())
+ * @param {Object} [options] - Destination configuration (format options)
+ * @returns {Promise<Object>} Writer ({ write(records), end() })
+ */
+async function createFormatWriter(formatName, stream, options = {}) {
+  const format = getFormat(formatName);
+
+  if (format.createWriter) {
+    return format.createWriter(stream, options);
+  }
+
+  const serializer = format.createSerializer(options);
+  await writeToStream(stream, serializer.start());
+
+  return {
+    write: records => writeToStream(stream, serializer.serialize(records)),
+    end: async () => {
+      stream.end(serializer.end());
+    },
+  };
+}
+
+module.exports = {
+  getFormat,
+  registerFormat,
+  detectFormatFromPath,
+  detectFormatFromContentType,
+  resolveFormat,
+  parseRecords,
+  streamRecords,
+  serializeRecords,
+  createFormatWriter,
+};
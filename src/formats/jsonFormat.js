@@ -0,0 +1,36 @@
+/**
+ * JSON Format
+ * JSON documents; written as an array of records.
+ */
+const { AppError } = require('../utils/errorHandler');
+const { createRecordSerializer } = require('../utils/streamUtils');
+
+module.exports = {
+  name: 'json',
+  aliases: [],
+  extensions: ['json'],
+  contentType: 'application/json',
+  document: true,
+
+  /**
+   * Parse a JSON document
+   * @param {Buffer} content - Content
+   * @returns {any} Document
+   */
+  parse: content => {
+    try {
+      return JSON.parse(content.toString('utf8'));
+    } catch (error) {
+      throw new AppError(`Invalid JSON format: ${error.message}`, 400);
+    }
+  },
+
+  /**
+   * Serialize records as an indented JSON array
+   * @param {Array} records - Records
+   * @returns {string} Content
+   */
+  serialize: records => JSON.stringify(records, null, 2),
+
+  createSerializer: () => createRecordSerializer('json'),
+};
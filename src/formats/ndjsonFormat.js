@@ -0,0 +1,56 @@
+/**
+ * NDJSON Format
+ * Newline-delimited JSON (JSON Lines): one JSON value per line, read and written record by record.
+ */
+const { AppError } = require('../utils/errorHandler');
+const { readLines } = require('../utils/streamUtils');
+
+/**
+ * Parse one NDJSON line
+ * @param {string} line - Line
+ * @param {number} number - Record number (non-empty lines are counted), for errors
+ * @returns {any} Record
+ */
+function parseLine(line, number) {
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    throw new AppError(`Invalid NDJSON record ${number}: ${error.message}`, 400);
+  }
+}
+
+module.exports = {
+  name: 'ndjson',
+  aliases: ['jsonl'],
+  extensions: ['ndjson', 'jsonl'],
+  contentType: 'application/x-ndjson',
+  mimeTypes: ['application/ndjson', 'application/jsonl', 'application/json-lines'],
+
+  /**
+   * Parse NDJSON content
+   * @param {Buffer} content - Content
+   * @returns {Array} Records
+   */
+  parse: content => content.toString('utf8')
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map((line, index) => parseLine(line, index + 1)),
+
+  /**
+   * Read the records of an NDJSON stream
+   * @param {Readable} readable - Content stream
+   * @returns {AsyncGenerator} Records
+   */
+  stream: async function* (readable) {
+    let number = 0;
+    for await (const line of readLines(readable)) {
+      yield parseLine(line, ++number);
+    }
+  },
+
+  createSerializer: () => ({
+    start: () => '',
+    serialize: records => records.map(record => `${JSON.stringify(record)}\n`).join(''),
+    end: () => '',
+  }),
+};
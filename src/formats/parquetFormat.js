@@ -0,0 +1,208 @@
+/**
+ * Parquet Format
+ * Apache Parquet files: read whole (optionally only some `columns`), and written with the
+ * `schema` of the destination (parquetjs field definitions, e.g. { "id": { "type": "INT64" } })
+ * or a schema inferred from the first chunk of records, whose columns are all optional.
+ * 64-bit integers are read as numbers when they fit, as strings otherwise.
+ */
+const { PassThrough } = require('stream');
+const { ParquetReader, ParquetWriter, ParquetSchema } = require('@dsnp/parquetjs');
+const { AppError } = require('../utils/errorHandler');
+const { ISO_DATE_PATTERN, inferColumnTypes } = require('../utils/valueTypes');
+
+// Parquet types of inferred column types
+const PARQUET_TYPES = {
+  integer: 'INT64',
+  float: 'DOUBLE',
+  boolean: 'BOOLEAN',
+  timestamp: 'TIMESTAMP_MILLIS',
+  // Objects and arrays are written as JSON strings
+  json: 'UTF8',
+  text: 'UTF8',
+};
+
+/**
+ * Convert a value read from a Parquet file to a record value
+ * @param {any} value - Value
+ * @returns {any} Record value
+ */
+function fromParquet(value) {
+  if (typeof value === 'bigint') {
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(fromParquet);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, fromParquet(nested)]));
+  }
+  return value;
+}
+
+/**
+ * Create the schema of a Parquet file
+ * @param {Array<Object>} records - First records written
+ * @param {Object} [definition] - parquetjs field definitions of the destination
+ * @returns {Object} ParquetSchema
+ */
+function createSchema(records, definition) {
+  if (definition) {
+    try {
+      return new ParquetSchema(definition);
+    } catch (error) {
+      // parquetjs throws strings for unknown types
+      throw new AppError(`Invalid Parquet schema: ${error.message || error}`, 400);
+    }
+  }
+
+  const types = inferColumnTypes(records);
+  return new ParquetSchema(Object.fromEntries(Object.entries(types)
+    .map(([column, type]) => [column, { type: PARQUET_TYPES[type], optional: true }])));
+}
+
+/**
+ * Convert a record to a row of a schema (missing values are left out)
+ * @param {Object} record - Record
+ * @param {Object} schema - ParquetSchema
+ * @returns {Object} Row
+ */
+function toRow(record, schema) {
+  const row = {};
+
+  for (const [column, field] of Object.entries(schema.fields)) {
+    const value = record[column];
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    switch (field.originalType || field.primitiveType) {
+      case 'UTF8':
+        if (value instanceof Date) {
+          row[column] = value.toISOString();
+        } else if (typeof value === 'object' && !value._bsontype) {
+          row[column] = JSON.stringify(value);
+        } else {
+          row[column] = String(value);
+        }
+        break;
+      case 'TIMESTAMP_MILLIS':
+      case 'TIMESTAMP_MICROS':
+      case 'DATE':
+        row[column] = typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value;
+        break;
+      default:
+        row[column] = value;
+    }
+  }
+
+  return row;
+}
+
+/**
+ * Create a writer streaming rows into a Parquet file (opened with the first chunk)
+ * @param {Writable} stream - Output stream
+ * @param {Object} [options] - Destination configuration ({ schema })
+ * @returns {Object} Writer ({ write(records), end() })
+ */
+async function createWriter(stream, options = {}) {
+  let writer;
+  let schema;
+
+  /**
+   * Open the file with the schema of the destination or of the first records
+   * @param {Array<Object>} records - First records
+   */
+  const open = async records => {
+    schema = createSchema(records, options.schema);
+    writer = await ParquetWriter.openStream(schema, stream);
+  };
+
+  return {
+    write: async records => {
+      const items = records.map(record => (record !== null && typeof record === 'object' ? record : { value: record }));
+      if (items.length === 0) {
+        return;
+      }
+      if (!writer) {
+        await open(items);
+      }
+      for (const item of items) {
+        try {
+          await writer.appendRow(toRow(item, schema));
+        } catch (error) {
+          throw new AppError(`Record does not match the Parquet schema: ${error.message}`, 400);
+        }
+      }
+    },
+    end: async () => {
+      if (!writer) {
+        if (!options.schema) {
+          throw new AppError('Parquet files without records need a schema', 400);
+        }
+        await open([]);
+      }
+      await writer.close();
+    },
+  };
+}
+
+module.exports = {
+  name: 'parquet',
+  aliases: [],
+  extensions: ['parquet'],
+  contentType: 'application/vnd.apache.parquet',
+  mimeTypes: ['application/x-parquet'],
+
+  /**
+   * Read the rows of a Parquet file
+   * @param {Buffer} content - Content
+   * @param {Object} [options] - Source configuration ({ columns })
+   * @returns {Promise<Array<Object>>} Records
+   */
+  parse: async (content, options = {}) => {
+    let reader;
+    try {
+      reader = await ParquetReader.openBuffer(content);
+    } catch (error) {
+      throw new AppError(`Invalid Parquet format: ${error.message}`, 400);
+    }
+
+    try {
+      const cursor = reader.getCursor(options.columns);
+      const records = [];
+      let row;
+      while ((row = await cursor.next())) {
+        records.push(fromParquet(row));
+      }
+      return records;
+    } finally {
+      await reader.close();
+    }
+  },
+
+  /**
+   * Serialize records into a Parquet file
+   * @param {Array<Object>} records - Records
+   * @param {Object} [options] - Destination configuration ({ schema })
+   * @returns {Promise<Buffer>} Content
+   */
+  serialize: async (records, options = {}) => {
+    const stream = new PassThrough();
+    const buffers = [];
+    stream.on('data', buffer => buffers.push(buffer));
+    const ended = new Promise((resolve, reject) => {
+      stream.on('end', resolve);
+      stream.on('error', reject);
+    });
+
+    const writer = await createWriter(stream, options);
+    await writer.write(records);
+    await writer.end();
+    await ended;
+
+    return Buffer.concat(buffers);
+  },
+
+  createWriter,
+};
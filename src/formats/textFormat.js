@@ -0,0 +1,43 @@
+/**
+ * Text Format
+ * Plain text: each non-empty line is a record ({ content }); records are written one per line
+ * (objects as JSON).
+ */
+const { readLines, createRecordSerializer } = require('../utils/streamUtils');
+
+/**
+ * Wrap text lines into records
+ * @param {AsyncIterable<string>|Iterable<string>} lines - Text lines
+ * @returns {AsyncGenerator<Object>} Records ({ content })
+ */
+async function* toContentRecords(lines) {
+  for await (const line of lines) {
+    yield { content: line };
+  }
+}
+
+module.exports = {
+  name: 'txt',
+  aliases: ['text'],
+  extensions: ['txt', 'log'],
+  contentType: 'text/plain',
+
+  /**
+   * Parse the lines of a text document
+   * @param {Buffer} content - Content
+   * @returns {Array<Object>} Records ({ content })
+   */
+  parse: content => content.toString('utf8')
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => ({ content: line })),
+
+  /**
+   * Read the lines of a text stream
+   * @param {Readable} readable - Content stream
+   * @returns {AsyncGenerator<Object>} Records ({ content })
+   */
+  stream: readable => toContentRecords(readLines(readable)),
+
+  createSerializer: () => createRecordSerializer('txt'),
+};
@@ -0,0 +1,166 @@
+/**
+ * XLSX Format
+ * Excel workbooks: records are the rows of one worksheet (`sheet`: name or position from 1,
+ * default the first), named by its header row (`header`, `columns` as for CSV). Cells keep their
+ * type (numbers, booleans, dates); formulas give their result. Records are written to one worksheet
+ * with a header row of the columns of the first chunk.
+ */
+const ExcelJS = require('exceljs');
+const { AppError } = require('../utils/errorHandler');
+
+/**
+ * Convert the value of a cell to a record value
+ * @param {any} value - Cell value
+ * @returns {any} Record value
+ */
+function fromCell(value) {
+  if (value === undefined || value === null || value instanceof Date || typeof value !== 'object') {
+    return value ?? null;
+  }
+  if ('result' in value || 'formula' in value || 'sharedFormula' in value) {
+    return fromCell(value.result);
+  }
+  if (value.richText) {
+    return value.richText.map(part => part.text).join('');
+  }
+  if ('text' in value) {
+    return value.text;
+  }
+  if ('error' in value) {
+    return value.error;
+  }
+  return null;
+}
+
+/**
+ * Convert a record value to a cell value (objects are written as JSON)
+ * @param {any} value - Record value
+ * @returns {any} Cell value
+ */
+function toCell(value) {
+  if (value === undefined || value === null || value instanceof Date || typeof value !== 'object') {
+    return value ?? null;
+  }
+  return value._bsontype ? String(value) : JSON.stringify(value);
+}
+
+/**
+ * Get the worksheet a source reads
+ * @param {Object} workbook - Workbook
+ * @param {string|number} [sheet] - Worksheet name or position (from 1)
+ * @returns {Object} Worksheet
+ */
+function getWorksheet(workbook, sheet) {
+  const worksheet = typeof sheet === 'number'
+    ? workbook.worksheets[sheet - 1]
+    : sheet === undefined ? workbook.worksheets[0] : workbook.getWorksheet(String(sheet));
+
+  if (!worksheet) {
+    const names = workbook.worksheets.map(known => known.name).join(', ');
+    throw new AppError(`Worksheet not found: ${sheet ?? 1} (workbook sheets: ${names || 'none'})`, 404);
+  }
+
+  return worksheet;
+}
+
+/**
+ * Get the records of worksheet rows
+ * @param {Array<Array>} rows - Row values (without empty rows)
+ * @param {Object} options - Source configuration ({ header, columns })
+ * @returns {Array<Object>} Records
+ */
+function toRecords(rows, { header = true, columns } = {}) {
+  if (columns !== undefined && (!Array.isArray(columns) || columns.some(column => typeof column !== 'string'))) {
+    throw new AppError('XLSX columns must be a list of column names', 400);
+  }
+
+  const dataRows = header ? rows.slice(1) : rows;
+  const names = columns
+    || (header && rows.length > 0 ? rows[0].map((name, index) => (name === null ? String(index) : String(name))) : null);
+  const width = names ? names.length : Math.max(0, ...rows.map(row => row.length));
+
+  return dataRows.map(row => Object.fromEntries(Array.from({ length: width }, (_, index) => [
+    names ? names[index] : String(index),
+    row[index] ?? null,
+  ])));
+}
+
+module.exports = {
+  name: 'xlsx',
+  aliases: ['excel'],
+  extensions: ['xlsx'],
+  contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+
+  /**
+   * Parse the rows of a worksheet
+   * @param {Buffer} content - Content
+   * @param {Object} [options] - Source configuration ({ sheet, header, columns })
+   * @returns {Promise<Array<Object>>} Records
+   */
+  parse: async (content, options = {}) => {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(content);
+    } catch (error) {
+      throw new AppError(`Invalid XLSX format: ${error.message}`, 400);
+    }
+
+    const rows = [];
+    getWorksheet(workbook, options.sheet).eachRow(row => {
+      // row.values starts at index 1 (column A)
+      rows.push(Array.from({ length: Math.max(0, row.values.length - 1) }, (_, index) => fromCell(row.values[index + 1])));
+    });
+
+    return toRecords(rows, options);
+  },
+
+  /**
+   * Serialize records into a workbook
+   * @param {Array<Object>} records - Records
+   * @param {Object} [options] - Destination configuration ({ sheet })
+   * @returns {Promise<Buffer>} Content
+   */
+  serialize: async (records, options = {}) => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(String(options.sheet || 'Sheet1'));
+    const items = records.map(record => (record !== null && typeof record === 'object' ? record : { value: record }));
+    const columns = [...new Set(items.flatMap(item => Object.keys(item)))];
+
+    if (columns.length > 0) {
+      worksheet.addRow(columns);
+      items.forEach(item => worksheet.addRow(columns.map(column => toCell(item[column]))));
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  },
+
+  /**
+   * Create a writer streaming rows into a workbook
+   * @param {Writable} stream - Output stream
+   * @param {Object} [options] - Destination configuration ({ sheet })
+   * @returns {Object} Writer ({ write(records), end() })
+   */
+  createWriter: async (stream, options = {}) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet(String(options.sheet || 'Sheet1'));
+    let columns;
+
+    return {
+      write: async records => {
+        const items = records.map(record => (record !== null && typeof record === 'object' ? record : { value: record }));
+        if (items.length === 0) {
+          return;
+        }
+        if (!columns) {
+          columns = [...new Set(items.flatMap(item => Object.keys(item)))];
+          worksheet.addRow(columns).commit();
+        }
+        items.forEach(item => worksheet.addRow(columns.map(column => toCell(item[column]))).commit());
+      },
+      end: async () => {
+        worksheet.commit();
+        await workbook.commit();
+      },
+    };
+  },
+};
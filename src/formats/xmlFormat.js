@@ -0,0 +1,122 @@
+/**
+ * XML Format
+ * XML documents: records are the elements named by `recordElement` (at any depth), or else the
+ * child elements of the root element when they all have the same name. Attributes are read as
+ * "@name" fields, and the text of elements with attributes as "#text"; values are strings.
+ * Records are written as `recordElement` elements (default "record") of a `rootElement` (default "records").
+ */
+const { XMLParser, XMLBuilder, XMLValidator } = require('fast-xml-parser');
+const { AppError } = require('../utils/errorHandler');
+const { toPlain } = require('../utils/streamUtils');
+
+const ATTRIBUTE_PREFIX = '@';
+const ELEMENT_NAME_PATTERN = /^[A-Za-z_][\w.-]*$/;
+
+/**
+ * Get an element name option
+ * @param {string} [name] - Element name
+ * @param {string} fallback - Default element name
+ * @param {string} option - Option name, for errors
+ * @returns {string} Element name
+ */
+function getElementName(name, fallback, option) {
+  const element = name ?? fallback;
+  if (typeof element !== 'string' || !ELEMENT_NAME_PATTERN.test(element)) {
+    throw new AppError(`XML ${option} must be a valid element name`, 400);
+  }
+  return element;
+}
+
+/**
+ * Collect the elements with a name, in document order (without descending into them)
+ * @param {any} node - Parsed node
+ * @param {string} name - Element name
+ * @param {Array} found - Elements found
+ * @returns {Array} Elements found
+ */
+function collectElements(node, name, found = []) {
+  if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === name) {
+        found.push(...value);
+      } else {
+        [].concat(value).forEach(child => collectElements(child, name, found));
+      }
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  name: 'xml',
+  aliases: [],
+  extensions: ['xml'],
+  contentType: 'application/xml',
+  mimeTypes: ['text/xml'],
+  document: true,
+
+  /**
+   * Parse an XML document
+   * @param {Buffer} content - Content
+   * @param {Object} [options] - Source configuration ({ recordElement })
+   * @returns {any} Records, or the root element when its children have different names
+   */
+  parse: (content, options = {}) => {
+    const text = content.toString('utf8');
+    const validation = XMLValidator.validate(text);
+
+    if (validation !== true) {
+      throw new AppError(`Invalid XML format: ${validation.err.msg} (line ${validation.err.line})`, 400);
+    }
+
+    const recordElement = options.recordElement === undefined
+      ? undefined
+      : getElementName(options.recordElement, undefined, 'recordElement');
+
+    const parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: ATTRIBUTE_PREFIX,
+      textNodeName: '#text',
+      parseTagValue: false,
+      parseAttributeValue: false,
+      ignoreDeclaration: true,
+      ignorePiTags: true,
+      isArray: name => name === recordElement,
+    });
+    const document = parser.parse(text);
+
+    if (recordElement) {
+      return collectElements(document, recordElement);
+    }
+
+    const root = Object.values(document)[0];
+    const children = root && typeof root === 'object' ? Object.values(root) : [];
+
+    return children.length === 1 ? [].concat(children[0]) : root;
+  },
+
+  createSerializer: (options = {}) => {
+    const rootElement = getElementName(options.rootElement, 'records', 'rootElement');
+    const recordElement = getElementName(options.recordElement, 'record', 'recordElement');
+    const builder = new XMLBuilder({
+      ignoreAttributes: false,
+      attributeNamePrefix: ATTRIBUTE_PREFIX,
+      textNodeName: '#text',
+      format: true,
+      indentBy: '  ',
+      suppressEmptyNode: true,
+    });
+
+    return {
+      start: () => `<?xml version="1.0" encoding="UTF-8"?>\n<${rootElement}>\n`,
+      serialize: records => records
+        .map(record => builder.build({ [recordElement]: toPlain(record) })
+          .split('\n')
+          .filter(line => line)
+          .map(line => `  ${line}\n`)
+          .join(''))
+        .join(''),
+      end: () => `</${rootElement}>\n`,
+    };
+  },
+};
@@ -0,0 +1,50 @@
+/**
+ * YAML Format
+ * YAML documents (a stream of several documents is read as one record per document);
+ * written as a sequence of records.
+ */
+const YAML = require('yaml');
+const { AppError } = require('../utils/errorHandler');
+const { toPlain } = require('../utils/streamUtils');
+
+module.exports = {
+  name: 'yaml',
+  aliases: ['yml'],
+  extensions: ['yaml', 'yml'],
+  contentType: 'application/yaml',
+  mimeTypes: ['application/x-yaml', 'text/yaml', 'text/x-yaml'],
+  document: true,
+
+  /**
+   * Parse YAML content
+   * @param {Buffer} content - Content
+   * @returns {any} Document, or the documents of a multi-document stream
+   */
+  parse: content => {
+    const documents = YAML.parseAllDocuments(content.toString('utf8'));
+    const error = documents.flatMap(document => document.errors)[0];
+
+    if (error) {
+      throw new AppError(`Invalid YAML format: ${error.message.split('\n')[0]}`, 400);
+    }
+
+    const values = documents.map(document => document.toJS());
+    return values.length === 1 ? values[0] : values;
+  },
+
+  createSerializer: () => {
+    let count = 0;
+
+    return {
+      start: () => '',
+      serialize: records => {
+        if (records.length === 0) {
+          return '';
+        }
+        count += records.length;
+        return YAML.stringify(records.map(toPlain));
+      },
+      end: () => (count === 0 ? '[]\n' : ''),
+    };
+  },
+};
@@ -0,0 +1,171 @@
+const logger = require('../utils/logger');
+const CredentialModel = require('../models/credentialModel');
+const { AppError } = require('../utils/errorHandler');
+const monitor = require('../utils/monitor');
+const { saveCredential } = require('../utils/credentials');
+
+// Allowed credential names (used in { "$credential": "name" } references)
+const CREDENTIAL_NAME = /^[A-Za-z0-9._-]{1,100}$/;
+
+// Fields returned for a credential (never the encrypted value)
+const PUBLIC_FIELDS = 'name description lastUsedAt createdAt updatedAt';
+
+/**
+ * Convert an error into an HTTP response
+ * @param {Error} error - The error
+ * @param {string} action - Action being performed (for logging)
+ * @returns {Object} HTTP response
+ */
+function toErrorResponse(error, action) {
+  logger.error(`Error ${action}: ${error.message}`);
+  monitor.trackError(error, 'credential');
+
+  let statusCode = error instanceof AppError ? error.statusCode : 500;
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    statusCode = 400;
+  }
+
+  return {
+    status: statusCode,
+    body: {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Validate a credential name
+ * @param {string} name - Credential name
+ * @returns {string} The name
+ */
+function validateName(name) {
+  if (typeof name !== 'string' || !CREDENTIAL_NAME.test(name)) {
+    throw new AppError('Credential name must be 1-100 letters, digits, dots, dashes or underscores', 400);
+  }
+  return name;
+}
+
+/**
+ * List stored credentials (names and metadata only)
+ * @param {Object} _context - Azure Functions context
+ * @param {Object} _req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function listCredentials(_context, _req) {
+  try {
+    const credentials = await CredentialModel.find().select(PUBLIC_FIELDS).sort({ name: 1 });
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        count: credentials.length,
+        credentials,
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'listing credentials');
+  }
+}
+
+/**
+ * Get the metadata of a stored credential
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function getCredentialInfo(context, req) {
+  try {
+    const name = validateName(req.params.name);
+    const credential = await CredentialModel.findOne({ name }).select(PUBLIC_FIELDS);
+
+    if (!credential) {
+      throw new AppError(`Credential not found: ${name}`, 404);
+    }
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        credential,
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'retrieving credential');
+  }
+}
+
+/**
+ * Store a credential, or rotate the value of an existing one
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request (body: { name, value, description })
+ * @returns {Object} HTTP response
+ */
+async function createCredential(context, req) {
+  try {
+    const { name, value, description } = req.body || {};
+    validateName(name);
+
+    if (typeof value !== 'string' || value === '') {
+      throw new AppError('Credential value must be a non-empty string', 400);
+    }
+
+    const { credential, created } = await saveCredential({ name, value, description });
+
+    logger.info(`${created ? 'Created' : 'Rotated'} credential "${name}"`);
+
+    return {
+      status: created ? 201 : 200,
+      body: {
+        success: true,
+        credential: {
+          name: credential.name,
+          description: credential.description,
+          createdAt: credential.createdAt,
+          updatedAt: credential.updatedAt,
+        },
+        created,
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'saving credential');
+  }
+}
+
+/**
+ * Delete a stored credential
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function deleteCredential(context, req) {
+  try {
+    const name = validateName(req.params.name);
+    const result = await CredentialModel.deleteOne({ name });
+
+    if (result.deletedCount === 0) {
+      throw new AppError(`Credential not found: ${name}`, 404);
+    }
+
+    logger.info(`Deleted credential "${name}"`);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: `Credential "${name}" deleted`,
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'deleting credential');
+  }
+}
+
+module.exports = {
+  listCredentials,
+  getCredentialInfo,
+  createCredential,
+  deleteCredential,
+};
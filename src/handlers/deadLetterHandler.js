@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { transform } = require('./transformHandler');
+const { load } = require('./loadHandler');
+const { getResponseError } = require('./orchestratorHandler');
+const logger = require('../utils/logger');
+const DeadLetterModel = require('../models/deadLetterModel');
+const RunModel = require('../models/runModel');
+const { AppError } = require('../utils/errorHandler');
+const monitor = require('../utils/monitor');
+const { parsePositiveInt, parsePagination, buildDateRange } = require('../utils/queryParams');
+const { getRunConfig } = require('../utils/runTracker');
+
+// Replay batch limits
+const DEFAULT_REPLAY_LIMIT = 100;
+const MAX_REPLAY_LIMIT = 1000;
+
+// Dead letters that can be replayed (replayed ones would be loaded twice)
+const REPLAYABLE_STATUSES = ['pending', 'failed'];
+
+/**
+ * Build a Mongo filter from dead letter listing query parameters
+ * (values are coerced to strings so query objects cannot inject operators)
+ * @param {Object} query - Request query parameters
+ * @returns {Object} Mongo filter
+ */
+function buildDeadLetterFilter(query = {}) {
+  const filter = {};
+
+  ['status', 'stage', 'runId', 'recordId'].forEach(field => {
+    if (query[field]) {
+      filter[field] = String(query[field]);
+    }
+  });
+
+  const createdAt = buildDateRange(query);
+  if (createdAt) {
+    filter.createdAt = createdAt;
+  }
+
+  return filter;
+}
+
+/**
+ * Build a Mongo filter selecting the dead letters to replay
+ * @param {Object} body - Replay request body ({ ids, runId, stage, status })
+ * @returns {Object} Mongo filter
+ */
+function buildReplayFilter(body) {
+  const { ids, runId, stage, status } = body;
+  const filter = {};
+
+  if (status !== undefined) {
+    if (!REPLAYABLE_STATUSES.includes(status)) {
+      throw new AppError(`Only dead letters with status ${REPLAYABLE_STATUSES.join(' or ')} can be replayed`, 400);
+    }
+    filter.status = status;
+  } else {
+    filter.status = { $in: REPLAYABLE_STATUSES };
+  }
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new AppError('ids must be an array of dead letter IDs', 400);
+    }
+    filter._id = { $in: ids };
+  }
+
+  if (runId) {
+    filter.runId = String(runId);
+  }
+
+  if (stage) {
+    filter.stage = String(stage);
+  }
+
+  return filter;
+}
+
+/**
+ * Mark the selected dead letters as replaying, so concurrent replays cannot load them twice
+ * @param {Array<Object>} deadLetters - Selected dead letter documents
+ * @param {string} replayId - ID of this replay
+ * @returns {Promise<Array<Object>>} The dead letters this replay claimed (others are being replayed already)
+ */
+async function claimDeadLetters(deadLetters, replayId) {
+  if (deadLetters.length === 0) {
+    return [];
+  }
+
+  await DeadLetterModel.updateMany(
+    { _id: { $in: deadLetters.map(deadLetter => deadLetter._id) }, status: { $in: REPLAYABLE_STATUSES } },
+    { $set: { status: 'replaying', replayId } },
+  );
+
+  return DeadLetterModel.find({ replayId }).sort({ createdAt: 1 });
+}
+
+/**
+ * Give the dead letters a failed replay did not get to back their status, so they can be replayed again
+ * @param {Array<Object>} deadLetters - Selected dead letter documents (with their status before the replay)
+ * @param {string} replayId - ID of the failed replay
+ * @returns {Promise<void>}
+ */
+async function releaseDeadLetters(deadLetters, replayId) {
+  try {
+    for (const status of REPLAYABLE_STATUSES) {
+      const ids = deadLetters.filter(deadLetter => deadLetter.status === status).map(deadLetter => deadLetter._id);
+      if (ids.length > 0) {
+        await DeadLetterModel.updateMany(
+          { _id: { $in: ids }, replayId, status: 'replaying' },
+          { $set: { status }, $unset: { replayId: 1 } },
+        );
+      }
+    }
+  } catch (dbError) {
+    logger.error(`Error releasing dead letters of replay ${replayId}: ${dbError.message}`);
+  }
+}
+
+/**
+ * Get the configuration dead letters of a run are replayed with
+ * (configuration in the request overrides the configuration the run was started with)
+ * @param {string|null} runId - Run that rejected the records
+ * @param {Object} overrides - Request configuration ({ transformations, destination })
+ * @returns {Promise<Object>} { transformations, destination }
+ */
+async function getReplayConfig(runId, overrides) {
+  let runConfig = {};
+
+  if (runId && mongoose.Types.ObjectId.isValid(runId)) {
+    const run = await RunModel.findById(runId).select('+secrets');
+    const needed = ['transformations', 'destination'].filter(field => overrides[field] === undefined);
+    runConfig = getRunConfig(run, needed) || {};
+  }
+
+  const transformations = overrides.transformations ?? runConfig.transformations;
+  const destination = overrides.destination ?? runConfig.destination;
+
+  if (!destination || !destination.type) {
+    throw new AppError(
+      `No destination to replay dead letters${runId ? ` of run ${runId}` : ''} to, provide one in the request`,
+      409,
+    );
+  }
+
+  return { transformations, destination };
+}
+
+/**
+ * Reprocess dead letters: records rejected by the transform step are transformed again
+ * one by one, then every record that passes is loaded in a single batch
+ * @param {Object} context - Azure Functions context
+ * @param {Array<Object>} deadLetters - Dead letter documents
+ * @param {Object} replayConfig - Configuration ({ transformations, destination })
+ * @returns {Promise<Map>} Outcome of each dead letter ({ status: 'replayed', 'failed' or 'dropped', error })
+ */
+async function replayGroup(context, deadLetters, { transformations, destination }) {
+  const outcomes = new Map();
+  const toLoad = [];
+
+  for (const deadLetter of deadLetters) {
+    if (deadLetter.stage === 'load' || !transformations) {
+      toLoad.push({ deadLetter, item: deadLetter.item });
+      continue;
+    }
+
+    const response = await transform(context, {
+      body: {
+        data: [deadLetter.item],
+        transformations,
+        options: { saveToDb: false, deadLetters: false },
+      },
+    });
+
+    const rejection = response.body.rejected?.[0];
+
+    const data = [].concat(response.body.data ?? []);
+
+    if (response.status !== 200 || !response.body.success) {
+      outcomes.set(deadLetter, { status: 'failed', error: getResponseError(response.body) });
+    } else if (rejection) {
+      outcomes.set(deadLetter, { status: 'failed', error: [rejection.reason, ...(rejection.details || [])].join(': ') });
+    } else if (data.length === 0) {
+      // A filter now excludes the record: there is nothing to load
+      outcomes.set(deadLetter, { status: 'dropped' });
+    } else {
+      toLoad.push({ deadLetter, item: data[0] });
+    }
+  }
+
+  if (toLoad.length > 0) {
+    const response = await load(context, {
+      body: {
+        data: toLoad.map(entry => entry.item),
+        destination,
+        options: { deadLetters: false },
+      },
+    });
+
+    const result = response.body.result;
+
+    if (response.status !== 200 || !response.body.success || result?.success === false) {
+      const error = result?.error || getResponseError(response.body);
+      toLoad.forEach(({ deadLetter }) => outcomes.set(deadLetter, { status: 'failed', error }));
+    } else {
+      const failures = new Map((result?.failed || []).map(failure => [failure.index, failure.error]));
+      toLoad.forEach(({ deadLetter }, index) => outcomes.set(deadLetter, failures.has(index)
+        ? { status: 'failed', error: failures.get(index) }
+        : { status: 'replayed' }));
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Convert an error into an HTTP response
+ * @param {Error} error - The error
+ * @param {string} action - Action being performed (for logging)
+ * @returns {Object} HTTP response
+ */
+function toErrorResponse(error, action) {
+  logger.error(`Error ${action}: ${error.message}`);
+  monitor.trackError(error, 'deadLetter');
+
+  return {
+    status: error instanceof AppError ? error.statusCode : 500,
+    body: {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * List dead letters with filters and pagination
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request (query: status, stage, runId, recordId, from, to, page, limit)
+ * @returns {Object} HTTP response (headers carry X-Total-Count)
+ */
+async function listDeadLetters(context, req) {
+  try {
+    const query = req.query || {};
+    const { page, limit, skip } = parsePagination(query);
+    const filter = buildDeadLetterFilter(query);
+
+    const [deadLetters, total] = await Promise.all([
+      DeadLetterModel.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      DeadLetterModel.countDocuments(filter),
+    ]);
+
+    return {
+      status: 200,
+      headers: {
+        'X-Total-Count': String(total),
+      },
+      body: {
+        success: true,
+        deadLetters,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'listing dead letters');
+  }
+}
+
+/**
+ * Replay dead letters after the cause of the rejection was fixed
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request (body: ids, runId, stage, status, limit,
+ *   and optionally transformations and destination overriding the run configuration)
+ * @returns {Object} HTTP response
+ */
+async function replayDeadLetters(context, req) {
+  try {
+    const body = req.body || {};
+    const limit = Math.min(parsePositiveInt(body.limit, DEFAULT_REPLAY_LIMIT, 'limit'), MAX_REPLAY_LIMIT);
+    const filter = buildReplayFilter(body);
+
+    const selected = await DeadLetterModel.find(filter).sort({ createdAt: 1 }).limit(limit);
+    const replayId = crypto.randomUUID();
+    const deadLetters = await claimDeadLetters(selected, replayId);
+    const results = [];
+
+    try {
+      // Records of a run are replayed together with that run's configuration
+      const groups = new Map();
+      deadLetters.forEach(deadLetter => {
+        const key = deadLetter.runId || null;
+        groups.set(key, [...(groups.get(key) || []), deadLetter]);
+      });
+
+      // Resolve every configuration first so a missing one does not leave a partial replay
+      const configs = new Map();
+      for (const runId of groups.keys()) {
+        configs.set(runId, await getReplayConfig(runId, body));
+      }
+
+      logger.info(`Replaying ${deadLetters.length} dead letters from ${groups.size} runs`);
+
+      for (const [runId, group] of groups) {
+        const outcomes = await replayGroup(context, group, configs.get(runId));
+
+        for (const deadLetter of group) {
+          const { status, error } = outcomes.get(deadLetter);
+
+          deadLetter.replayCount += 1;
+          deadLetter.status = status;
+          deadLetter.replayId = undefined;
+          deadLetter.lastError = error;
+          deadLetter.replayedAt = status === 'failed' ? deadLetter.replayedAt : new Date();
+          await deadLetter.save();
+
+          results.push({ id: deadLetter._id, status, error });
+        }
+      }
+    } catch (error) {
+      await releaseDeadLetters(selected, replayId);
+      throw error;
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    const replayed = count('replayed');
+    const dropped = count('dropped');
+    const failed = count('failed');
+
+    logger.info(`Replayed ${replayed} dead letters, ${dropped} dropped by a filter, ${failed} failed again`);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        replayed,
+        dropped,
+        failed,
+        results,
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'replaying dead letters');
+  }
+}
+
+module.exports = {
+  listDeadLetters,
+  replayDeadLetters,
+};
@@ -2,6 +2,8 @@ const { extractFromApi } = require('../extractors/apiExtractor');
 const { extractFromMongo } = require('../extractors/mongoExtractor');
 const { extractFromBlob } = require('../extractors/blobExtractor');
 const { extractFromFile } = require('../extractors/fileExtractor');
+const { extractFromGraphql } = require('../extractors/graphqlExtractor');
+const { extractFromSql } = require('../extractors/sqlExtractor');
 const { _formatErrorResponse } = require('../utils/errorHandler');
 const { validateConfig } = require('../config/config');
 const logger = require('../utils/logger');
@@ -12,11 +14,15 @@ const { _connectToDatabase } = require('../utils/db');
 const { _readJsonFile, _readCsvFile } = require('../utils/fileUtils');
 const { _getBlobClient } = require('../utils/blobUtils');
 const monitor = require('../utils/monitor');
+const { applyWatermark, getMaxWatermark } = require('../utils/watermark');
+const { resolveCredentials } = require('../utils/credentials');
+const { markFilesProcessed } = require('../utils/processedFiles');
+const { detectFormatFromPath: detectFileFormat } = require('../formats');
 
 /**
  * Extract data from various sources
  * @param {Object} context - Azure Functions context
- * @param {Object} req - HTTP request
+ * @param {Object} req - HTTP request (body.watermark is the last seen value of an incremental source)
  * @returns {Object} HTTP response
  */
 async function extract(context, req) {
@@ -25,7 +31,10 @@ async function extract(context, req) {
     logger.info('Extracting data...');
     validateConfig();
     
-    const { source, options } = req.body || {};
+    const { options, watermark } = req.body || {};
+    
+    // Incremental sources only extract the records past the last seen watermark
+    const source = applyWatermark(req.body?.source, watermark);
     
     if (!source) {
       return {
@@ -49,6 +58,10 @@ async function extract(context, req) {
     
     let extractedData;
     let sourceDetails;
+    const extractStats = {};
+    
+    // Secrets are only filled in for the extraction, the details saved below keep the references
+    const resolvedSource = await resolveCredentials(source);
     
     // Extract data based on source type
     switch (source.type) {
@@ -68,7 +81,32 @@ async function extract(context, req) {
           method: source.method || 'GET',
         };
         
-        extractedData = await extractFromApi(source);
+        extractedData = await extractFromApi(resolvedSource, extractStats);
+        if (extractStats.pages) {
+          sourceDetails.pages = extractStats.pages;
+        }
+        break;
+        
+      case 'graphql':
+        if (!source.url || !source.query) {
+          return {
+            status: 400,
+            body: {
+              success: false,
+              error: 'GraphQL URL and query are required',
+            },
+          };
+        }
+        
+        sourceDetails = {
+          url: source.url,
+          operationName: source.operationName,
+        };
+        
+        extractedData = await extractFromGraphql(resolvedSource, extractStats);
+        if (extractStats.pages) {
+          sourceDetails.pages = extractStats.pages;
+        }
         break;
         
       case 'mongodb':
@@ -87,30 +125,58 @@ async function extract(context, req) {
           query: source.query || {},
         };
         
-        extractedData = await extractFromMongo(source);
+        extractedData = await extractFromMongo(resolvedSource);
         break;
         
       case 'blob':
-        if (!source.blobName) {
+        if (!source.blobName && !source.key && source.prefix === undefined && !source.pattern) {
           return {
             status: 400,
             body: {
               success: false,
-              error: 'Blob name is required',
+              error: 'Blob name, prefix or pattern is required',
             },
           };
         }
         
         sourceDetails = {
-          containerName: source.containerName,
-          blobName: source.blobName,
+          provider: source.provider,
+          containerName: source.containerName || source.bucket,
+          blobName: source.blobName || source.key,
+          prefix: source.prefix,
+          pattern: source.pattern,
         };
         
-        extractedData = await extractFromBlob(source);
+        extractedData = await extractFromBlob(resolvedSource, extractStats);
         break;
         
       case 'file':
-        extractedData = await extractFromFile(source);
+        sourceDetails = {
+          path: source.path,
+        };
+        
+        extractedData = await extractFromFile(resolvedSource, extractStats);
+        break;
+        
+      case 'sql':
+        if (!source.connection || (!source.query && !source.table)) {
+          return {
+            status: 400,
+            body: {
+              success: false,
+              error: 'SQL connection and a query or table are required',
+            },
+          };
+        }
+        
+        sourceDetails = {
+          client: source.client,
+          table: source.table,
+          query: source.query,
+          keyColumn: source.keyColumn,
+        };
+        
+        extractedData = await extractFromSql(resolvedSource, extractStats);
         break;
         
       default:
@@ -123,6 +189,17 @@ async function extract(context, req) {
         };
     }
     
+    const newWatermark = getMaxWatermark(extractedData, source, watermark);
+    
+    if (extractStats.files) {
+      sourceDetails.files = extractStats.files;
+    }
+    
+    // Files of skipProcessed sources are marked now, unless the caller marks them once its own steps succeed
+    if (extractStats.processed && options?.markProcessed !== false) {
+      await markFilesProcessed(extractStats.processed);
+    }
+    
     // Create a record in the database
     if (options?.saveToDb !== false) {
       try {
@@ -147,6 +224,9 @@ async function extract(context, req) {
             success: true,
             data: extractedData,
             recordId: dataRecord._id,
+            attempts: extractStats.attempts,
+            watermark: newWatermark,
+            processedFiles: extractStats.processed,
           },
         };
       } catch (dbError) {
@@ -157,6 +237,9 @@ async function extract(context, req) {
           body: {
             success: true,
             data: extractedData,
+            attempts: extractStats.attempts,
+            watermark: newWatermark,
+            processedFiles: extractStats.processed,
             warning: 'Failed to save data to database',
           },
         };
@@ -174,6 +257,9 @@ async function extract(context, req) {
         success: true,
         data: extractedData,
         source: source.type,
+        attempts: extractStats.attempts,
+        watermark: newWatermark,
+        processedFiles: extractStats.processed,
         timestamp: new Date().toISOString(),
       },
     };
@@ -188,6 +274,8 @@ async function extract(context, req) {
       body: {
         success: false,
         error: error.message,
+        errors: error.details?.errors,
+        attempts: error.details?.attempts,
         timestamp: new Date().toISOString(),
       },
     };
@@ -197,16 +285,14 @@ async function extract(context, req) {
 /**
  * Detect format from file path
  * @param {string} filePath - File path
- * @returns {string} Format (json, csv, etc.)
+ * @returns {string} Format (json, csv, ndjson, xlsx, parquet, xml, yaml or txt)
  */
 function detectFormatFromPath(filePath) {
-  if (filePath.endsWith('.json')) {
-    return 'json';
-  } else if (filePath.endsWith('.csv')) {
-    return 'csv';
-  } else {
+  const format = detectFileFormat(filePath);
+  if (!format) {
     throw new AppError(`Unable to detect format from file path: ${filePath}`, 400);
   }
+  return format;
 }
 
 /**
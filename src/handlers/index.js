@@ -6,10 +6,20 @@ const extractHandler = require('./extractHandler');
 const transformHandler = require('./transformHandler');
 const loadHandler = require('./loadHandler');
 const orchestratorHandler = require('./orchestratorHandler');
+const pipelineHandler = require('./pipelineHandler');
+const jobHandler = require('./jobHandler');
+const runHandler = require('./runHandler');
+const deadLetterHandler = require('./deadLetterHandler');
+const credentialHandler = require('./credentialHandler');
 
 module.exports = {
   extractHandler,
   transformHandler,
   loadHandler,
   orchestratorHandler,
+  pipelineHandler,
+  jobHandler,
+  runHandler,
+  deadLetterHandler,
+  credentialHandler,
 }; 
\ No newline at end of file
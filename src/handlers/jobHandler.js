@@ -0,0 +1,103 @@
+const { orchestrate } = require('./orchestratorHandler');
+const { enqueueJob, getJob } = require('../utils/jobQueue');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Submit an orchestration to run in the background
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request
+ * @returns {Object} HTTP response with the job ID
+ */
+async function submitOrchestrationJob(context, req) {
+  const { source, destination } = req.body || {};
+
+  // Reject obviously invalid requests up front instead of failing the job later
+  if (!source || !source.type) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Source configuration is required',
+      },
+    };
+  }
+
+  if (!destination || !destination.type) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Destination configuration is required',
+      },
+    };
+  }
+
+  const orchestrateRequest = {
+    body: req.body,
+    apiKeyInfo: req.apiKeyInfo,
+  };
+
+  const job = enqueueJob('orchestrate', async handle => {
+    const response = await orchestrate(
+      { trigger: 'job', ...context, onProgress: progress => handle.reportProgress(progress) },
+      orchestrateRequest,
+    );
+
+    if (response.status !== 200 || !response.body.success) {
+      const error = response.body.error;
+      throw new AppError(
+        typeof error === 'string' ? error : error?.message || 'Orchestration failed',
+        response.status,
+        response.body.runId ? { runId: response.body.runId } : {},
+      );
+    }
+
+    return response.body;
+  });
+
+  logger.info(`Submitted orchestration job ${job.id}`);
+
+  return {
+    status: 202,
+    body: {
+      success: true,
+      jobId: job.id,
+      state: job.state,
+      statusUrl: `/jobs/${job.id}`,
+    },
+  };
+}
+
+/**
+ * Get the status of a background job
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function getJobStatus(context, req) {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return {
+      status: 404,
+      body: {
+        success: false,
+        error: `Job not found: ${req.params.id}`,
+      },
+    };
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      job,
+    },
+  };
+}
+
+module.exports = {
+  submitOrchestrationJob,
+  getJobStatus,
+};
@@ -1,6 +1,7 @@
 const { loadToMongo } = require('../loaders/mongoLoader');
 const { loadToBlob } = require('../loaders/blobLoader');
 const { loadToFile } = require('../loaders/fileLoader');
+const { loadToSql } = require('../loaders/sqlLoader');
 const { _formatErrorResponse } = require('../utils/errorHandler');
 const { validateConfig } = require('../config/config');
 const logger = require('../utils/logger');
@@ -10,6 +11,9 @@ const { _connectToDatabase } = require('../utils/db');
 const { _writeJsonFile, _writeCsvFile } = require('../utils/fileUtils');
 const { _getBlobClient } = require('../utils/blobUtils');
 const monitor = require('../utils/monitor');
+const { recordDeadLetters } = require('../utils/deadLetters');
+const { resolveCredentials } = require('../utils/credentials');
+const { detectFormatFromPath: detectFileFormat } = require('../formats');
 
 /**
  * Load data to various destinations
@@ -23,7 +27,7 @@ async function load(context, req) {
     logger.info('Loading data...');
     validateConfig();
     
-    const { data, recordId, destination, _options } = req.body || {};
+    const { data, recordId, destination, runId, options } = req.body || {};
     
     if (!data && !recordId) {
       throw new AppError('Data or recordId is required', 400);
@@ -65,22 +69,41 @@ async function load(context, req) {
     }
     
     let loadResult;
+    const target = await resolveCredentials(destination);
     
     // Load data based on destination type
     switch (destination.type) {
       case 'mongodb':
-        loadResult = await loadToMongo(sourceData, destination);
+        loadResult = await loadToMongo(sourceData, target);
         break;
       case 'blob':
-        loadResult = await loadToBlob(sourceData, destination);
+        loadResult = await loadToBlob(sourceData, target);
         break;
       case 'file':
-        loadResult = await loadToFile(sourceData, destination);
+        loadResult = await loadToFile(sourceData, target);
+        break;
+      case 'sql':
+        loadResult = await loadToSql(sourceData, target);
         break;
       default:
         throw new AppError(`Unsupported destination type: ${destination.type}`, 400);
     }
     
+    // Dead-letter the documents the destination rejected
+    let deadLettered = 0;
+    if (loadResult.failed?.length > 0 && Array.isArray(sourceData) && options?.deadLetters !== false) {
+      deadLettered = await recordDeadLetters(
+        loadResult.failed.map(failure => ({
+          stage: 'load',
+          reason: `Rejected by ${destination.type}`,
+          details: [failure.error],
+          item: sourceData[failure.index],
+          index: failure.index,
+        })),
+        { runId, recordId: recordId || dataRecord?._id },
+      );
+    }
+    
     // Update the record in the database if recordId is provided
     if (dataRecord) {
       try {
@@ -110,6 +133,7 @@ async function load(context, req) {
       body: {
         success: true,
         result: loadResult,
+        deadLettered,
         recordId: dataRecord?._id,
         destination: destination.type,
         timestamp: new Date().toISOString(),
@@ -135,21 +159,10 @@ async function load(context, req) {
 /**
  * Detect format from file path
  * @param {string} filePath - File path to detect format from
- * @returns {string} Format (json, csv, etc.)
+ * @returns {string} Format (json, csv, ndjson, xlsx, parquet, xml, yaml or txt)
  */
 function detectFormatFromPath(filePath) {
-  const extension = filePath.split('.').pop().toLowerCase();
-  
-  switch (extension) {
-    case 'json':
-      return 'json';
-    case 'csv':
-      return 'csv';
-    case 'txt':
-      return 'txt';
-    default:
-      return 'json'; // Default to JSON
-  }
+  return detectFileFormat(filePath) || 'json'; // Default to JSON
 }
 
 module.exports = {
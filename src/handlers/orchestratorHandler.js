@@ -1,17 +1,313 @@
 const { extract } = require('./extractHandler');
 const { transform } = require('./transformHandler');
 const { load } = require('./loadHandler');
-const { formatErrorResponse } = require('../utils/errorHandler');
-const { validateConfig } = require('../config/config');
+const { streamFromApi } = require('../extractors/apiExtractor');
+const { streamFromMongo } = require('../extractors/mongoExtractor');
+const { streamFromBlob } = require('../extractors/blobExtractor');
+const { streamFromFile } = require('../extractors/fileExtractor');
+const { streamFromGraphql } = require('../extractors/graphqlExtractor');
+const { streamFromSql } = require('../extractors/sqlExtractor');
+const { createMongoWriter } = require('../loaders/mongoLoader');
+const { createBlobWriter } = require('../loaders/blobLoader');
+const { createFileWriter } = require('../loaders/fileLoader');
+const { createSqlWriter } = require('../loaders/sqlLoader');
+const { applyTransformations, mergeTransformationResults } = require('../transformers/transformationRunner');
+const { AppError, formatErrorResponse } = require('../utils/errorHandler');
+const { config, validateConfig } = require('../config/config');
+const { startRun } = require('../utils/runTracker');
+const { recordDeadLetters } = require('../utils/deadLetters');
+const { applyWatermark, getMaxWatermark } = require('../utils/watermark');
+const { resolveCredentials } = require('../utils/credentials');
+const { markFilesProcessed } = require('../utils/processedFiles');
 const logger = require('../utils/logger');
 
+// Chunked source readers of the streaming mode, by source type
+const SOURCE_STREAMS = {
+  api: streamFromApi,
+  mongodb: streamFromMongo,
+  blob: streamFromBlob,
+  file: streamFromFile,
+  graphql: streamFromGraphql,
+  sql: streamFromSql,
+};
+
+// Incremental destination writers of the streaming mode, by destination type
+const DESTINATION_WRITERS = {
+  mongodb: createMongoWriter,
+  blob: createBlobWriter,
+  file: createFileWriter,
+  sql: createSqlWriter,
+};
+
+/**
+ * Count the records in a data payload
+ * @param {Object|Array} data - Data payload
+ * @returns {number} Number of records
+ */
+function countRecords(data) {
+  if (Array.isArray(data)) {
+    return data.length;
+  }
+  return data === undefined || data === null ? 0 : 1;
+}
+
+/**
+ * Count the records written by a load step
+ * @param {Object} loadResult - Result of the load step
+ * @param {Object|Array} data - Data that was loaded
+ * @returns {number} Number of records written
+ */
+function countLoaded(loadResult = {}, data) {
+  if (typeof loadResult.count === 'number') {
+    return loadResult.count;
+  }
+  if ('insertedCount' in loadResult || 'updatedCount' in loadResult) {
+    return (loadResult.insertedCount || 0) + (loadResult.updatedCount || 0);
+  }
+  return countRecords(data);
+}
+
+/**
+ * Count the LLM request attempts of the transformations
+ * @param {Object} results - Transformation results (by step label)
+ * @returns {number|undefined} Total attempts, or undefined if no transformation called the LLM
+ */
+function countTransformAttempts(results = {}) {
+  const attempts = Object.values(results)
+    .map(result => result.attempts)
+    .filter(value => typeof value === 'number');
+
+  return attempts.length > 0 ? attempts.reduce((total, value) => total + value, 0) : undefined;
+}
+
+/**
+ * Report orchestration progress to the caller, if it asked for it
+ * @param {Object} context - Invocation context
+ * @param {Object} progress - Progress update ({ step, ...counts })
+ */
+function reportProgress(context, progress) {
+  if (typeof context?.onProgress === 'function') {
+    context.onProgress(progress);
+  }
+}
+
+/**
+ * Get the error message of a failed handler response
+ * @param {Object} body - Handler response body
+ * @returns {string} Error message
+ */
+function getResponseError(body = {}) {
+  if (typeof body.error === 'string') {
+    return body.error;
+  }
+  return body.error?.message || body.body?.error?.message || 'Unknown error';
+}
+
+/**
+ * Record a failed step on the run and attach the run ID to the step response
+ * @param {Object} run - Run tracker
+ * @param {string} step - Failed step name
+ * @param {Object} response - Failed step response
+ * @param {string} [recordId] - Intermediate data record the run can be resumed from
+ * @returns {Promise<Object>} HTTP response
+ */
+async function failStep(run, step, response, recordId) {
+  const message = getResponseError(response.body);
+
+  logger.error(`${step.charAt(0).toUpperCase()}${step.slice(1)} step failed`);
+
+  const attempts = response.body?.attempts ?? response.body?.result?.attempts;
+
+  await run.finishStep(step, { status: 'failed', error: message, attempts });
+  await run.finish({ status: 'failed', recordId, error: { message, step } });
+
+  return {
+    ...response,
+    body: {
+      ...response.body,
+      runId: run.id,
+    },
+  };
+}
+
+/**
+ * Run the ETL process in streaming mode: the source is read in chunks and each chunk is
+ * transformed and written before the next one is read, so memory use stays bounded.
+ * Intermediate data is not stored, so a failed streaming run is re-run rather than resumed.
+ * @param {Object} context - Invocation context
+ * @param {Object} etlConfig - ETL configuration ({ source, transformations, destination, options })
+ * @param {Object} run - Run tracker
+ * @returns {Promise<Object>} HTTP response
+ */
+async function orchestrateStream(context, { source, transformations, destination, options }, run) {
+  const startTime = Date.now();
+  const chunkSize = options?.chunkSize || config.etl.batchSize;
+  const counts = { chunks: 0, extracted: 0, transformed: 0, loaded: 0, rejected: 0 };
+  const transformationResults = {};
+  const extractStats = {};
+  let currentStep = 'load';
+  let writer;
+  
+  // The steps run interleaved, each one is started when its first work begins
+  const startedSteps = new Set();
+  const beginStep = async step => {
+    if (!startedSteps.has(step)) {
+      startedSteps.add(step);
+      await run.startStep(step);
+    }
+  };
+  
+  try {
+    const createSourceStream = SOURCE_STREAMS[source.type];
+    if (!createSourceStream) {
+      throw new AppError(`Unsupported source type for streaming: ${source.type}`, 400);
+    }
+    
+    const createWriter = DESTINATION_WRITERS[destination.type];
+    if (!createWriter) {
+      throw new AppError(`Unsupported destination type for streaming: ${destination.type}`, 400);
+    }
+    
+    logger.info(`Streaming ETL process in chunks of ${chunkSize} records...`);
+    
+    await beginStep('load');
+    writer = await createWriter(await resolveCredentials(destination));
+    
+    currentStep = 'extract';
+    await beginStep('extract');
+    const extractSource = await resolveCredentials(applyWatermark(source, context?.watermark));
+    let watermark = context?.watermark;
+    
+    for await (const chunk of createSourceStream(extractSource, { chunkSize, stats: extractStats })) {
+      const offset = counts.extracted;
+      watermark = getMaxWatermark(chunk, source, watermark);
+      counts.chunks++;
+      counts.extracted += chunk.length;
+      
+      currentStep = 'transform';
+      await beginStep('transform');
+      const { data, results, rejected } = await applyTransformations(chunk, transformations);
+      mergeTransformationResults(transformationResults, results);
+      const records = [].concat(data ?? []);
+      
+      currentStep = 'load';
+      const loadResult = records.length > 0 ? await writer.write(records) : {};
+      const failed = loadResult.failed || [];
+      
+      // Dead-letter what the chunk rejected, with positions in the whole stream
+      const deadLetters = [
+        ...rejected.map(entry => ({ ...entry, index: offset + entry.index })),
+        ...failed.map(failure => ({
+          stage: 'load',
+          reason: `Rejected by ${destination.type}`,
+          details: [failure.error],
+          item: records[failure.index],
+          index: counts.transformed + failure.index,
+        })),
+      ];
+      await recordDeadLetters(deadLetters, { runId: run.id });
+      
+      counts.transformed += records.length;
+      counts.loaded += records.length > 0 ? countLoaded(loadResult, records) : 0;
+      counts.rejected += deadLetters.length;
+      
+      reportProgress(context, { step: 'stream', ...counts });
+      currentStep = 'extract';
+    }
+    
+    currentStep = 'load';
+    const loadResult = await writer.close();
+    await markFilesProcessed(extractStats.processed, { runId: run.id });
+    
+    await run.finishStep('extract', {
+      status: 'success',
+      recordsOut: counts.extracted,
+      attempts: extractStats.attempts,
+    });
+    // Nothing was transformed when the source had no records
+    await beginStep('transform');
+    await run.finishStep('transform', {
+      status: 'success',
+      recordsOut: counts.transformed,
+      attempts: countTransformAttempts(transformationResults),
+    });
+    await run.finishStep('load', { status: 'success', recordsOut: counts.loaded, attempts: loadResult.attempts });
+    
+    Object.entries(transformationResults)
+      .filter(([, result]) => result.applied === false)
+      .forEach(([name, result]) => run.addWarning(`Transformation "${name}" was not applied: ${result.error}`));
+    if (counts.rejected > 0) {
+      run.addWarning(`${counts.rejected} records were rejected`);
+    }
+    
+    const processingDuration = Date.now() - startTime;
+    logger.info(`Streaming ETL process completed in ${processingDuration}ms: ${counts.loaded} records loaded in ${counts.chunks} chunks`);
+    
+    reportProgress(context, { step: 'completed', loaded: counts.loaded });
+    await run.finish({ status: 'success', recordsIn: counts.extracted, recordsOut: counts.loaded });
+    
+    return {
+      status: 200,
+      body: {
+        success: true,
+        streaming: true,
+        extractResult: { success: true, attempts: extractStats.attempts },
+        transformResult: {
+          success: true,
+          transformations: transformationResults,
+          rejectedCount: counts.rejected,
+          attempts: countTransformAttempts(transformationResults),
+        },
+        loadResult,
+        chunks: counts.chunks,
+        watermark,
+        runId: run.id,
+        processingDuration,
+      },
+    };
+  } catch (error) {
+    logger.error(`Streaming ETL process failed during the ${currentStep} step: ${error.message}`);
+    
+    if (writer) {
+      await writer.abort(error);
+    }
+    
+    for (const step of ['extract', 'transform', 'load'].filter(name => startedSteps.has(name))) {
+      await run.finishStep(step, {
+        status: 'failed',
+        error: step === currentStep ? error.message : `Stopped after the ${currentStep} step failed`,
+      });
+    }
+    await run.finish({
+      status: 'failed',
+      recordsIn: counts.extracted,
+      recordsOut: counts.loaded,
+      error: { message: error.message, step: currentStep },
+    });
+    
+    return {
+      status: error.statusCode || 500,
+      body: {
+        ...formatErrorResponse(error).body,
+        runId: run.id,
+      },
+    };
+  }
+}
+
 /**
  * Orchestrate the ETL process
- * @param {Object} context - Azure Functions context
- * @param {Object} req - HTTP request
+ * @param {Object} context - Azure Functions context (context.onProgress receives step updates,
+ *   context.trigger and context.pipeline describe the run for the audit trail,
+ *   context.watermark is the last seen value of an incremental source, and
+ *   context.resume ({ fromStep, recordId, runId, watermark, processedFiles }) restarts a failed run
+ *   at the given step, with the watermark and files its extraction reached)
+ * @param {Object} req - HTTP request (body.options.streaming processes the data chunk by chunk)
  * @returns {Object} HTTP response
  */
 async function orchestrate(context, req) {
+  let run;
+  
   try {
     logger.info('Orchestrating ETL process...');
     validateConfig();
@@ -37,100 +333,212 @@ async function orchestrate(context, req) {
         },
       };
     }
-    
+
+    // Change streams never end, they are consumed by a saved pipeline instead of a single run
+    if (source.type === 'mongodb-changestream') {
+      return {
+        status: 400,
+        body: {
+          success: false,
+          error: 'Change stream sources run continuously: save them as a pipeline and start it with /pipelines/:id/run',
+        },
+      };
+    }
+
     const startTime = Date.now();
     
-    // Step 1: Extract data
-    logger.info('Step 1: Extracting data...');
-    const extractRequest = {
-      body: {
-        source,
-        options: {
-          saveToDb: options?.saveIntermediateResults !== false,
-        },
-      },
-    };
+    // A resumed run starts at the step that failed, reusing the intermediate data of recordId
+    const resume = context?.resume;
+    const startStep = resume?.fromStep || 'extract';
     
-    const extractResponse = await extract(context, extractRequest);
+    run = await startRun({
+      trigger: context?.trigger,
+      apiKeyInfo: req.apiKeyInfo,
+      pipeline: context?.pipeline,
+      config: { source, transformations, destination, options },
+      watermark: context?.watermark,
+      resumedFrom: resume?.runId,
+    });
     
-    if (extractResponse.status !== 200 || !extractResponse.body.success) {
-      logger.error('Extract step failed');
-      return extractResponse;
+    if (options?.streaming) {
+      return orchestrateStream(context, { source, transformations, destination, options }, run);
     }
     
-    logger.info('Extract step completed successfully');
-    
-    const extractedData = extractResponse.body.data;
-    const recordId = extractResponse.body.recordId;
+    let recordId = resume?.recordId;
+    let extractedData;
+    let extractedCount;
+    let extractResponse;
     
-    // Step 2: Transform data
-    logger.info('Step 2: Transforming data...');
-    const transformRequest = {
-      body: {
-        data: extractedData,
-        recordId,
-        transformations,
-        options: {
-          saveToDb: options?.saveIntermediateResults !== false,
+    // Step 1: Extract data
+    if (startStep === 'extract') {
+      logger.info('Step 1: Extracting data...');
+      reportProgress(context, { step: 'extract' });
+      await run.startStep('extract');
+      const extractRequest = {
+        body: {
+          source,
+          watermark: context?.watermark,
+          options: {
+            saveToDb: options?.saveIntermediateResults !== false,
+            // Processed files are marked once the whole run succeeded
+            markProcessed: false,
+          },
         },
-      },
-    };
-    
-    const transformResponse = await transform(context, transformRequest);
-    
-    if (transformResponse.status !== 200 || !transformResponse.body.success) {
-      logger.error('Transform step failed');
-      return transformResponse;
+      };
+      
+      extractResponse = await extract(context, extractRequest);
+      
+      if (extractResponse.status !== 200 || !extractResponse.body.success) {
+        return failStep(run, 'extract', extractResponse);
+      }
+      
+      logger.info('Extract step completed successfully');
+      
+      extractedData = extractResponse.body.data;
+      recordId = extractResponse.body.recordId;
+      extractedCount = countRecords(extractedData);
+      
+      run.addWarning(extractResponse.body.warning);
+      run.setExtracted(extractResponse.body);
+      await run.finishStep('extract', {
+        status: 'success',
+        recordsOut: extractedCount,
+        attempts: extractResponse.body.attempts,
+      });
+    } else {
+      logger.info(`Step 1: Skipping extract, resuming from stored record ${recordId}`);
+      // The watermark and files of the resumed run's extraction still have to be committed
+      run.setExtracted(resume);
+      await run.skipStep('extract');
     }
     
-    logger.info('Transform step completed successfully');
+    let transformedData;
+    let transformRecordId = recordId;
+    let transformResponse;
     
-    const transformedData = transformResponse.body.data;
-    const transformRecordId = transformResponse.body.recordId || recordId;
+    // Step 2: Transform data
+    if (startStep !== 'load') {
+      logger.info('Step 2: Transforming data...');
+      reportProgress(context, { step: 'transform', extracted: extractedCount });
+      await run.startStep('transform', extractedCount);
+      const transformRequest = {
+        body: {
+          data: extractedData,
+          recordId,
+          transformations,
+          runId: run.id,
+          options: {
+            saveToDb: options?.saveIntermediateResults !== false,
+          },
+        },
+      };
+      
+      transformResponse = await transform(context, transformRequest);
+      
+      if (transformResponse.status !== 200 || !transformResponse.body.success) {
+        return failStep(run, 'transform', transformResponse, recordId);
+      }
+      
+      logger.info('Transform step completed successfully');
+      
+      transformedData = transformResponse.body.data;
+      transformRecordId = transformResponse.body.recordId || recordId;
+      
+      run.addWarning(transformResponse.body.warning);
+      if (transformResponse.body.rejected?.length > 0) {
+        run.addWarning(`${transformResponse.body.rejected.length} records were rejected during transformation`);
+      }
+      Object.entries(transformResponse.body.transformations || {})
+        .filter(([, result]) => result.applied === false)
+        .forEach(([name, result]) => run.addWarning(`Transformation "${name}" was not applied: ${result.error}`));
+      await run.finishStep('transform', {
+        status: 'success',
+        recordsOut: countRecords(transformedData),
+        attempts: countTransformAttempts(transformResponse.body.transformations),
+      });
+    } else {
+      logger.info(`Step 2: Skipping transform, resuming from stored record ${recordId}`);
+      await run.skipStep('transform');
+    }
     
     // Step 3: Load data
+    const transformedCount = transformResponse ? countRecords(transformedData) : undefined;
     logger.info('Step 3: Loading data...');
+    reportProgress(context, { step: 'load', transformed: transformedCount });
+    await run.startStep('load', transformedCount);
     const loadRequest = {
       body: {
         data: transformedData,
         recordId: transformRecordId,
         destination,
+        runId: run.id,
       },
     };
     
     const loadResponse = await load(context, loadRequest);
     
     if (loadResponse.status !== 200 || !loadResponse.body.success) {
-      logger.error('Load step failed');
-      return loadResponse;
+      return failStep(run, 'load', loadResponse, transformRecordId);
     }
     
     logger.info('Load step completed successfully');
     
+    const loadedCount = countLoaded(loadResponse.body.result, transformedData);
+    
+    if (loadResponse.body.result?.failedCount > 0) {
+      run.addWarning(`${loadResponse.body.result.failedCount} records were rejected by the destination`);
+    }
+    
+    reportProgress(context, { step: 'completed', loaded: loadedCount });
+    await run.finishStep('load', {
+      status: 'success',
+      recordsOut: loadedCount,
+      attempts: loadResponse.body.result?.attempts,
+    });
+    const extracted = extractResponse ? extractResponse.body : resume;
+    await markFilesProcessed(extracted?.processedFiles, { runId: run.id });
+    
     const endTime = Date.now();
     const processingDuration = endTime - startTime;
     
     logger.info(`ETL process completed in ${processingDuration}ms`);
     
+    await run.finish({
+      status: 'success',
+      recordsIn: extractedCount,
+      recordsOut: loadedCount,
+      recordId: loadResponse.body.recordId || transformRecordId,
+    });
+    
     return {
       status: 200,
       body: {
         success: true,
-        extractResult: {
-          success: extractResponse.body.success,
-        },
-        transformResult: {
-          success: transformResponse.body.success,
-          transformations: transformResponse.body.transformations,
-        },
+        extractResult: extractResponse
+          ? { success: extractResponse.body.success, attempts: extractResponse.body.attempts }
+          : { skipped: true },
+        transformResult: transformResponse
+          ? {
+              success: transformResponse.body.success,
+              transformations: transformResponse.body.transformations,
+              rejectedCount: transformResponse.body.rejected?.length || 0,
+              attempts: countTransformAttempts(transformResponse.body.transformations),
+            }
+          : { skipped: true },
         loadResult: loadResponse.body.result,
         recordId: loadResponse.body.recordId,
+        watermark: extracted?.watermark,
+        runId: run.id,
         processingDuration,
       },
     };
   } catch (error) {
     logger.error(`Error orchestrating ETL process: ${error.message}`);
     
+    if (run) {
+      await run.finish({ status: 'failed', error: { message: error.message } });
+    }
+    
     return {
       status: error.statusCode || 500,
       body: formatErrorResponse(error),
@@ -181,4 +589,8 @@ if (require.main === module) {
     });
 }
 
-module.exports = { orchestrate }; 
\ No newline at end of file
+module.exports = {
+  orchestrate,
+  countRecords,
+  getResponseError,
+}; 
\ No newline at end of file
@@ -0,0 +1,703 @@
+const { orchestrate } = require('./orchestratorHandler');
+const { transform } = require('./transformHandler');
+const { load } = require('./loadHandler');
+const logger = require('../utils/logger');
+const PipelineModel = require('../models/pipelineModel');
+const { AppError } = require('../utils/errorHandler');
+const { parseCron } = require('../utils/cron');
+const scheduler = require('../utils/scheduler');
+const monitor = require('../utils/monitor');
+const { getIncrementalConfig } = require('../utils/watermark');
+const { getAuthConfig } = require('../utils/apiAuth');
+const changeStreams = require('../utils/changeStreams');
+const { getChangeStreamConfig, toRecords } = require('../extractors/changeStreamExtractor');
+
+// Fields of a pipeline definition that can be set through the API
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'source',
+  'transformations',
+  'destination',
+  'options',
+  'schedule',
+  'enabled',
+];
+
+// Fields whose change produces a new pipeline version
+const VERSIONED_FIELDS = ['source', 'transformations', 'destination', 'options'];
+
+// Source type consumed continuously instead of run by run
+const CHANGE_STREAM_SOURCE = 'mongodb-changestream';
+
+// Hex string form of an ObjectId
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// IDs of the pipelines with a run in progress (scheduled or manual), so runs never share a watermark
+const runningPipelines = new Set();
+
+/**
+ * Find a pipeline by ID or by name
+ * (ObjectId.isValid accepts any 12-character string, so only 24 hex digits are tried as an ID,
+ * and a name that looks like an ID is still found by name)
+ * @param {string} idOrName - Pipeline ID or name
+ * @returns {Promise<Object>} Pipeline document
+ */
+async function findPipeline(idOrName) {
+  const pipeline = (OBJECT_ID_PATTERN.test(idOrName) && await PipelineModel.findById(idOrName))
+    || await PipelineModel.findOne({ name: idOrName });
+
+  if (!pipeline) {
+    throw new AppError(`Pipeline not found: ${idOrName}`, 404);
+  }
+
+  return pipeline;
+}
+
+/**
+ * Pick the editable fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Editable pipeline fields
+ */
+function pickEditableFields(body = {}) {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+}
+
+/**
+ * Validate a pipeline definition
+ * @param {Object} definition - Pipeline definition
+ */
+function validateDefinition(definition) {
+  if (!definition.name) {
+    throw new AppError('Pipeline name is required', 400);
+  }
+
+  if (!definition.source || !definition.source.type) {
+    throw new AppError('Source configuration is required', 400);
+  }
+
+  if (!definition.destination || !definition.destination.type) {
+    throw new AppError('Destination configuration is required', 400);
+  }
+
+  if (definition.schedule?.cron) {
+    parseCron(definition.schedule.cron);
+  }
+
+  if (definition.source.type === CHANGE_STREAM_SOURCE) {
+    getChangeStreamConfig(definition.source);
+
+    if (definition.schedule?.cron) {
+      throw new AppError('Change stream pipelines run continuously and cannot be scheduled', 400);
+    }
+  }
+
+  getIncrementalConfig(definition.source);
+  getAuthConfig(definition.source.auth);
+}
+
+/**
+ * Register or remove the scheduled runs of a pipeline to match its definition
+ * @param {Object} pipeline - Pipeline document
+ * @returns {Object|null} Schedule status, or null if the pipeline is not scheduled
+ */
+function syncSchedule(pipeline) {
+  const id = String(pipeline._id);
+
+  if (!pipeline.enabled || !pipeline.schedule?.cron || pipeline.schedule.enabled === false) {
+    scheduler.unschedule(id);
+    return null;
+  }
+
+  return scheduler.schedule(id, {
+    cron: pipeline.schedule.cron,
+    name: pipeline.name,
+    run: async () => {
+      const response = await runPipeline({ trigger: 'schedule' }, { params: { id }, body: {} });
+
+      if (response.status !== 200 || !response.body.success) {
+        throw new Error(getErrorMessage(response.body.error));
+      }
+    },
+  });
+}
+
+/**
+ * Transform and load a batch of change events of a change stream pipeline
+ * @param {Object} pipeline - Pipeline document
+ * @param {Array<Object>} events - Change events
+ * @returns {Promise<void>}
+ */
+async function loadChangeEvents(pipeline, events) {
+  const data = toRecords(events, pipeline.source);
+  if (data.length === 0) {
+    return;
+  }
+
+  const context = { trigger: 'changeStream', pipeline: { id: String(pipeline._id), name: pipeline.name } };
+
+  const transformResponse = await transform(context, {
+    body: {
+      data,
+      transformations: pipeline.transformations,
+      options: { saveToDb: false },
+    },
+  });
+
+  if (transformResponse.status !== 200 || !transformResponse.body.success) {
+    throw new Error(`Transform failed: ${getErrorMessage(transformResponse.body.error)}`);
+  }
+
+  const loadResponse = await load(context, {
+    body: {
+      data: transformResponse.body.data,
+      destination: pipeline.destination,
+    },
+  });
+
+  if (loadResponse.status !== 200 || !loadResponse.body.success) {
+    throw new Error(`Load failed: ${getErrorMessage(loadResponse.body.error)}`);
+  }
+}
+
+/**
+ * Start the change stream consumer of a pipeline, resuming after its stored token
+ * @param {Object} pipeline - Pipeline document
+ * @returns {Promise<Object>} Change stream status
+ */
+async function startPipelineChangeStream(pipeline) {
+  const id = String(pipeline._id);
+
+  // The running consumer saves the token of its last batch when it stops, so the token is read
+  // once it has stopped rather than from the pipeline document loaded before
+  await changeStreams.stopChangeStream(id);
+  const stored = await PipelineModel.findById(pipeline._id).select('changeStream').lean();
+
+  return changeStreams.startChangeStream(id, {
+    name: pipeline.name,
+    source: pipeline.source,
+    resumeToken: stored?.changeStream?.resumeToken,
+    onBatch: events => loadChangeEvents(pipeline, events),
+    saveResumeToken: (resumeToken, events) => PipelineModel.updateOne(
+      { _id: pipeline._id },
+      {
+        $set: { 'changeStream.resumeToken': resumeToken, 'changeStream.updatedAt': new Date() },
+        $inc: { 'changeStream.events': events.length },
+      },
+    ),
+  });
+}
+
+/**
+ * Start, restart or stop the change stream consumer of a pipeline to match its definition
+ * @param {Object} pipeline - Pipeline document
+ * @returns {Promise<Object|null>} Change stream status, or null if the pipeline does not consume one
+ */
+async function syncChangeStream(pipeline) {
+  const id = String(pipeline._id);
+
+  if (!pipeline.enabled || pipeline.source?.type !== CHANGE_STREAM_SOURCE) {
+    await changeStreams.stopChangeStream(id);
+    return null;
+  }
+
+  return startPipelineChangeStream(pipeline);
+}
+
+/**
+ * Schedule every saved pipeline that has a cron schedule and start the change stream pipelines
+ * @returns {Promise<number>} Number of scheduled pipelines
+ */
+async function startPipelineScheduler() {
+  const pipelines = await PipelineModel.find({
+    enabled: true,
+    'schedule.cron': { $exists: true, $ne: '' },
+  });
+
+  let scheduled = 0;
+  for (const pipeline of pipelines) {
+    try {
+      if (syncSchedule(pipeline)) {
+        scheduled++;
+      }
+    } catch (error) {
+      logger.error(`Error scheduling pipeline "${pipeline.name}": ${error.message}`);
+    }
+  }
+
+  logger.info(`Pipeline scheduler started with ${scheduled} scheduled pipeline(s)`);
+
+  const streamed = await PipelineModel.find({ enabled: true, 'source.type': CHANGE_STREAM_SOURCE });
+  for (const pipeline of streamed) {
+    try {
+      await startPipelineChangeStream(pipeline);
+    } catch (error) {
+      logger.error(`Error starting change stream of pipeline "${pipeline.name}": ${error.message}`);
+    }
+  }
+
+  if (streamed.length > 0) {
+    logger.info(`Started ${streamed.length} change stream pipeline(s)`);
+  }
+
+  return scheduled;
+}
+
+/**
+ * Convert an error into an HTTP response
+ * @param {Error} error - The error
+ * @param {string} action - Action being performed (for logging)
+ * @returns {Object} HTTP response
+ */
+function toErrorResponse(error, action) {
+  logger.error(`Error ${action}: ${error.message}`);
+  monitor.trackError(error, 'pipeline');
+
+  let statusCode = error instanceof AppError ? error.statusCode : 500;
+  let message = error.message;
+
+  if (error.code === 11000) {
+    statusCode = 409;
+    message = 'A pipeline with this name already exists';
+  } else if (error.name === 'ValidationError' || error.name === 'CastError') {
+    statusCode = 400;
+  }
+
+  return {
+    status: statusCode,
+    body: {
+      success: false,
+      error: message,
+      timestamp: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * List saved pipelines
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function listPipelines(context, req) {
+  try {
+    const query = {};
+    if (req.query?.enabled !== undefined) {
+      query.enabled = req.query.enabled === 'true';
+    }
+
+    const pipelines = await PipelineModel.find(query).sort({ name: 1 });
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        count: pipelines.length,
+        pipelines,
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'listing pipelines');
+  }
+}
+
+/**
+ * Get a saved pipeline
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function getPipeline(context, req) {
+  try {
+    const pipeline = await findPipeline(req.params.id);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        pipeline,
+        schedule: scheduler.getScheduleStatus(String(pipeline._id)),
+        changeStream: changeStreams.getChangeStreamStatus(String(pipeline._id)),
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'retrieving pipeline');
+  }
+}
+
+/**
+ * Create a pipeline definition
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function createPipeline(context, req) {
+  try {
+    const definition = pickEditableFields(req.body);
+    validateDefinition(definition);
+
+    const pipeline = new PipelineModel({ ...definition, version: 1 });
+    await pipeline.save();
+
+    logger.info(`Created pipeline "${pipeline.name}" with ID: ${pipeline._id}`);
+
+    return {
+      status: 201,
+      body: {
+        success: true,
+        pipeline,
+        schedule: syncSchedule(pipeline),
+        changeStream: await syncChangeStream(pipeline),
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'creating pipeline');
+  }
+}
+
+/**
+ * Update a pipeline definition, bumping its version when the ETL configuration changes
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function updatePipeline(context, req) {
+  try {
+    const pipeline = await findPipeline(req.params.id);
+    const changes = pickEditableFields(req.body);
+
+    validateDefinition({ ...pipeline.toObject(), ...changes });
+
+    const isNewVersion = VERSIONED_FIELDS.some(field =>
+      field in changes && JSON.stringify(changes[field]) !== JSON.stringify(pipeline[field]),
+    );
+
+    // A resume token belongs to the collection it was read from. The consumer of the old collection
+    // is stopped first, so its last batch cannot save its token again after it is cleared
+    if (changes.source && changes.source.collection !== pipeline.source?.collection) {
+      await changeStreams.stopChangeStream(String(pipeline._id));
+      pipeline.changeStream = undefined;
+    }
+
+    pipeline.set(changes);
+    if (isNewVersion) {
+      pipeline.version += 1;
+    }
+
+    await pipeline.save();
+
+    logger.info(`Updated pipeline "${pipeline.name}" (version ${pipeline.version})`);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        pipeline,
+        schedule: syncSchedule(pipeline),
+        changeStream: await syncChangeStream(pipeline),
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'updating pipeline');
+  }
+}
+
+/**
+ * Delete a pipeline definition
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function deletePipeline(context, req) {
+  try {
+    const pipeline = await findPipeline(req.params.id);
+    await pipeline.deleteOne();
+    scheduler.unschedule(String(pipeline._id));
+    await changeStreams.stopChangeStream(String(pipeline._id));
+
+    logger.info(`Deleted pipeline "${pipeline.name}"`);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: `Pipeline "${pipeline.name}" deleted`,
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'deleting pipeline');
+  }
+}
+
+/**
+ * Run a saved pipeline through the orchestrator (one run of a pipeline at a time, 409 otherwise)
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request (body.options override the saved options)
+ * @returns {Object} HTTP response
+ */
+async function runPipeline(context, req) {
+  let runningId;
+
+  try {
+    const pipeline = await findPipeline(req.params.id);
+
+    if (!pipeline.enabled) {
+      throw new AppError(`Pipeline "${pipeline.name}" is disabled`, 409);
+    }
+
+    if (pipeline.source?.type === CHANGE_STREAM_SOURCE) {
+      return await runChangeStreamPipeline(pipeline);
+    }
+
+    if (runningPipelines.has(String(pipeline._id))) {
+      throw new AppError(`Pipeline "${pipeline.name}" is already running`, 409);
+    }
+    runningId = String(pipeline._id);
+    runningPipelines.add(runningId);
+
+    logger.info(`Running pipeline "${pipeline.name}" (version ${pipeline.version})`);
+
+    // The stored watermark only applies while the pipeline tracks the same field
+    const incremental = getIncrementalConfig(pipeline.source);
+    const watermark = incremental && pipeline.watermark?.field === incremental.field
+      ? pipeline.watermark.value
+      : undefined;
+
+    const startedAt = new Date();
+    const runContext = {
+      trigger: 'pipeline',
+      ...context,
+      pipeline: {
+        id: String(pipeline._id),
+        name: pipeline.name,
+        version: pipeline.version,
+      },
+      watermark,
+    };
+
+    const response = await orchestrate(runContext, {
+      apiKeyInfo: req.apiKeyInfo,
+      body: {
+        source: pipeline.source,
+        transformations: pipeline.transformations,
+        destination: pipeline.destination,
+        options: { ...pipeline.options, ...req.body?.options },
+      },
+    });
+
+    const succeeded = response.status === 200 && response.body.success;
+    pipeline.lastRun = {
+      startedAt,
+      finishedAt: new Date(),
+      status: succeeded ? 'success' : 'failed',
+      recordId: response.body.recordId ? String(response.body.recordId) : undefined,
+      error: succeeded ? undefined : getErrorMessage(response.body.error),
+    };
+
+    // Only a successful run moves the watermark, so failed runs are picked up again
+    if (succeeded && incremental && response.body.watermark !== undefined && response.body.watermark !== null) {
+      pipeline.watermark = {
+        field: incremental.field,
+        value: response.body.watermark,
+        updatedAt: new Date(),
+      };
+    }
+
+    try {
+      await pipeline.save();
+    } catch (dbError) {
+      logger.error(`Error saving last run of pipeline "${pipeline.name}": ${dbError.message}`);
+    }
+
+    return {
+      status: response.status,
+      body: {
+        ...response.body,
+        pipeline: {
+          id: pipeline._id,
+          name: pipeline.name,
+          version: pipeline.version,
+        },
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'running pipeline');
+  } finally {
+    runningPipelines.delete(runningId);
+  }
+}
+
+/**
+ * Start (or restart) the change stream consumer of a pipeline
+ * @param {Object} pipeline - Pipeline document
+ * @returns {Promise<Object>} HTTP response
+ */
+async function runChangeStreamPipeline(pipeline) {
+  const changeStream = await startPipelineChangeStream(pipeline);
+
+  logger.info(`Started change stream of pipeline "${pipeline.name}"`);
+
+  return {
+    status: 202,
+    body: {
+      success: true,
+      message: `Change stream of pipeline "${pipeline.name}" started`,
+      changeStream,
+      pipeline: {
+        id: pipeline._id,
+        name: pipeline.name,
+        version: pipeline.version,
+      },
+    },
+  };
+}
+
+/**
+ * Stop the change stream consumer of a pipeline (it starts again on the next run or restart)
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function stopPipeline(context, req) {
+  try {
+    const pipeline = await findPipeline(req.params.id);
+
+    if (!(await changeStreams.stopChangeStream(String(pipeline._id)))) {
+      throw new AppError(`Pipeline "${pipeline.name}" has no running change stream`, 404);
+    }
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: `Change stream of pipeline "${pipeline.name}" stopped`,
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'stopping pipeline');
+  }
+}
+
+/**
+ * List the change stream consumers with their progress
+ * @param {Object} _context - Azure Functions context
+ * @param {Object} _req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function listChangeStreams(_context, _req) {
+  const streams = changeStreams.getChangeStreams();
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      count: streams.length,
+      streams,
+    },
+  };
+}
+
+/**
+ * Reset the watermark of an incremental pipeline, so its next run extracts everything again
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function resetPipelineWatermark(context, req) {
+  try {
+    const pipeline = await findPipeline(req.params.id);
+    pipeline.watermark = undefined;
+    await pipeline.save();
+
+    logger.info(`Reset watermark of pipeline "${pipeline.name}"`);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: `Watermark of pipeline "${pipeline.name}" reset`,
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'resetting pipeline watermark');
+  }
+}
+
+/**
+ * List the scheduled pipelines with their next and last fire times
+ * @param {Object} _context - Azure Functions context
+ * @param {Object} _req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function listSchedules(_context, _req) {
+  const schedules = scheduler.getSchedules();
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      count: schedules.length,
+      schedules,
+    },
+  };
+}
+
+/**
+ * Get the schedule status of a pipeline
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function getPipelineSchedule(context, req) {
+  try {
+    const pipeline = await findPipeline(req.params.id);
+    const schedule = scheduler.getScheduleStatus(String(pipeline._id));
+
+    if (!schedule) {
+      throw new AppError(`Pipeline "${pipeline.name}" is not scheduled`, 404);
+    }
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        schedule,
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'retrieving pipeline schedule');
+  }
+}
+
+/**
+ * Get an error message from a handler response error field
+ * @param {string|Object} error - Error field of a handler response
+ * @returns {string} Error message
+ */
+function getErrorMessage(error) {
+  if (!error) {
+    return 'Unknown error';
+  }
+  return typeof error === 'string' ? error : error.message;
+}
+
+module.exports = {
+  listPipelines,
+  getPipeline,
+  createPipeline,
+  updatePipeline,
+  deletePipeline,
+  runPipeline,
+  stopPipeline,
+  resetPipelineWatermark,
+  listChangeStreams,
+  listSchedules,
+  getPipelineSchedule,
+  startPipelineScheduler,
+  findPipeline,
+};
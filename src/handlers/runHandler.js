@@ -0,0 +1,356 @@
+const mongoose = require('mongoose');
+const { orchestrate } = require('./orchestratorHandler');
+const logger = require('../utils/logger');
+const RunModel = require('../models/runModel');
+const DataModel = require('../models/dataModel');
+const PipelineModel = require('../models/pipelineModel');
+const { AppError } = require('../utils/errorHandler');
+const monitor = require('../utils/monitor');
+const { parsePagination, buildDateRange } = require('../utils/queryParams');
+const { getRunConfig } = require('../utils/runTracker');
+const { getIncrementalConfig, compareWatermarks } = require('../utils/watermark');
+
+// resumedBy of a run while a resume of it is starting (before the new run has an ID)
+const RESUME_PENDING = 'pending';
+
+/**
+ * Build a Mongo filter from run listing query parameters
+ * (values are coerced to strings so query objects cannot inject operators)
+ * @param {Object} query - Request query parameters
+ * @returns {Object} Mongo filter
+ */
+function buildRunFilter(query = {}) {
+  const filter = {};
+
+  if (query.status) {
+    filter.status = String(query.status);
+  }
+
+  if (query.trigger) {
+    filter.trigger = String(query.trigger);
+  }
+
+  if (query.pipelineId) {
+    filter['pipeline.id'] = String(query.pipelineId);
+  }
+
+  if (query.pipeline) {
+    filter['pipeline.name'] = String(query.pipeline);
+  }
+
+  if (query.configHash) {
+    filter.configHash = String(query.configHash);
+  }
+
+  if (query.apiKey) {
+    filter.apiKey = String(query.apiKey);
+  }
+
+  const startedAt = buildDateRange(query);
+  if (startedAt) {
+    filter.startedAt = startedAt;
+  }
+
+  return filter;
+}
+
+/**
+ * Find a run by ID
+ * @param {string} id - Run ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.withSecrets] - Load the encrypted secrets of the configuration too
+ * @returns {Promise<Object>} Run document
+ */
+async function findRun(id, { withSecrets = false } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError(`Invalid run ID: ${id}`, 400);
+  }
+
+  const run = withSecrets
+    ? await RunModel.findById(id).select('+secrets')
+    : await RunModel.findById(id);
+  if (!run) {
+    throw new AppError(`Run not found: ${id}`, 404);
+  }
+
+  return run;
+}
+
+/**
+ * Work out the step a failed run must be resumed from
+ * @param {Object} run - Failed run document
+ * @returns {Promise<string>} Step name ('extract', 'transform' or 'load')
+ */
+async function getResumeStep(run) {
+  const failedStep = run.error?.step
+    || run.steps.find(step => step.status === 'failed' || step.status === 'running')?.name
+    || 'extract';
+
+  // Nothing was stored before the extract step, so it simply runs again
+  if (failedStep === 'extract') {
+    return failedStep;
+  }
+
+  if (!run.recordId) {
+    throw new AppError(
+      'Run has no stored intermediate data to resume from (saveIntermediateResults was disabled)',
+      409,
+    );
+  }
+
+  const dataRecord = await DataModel.findById(run.recordId);
+  if (!dataRecord) {
+    throw new AppError(`Intermediate data record not found: ${run.recordId}`, 409);
+  }
+
+  // Loading needs the transformed data, otherwise the transform step runs again from the raw data
+  if (failedStep === 'load' && dataRecord.transformed === undefined) {
+    return 'transform';
+  }
+
+  return failedStep;
+}
+
+/**
+ * Claim a failed run for a resume, so concurrent resumes of the same run cannot both start
+ * @param {Object} run - Failed run document
+ * @returns {Promise<void>}
+ */
+async function claimRun(run) {
+  const claimed = await RunModel.findOneAndUpdate(
+    { _id: run._id, status: 'failed', resumedBy: null },
+    { $set: { resumedBy: RESUME_PENDING } },
+  );
+
+  if (!claimed) {
+    throw new AppError(`Run ${run._id} is already being resumed`, 409);
+  }
+}
+
+/**
+ * Release the claim on a run whose resume did not start a new run, so it can be resumed again
+ * @param {Object} run - Claimed run document
+ * @returns {Promise<void>}
+ */
+async function releaseRun(run) {
+  try {
+    await RunModel.updateOne({ _id: run._id, resumedBy: RESUME_PENDING }, { $unset: { resumedBy: 1 } });
+  } catch (dbError) {
+    logger.error(`Error releasing run ${run._id} after a failed resume: ${dbError.message}`);
+  }
+}
+
+/**
+ * Move the watermark of the pipeline a resumed run belongs to, as a successful pipeline run does
+ * (never backwards, a later run of the pipeline may already have gone further)
+ * @param {Object} run - Resumed run document
+ * @param {Object} source - Source configuration of the run
+ * @param {any} watermark - Watermark reached by the resumed run
+ * @returns {Promise<void>}
+ */
+async function advancePipelineWatermark(run, source, watermark) {
+  const incremental = getIncrementalConfig(source);
+  if (!run.pipeline?.id || !incremental || watermark === undefined || watermark === null) {
+    return;
+  }
+
+  try {
+    const pipeline = await PipelineModel.findById(run.pipeline.id);
+    if (!pipeline || getIncrementalConfig(pipeline.source)?.field !== incremental.field) {
+      return;
+    }
+
+    const current = pipeline.watermark?.field === incremental.field ? pipeline.watermark.value : undefined;
+    if (current !== undefined && current !== null && compareWatermarks(watermark, current) <= 0) {
+      return;
+    }
+
+    pipeline.watermark = {
+      field: incremental.field,
+      value: watermark,
+      updatedAt: new Date(),
+    };
+    await pipeline.save();
+  } catch (dbError) {
+    logger.error(`Error moving the watermark of pipeline ${run.pipeline.id}: ${dbError.message}`);
+  }
+}
+
+/**
+ * Convert an error into an HTTP response
+ * @param {Error} error - The error
+ * @param {string} action - Action being performed (for logging)
+ * @returns {Object} HTTP response
+ */
+function toErrorResponse(error, action) {
+  logger.error(`Error ${action}: ${error.message}`);
+  monitor.trackError(error, 'run');
+
+  return {
+    status: error instanceof AppError ? error.statusCode : 500,
+    body: {
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * List runs with filters and pagination
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request (query: status, trigger, pipelineId, pipeline,
+ *   configHash, apiKey, from, to, page, limit)
+ * @returns {Object} HTTP response (headers carry X-Total-Count)
+ */
+async function listRuns(context, req) {
+  try {
+    const query = req.query || {};
+    const { page, limit, skip } = parsePagination(query);
+    const filter = buildRunFilter(query);
+
+    const [runs, total] = await Promise.all([
+      RunModel.find(filter)
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      RunModel.countDocuments(filter),
+    ]);
+
+    return {
+      status: 200,
+      headers: {
+        'X-Total-Count': String(total),
+      },
+      body: {
+        success: true,
+        runs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'listing runs');
+  }
+}
+
+/**
+ * Get a run by ID
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function getRun(context, req) {
+  try {
+    const run = await findRun(req.params.id);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        run,
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'retrieving run');
+  }
+}
+
+/**
+ * Resume a failed run from its failed step, reusing the stored intermediate data
+ * so the source is not read again and completed transformations are not repeated
+ * (once it succeeds, the pipeline watermark moves and the extracted files are marked as processed)
+ * @param {Object} context - Azure Functions context
+ * @param {Object} req - HTTP request
+ * @returns {Object} HTTP response
+ */
+async function resumeRun(context, req) {
+  try {
+    const run = await findRun(req.params.id, { withSecrets: true });
+
+    if (run.status !== 'failed') {
+      throw new AppError(`Only failed runs can be resumed (run status: ${run.status})`, 409);
+    }
+
+    if (run.resumedBy === RESUME_PENDING) {
+      throw new AppError(`Run ${run._id} is already being resumed`, 409);
+    }
+
+    if (run.resumedBy) {
+      throw new AppError(`Run was already resumed by run ${run.resumedBy}`, 409);
+    }
+
+    if (!run.config) {
+      throw new AppError('Run has no stored configuration to resume with', 409);
+    }
+
+    const config = getRunConfig(run);
+    const fromStep = await getResumeStep(run);
+
+    await claimRun(run);
+    logger.info(`Resuming run ${run._id} from the ${fromStep} step`);
+
+    let response;
+    try {
+      response = await orchestrate(
+        {
+          ...context,
+          trigger: 'resume',
+          pipeline: run.pipeline?.id ? run.pipeline : undefined,
+          watermark: run.watermark?.from,
+          resume: {
+            fromStep,
+            recordId: run.recordId,
+            runId: String(run._id),
+            watermark: run.watermark?.to,
+            processedFiles: run.processedFiles,
+          },
+        },
+        {
+          body: config,
+          apiKeyInfo: req.apiKeyInfo,
+        },
+      );
+    } catch (error) {
+      await releaseRun(run);
+      throw error;
+    }
+
+    if (response.status === 200 && response.body.success) {
+      await advancePipelineWatermark(run, config.source, response.body.watermark);
+    }
+
+    // The claim is replaced by the ID of the new run, or released when no run was started
+    if (response.body.runId) {
+      try {
+        run.resumedBy = String(response.body.runId);
+        await run.save();
+      } catch (dbError) {
+        logger.error(`Error linking run ${run._id} to its resumed run: ${dbError.message}`);
+      }
+    } else {
+      await releaseRun(run);
+    }
+
+    return {
+      status: response.status,
+      body: {
+        ...response.body,
+        resumedFrom: String(run._id),
+        resumedStep: fromStep,
+      },
+    };
+  } catch (error) {
+    return toErrorResponse(error, 'resuming run');
+  }
+}
+
+module.exports = {
+  listRuns,
+  getRun,
+  resumeRun,
+};
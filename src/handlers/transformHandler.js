@@ -1,16 +1,16 @@
-const { cleanData } = require('../transformers/dataCleaner');
-const { enrichData, generateSummaries, categorizeData } = require('../transformers/dataEnricher');
-const { validateData } = require('../transformers/dataValidator');
+const { applyTransformations } = require('../transformers/transformationRunner');
 const { formatErrorResponse } = require('../utils/errorHandler');
 const { validateConfig } = require('../config/config');
 const logger = require('../utils/logger');
+const { recordDeadLetters } = require('../utils/deadLetters');
 const DataModel = require('../models/dataModel');
 const _mongoose = require('mongoose');
 
 /**
  * Transform data using various transformers
  * @param {Object} context - Azure Functions context
- * @param {Object} req - HTTP request
+ * @param {Object} req - HTTP request (body.runId tags dead letters,
+ *   body.options.deadLetters = false disables them)
  * @returns {Object} HTTP response
  */
 async function transform(context, req) {
@@ -18,7 +18,7 @@ async function transform(context, req) {
     logger.info('Transforming data...');
     validateConfig();
     
-    const { data, recordId, transformations, options } = req.body || {};
+    const { data, recordId, transformations, options, runId } = req.body || {};
     
     if (!data && !recordId) {
       return {
@@ -75,92 +75,17 @@ async function transform(context, req) {
     }
     
     // Apply transformations
-    let transformedData = sourceData;
-    const transformationResults = {};
+    const {
+      data: transformedData,
+      results: transformationResults,
+      rejected,
+    } = await applyTransformations(sourceData, transformations);
     
-    if (transformations) {
-      // Clean data
-      if (transformations.clean) {
-        try {
-          logger.info('Applying data cleaning transformation...');
-          transformedData = cleanData(transformedData, transformations.clean);
-          transformationResults.clean = { applied: true };
-        } catch (error) {
-          logger.error(`Error cleaning data: ${error.message}`);
-          transformationResults.clean = { applied: false, error: error.message };
-        }
-      }
-      
-      // Validate data
-      if (transformations.validate) {
-        try {
-          logger.info('Applying data validation transformation...');
-          const validationResult = validateData(
-            transformedData,
-            transformations.validate.schema,
-            transformations.validate.removeInvalid,
-          );
-          
-          transformationResults.validate = {
-            applied: true,
-            isValid: validationResult.isValid,
-            invalidCount: validationResult.invalidItems?.length || 0,
-          };
-          
-          // Update transformed data if removeInvalid is true
-          if (transformations.validate.removeInvalid) {
-            transformedData = validationResult.data;
-          }
-        } catch (error) {
-          logger.error(`Error validating data: ${error.message}`);
-          transformationResults.validate = { applied: false, error: error.message };
-        }
-      }
-      
-      // Enrich data
-      if (transformations.enrich) {
-        try {
-          logger.info('Applying data enrichment transformation...');
-          transformedData = await enrichData(transformedData, transformations.enrich);
-          transformationResults.enrich = { applied: true };
-        } catch (error) {
-          logger.error(`Error enriching data: ${error.message}`);
-          transformationResults.enrich = { applied: false, error: error.message };
-        }
-      }
-      
-      // Generate summaries
-      if (transformations.summarize) {
-        try {
-          logger.info('Applying summarization transformation...');
-          transformedData = await generateSummaries(
-            transformedData,
-            transformations.summarize.fields,
-            transformations.summarize.maxLength,
-          );
-          transformationResults.summarize = { applied: true };
-        } catch (error) {
-          logger.error(`Error generating summaries: ${error.message}`);
-          transformationResults.summarize = { applied: false, error: error.message };
-        }
-      }
-      
-      // Categorize data
-      if (transformations.categorize) {
-        try {
-          logger.info('Applying categorization transformation...');
-          transformedData = await categorizeData(
-            transformedData,
-            transformations.categorize.categories,
-            transformations.categorize.field,
-          );
-          transformationResults.categorize = { applied: true };
-        } catch (error) {
-          logger.error(`Error categorizing data: ${error.message}`);
-          transformationResults.categorize = { applied: false, error: error.message };
-        }
-      }
-    }
+    // Dead-letter the rejected records so they can be replayed
+    const deadLettered = options?.deadLetters === false
+      ? 0
+      : await recordDeadLetters(rejected, { runId, recordId });
+    const rejectedSummary = rejected.map(({ stage, reason, details, index }) => ({ stage, reason, details, index }));
     
     // Update the record in the database if recordId is provided
     if (dataRecord) {
@@ -185,6 +110,8 @@ async function transform(context, req) {
             success: true,
             data: transformedData,
             transformations: transformationResults,
+            rejected: rejectedSummary,
+            deadLettered,
             warning: 'Failed to update data in database',
           },
         };
@@ -219,6 +146,8 @@ async function transform(context, req) {
             success: true,
             data: transformedData,
             transformations: transformationResults,
+            rejected: rejectedSummary,
+            deadLettered,
             recordId: newDataRecord._id,
           },
         };
@@ -231,6 +160,8 @@ async function transform(context, req) {
             success: true,
             data: transformedData,
             transformations: transformationResults,
+            rejected: rejectedSummary,
+            deadLettered,
             warning: 'Failed to save data to database',
           },
         };
@@ -245,6 +176,8 @@ async function transform(context, req) {
         success: true,
         data: transformedData,
         transformations: transformationResults,
+        rejected: rejectedSummary,
+        deadLettered,
         recordId: dataRecord?._id,
       },
     };
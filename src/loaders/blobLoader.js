@@ -1,22 +1,51 @@
-const { BlobServiceClient } = require('@azure/storage-blob');
+const { PassThrough } = require('stream');
 const logger = require('../utils/logger');
-const { config } = require('../config/config');
+const { withRetry } = require('../utils/retryPolicy');
+const { AppError } = require('../utils/errorHandler');
+const { getFormat, detectFormatFromPath, serializeRecords, createFormatWriter } = require('../formats');
+const { getStorage, getObjectLocation } = require('../storage');
+const {
+  getCompression,
+  compress,
+  createCompressor,
+  getZipEntryName,
+  getCompressionContentType,
+} = require('../utils/compression');
 
 /**
- * Load data to Azure Blob Storage
- * @param {Object|Array|string} data - The data to load
+ * Get the format a blob is written in: the format option, else the extension of the blob name
+ * (or zip entry name), else JSON
+ * @param {Object} options - Loading options
+ * @param {string} blobName - Blob name
+ * @returns {Object} Format
+ */
+function getBlobFormat(options, blobName) {
+  return getFormat(options.format || detectFormatFromPath(options.entry || blobName) || 'json');
+}
+
+/**
+ * Get the content type of a blob: the contentType option, else the type of its compression, else of its format
  * @param {Object} options - Loading options
+ * @param {Object} format - Format
+ * @returns {string} Content type
+ */
+function getBlobContentType(options, format) {
+  return options.contentType || getCompressionContentType(options.compression) || format.contentType;
+}
+
+/**
+ * Load data to object storage (Azure Blob Storage, S3-compatible storage or Google Cloud Storage)
+ * @param {Object|Array|string} data - The data to load
+ * @param {Object} options - Loading options ({ provider, connection, containerName, blobName, format, compression, ... })
  * @returns {Promise<Object>} Loading result
  */
 async function loadToBlob(data, options = {}) {
   try {
     const {
-      containerName = config.azureStorage.containerName,
-      blobName,
-      contentType = 'application/json',
-      format = 'json',
       _overwrite = true,
     } = options;
+    const storage = getStorage(options);
+    const { containerName, blobName } = getObjectLocation(options, storage);
 
     if (!containerName) {
       throw new Error('Blob container name is required');
@@ -26,112 +55,150 @@ async function loadToBlob(data, options = {}) {
       throw new Error('Blob name is required');
     }
 
-    logger.info(`Loading data to blob: ${containerName}/${blobName}`);
-
-    // Create the BlobServiceClient
-    const blobServiceClient = BlobServiceClient.fromConnectionString(
-      config.azureStorage.connectionString,
-    );
-
-    // Get a reference to the container
-    const containerClient = blobServiceClient.getContainerClient(containerName);
+    logger.info(`Loading data to blob: ${storage.provider}://${containerName}/${blobName}`);
 
     // Create the container if it doesn't exist
     try {
-      await containerClient.createIfNotExists();
+      await storage.ensureContainer(containerName);
     } catch (error) {
       logger.warn(`Error creating container: ${error.message}`);
     }
 
-    // Get a blob client
-    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
-
-    // Convert data to the specified format
-    let content;
-    let finalContentType = contentType;
-
-    switch (format.toLowerCase()) {
-      case 'json':
-        content = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
-        finalContentType = 'application/json';
-        break;
-      case 'csv':
-        content = typeof data === 'string' ? data : convertToCSV(data);
-        finalContentType = 'text/csv';
-        break;
-      case 'text':
-        content = typeof data === 'string' ? data : JSON.stringify(data);
-        finalContentType = 'text/plain';
-        break;
-      default:
-        content = typeof data === 'string' ? data : JSON.stringify(data);
-    }
+    // Convert data to the specified format (strings are uploaded as they are), then compress it
+    const format = getBlobFormat(options, blobName);
+    const serialized = typeof data === 'string'
+      ? data
+      : await serializeRecords(Array.isArray(data) ? data : [data], format.name, options);
+    const content = await compress(serialized, options.compression, { entry: getZipEntryName(options, blobName, format.name) });
 
     // Upload the data
-    const uploadOptions = {
-      blobHTTPHeaders: {
-        blobContentType: finalContentType,
-      },
-    };
-
-    const uploadResponse = await blockBlobClient.upload(content, content.length, uploadOptions);
+    const { result: uploadResponse, attempts } = await withRetry(
+      () => storage.upload(containerName, blobName, content, { contentType: getBlobContentType(options, format) }),
+      { operation: `Blob upload (${containerName}/${blobName})` },
+    );
 
-    logger.info(`Successfully loaded data to blob: ${containerName}/${blobName}`);
+    logger.info(`Successfully loaded data to blob: ${storage.provider}://${containerName}/${blobName}`);
 
     return {
       success: true,
+      provider: storage.provider,
       etag: uploadResponse.etag,
-      url: blockBlobClient.url,
+      url: uploadResponse.url,
+      attempts,
     };
   } catch (error) {
     logger.error(`Error loading data to blob: ${error.message}`);
     return {
       success: false,
       error: error.message,
+      attempts: error.attempts,
     };
   }
 }
 
 /**
- * Convert data to CSV format
- * @param {Array<Object>} data - The data to convert
- * @returns {string} The CSV string
+ * Create a writer that uploads record chunks to a blob as they arrive (streaming mode)
+ * @param {Object} options - Loading options (same as loadToBlob)
+ * @returns {Promise<Object>} Writer ({ write(records), close(), abort(error) })
  */
-function convertToCSV(data) {
-  if (!Array.isArray(data) || data.length === 0) {
-    return '';
+async function createBlobWriter(options = {}) {
+  const storage = getStorage(options);
+  const { containerName, blobName } = getObjectLocation(options, storage);
+
+  if (!containerName) {
+    throw new AppError('Blob container name is required', 400);
   }
 
-  // Get headers from the first object
-  const headers = Object.keys(data[0]);
-  
-  // Create CSV header row
-  const headerRow = headers.join(',');
-  
-  // Create CSV data rows
-  const rows = data.map(item => {
-    return headers.map(header => {
-      const value = item[header];
-      
-      // Handle different types of values
-      if (value === null || value === undefined) {
-        return '';
-      } else if (typeof value === 'object') {
-        // Convert objects to JSON strings
-        return `"${JSON.stringify(value).replace(/"/g, '""')}"`;
-      } else if (typeof value === 'string') {
-        // Escape quotes in strings
-        return `"${value.replace(/"/g, '""')}"`;
-      } else {
-        return value;
-      }
-    }).join(',');
+  if (!blobName) {
+    throw new AppError('Blob name is required', 400);
+  }
+
+  const format = getBlobFormat(options, blobName);
+  const compression = getCompression(options.compression);
+
+  logger.info(`Streaming data to blob: ${storage.provider}://${containerName}/${blobName}`);
+
+  try {
+    await storage.ensureContainer(containerName);
+  } catch (error) {
+    logger.warn(`Error creating container: ${error.message}`);
+  }
+
+  const stream = new PassThrough();
+  let count = 0;
+
+  const upload = storage.uploadStream(containerName, blobName, stream, { contentType: getBlobContentType(options, format) });
+  // Upload failures surface through write() and close()
+  upload.catch(() => {});
+
+  /**
+   * Run a write to the upload stream, failing fast if the upload already failed
+   * @param {Function} operation - Async write operation
+   * @returns {Promise<void>}
+   */
+  const send = async operation => {
+    try {
+      await Promise.race([operation(), upload.then(() => {})]);
+    } catch (error) {
+      throw error instanceof AppError ? error : new AppError(`Blob upload failed: ${error.message}`, 500);
+    }
+  };
+
+  let writer;
+  await send(async () => {
+    const input = createCompressor(stream, compression, { entry: getZipEntryName(options, blobName, format.name) });
+    writer = await createFormatWriter(format.name, input, options);
   });
-  
-  // Combine header and data rows
-  return [headerRow, ...rows].join('\n');
+
+  return {
+    /**
+     * Upload a chunk of records
+     * @param {Array} records - Records
+     * @returns {Promise<Object>} Chunk result
+     */
+    write: async records => {
+      await send(() => writer.write(records));
+      count += records.length;
+      return { count: records.length };
+    },
+
+    /**
+     * Finish the upload
+     * @returns {Promise<Object>} Loading result
+     */
+    close: async () => {
+      await send(() => writer.end());
+
+      let uploadResponse;
+      try {
+        uploadResponse = await upload;
+      } catch (error) {
+        throw new AppError(`Blob upload failed: ${error.message}`, 500);
+      }
+
+      logger.info(`Streamed ${count} records to blob: ${containerName}/${blobName}`);
+
+      return {
+        success: true,
+        provider: storage.provider,
+        etag: uploadResponse.etag,
+        url: uploadResponse.url,
+        count,
+      };
+    },
+
+    /**
+     * Cancel the upload after a failure (no blob is committed)
+     * @param {Error} [error] - Cause of the failure
+     * @returns {Promise<void>}
+     */
+    abort: async error => {
+      stream.destroy(error || new Error('Upload aborted'));
+    },
+  };
 }
 
 module.exports = {
   loadToBlob,
+  createBlobWriter,
 }; 
\ No newline at end of file
@@ -3,14 +3,17 @@
  * Module to load data to various file formats
  */
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { finished } = require('stream/promises');
 const path = require('path');
-const { createObjectCsvWriter } = require('csv-writer');
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
 const monitor = require('../utils/monitor');
+const { resolveFormat, serializeRecords, createFormatWriter } = require('../formats');
+const { getCompression, compress, createCompressor, getZipEntryName } = require('../utils/compression');
 
 /**
- * Load data to a file
+ * Load data to a file (compressed with gzip, brotli or zip when the destination has a compression)
  * @param {Object} data - Data to load
  * @param {Object} destination - Destination configuration
  * @returns {Promise<Object>} Result of the load operation
@@ -28,10 +31,11 @@ async function loadToFile(data, destination) {
     }
 
     const filePath = path.resolve(destination.path);
-    const fileFormat = destination.format || path.extname(filePath).slice(1).toLowerCase();
+    const compression = getCompression(destination.compression);
+    const fileFormat = resolveFormat(destination.format, destination.entry || filePath);
     const dirPath = path.dirname(filePath);
     
-    logger.info(`Loading data to file: ${filePath} (${fileFormat})`);
+    logger.info(`Loading data to file: ${filePath} (${compression ? `${compression} ` : ''}${fileFormat})`);
 
     // Ensure directory exists
     try {
@@ -40,48 +44,22 @@ async function loadToFile(data, destination) {
       throw new AppError(`Failed to create directory: ${error.message}`, 500);
     }
 
-    let result;
-
-    // Process file based on format
-    switch (fileFormat) {
-      case 'json':
-        try {
-          const jsonContent = JSON.stringify(data, null, 2);
-          await fs.writeFile(filePath, jsonContent, 'utf8');
-          result = { path: filePath, format: fileFormat, count: data.length };
-        } catch (error) {
-          throw new AppError(`Failed to write JSON file: ${error.message}`, 500);
-        }
-        break;
-        
-      case 'csv':
-        try {
-          result = await writeCSV(data, filePath);
-        } catch (error) {
-          throw new AppError(`Failed to write CSV file: ${error.message}`, 500);
-        }
-        break;
-        
-      case 'txt':
-        try {
-          const textContent = data.map(item => 
-            typeof item === 'string' ? item : JSON.stringify(item),
-          ).join('\n');
-          await fs.writeFile(filePath, textContent, 'utf8');
-          result = { path: filePath, format: fileFormat, count: data.length };
-        } catch (error) {
-          throw new AppError(`Failed to write text file: ${error.message}`, 500);
-        }
-        break;
-        
-      default:
-        throw new AppError(`Unsupported file format: ${fileFormat}`, 400);
+    const content = await compress(
+      await serializeRecords(data, fileFormat, destination),
+      compression,
+      { entry: getZipEntryName(destination, filePath, fileFormat) },
+    );
+
+    try {
+      await fs.writeFile(filePath, content);
+    } catch (error) {
+      throw new AppError(`Failed to write ${fileFormat} file: ${error.message}`, 500);
     }
 
     const duration = Date.now() - startTime;
     logger.info(`File load completed in ${duration}ms: ${data.length} records written to ${filePath}`);
     
-    return result;
+    return { path: filePath, format: fileFormat, count: data.length };
   } catch (error) {
     const duration = Date.now() - startTime;
     logger.error(`File load failed in ${duration}ms: ${error.message}`);
@@ -98,41 +76,75 @@ async function loadToFile(data, destination) {
 }
 
 /**
- * Write data to CSV file
- * @param {Array} data - Data to write
- * @param {string} filePath - Path to the CSV file
- * @returns {Promise<Object>} Result of the write operation
+ * Create a writer that appends record chunks to a file as they arrive (streaming mode)
+ * @param {Object} destination - Destination configuration
+ * @returns {Promise<Object>} Writer ({ write(records), close(), abort() })
  */
-async function writeCSV(data, filePath) {
-  return new Promise((resolve, reject) => {
-    if (data.length === 0) {
-      return resolve({ path: filePath, format: 'csv', count: 0 });
-    }
+async function createFileWriter(destination) {
+  if (!destination.path) {
+    throw new AppError('File destination must include a path', 400);
+  }
+
+  const filePath = path.resolve(destination.path);
+  const compression = getCompression(destination.compression);
+  const fileFormat = resolveFormat(destination.format, destination.entry || filePath);
+
+  try {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+  } catch (error) {
+    throw new AppError(`Failed to create directory: ${error.message}`, 500);
+  }
+
+  logger.info(`Streaming data to file: ${filePath} (${compression ? `${compression} ` : ''}${fileFormat})`);
+
+  const output = createWriteStream(filePath);
+  const stream = createCompressor(output, compression, { entry: getZipEntryName(destination, filePath, fileFormat) });
+  const writer = await createFormatWriter(fileFormat, stream, destination);
+  let count = 0;
+
+  return {
+    /**
+     * Append a chunk of records
+     * @param {Array} records - Records
+     * @returns {Promise<Object>} Chunk result
+     */
+    write: async records => {
+      try {
+        await writer.write(records);
+      } catch (error) {
+        throw error instanceof AppError ? error : new AppError(`Failed to write file: ${error.message}`, 500);
+      }
+      count += records.length;
+      return { count: records.length };
+    },
+
+    /**
+     * Finish the file
+     * @returns {Promise<Object>} Loading result
+     */
+    close: async () => {
+      try {
+        await writer.end();
+        await finished(output);
+      } catch (error) {
+        throw error instanceof AppError ? error : new AppError(`Failed to write file: ${error.message}`, 500);
+      }
+      logger.info(`Streamed ${count} records to ${filePath}`);
+      return { path: filePath, format: fileFormat, count };
+    },
 
-    // Get all possible headers from all objects
-    const headers = Array.from(
-      new Set(
-        data.reduce((allKeys, obj) => {
-          return allKeys.concat(Object.keys(obj));
-        }, []),
-      ),
-    ).map(key => ({ id: key, title: key }));
-
-    const csvWriter = createObjectCsvWriter({
-      path: filePath,
-      header: headers,
-    });
-
-    csvWriter.writeRecords(data)
-      .then(() => {
-        resolve({ path: filePath, format: 'csv', count: data.length });
-      })
-      .catch(error => {
-        reject(error);
-      });
-  });
+    /**
+     * Stop writing after a failure (the partial file is left in place)
+     * @returns {Promise<void>}
+     */
+    abort: async () => {
+      stream.destroy();
+      output.destroy();
+    },
+  };
 }
 
 module.exports = {
   loadToFile,
+  createFileWriter,
 }; 
\ No newline at end of file
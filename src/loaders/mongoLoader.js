@@ -2,6 +2,11 @@ const mongoose = require('mongoose');
 const logger = require('../utils/logger');
 const { connectToDatabase } = require('../utils/db');
 const DataModel = require('../models/dataModel');
+const { withRetry } = require('../utils/retryPolicy');
+const { AppError } = require('../utils/errorHandler');
+
+// MongoDB error code of a unique index violation
+const DUPLICATE_KEY_ERROR = 11000;
 
 /**
  * Load data into MongoDB
@@ -10,6 +15,9 @@ const DataModel = require('../models/dataModel');
  * @returns {Promise<Object>} Loading result
  */
 async function loadToMongo(data, options = {}) {
+  // Total attempts across all write operations (more than one per operation means retries)
+  let attempts = 0;
+  
   try {
     const { collection, batchSize = 100, upsert = false, upsertKey = '_id' } = options;
     
@@ -18,6 +26,24 @@ async function loadToMongo(data, options = {}) {
     // Connect to the database
     await connectToDatabase();
     
+    /**
+     * Run a write operation, retrying transient database failures
+     * @param {Function} operation - Async write operation
+     * @returns {Promise<any>} Operation result
+     */
+    const write = async operation => {
+      try {
+        const { result, attempts: operationAttempts } = await withRetry(operation, {
+          operation: 'MongoDB write',
+        });
+        attempts += operationAttempts;
+        return result;
+      } catch (error) {
+        attempts += error.attempts || 0;
+        throw error;
+      }
+    };
+    
     // Load an array of items
     if (Array.isArray(data)) {
       // Process in batches to avoid overwhelming the database
@@ -30,12 +56,57 @@ async function loadToMongo(data, options = {}) {
       
       let insertedCount = 0;
       let updatedCount = 0;
+      // Documents the database rejected ({ index, error, code }), the rest of the batch is still inserted
+      const failed = [];
+      
+      /**
+       * Insert documents without stopping at the first rejected one
+       * @param {Function} insert - Unordered insert operation
+       * @param {Array<number>} indexes - Position in the loaded data of each inserted document
+       * @returns {Promise<number>} Number of inserted documents
+       */
+      const insertUnordered = async (insert, indexes) => {
+        let attempt = 1;
+        
+        try {
+          const result = await write(currentAttempt => {
+            attempt = currentAttempt;
+            return insert();
+          });
+          return Array.isArray(result) ? result.length : result.insertedCount || 0;
+        } catch (error) {
+          if (!error.writeErrors) {
+            throw error;
+          }
+          
+          // A retried insert runs again on the documents an earlier attempt wrote before failing,
+          // so their duplicate key errors mean they were inserted
+          const writeErrors = [].concat(error.writeErrors);
+          const rewritten = attempt > 1 ? writeErrors.filter(writeError => writeError.code === DUPLICATE_KEY_ERROR) : [];
+          if (rewritten.length > 0) {
+            logger.warn(`${rewritten.length} documents were inserted by an earlier attempt of a retried insert`);
+          }
+          
+          writeErrors.filter(writeError => !rewritten.includes(writeError)).forEach(writeError => {
+            failed.push({
+              index: indexes[writeError.index],
+              error: writeError.errmsg || writeError.err?.errmsg || writeError.message,
+              code: writeError.code,
+            });
+          });
+          
+          const insertedCount = error.insertedCount ?? error.result?.insertedCount ?? error.insertedDocs?.length ?? 0;
+          return insertedCount + rewritten.length;
+        }
+      };
       
       // Process each batch
       for (let i = 0; i < batches.length; i++) {
         logger.info(`Processing batch ${i + 1} of ${batches.length}...`);
         
         const batch = batches[i];
+        const offset = i * batchSize;
+        const batchIndexes = batch.map((_item, j) => offset + j);
         
         if (collection) {
           // Load to a custom collection
@@ -52,13 +123,15 @@ async function loadToMongo(data, options = {}) {
               },
             }));
             
-            const result = await coll.bulkWrite(_operations);
+            const result = await write(() => coll.bulkWrite(_operations));
             insertedCount += result.upsertedCount || 0;
             updatedCount += result.modifiedCount || 0;
           } else {
             // Perform insert operations
-            const result = await coll.insertMany(batch);
-            insertedCount += result.insertedCount || 0;
+            insertedCount += await insertUnordered(
+              () => coll.insertMany(batch, { ordered: false }),
+              batchIndexes,
+            );
           }
         } else {
           // Load to the default Data model
@@ -67,31 +140,56 @@ async function loadToMongo(data, options = {}) {
             const _operations = await Promise.all(
               batch.map(async item => {
                 const filter = { [upsertKey]: item[upsertKey] };
-                const doc = await DataModel.findOne(filter);
+                const doc = await write(() => DataModel.findOne(filter));
                 
                 if (doc) {
-                  await DataModel.updateOne(filter, { $set: item });
+                  await write(() => DataModel.updateOne(filter, { $set: item }));
                   updatedCount++;
                 } else {
-                  await DataModel.create(item);
+                  await write(() => DataModel.create(item));
                   insertedCount++;
                 }
               }),
             );
           } else {
+            // Validate up front so invalid documents are reported instead of silently skipped
+            const validItems = [];
+            const validIndexes = [];
+            
+            batch.forEach((item, j) => {
+              const validationError = new DataModel(item).validateSync();
+              if (validationError) {
+                failed.push({ index: offset + j, error: validationError.message });
+              } else {
+                validItems.push(item);
+                validIndexes.push(offset + j);
+              }
+            });
+            
             // Perform insert operations
-            const result = await DataModel.insertMany(batch);
-            insertedCount += result.length;
+            if (validItems.length > 0) {
+              insertedCount += await insertUnordered(
+                () => DataModel.insertMany(validItems, { ordered: false }),
+                validIndexes,
+              );
+            }
           }
         }
       }
       
       logger.info(`Successfully loaded ${insertedCount} items to MongoDB${updatedCount ? `, updated ${updatedCount} items` : ''}`);
       
+      if (failed.length > 0) {
+        logger.warn(`${failed.length} items were rejected by MongoDB`);
+      }
+      
       return {
         success: true,
         insertedCount,
         updatedCount,
+        failedCount: failed.length,
+        failed,
+        attempts,
       };
     } 
     // Load a single item
@@ -103,11 +201,11 @@ async function loadToMongo(data, options = {}) {
         
         if (upsert && upsertKey in data) {
           // Perform upsert operation
-          const result = await coll.updateOne(
+          const result = await write(() => coll.updateOne(
             { [upsertKey]: data[upsertKey] },
             { $set: data },
             { upsert: true },
-          );
+          ));
           
           const isInserted = result.upsertedCount === 1;
           const isUpdated = result.modifiedCount === 1;
@@ -118,16 +216,18 @@ async function loadToMongo(data, options = {}) {
             success: true,
             insertedCount: isInserted ? 1 : 0,
             updatedCount: isUpdated ? 1 : 0,
+            attempts,
           };
         } else {
           // Perform insert operation
-          const result = await coll.insertOne(data);
+          const result = await write(() => coll.insertOne(data));
           logger.info('Successfully inserted item to MongoDB');
           
           return {
             success: true,
             insertedCount: 1,
             insertedId: result.insertedId,
+            attempts,
           };
         }
       } else {
@@ -135,35 +235,38 @@ async function loadToMongo(data, options = {}) {
         if (upsert && upsertKey in data) {
           // Perform upsert operation
           const filter = { [upsertKey]: data[upsertKey] };
-          const doc = await DataModel.findOne(filter);
+          const doc = await write(() => DataModel.findOne(filter));
           
           if (doc) {
-            await DataModel.updateOne(filter, { $set: data });
+            await write(() => DataModel.updateOne(filter, { $set: data }));
             logger.info('Successfully updated item in MongoDB');
             
             return {
               success: true,
               updatedCount: 1,
+              attempts,
             };
           } else {
-            const result = await DataModel.create(data);
+            const result = await write(() => DataModel.create(data));
             logger.info('Successfully inserted item to MongoDB');
             
             return {
               success: true,
               insertedCount: 1,
               insertedId: result._id,
+              attempts,
             };
           }
         } else {
           // Perform insert operation
-          const result = await DataModel.create(data);
+          const result = await write(() => DataModel.create(data));
           logger.info('Successfully inserted item to MongoDB');
           
           return {
             success: true,
             insertedCount: 1,
             insertedId: result._id,
+            attempts,
           };
         }
       }
@@ -179,10 +282,60 @@ async function loadToMongo(data, options = {}) {
     return {
       success: false,
       error: error.message,
+      attempts,
     };
   }
 }
 
+/**
+ * Create a writer that loads record chunks into MongoDB as they arrive (streaming mode)
+ * @param {Object} options - Loading options (same as loadToMongo)
+ * @returns {Object} Writer ({ write(records), close(), abort() })
+ */
+function createMongoWriter(options = {}) {
+  const totals = {
+    insertedCount: 0,
+    updatedCount: 0,
+    failedCount: 0,
+    attempts: 0,
+  };
+
+  return {
+    /**
+     * Load a chunk of records
+     * @param {Array} records - Records
+     * @returns {Promise<Object>} Chunk result (failed indexes are relative to the chunk)
+     */
+    write: async records => {
+      const result = await loadToMongo(records, options);
+
+      if (!result.success) {
+        throw new AppError(`MongoDB load failed: ${result.error}`, 500);
+      }
+
+      totals.insertedCount += result.insertedCount || 0;
+      totals.updatedCount += result.updatedCount || 0;
+      totals.failedCount += result.failedCount || 0;
+      totals.attempts += result.attempts || 0;
+
+      return result;
+    },
+
+    /**
+     * Finish loading
+     * @returns {Promise<Object>} Loading result
+     */
+    close: async () => ({ success: true, ...totals }),
+
+    /**
+     * Stop loading after a failure (chunks already written stay in the collection)
+     * @returns {Promise<void>}
+     */
+    abort: async () => {},
+  };
+}
+
 module.exports = {
   loadToMongo,
+  createMongoWriter,
 }; 
\ No newline at end of file
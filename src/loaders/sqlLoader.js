@@ -0,0 +1,333 @@
+/**
+ * SQL Loader
+ * Module to load data into PostgreSQL, MySQL and SQLite tables
+ */
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const monitor = require('../utils/monitor');
+const { withRetry } = require('../utils/retryPolicy');
+const { getSqlDb, getSqlClient } = require('../utils/sqlDb');
+const { ISO_DATE_PATTERN, inferColumnTypes } = require('../utils/valueTypes');
+
+/**
+ * Add a column of an inferred type to a table being created or altered
+ * @param {Object} table - knex table builder
+ * @param {string} column - Column name
+ * @param {string} type - Inferred type
+ */
+function addColumn(table, column, type) {
+  switch (type) {
+    case 'integer':
+      table.bigInteger(column);
+      break;
+    case 'float':
+      table.double(column);
+      break;
+    case 'boolean':
+      table.boolean(column);
+      break;
+    case 'timestamp':
+      table.timestamp(column, { useTz: true });
+      break;
+    case 'json':
+      table.json(column);
+      break;
+    default:
+      table.text(column);
+  }
+}
+
+/**
+ * Convert a record to a row the driver can bind
+ * (objects and arrays become JSON, ObjectIds strings, ISO dates of timestamp columns Dates)
+ * @param {Object} record - Record
+ * @param {Object} columnTypes - Known column types
+ * @param {string} driver - knex driver
+ * @returns {Object} Row
+ */
+function toRow(record, columnTypes, driver) {
+  const row = {};
+
+  for (const [column, value] of Object.entries(record)) {
+    let converted = value;
+
+    if (value instanceof Date) {
+      converted = value;
+    } else if (value?._bsontype) {
+      converted = String(value);
+    } else if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) {
+      converted = JSON.stringify(value);
+    } else if (typeof value === 'string' && columnTypes[column] === 'timestamp' && ISO_DATE_PATTERN.test(value)) {
+      converted = new Date(value);
+    }
+
+    // SQLite has no date type: dates are stored as ISO strings
+    if (converted instanceof Date && driver === 'better-sqlite3') {
+      converted = converted.toISOString();
+    }
+
+    row[column] = converted;
+  }
+
+  return row;
+}
+
+/**
+ * Get the upsert key columns of a destination
+ * @param {Object} destination - Destination configuration
+ * @returns {Array<string>} Key columns
+ */
+function getUpsertKeys(destination) {
+  const keys = [].concat(destination.upsertKey || 'id');
+  if (keys.length === 0 || keys.some(key => typeof key !== 'string' || !key)) {
+    throw new AppError('SQL upsertKey must be a column name or a list of column names', 400);
+  }
+  return keys;
+}
+
+/**
+ * Create a table loader that prepares the table on first use and loads record batches
+ * @param {Object} destination - Destination configuration
+ * @returns {Object} Table loader ({ load(records) })
+ */
+function createTableLoader(destination) {
+  if (!destination.table || typeof destination.table !== 'string') {
+    throw new AppError('SQL destination must include a table', 400);
+  }
+
+  const db = getSqlDb(destination);
+  const driver = getSqlClient(destination);
+  const { table, batchSize = 100, upsert = false, createTable = true } = destination;
+  const upsertKeys = upsert ? getUpsertKeys(destination) : [];
+
+  // Columns of the table with their inferred types (existing columns have no inferred type)
+  let columnTypes = null;
+  let created = false;
+  let attempts = 0;
+
+  /**
+   * Run a write operation, retrying transient database failures
+   * @param {Function} operation - Async write operation
+   * @returns {Promise<any>} Operation result
+   */
+  const write = async operation => {
+    try {
+      const { result, attempts: operationAttempts } = await withRetry(operation, { operation: 'SQL write' });
+      attempts += operationAttempts;
+      return result;
+    } catch (error) {
+      attempts += error.attempts || 0;
+      throw error;
+    }
+  };
+
+  /**
+   * Create the table, or add the columns it is missing, for a batch of records
+   * @param {Array<Object>} records - Records
+   */
+  const prepareTable = async records => {
+    const inferred = inferColumnTypes(records);
+
+    if (!columnTypes) {
+      if (!(await write(() => db.schema.hasTable(table)))) {
+        if (!createTable) {
+          throw new AppError(`SQL table does not exist: ${table}`, 404);
+        }
+
+        const missingKeys = upsertKeys.filter(key => !(key in inferred));
+        if (missingKeys.length > 0) {
+          throw new AppError(`Upsert key column missing from records: ${missingKeys.join(', ')}`, 400);
+        }
+
+        await write(() => db.schema.createTable(table, builder => {
+          Object.entries(inferred).forEach(([column, type]) => addColumn(builder, column, type));
+          if (upsertKeys.length > 0) {
+            builder.primary(upsertKeys);
+          }
+        }));
+
+        logger.info(`Created SQL table ${table} with columns: ${Object.keys(inferred).join(', ')}`);
+        columnTypes = { ...inferred };
+        created = true;
+        return;
+      }
+
+      const columns = await write(() => db(table).columnInfo());
+      columnTypes = Object.fromEntries(Object.keys(columns).map(column => [column, null]));
+    }
+
+    const added = Object.keys(inferred).filter(column => !(column in columnTypes));
+    if (added.length > 0 && createTable) {
+      await write(() => db.schema.alterTable(table, builder => {
+        added.forEach(column => addColumn(builder, column, inferred[column]));
+      }));
+
+      logger.info(`Added columns to SQL table ${table}: ${added.join(', ')}`);
+      added.forEach(column => {
+        columnTypes[column] = inferred[column];
+      });
+    }
+  };
+
+  /**
+   * Insert or upsert rows
+   * @param {Array<Object>} rows - Rows
+   * @returns {Promise<void>}
+   */
+  const insertRows = rows => write(() => {
+    const query = db(table).insert(rows);
+    return upsert ? query.onConflict(upsertKeys).merge() : query;
+  });
+
+  return {
+    /**
+     * Load records in batches; the rows of a rejected batch are written one by one so that
+     * only the rows the database rejects fail
+     * @param {Array<Object>} records - Records
+     * @returns {Promise<Object>} { count, failed, attempts, created }
+     */
+    load: async records => {
+      const items = records.map(record => (record !== null && typeof record === 'object' && !Array.isArray(record)
+        ? record
+        : { value: record }));
+      const failed = [];
+      let count = 0;
+
+      await prepareTable(items);
+
+      for (let i = 0; i < items.length; i += batchSize) {
+        logger.info(`Processing batch ${Math.floor(i / batchSize) + 1} of ${Math.ceil(items.length / batchSize)}...`);
+
+        const rows = items.slice(i, i + batchSize).map(item => toRow(item, columnTypes, driver));
+
+        try {
+          await insertRows(rows);
+          count += rows.length;
+        } catch (batchError) {
+          if (rows.length === 1) {
+            failed.push({ index: i, error: batchError.message, code: batchError.code });
+            continue;
+          }
+
+          logger.warn(`SQL batch insert failed (${batchError.message}), retrying its rows one by one`);
+          for (let j = 0; j < rows.length; j++) {
+            try {
+              await insertRows([rows[j]]);
+              count++;
+            } catch (error) {
+              failed.push({ index: i + j, error: error.message, code: error.code });
+            }
+          }
+        }
+      }
+
+      return { count, failed, attempts, created };
+    },
+  };
+}
+
+/**
+ * Load data into a SQL table
+ * @param {Object|Array} data - The data to load
+ * @param {Object} destination - Destination configuration ({ client, connection, table, upsert, upsertKey, ... })
+ * @returns {Promise<Object>} Loading result
+ */
+async function loadToSql(data, destination) {
+  const startTime = Date.now();
+
+  try {
+    const records = Array.isArray(data) ? data : [data];
+
+    logger.info(`Loading data to SQL table: ${destination.table}`);
+
+    const { count, failed, attempts, created } = await createTableLoader(destination).load(records);
+
+    const duration = Date.now() - startTime;
+    logger.info(`Successfully ${destination.upsert ? 'upserted' : 'inserted'} ${count} rows into ${destination.table} in ${duration}ms`);
+
+    if (failed.length > 0) {
+      logger.warn(`${failed.length} rows were rejected by the database`);
+    }
+
+    return {
+      success: true,
+      table: destination.table,
+      created,
+      count,
+      [destination.upsert ? 'upsertedCount' : 'insertedCount']: count,
+      failedCount: failed.length,
+      failed,
+      attempts,
+    };
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error(`SQL load failed in ${duration}ms: ${error.message}`);
+
+    monitor.trackError(error, 'sqlLoader');
+
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError(`SQL load failed: ${error.message}`, 500, { code: error.code, attempts: error.attempts });
+  }
+}
+
+/**
+ * Create a writer that loads record chunks into a SQL table as they arrive (streaming mode)
+ * @param {Object} destination - Destination configuration (same as loadToSql)
+ * @returns {Object} Writer ({ write(records), close(), abort() })
+ */
+function createSqlWriter(destination) {
+  const loader = createTableLoader(destination);
+  const totals = {
+    count: 0,
+    failedCount: 0,
+    created: false,
+    attempts: 0,
+  };
+
+  return {
+    /**
+     * Load a chunk of records
+     * @param {Array} records - Records
+     * @returns {Promise<Object>} Chunk result (failed indexes are relative to the chunk)
+     */
+    write: async records => {
+      let result;
+      try {
+        result = await loader.load(records);
+      } catch (error) {
+        monitor.trackError(error, 'sqlLoader');
+        throw error instanceof AppError ? error : new AppError(`SQL load failed: ${error.message}`, 500);
+      }
+
+      totals.count += result.count;
+      totals.failedCount += result.failed.length;
+      totals.created = totals.created || result.created;
+      totals.attempts = result.attempts;
+
+      return result;
+    },
+
+    /**
+     * Finish loading
+     * @returns {Promise<Object>} Loading result
+     */
+    close: async () => {
+      logger.info(`Streamed ${totals.count} rows into ${destination.table}`);
+      return { success: true, table: destination.table, ...totals };
+    },
+
+    /**
+     * Stop loading after a failure (batches already written stay in the table)
+     * @returns {Promise<void>}
+     */
+    abort: async () => {},
+  };
+}
+
+module.exports = {
+  loadToSql,
+  createSqlWriter,
+  inferColumnTypes,
+};
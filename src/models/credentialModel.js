@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a stored credential, encrypted at rest (see utils/encryption)
+ */
+const credentialSchema = new mongoose.Schema(
+  {
+    // Unique name used in { "$credential": "name" } references
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    // Human readable description
+    description: {
+      type: String,
+    },
+    // Encrypted value (AES-256-GCM, base64)
+    ciphertext: {
+      type: String,
+      required: true,
+    },
+    // Initialization vector (base64)
+    iv: {
+      type: String,
+      required: true,
+    },
+    // GCM authentication tag (base64)
+    authTag: {
+      type: String,
+      required: true,
+    },
+    // Last time the credential was resolved
+    lastUsedAt: {
+      type: Date,
+    },
+  },
+  {
+    // Add timestamps (createdAt, updatedAt)
+    timestamps: true,
+    toJSON: {
+      // Never serialize the encrypted value
+      transform: (doc, ret) => {
+        delete ret.ciphertext;
+        delete ret.iv;
+        delete ret.authTag;
+        return ret;
+      },
+    },
+  },
+);
+
+/**
+ * Credential model for secrets referenced by sources and destinations
+ */
+const CredentialModel = mongoose.model('Credential', credentialSchema);
+
+module.exports = CredentialModel;
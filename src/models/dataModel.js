@@ -8,7 +8,7 @@ const sourceSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['api', 'mongodb', 'file', 'blob'],
+    enum: ['api', 'graphql', 'mongodb', 'sql', 'file', 'blob'],
   },
   // Source information
   name: {
@@ -61,7 +61,7 @@ const dataSchema = new mongoose.Schema(
     destination: {
       type: String,
       required: true,
-      enum: ['mongodb', 'blob', 'file', 'api'],
+      enum: ['mongodb', 'sql', 'blob', 'file', 'api'],
     },
     // Processing metadata
     metadata: {
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a record rejected during an ETL run
+ */
+const deadLetterSchema = new mongoose.Schema(
+  {
+    // Run that rejected the record (null when the handler was called directly)
+    runId: {
+      type: String,
+      default: null,
+    },
+    // Intermediate data record (see DataModel)
+    recordId: String,
+    // Stage that rejected the record ('filter', 'derive', 'validate', 'enrich', 'load')
+    stage: {
+      type: String,
+      required: true,
+      enum: ['filter', 'derive', 'validate', 'enrich', 'load'],
+    },
+    // Why the record was rejected
+    reason: {
+      type: String,
+      required: true,
+    },
+    // Detailed error messages (validation errors, driver error, parse error)
+    details: [String],
+    // The rejected record
+    item: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Position of the record in the data it was rejected from
+    index: Number,
+    // Replay state ('dropped' when a filter of the replay excluded the record, so nothing was loaded,
+    // 'replaying' while a replay processes it)
+    status: {
+      type: String,
+      required: true,
+      enum: ['pending', 'replaying', 'replayed', 'dropped', 'failed'],
+      default: 'pending',
+    },
+    // Replay processing the record (set with the 'replaying' status)
+    replayId: String,
+    // Number of replay attempts
+    replayCount: {
+      type: Number,
+      default: 0,
+    },
+    // Error of the last failed replay
+    lastError: String,
+    // When the record was successfully replayed (or dropped)
+    replayedAt: Date,
+  },
+  {
+    // Add timestamps (createdAt, updatedAt)
+    timestamps: true,
+  },
+);
+
+deadLetterSchema.index({ status: 1, createdAt: -1 });
+deadLetterSchema.index({ runId: 1, createdAt: -1 });
+
+/**
+ * Dead letter model for rejected records
+ */
+const DeadLetterModel = mongoose.model('DeadLetter', deadLetterSchema);
+
+module.exports = DeadLetterModel;
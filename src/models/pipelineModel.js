@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a saved ETL pipeline definition
+ */
+const pipelineSchema = new mongoose.Schema(
+  {
+    // Unique pipeline name
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    // Human readable description
+    description: {
+      type: String,
+    },
+    // Definition version, incremented on every update
+    version: {
+      type: Number,
+      required: true,
+      default: 1,
+    },
+    // Source configuration (same shape as the /extract source)
+    source: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Transformations configuration (same shape as the /transform transformations)
+    transformations: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Destination configuration (same shape as the /load destination)
+    destination: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Orchestration options
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Cron schedule for unattended runs
+    schedule: {
+      cron: String,
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    // Whether the pipeline can be run
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Last seen value of the incremental source's watermark field
+    watermark: {
+      field: String,
+      value: mongoose.Schema.Types.Mixed,
+      updatedAt: Date,
+    },
+    // Position of a change stream source: token of the last loaded event
+    changeStream: {
+      resumeToken: mongoose.Schema.Types.Mixed,
+      events: Number,
+      updatedAt: Date,
+    },
+    // Outcome of the most recent run
+    lastRun: {
+      startedAt: Date,
+      finishedAt: Date,
+      status: {
+        type: String,
+        enum: ['success', 'failed'],
+      },
+      recordId: String,
+      error: String,
+    },
+  },
+  {
+    // Add timestamps (createdAt, updatedAt)
+    timestamps: true,
+  },
+);
+
+/**
+ * Pipeline model for saved ETL definitions
+ */
+const PipelineModel = mongoose.model('Pipeline', pipelineSchema);
+
+module.exports = PipelineModel;
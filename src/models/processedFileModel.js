@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a file of a multi-file source that was already processed (skipProcessed)
+ */
+const processedFileSchema = new mongoose.Schema(
+  {
+    // Tracking scope: the source pattern, or the key given in skipProcessed
+    scope: {
+      type: String,
+      required: true,
+    },
+    // File path or blob name
+    name: {
+      type: String,
+      required: true,
+    },
+    // Size and modification time of a file, or ETag of a blob; a changed file is processed again
+    fingerprint: String,
+    // Run that processed the file (null when the handler was called directly)
+    runId: {
+      type: String,
+      default: null,
+    },
+    // When the file was processed
+    processedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    // Add timestamps (createdAt, updatedAt)
+    timestamps: true,
+  },
+);
+
+processedFileSchema.index({ scope: 1, name: 1 }, { unique: true });
+
+/**
+ * Processed file model for skipProcessed sources
+ */
+const ProcessedFileModel = mongoose.model('ProcessedFile', processedFileSchema);
+
+module.exports = ProcessedFileModel;
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a single ETL step of a run
+ */
+const stepSchema = new mongoose.Schema(
+  {
+    // Step name ('extract', 'transform', 'load')
+    name: {
+      type: String,
+      required: true,
+      enum: ['extract', 'transform', 'load'],
+    },
+    // Step outcome
+    status: {
+      type: String,
+      required: true,
+      enum: ['running', 'success', 'failed', 'skipped'],
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    // Step duration (in milliseconds)
+    durationMs: Number,
+    // Records received by the step
+    recordsIn: Number,
+    // Records produced by the step
+    recordsOut: Number,
+    // Error message if the step failed
+    error: String,
+    // Attempts made by the step's network calls (more than one means transient failures were retried)
+    attempts: Number,
+  },
+  { _id: false },
+);
+
+/**
+ * Schema for an ETL run (one orchestrator execution)
+ */
+const runSchema = new mongoose.Schema(
+  {
+    // How the run was started
+    trigger: {
+      type: String,
+      required: true,
+      enum: ['api', 'job', 'schedule', 'pipeline', 'resume'],
+      default: 'api',
+    },
+    // Masked API key of the caller (null when authentication is disabled)
+    apiKey: {
+      type: String,
+      default: null,
+    },
+    // Saved pipeline that was run, if any
+    pipeline: {
+      id: String,
+      name: String,
+      version: Number,
+    },
+    // SHA-256 hash of the source, transformations and destination configuration
+    configHash: {
+      type: String,
+      required: true,
+    },
+    // Configuration the run was started with ({ source, transformations, destination, options }),
+    // with secrets replaced by "[REDACTED]"
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Secrets of the configuration ([path, value] list as JSON), encrypted with the credential master key
+    secrets: {
+      type: {
+        ciphertext: String,
+        iv: String,
+        authTag: String,
+      },
+      select: false,
+    },
+    // Watermark of an incremental source: the value the run extracted from and the one it reached
+    watermark: {
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+    },
+    // Files extracted by a source with skipProcessed ({ scope, files }), marked once the run succeeded
+    processedFiles: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // Failed run this run resumed
+    resumedFrom: String,
+    // Run that resumed this run
+    resumedBy: String,
+    // Run outcome
+    status: {
+      type: String,
+      required: true,
+      enum: ['running', 'success', 'failed'],
+      default: 'running',
+    },
+    // Per-step timings and counts
+    steps: [stepSchema],
+    // Records extracted from the source
+    recordsIn: {
+      type: Number,
+      default: 0,
+    },
+    // Records written to the destination
+    recordsOut: {
+      type: Number,
+      default: 0,
+    },
+    // Non-fatal problems encountered during the run
+    warnings: [String],
+    // Intermediate data record (see DataModel)
+    recordId: String,
+    // Error information
+    error: {
+      message: String,
+      step: String,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: Date,
+    // Run duration (in milliseconds)
+    durationMs: Number,
+  },
+  {
+    // Add timestamps (createdAt, updatedAt)
+    timestamps: true,
+  },
+);
+
+runSchema.index({ startedAt: -1 });
+runSchema.index({ 'pipeline.id': 1, startedAt: -1 });
+runSchema.index({ status: 1, startedAt: -1 });
+
+/**
+ * Run model for the ETL audit trail
+ */
+const RunModel = mongoose.model('Run', runSchema);
+
+module.exports = RunModel;
@@ -7,6 +7,28 @@ const { extract } = require('../handlers/extractHandler');
 const { transform } = require('../handlers/transformHandler');
 const { load } = require('../handlers/loadHandler');
 const { orchestrate } = require('../handlers/orchestratorHandler');
+const { submitOrchestrationJob, getJobStatus } = require('../handlers/jobHandler');
+const { listRuns, getRun, resumeRun } = require('../handlers/runHandler');
+const { listDeadLetters, replayDeadLetters } = require('../handlers/deadLetterHandler');
+const {
+  listCredentials,
+  getCredentialInfo,
+  createCredential,
+  deleteCredential,
+} = require('../handlers/credentialHandler');
+const {
+  listPipelines,
+  getPipeline,
+  createPipeline,
+  updatePipeline,
+  deletePipeline,
+  runPipeline,
+  stopPipeline,
+  resetPipelineWatermark,
+  listSchedules,
+  getPipelineSchedule,
+  listChangeStreams,
+} = require('../handlers/pipelineHandler');
 const { validateApiKey, limiter } = require('../middleware/auth');
 const { checkOllamaAvailability } = require('../utils/ollamaClient');
 const { catchAsync } = require('../utils/errorHandler');
@@ -74,10 +96,150 @@ router.post('/load', catchAsync(async (req, res) => {
   res.status(result.status).json(result.body);
 }));
 
-// Orchestrate endpoint
+// Orchestrate endpoint (?async=true runs it as a background job)
 router.post('/orchestrate', catchAsync(async (req, res) => {
   logger.info('Processing orchestrate request');
-  const result = await orchestrate({}, req);
+  const result = req.query.async === 'true'
+    ? await submitOrchestrationJob({}, req)
+    : await orchestrate({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Background job status endpoint
+router.get('/jobs/:id', catchAsync(async (req, res) => {
+  const result = await getJobStatus({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Run history endpoint (filters and pagination through query parameters)
+router.get('/runs', catchAsync(async (req, res) => {
+  const result = await listRuns({}, req);
+  res.set(result.headers || {});
+  res.status(result.status).json(result.body);
+}));
+
+// Run details endpoint
+router.get('/runs/:id', catchAsync(async (req, res) => {
+  const result = await getRun({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Resume a failed run from its failed step
+router.post('/runs/:id/resume', catchAsync(async (req, res) => {
+  logger.info(`Processing resume run request: ${req.params.id}`);
+  const result = await resumeRun({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Dead letter listing endpoint (filters and pagination through query parameters)
+router.get('/dead-letters', catchAsync(async (req, res) => {
+  const result = await listDeadLetters({}, req);
+  res.set(result.headers || {});
+  res.status(result.status).json(result.body);
+}));
+
+// Replay dead letters after the cause of the rejection was fixed
+router.post('/dead-letters/replay', catchAsync(async (req, res) => {
+  logger.info('Processing dead letter replay request');
+  const result = await replayDeadLetters({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// List stored credentials (never their values)
+router.get('/credentials', catchAsync(async (req, res) => {
+  const result = await listCredentials({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Store a credential or rotate its value
+router.post('/credentials', catchAsync(async (req, res) => {
+  logger.info('Processing save credential request');
+  const result = await createCredential({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Get the metadata of a credential
+router.get('/credentials/:name', catchAsync(async (req, res) => {
+  const result = await getCredentialInfo({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Delete a credential
+router.delete('/credentials/:name', catchAsync(async (req, res) => {
+  logger.info(`Processing delete credential request: ${req.params.name}`);
+  const result = await deleteCredential({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// List saved pipelines
+router.get('/pipelines', catchAsync(async (req, res) => {
+  const result = await listPipelines({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Create a pipeline
+router.post('/pipelines', catchAsync(async (req, res) => {
+  logger.info('Processing create pipeline request');
+  const result = await createPipeline({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Get a pipeline
+router.get('/pipelines/:id', catchAsync(async (req, res) => {
+  const result = await getPipeline({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Update a pipeline
+router.put('/pipelines/:id', catchAsync(async (req, res) => {
+  logger.info(`Processing update pipeline request: ${req.params.id}`);
+  const result = await updatePipeline({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Delete a pipeline
+router.delete('/pipelines/:id', catchAsync(async (req, res) => {
+  logger.info(`Processing delete pipeline request: ${req.params.id}`);
+  const result = await deletePipeline({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Run a saved pipeline
+router.post('/pipelines/:id/run', catchAsync(async (req, res) => {
+  logger.info(`Processing run pipeline request: ${req.params.id}`);
+  const result = await runPipeline({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Stop the change stream of a pipeline
+router.post('/pipelines/:id/stop', catchAsync(async (req, res) => {
+  logger.info(`Processing stop pipeline request: ${req.params.id}`);
+  const result = await stopPipeline({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Get the schedule of a pipeline
+router.get('/pipelines/:id/schedule', catchAsync(async (req, res) => {
+  const result = await getPipelineSchedule({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// Reset the watermark of an incremental pipeline
+router.delete('/pipelines/:id/watermark', catchAsync(async (req, res) => {
+  logger.info(`Processing reset pipeline watermark request: ${req.params.id}`);
+  const result = await resetPipelineWatermark({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// List scheduled pipelines with next/last fire times
+router.get('/schedules', catchAsync(async (req, res) => {
+  const result = await listSchedules({}, req);
+  res.status(result.status).json(result.body);
+}));
+
+// List change stream pipelines with their progress
+router.get('/streams', catchAsync(async (req, res) => {
+  const result = await listChangeStreams({}, req);
   res.status(result.status).json(result.body);
 }));
 
@@ -112,6 +274,27 @@ router.use('*', (req, res) => {
       'POST /transform',
       'POST /load',
       'POST /orchestrate',
+      'GET /jobs/:id',
+      'GET /runs',
+      'GET /runs/:id',
+      'POST /runs/:id/resume',
+      'GET /dead-letters',
+      'POST /dead-letters/replay',
+      'GET /credentials',
+      'POST /credentials',
+      'GET /credentials/:name',
+      'DELETE /credentials/:name',
+      'GET /pipelines',
+      'POST /pipelines',
+      'GET /pipelines/:id',
+      'PUT /pipelines/:id',
+      'DELETE /pipelines/:id',
+      'POST /pipelines/:id/run',
+      'POST /pipelines/:id/stop',
+      'GET /pipelines/:id/schedule',
+      'DELETE /pipelines/:id/watermark',
+      'GET /schedules',
+      'GET /streams',
     ],
   });
 });
@@ -6,10 +6,14 @@ const cors = require('cors');
 const path = require('path');
 const logger = require('./utils/logger');
 const routes = require('./routes');
-const { validateConfig } = require('./config/config');
+const { config, validateConfig } = require('./config/config');
 const { connectToDatabase } = require('./utils/db');
 const { formatErrorResponse } = require('./utils/errorHandler');
 const { checkOllamaAvailability } = require('./utils/ollamaClient');
+const { startPipelineScheduler } = require('./handlers/pipelineHandler');
+const { stopScheduler } = require('./utils/scheduler');
+const { stopChangeStreams } = require('./utils/changeStreams');
+const { closeSqlDbs } = require('./utils/sqlDb');
 
 // Load environment variables
 require('dotenv').config();
@@ -75,6 +79,10 @@ async function startServer() {
       try {
         await connectToDatabase();
         logger.info('Connected to MongoDB');
+
+        if (config.scheduler.enabled) {
+          await startPipelineScheduler();
+        }
       } catch (dbError) {
         logger.error(`Failed to connect to MongoDB: ${dbError.message}`);
         logger.info('Continuing without database connection...');
@@ -104,6 +112,22 @@ async function startServer() {
       logger.info('  POST /transform');
       logger.info('  POST /load');
       logger.info('  POST /orchestrate');
+      logger.info('  GET /jobs/:id');
+      logger.info('  GET /runs');
+      logger.info('  GET /runs/:id');
+      logger.info('  POST /runs/:id/resume');
+      logger.info('  GET /dead-letters');
+      logger.info('  POST /dead-letters/replay');
+      logger.info('  GET|POST /credentials');
+      logger.info('  GET|DELETE /credentials/:name');
+      logger.info('  GET|POST /pipelines');
+      logger.info('  GET|PUT|DELETE /pipelines/:id');
+      logger.info('  POST /pipelines/:id/run');
+      logger.info('  POST /pipelines/:id/stop');
+      logger.info('  GET /pipelines/:id/schedule');
+      logger.info('  DELETE /pipelines/:id/watermark');
+      logger.info('  GET /schedules');
+      logger.info('  GET /streams');
     });
 
   } catch (error) {
@@ -120,13 +144,21 @@ if (require.main === module) {
 }
 
 // Enable graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  stopScheduler();
+  // Let the change streams load their current batch and save its resume token
+  await stopChangeStreams();
+  await closeSqlDbs();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  stopScheduler();
+  // Let the change streams load their current batch and save its resume token
+  await stopChangeStreams();
+  await closeSqlDbs();
   process.exit(0);
 });
 
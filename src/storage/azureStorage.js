@@ -0,0 +1,135 @@
+/**
+ * Azure Blob Storage Provider
+ * Object storage provider backed by an Azure Storage account
+ */
+const { BlobServiceClient } = require('@azure/storage-blob');
+const { AppError } = require('../utils/errorHandler');
+const { config } = require('../config/config');
+
+// Block size and parallel block uploads of streamed blobs
+const STREAM_BUFFER_SIZE = 4 * 1024 * 1024;
+const STREAM_MAX_CONCURRENCY = 5;
+
+/**
+ * Create an Azure Blob Storage provider
+ * @param {Object} [connection] - Connection settings ({ connectionString }, or the connection string itself)
+ * @returns {Object} Storage provider
+ */
+function createAzureStorage(connection = {}) {
+  const connectionString = typeof connection === 'string'
+    ? connection
+    : connection.connectionString || config.azureStorage.connectionString;
+
+  if (!connectionString) {
+    throw new AppError('Azure Storage connection string is not configured', 500);
+  }
+
+  const client = BlobServiceClient.fromConnectionString(connectionString);
+
+  return {
+    provider: 'azure',
+    defaultContainer: config.azureStorage.containerName,
+
+    /**
+     * Create a container if it does not exist
+     * @param {string} containerName - Container name
+     * @returns {Promise<void>}
+     */
+    ensureContainer: async containerName => {
+      await client.getContainerClient(containerName).createIfNotExists();
+    },
+
+    /**
+     * Download a blob
+     * @param {string} containerName - Container name
+     * @param {string} blobName - Blob name
+     * @returns {Promise<Object>} { body (readable stream), contentType, contentLength }
+     */
+    download: async (containerName, blobName) => {
+      try {
+        const response = await client.getContainerClient(containerName).getBlobClient(blobName).download();
+        return {
+          body: response.readableStreamBody,
+          contentType: response.contentType,
+          contentLength: response.contentLength,
+        };
+      } catch (error) {
+        if (error.statusCode === 404) {
+          throw new AppError(`Blob not found: ${containerName}/${blobName}`, 404);
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Upload content to a blob
+     * @param {string} containerName - Container name
+     * @param {string} blobName - Blob name
+     * @param {string|Buffer} content - Content
+     * @param {Object} [options] - Upload options ({ contentType })
+     * @returns {Promise<Object>} { etag, url }
+     */
+    upload: async (containerName, blobName, content, { contentType } = {}) => {
+      const blobClient = client.getContainerClient(containerName).getBlockBlobClient(blobName);
+      const response = await blobClient.upload(content, Buffer.byteLength(content), {
+        blobHTTPHeaders: { blobContentType: contentType },
+      });
+      return { etag: response.etag, url: blobClient.url };
+    },
+
+    /**
+     * Upload a stream to a blob in blocks
+     * @param {string} containerName - Container name
+     * @param {string} blobName - Blob name
+     * @param {Readable} stream - Content stream
+     * @param {Object} [options] - Upload options ({ contentType })
+     * @returns {Promise<Object>} { etag, url }
+     */
+    uploadStream: async (containerName, blobName, stream, { contentType } = {}) => {
+      const blobClient = client.getContainerClient(containerName).getBlockBlobClient(blobName);
+      const response = await blobClient.uploadStream(stream, STREAM_BUFFER_SIZE, STREAM_MAX_CONCURRENCY, {
+        blobHTTPHeaders: { blobContentType: contentType },
+      });
+      return { etag: response.etag, url: blobClient.url };
+    },
+
+    /**
+     * List the blobs of a container
+     * @param {string} containerName - Container name
+     * @param {Object} [options] - List options ({ prefix })
+     * @returns {Promise<Array<Object>>} Blobs ({ name, size, lastModified, etag }), none if the container does not exist
+     */
+    list: async (containerName, { prefix } = {}) => {
+      const containerClient = client.getContainerClient(containerName);
+      if (!(await containerClient.exists())) {
+        return [];
+      }
+
+      const blobs = [];
+      for await (const blob of containerClient.listBlobsFlat({ prefix })) {
+        blobs.push({
+          name: blob.name,
+          size: blob.properties.contentLength,
+          lastModified: blob.properties.lastModified,
+          etag: blob.properties.etag,
+        });
+      }
+      return blobs;
+    },
+
+    /**
+     * Delete a blob
+     * @param {string} containerName - Container name
+     * @param {string} blobName - Blob name
+     * @returns {Promise<boolean>} True if the blob existed
+     */
+    delete: async (containerName, blobName) => {
+      const response = await client.getContainerClient(containerName).getBlobClient(blobName).deleteIfExists();
+      return response.succeeded;
+    },
+  };
+}
+
+module.exports = {
+  createAzureStorage,
+};
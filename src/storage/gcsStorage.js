@@ -0,0 +1,155 @@
+/**
+ * Google Cloud Storage Provider
+ * Object storage provider for Google Cloud Storage buckets (and GCS emulators)
+ */
+const { pipeline } = require('stream/promises');
+const { Storage } = require('@google-cloud/storage');
+const { AppError } = require('../utils/errorHandler');
+const { config } = require('../config/config');
+
+/**
+ * Create a Google Cloud Storage provider
+ * @param {Object} [connection] - Connection settings, defaulting to the GCS_* environment variables
+ * @param {string} [connection.projectId] - Project ID
+ * @param {string} [connection.keyFilename] - Service account key file (Application Default Credentials without one)
+ * @param {Object} [connection.credentials] - Service account key ({ client_email, private_key })
+ * @param {string} [connection.apiEndpoint] - API endpoint of an emulator (e.g. http://localhost:4443),
+ *   used with the key of the connection only: the key of the environment is never sent to it
+ * @returns {Object} Storage provider
+ */
+function createGcsStorage(connection = {}) {
+  const settings = { ...config.gcs, ...connection };
+  const { projectId, apiEndpoint, bucket: defaultBucket } = settings;
+
+  // The service account of the environment is only used with the endpoint of the environment:
+  // a connection with its own endpoint authenticates with its own key, or as an emulator client
+  const ownEndpoint = connection.apiEndpoint !== undefined && connection.apiEndpoint !== config.gcs.apiEndpoint;
+  const { keyFilename, credentials } = ownEndpoint ? connection : settings;
+
+  const storage = new Storage({
+    projectId,
+    keyFilename,
+    credentials,
+    apiEndpoint,
+    // Emulators accept any token
+    ...(apiEndpoint && !keyFilename && !credentials ? { token: 'emulator' } : {}),
+  });
+
+  return {
+    provider: 'gcs',
+    defaultContainer: defaultBucket,
+
+    /**
+     * Create a bucket if it does not exist
+     * @param {string} bucketName - Bucket name
+     * @returns {Promise<void>}
+     */
+    ensureContainer: async bucketName => {
+      const [exists] = await storage.bucket(bucketName).exists();
+      if (!exists) {
+        await storage.createBucket(bucketName);
+      }
+    },
+
+    /**
+     * Download an object
+     * @param {string} bucketName - Bucket name
+     * @param {string} name - Object name
+     * @returns {Promise<Object>} { body (readable stream), contentType, contentLength }
+     */
+    download: async (bucketName, name) => {
+      const file = storage.bucket(bucketName).file(name);
+
+      let metadata;
+      try {
+        [metadata] = await file.getMetadata();
+      } catch (error) {
+        if (error.code === 404) {
+          throw new AppError(`Blob not found: ${bucketName}/${name}`, 404);
+        }
+        throw error;
+      }
+
+      return {
+        body: file.createReadStream(),
+        contentType: metadata.contentType,
+        contentLength: Number(metadata.size),
+      };
+    },
+
+    /**
+     * Upload content to an object
+     * @param {string} bucketName - Bucket name
+     * @param {string} name - Object name
+     * @param {string|Buffer} content - Content
+     * @param {Object} [options] - Upload options ({ contentType })
+     * @returns {Promise<Object>} { etag, url }
+     */
+    upload: async (bucketName, name, content, { contentType } = {}) => {
+      const file = storage.bucket(bucketName).file(name);
+      await file.save(content, { contentType, resumable: false });
+      return { etag: file.metadata.etag, url: file.publicUrl() };
+    },
+
+    /**
+     * Upload a stream to an object (resumable upload)
+     * @param {string} bucketName - Bucket name
+     * @param {string} name - Object name
+     * @param {Readable} stream - Content stream
+     * @param {Object} [options] - Upload options ({ contentType })
+     * @returns {Promise<Object>} { etag, url }
+     */
+    uploadStream: async (bucketName, name, stream, { contentType } = {}) => {
+      const file = storage.bucket(bucketName).file(name);
+      await pipeline(stream, file.createWriteStream({ contentType }));
+      return { etag: file.metadata.etag, url: file.publicUrl() };
+    },
+
+    /**
+     * List the objects of a bucket
+     * @param {string} bucketName - Bucket name
+     * @param {Object} [options] - List options ({ prefix })
+     * @returns {Promise<Array<Object>>} Objects ({ name, size, lastModified, etag }), none if the bucket does not exist
+     */
+    list: async (bucketName, { prefix } = {}) => {
+      let files;
+      try {
+        [files] = await storage.bucket(bucketName).getFiles({ prefix: prefix || undefined });
+      } catch (error) {
+        if (error.code === 404) {
+          return [];
+        }
+        throw error;
+      }
+
+      return files.map(file => ({
+        name: file.name,
+        size: Number(file.metadata.size),
+        lastModified: file.metadata.updated ? new Date(file.metadata.updated) : undefined,
+        etag: file.metadata.etag,
+      }));
+    },
+
+    /**
+     * Delete an object
+     * @param {string} bucketName - Bucket name
+     * @param {string} name - Object name
+     * @returns {Promise<boolean>} True if the object existed
+     */
+    delete: async (bucketName, name) => {
+      try {
+        await storage.bucket(bucketName).file(name).delete();
+        return true;
+      } catch (error) {
+        if (error.code === 404) {
+          return false;
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createGcsStorage,
+};
@@ -0,0 +1,85 @@
+/**
+ * Object Storage
+ * Pluggable object storage behind blob sources and destinations: the `provider` field of a
+ * source or destination selects Azure Blob Storage, S3-compatible storage or Google Cloud Storage.
+ *
+ * Providers are created from `(connection)` and implement:
+ * - ensureContainer(container)
+ * - download(container, name) -> { body, contentType, contentLength }
+ * - upload(container, name, content, { contentType }) -> { etag, url }
+ * - uploadStream(container, name, stream, { contentType }) -> { etag, url }
+ * - list(container, { prefix }) -> [{ name, size, lastModified, etag }]
+ * - delete(container, name) -> boolean
+ */
+const { AppError } = require('../utils/errorHandler');
+const { config } = require('../config/config');
+const { createAzureStorage } = require('./azureStorage');
+const { createS3Storage } = require('./s3Storage');
+const { createGcsStorage } = require('./gcsStorage');
+
+// Storage provider factories by provider name
+const providers = {
+  azure: createAzureStorage,
+  s3: createS3Storage,
+  gcs: createGcsStorage,
+};
+
+// Provider instances by provider and connection settings
+const storages = new Map();
+
+/**
+ * Register a storage provider
+ * @param {string} name - Provider name, as used in the `provider` field
+ * @param {Function} create - Factory creating the provider from connection settings
+ */
+function registerStorageProvider(name, create) {
+  providers[name] = create;
+  for (const key of storages.keys()) {
+    if (JSON.parse(key)[0] === name) {
+      storages.delete(key);
+    }
+  }
+}
+
+/**
+ * Get the storage provider of a blob source or destination
+ * @param {Object} [options] - Source or destination configuration
+ * @param {string} [options.provider] - azure, s3 or gcs (defaults to STORAGE_PROVIDER)
+ * @param {Object|string} [options.connection] - Provider connection settings (defaults to the environment)
+ * @returns {Object} Storage provider
+ */
+function getStorage({ provider = config.storage.provider, connection } = {}) {
+  const name = String(provider).toLowerCase();
+  const create = providers[name];
+
+  if (!create) {
+    throw new AppError(`Unsupported storage provider: ${provider} (expected ${Object.keys(providers).join(', ')})`, 400);
+  }
+
+  const key = JSON.stringify([name, connection || null]);
+  if (!storages.has(key)) {
+    storages.set(key, create(connection));
+  }
+
+  return storages.get(key);
+}
+
+/**
+ * Get the container (bucket) and blob (object key) a source or destination refers to
+ * @param {Object} options - Source or destination configuration
+ *   ({ containerName, blobName }, or their aliases { bucket, key })
+ * @param {Object} storage - Storage provider
+ * @returns {Object} { containerName, blobName }
+ */
+function getObjectLocation(options, storage) {
+  return {
+    containerName: options.containerName || options.bucket || storage.defaultContainer,
+    blobName: options.blobName || options.key,
+  };
+}
+
+module.exports = {
+  getStorage,
+  getObjectLocation,
+  registerStorageProvider,
+};
@@ -0,0 +1,226 @@
+/**
+ * S3 Storage Provider
+ * Object storage provider for Amazon S3 and S3-compatible services (MinIO, Ceph, R2, ...)
+ */
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  HeadBucketCommand,
+  CreateBucketCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { AppError } = require('../utils/errorHandler');
+const { config } = require('../config/config');
+
+// Part size and parallel part uploads of streamed objects
+const STREAM_PART_SIZE = 5 * 1024 * 1024;
+const STREAM_QUEUE_SIZE = 5;
+
+/**
+ * Check whether an S3 error means the bucket or object does not exist
+ * @param {Error} error - S3 error
+ * @returns {boolean} True for 404 errors
+ */
+function isNotFound(error) {
+  return error.$metadata?.httpStatusCode === 404 || ['NotFound', 'NoSuchKey', 'NoSuchBucket'].includes(error.name);
+}
+
+/**
+ * Create an S3 storage provider
+ * @param {Object} [connection] - Connection settings, defaulting to the S3_* environment variables
+ * @param {string} [connection.endpoint] - Endpoint of an S3-compatible service (e.g. http://localhost:9000 for MinIO),
+ *   which needs the keys of the connection: the keys of the environment are never sent to it
+ * @param {string} [connection.region] - Region
+ * @param {string} [connection.accessKeyId] - Access key (the AWS default credential chain is used without one)
+ * @param {string} [connection.secretAccessKey] - Secret key
+ * @param {string} [connection.sessionToken] - Session token of temporary credentials
+ * @param {boolean} [connection.forcePathStyle] - Address buckets in the path (default with a custom endpoint)
+ * @returns {Object} Storage provider
+ */
+function createS3Storage(connection = {}) {
+  const settings = { ...config.s3, ...connection };
+  const { endpoint, region } = settings;
+
+  // The credentials of the environment (or of the AWS default chain) are only sent to the endpoint
+  // of the environment, never to an endpoint chosen by a request
+  const ownEndpoint = connection.endpoint !== undefined && connection.endpoint !== config.s3.endpoint;
+  if (ownEndpoint && !connection.accessKeyId) {
+    throw new AppError('An S3 connection with its own endpoint needs its own accessKeyId and secretAccessKey', 400);
+  }
+  const { accessKeyId, secretAccessKey, sessionToken } = ownEndpoint ? connection : settings;
+  const forcePathStyle = settings.forcePathStyle ?? Boolean(endpoint);
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey, sessionToken } : undefined,
+  });
+
+  /**
+   * Get the URL of an object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {string} Object URL
+   */
+  const getUrl = (bucket, key) => {
+    const path = key.split('/').map(encodeURIComponent).join('/');
+    if (endpoint) {
+      const base = endpoint.replace(/\/+$/, '');
+      return forcePathStyle ? `${base}/${bucket}/${path}` : base.replace('://', `://${bucket}.`) + `/${path}`;
+    }
+    return `https://${bucket}.s3.${region}.amazonaws.com/${path}`;
+  };
+
+  return {
+    provider: 's3',
+    defaultContainer: settings.bucket,
+
+    /**
+     * Create a bucket if it does not exist
+     * @param {string} bucket - Bucket name
+     * @returns {Promise<void>}
+     */
+    ensureContainer: async bucket => {
+      try {
+        await client.send(new HeadBucketCommand({ Bucket: bucket }));
+      } catch (error) {
+        if (!isNotFound(error)) {
+          throw error;
+        }
+        try {
+          await client.send(new CreateBucketCommand({ Bucket: bucket }));
+        } catch (createError) {
+          if (createError.name !== 'BucketAlreadyOwnedByYou') {
+            throw createError;
+          }
+        }
+      }
+    },
+
+    /**
+     * Download an object
+     * @param {string} bucket - Bucket name
+     * @param {string} key - Object key
+     * @returns {Promise<Object>} { body (readable stream), contentType, contentLength }
+     */
+    download: async (bucket, key) => {
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return {
+          body: response.Body,
+          contentType: response.ContentType,
+          contentLength: response.ContentLength,
+        };
+      } catch (error) {
+        if (isNotFound(error)) {
+          throw new AppError(`Blob not found: ${bucket}/${key}`, 404);
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Upload content to an object
+     * @param {string} bucket - Bucket name
+     * @param {string} key - Object key
+     * @param {string|Buffer} content - Content
+     * @param {Object} [options] - Upload options ({ contentType })
+     * @returns {Promise<Object>} { etag, url }
+     */
+    upload: async (bucket, key, content, { contentType } = {}) => {
+      const response = await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: content,
+        ContentType: contentType,
+      }));
+      return { etag: response.ETag, url: getUrl(bucket, key) };
+    },
+
+    /**
+     * Upload a stream to an object in parts (multipart upload)
+     * @param {string} bucket - Bucket name
+     * @param {string} key - Object key
+     * @param {Readable} stream - Content stream
+     * @param {Object} [options] - Upload options ({ contentType })
+     * @returns {Promise<Object>} { etag, url }
+     */
+    uploadStream: async (bucket, key, stream, { contentType } = {}) => {
+      const upload = new Upload({
+        client,
+        params: { Bucket: bucket, Key: key, Body: stream, ContentType: contentType },
+        partSize: STREAM_PART_SIZE,
+        queueSize: STREAM_QUEUE_SIZE,
+      });
+      const response = await upload.done();
+      return { etag: response.ETag, url: getUrl(bucket, key) };
+    },
+
+    /**
+     * List the objects of a bucket
+     * @param {string} bucket - Bucket name
+     * @param {Object} [options] - List options ({ prefix })
+     * @returns {Promise<Array<Object>>} Objects ({ name, size, lastModified, etag }), none if the bucket does not exist
+     */
+    list: async (bucket, { prefix } = {}) => {
+      const objects = [];
+      let continuationToken;
+
+      try {
+        do {
+          const response = await client.send(new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix || undefined,
+            ContinuationToken: continuationToken,
+          }));
+
+          for (const object of response.Contents || []) {
+            objects.push({
+              name: object.Key,
+              size: object.Size,
+              lastModified: object.LastModified,
+              etag: object.ETag,
+            });
+          }
+          continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+      } catch (error) {
+        if (isNotFound(error)) {
+          return [];
+        }
+        throw error;
+      }
+
+      return objects;
+    },
+
+    /**
+     * Delete an object
+     * @param {string} bucket - Bucket name
+     * @param {string} key - Object key
+     * @returns {Promise<boolean>} True if the object existed
+     */
+    delete: async (bucket, key) => {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      } catch (error) {
+        if (isNotFound(error)) {
+          return false;
+        }
+        throw error;
+      }
+
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    },
+  };
+}
+
+module.exports = {
+  createS3Storage,
+};
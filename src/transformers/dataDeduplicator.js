@@ -0,0 +1,247 @@
+/**
+ * Data Deduplicator
+ * Removes duplicate records: records with the same composite key and, optionally, records whose
+ * text fields are similar enough (fuzzy matching). One record of each group of duplicates is kept.
+ */
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const { SIMILARITY_METHODS } = require('../utils/textSimilarity');
+const { isPlainObject, parseFieldPath, readPath } = require('./dataMapper');
+
+const KEEP_MODES = ['first', 'last', 'mostComplete'];
+const DEFAULT_THRESHOLD = 0.85;
+// Groups listed in the report, the counts cover all of them
+const MAX_REPORTED_GROUPS = 100;
+
+/**
+ * Check a list of field paths
+ * @param {any} paths - Paths
+ * @param {string} name - Option name, for errors
+ * @returns {Array<Object>} { path, steps }
+ */
+function parsePaths(paths, name) {
+  if (!Array.isArray(paths) || paths.length === 0 || paths.some(path => typeof path !== 'string')) {
+    throw new AppError(`dedupe.${name} must be a list of field paths`, 400);
+  }
+  return paths.map(path => ({ path, steps: parseFieldPath(path) }));
+}
+
+/**
+ * Check the deduplication options
+ * @param {Object} options - Deduplication options
+ * @returns {Object} Parsed options ({ keys, keep, fuzzy } with parsed paths)
+ */
+function parseDedupeOptions(options) {
+  if (!isPlainObject(options)) {
+    throw new AppError('dedupe must be an object of deduplication options', 400);
+  }
+
+  const { keys, keep = 'first', fuzzy } = options;
+
+  if (keys === undefined && fuzzy === undefined) {
+    throw new AppError('dedupe needs keys, fuzzy or both', 400);
+  }
+  if (!KEEP_MODES.includes(keep)) {
+    throw new AppError(`dedupe.keep must be one of ${KEEP_MODES.join(', ')}`, 400);
+  }
+
+  let fuzzyOptions = null;
+  if (fuzzy !== undefined) {
+    if (!isPlainObject(fuzzy)) {
+      throw new AppError('dedupe.fuzzy must be an object ({ fields, method, threshold })', 400);
+    }
+    const { fields, method = 'levenshtein', threshold = DEFAULT_THRESHOLD } = fuzzy;
+    if (!Object.hasOwn(SIMILARITY_METHODS, method)) {
+      throw new AppError(`dedupe.fuzzy.method must be one of ${Object.keys(SIMILARITY_METHODS).join(', ')}`, 400);
+    }
+    if (typeof threshold !== 'number' || !(threshold > 0 && threshold <= 1)) {
+      throw new AppError('dedupe.fuzzy.threshold must be a number above 0 and up to 1', 400);
+    }
+    fuzzyOptions = { fields: parsePaths(fields, 'fuzzy.fields'), similarity: SIMILARITY_METHODS[method], threshold };
+  }
+
+  return {
+    keys: keys === undefined ? [] : parsePaths(keys, 'keys'),
+    keep,
+    fuzzy: fuzzyOptions,
+  };
+}
+
+/**
+ * Read fields of a record
+ * @param {any} record - Record
+ * @param {Array<Object>} fields - Parsed paths
+ * @returns {Object} Values by path (missing fields are null)
+ */
+function readFields(record, fields) {
+  return Object.fromEntries(fields.map(({ path, steps }) => {
+    const { found, value } = readPath(record, steps);
+    return [path, found && value !== undefined ? value : null];
+  }));
+}
+
+/**
+ * Get the composite key of a record
+ * @param {any} record - Record
+ * @param {Array<Object>} keys - Parsed key paths
+ * @returns {string|null} Key, or null when a key field is missing, null or empty (never a duplicate)
+ */
+function getRecordKey(record, keys) {
+  if (keys.length === 0) {
+    return '';
+  }
+  const values = Object.values(readFields(record, keys));
+  if (values.some(value => value === null || value === '')) {
+    return null;
+  }
+  return JSON.stringify(values);
+}
+
+/**
+ * Similarity of two records on the fuzzy fields: the lowest similarity of the fields
+ * @param {any} a - First record
+ * @param {any} b - Second record
+ * @param {Object} fuzzy - Parsed fuzzy options
+ * @returns {number} Similarity
+ */
+function recordSimilarity(a, b, fuzzy) {
+  return fuzzy.fields.reduce(
+    (lowest, { steps }) => Math.min(lowest, fuzzy.similarity(readPath(a, steps).value, readPath(b, steps).value)),
+    1,
+  );
+}
+
+/**
+ * Count the filled fields of a value (fields that are not null, empty text or empty lists or objects)
+ * @param {any} value - Value
+ * @returns {number} Filled fields
+ */
+function countFilledFields(value) {
+  if (value === null || value === undefined || value === '') {
+    return 0;
+  }
+  if (typeof value !== 'object') {
+    return 1;
+  }
+  return Object.values(value).reduce((count, field) => count + countFilledFields(field), 0);
+}
+
+/**
+ * Choose the record to keep in a group of duplicates
+ * @param {Array<number>} members - Indexes of the records of the group, in order
+ * @param {Array} records - Records
+ * @param {string} keep - first, last or mostComplete (the first of the most complete records)
+ * @returns {number} Index of the kept record
+ */
+function chooseKept(members, records, keep) {
+  if (keep === 'first') {
+    return members[0];
+  }
+  if (keep === 'last') {
+    return members[members.length - 1];
+  }
+  return members.reduce((best, index) => (
+    countFilledFields(records[index]) > countFilledFields(records[best]) ? index : best
+  ));
+}
+
+/**
+ * Group the duplicate records. Records are compared with the first record of each group with the same
+ * key, and join the first group they are similar enough to.
+ * @param {Array} records - Records
+ * @param {Object} dedupe - Parsed options
+ * @returns {Array<Object>} Groups ({ members, similarity }) in the order of their first record
+ */
+function groupRecords(records, dedupe) {
+  const groups = [];
+  const groupsByKey = new Map();
+
+  records.forEach((record, index) => {
+    const key = getRecordKey(record, dedupe.keys);
+    if (key === null) {
+      groups.push({ members: [index], similarity: 1 });
+      return;
+    }
+
+    const candidates = groupsByKey.get(key) || [];
+    let group;
+    let similarity = 1;
+    if (!dedupe.fuzzy) {
+      [group] = candidates;
+    } else {
+      group = candidates.find(candidate => {
+        similarity = recordSimilarity(records[candidate.members[0]], record, dedupe.fuzzy);
+        return similarity >= dedupe.fuzzy.threshold;
+      });
+    }
+
+    if (group) {
+      group.members.push(index);
+      group.similarity = Math.min(group.similarity, similarity);
+      return;
+    }
+
+    group = { members: [index], similarity: 1 };
+    groups.push(group);
+    groupsByKey.set(key, [...candidates, group]);
+  });
+
+  return groups;
+}
+
+/**
+ * Remove duplicate records
+ * @param {Object|Array} data - The data to deduplicate (one object is returned as it is)
+ * @param {Object} options - Deduplication options
+ * @param {Array<string>} [options.keys] - Field paths of the composite key ("email", "address.zip");
+ *   records with a missing, null or empty key field are never duplicates
+ * @param {string} [options.keep] - first (default), last or mostComplete (most filled fields)
+ * @param {Object} [options.fuzzy] - Fuzzy matching of text fields, among the records with the same key
+ * @param {Array<string>} options.fuzzy.fields - Field paths compared; every field must reach the threshold
+ * @param {string} [options.fuzzy.method] - levenshtein (default, normalized edit distance) or token
+ *   (shared words, ignoring word order)
+ * @param {number} [options.fuzzy.threshold] - Minimum similarity, from 0 to 1 (default 0.85)
+ * @returns {Object} { data, duplicateCount, groupCount, groups } where groups reports the groups of
+ *   duplicates ({ key, kept, removed, similarity }, record indexes, the first 100 groups)
+ */
+function dedupeData(data, options) {
+  const dedupe = parseDedupeOptions(options);
+
+  if (!Array.isArray(data)) {
+    return { data, duplicateCount: 0, groupCount: 0, groups: [] };
+  }
+
+  logger.info(`Removing duplicates of ${data.length} records...`);
+
+  const duplicateGroups = groupRecords(data, dedupe).filter(({ members }) => members.length > 1);
+  const removed = new Set();
+  const groups = duplicateGroups.map(({ members, similarity }) => {
+    const kept = chooseKept(members, data, dedupe.keep);
+    const duplicates = members.filter(index => index !== kept);
+    duplicates.forEach(index => removed.add(index));
+
+    const group = {
+      key: readFields(data[kept], [...dedupe.keys, ...(dedupe.fuzzy?.fields || [])]),
+      kept,
+      removed: duplicates,
+    };
+    if (dedupe.fuzzy) {
+      group.similarity = Math.round(similarity * 1000) / 1000;
+    }
+    return group;
+  });
+
+  logger.info(`Deduplication completed: ${removed.size} duplicates removed in ${groups.length} groups`);
+
+  return {
+    data: data.filter((_, index) => !removed.has(index)),
+    duplicateCount: removed.size,
+    groupCount: groups.length,
+    groups: groups.slice(0, MAX_REPORTED_GROUPS),
+  };
+}
+
+module.exports = {
+  dedupeData,
+  MAX_REPORTED_GROUPS,
+};
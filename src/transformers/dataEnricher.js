@@ -5,9 +5,10 @@ const { enrichData: enrichWithLLM } = require('../utils/ollamaClient');
  * Enrich data with additional information using GenAI
  * @param {Object|Array} data - The data to enrich
  * @param {Object} options - Enrichment options
+ * @param {Object} [stats] - Accumulates the number of LLM request attempts (stats.attempts)
  * @returns {Promise<Object|Array>} The enriched data
  */
-async function enrichData(data, options = {}) {
+async function enrichData(data, options = {}, stats = {}) {
   try {
     logger.info('Enriching data using GenAI...');
     
@@ -33,7 +34,7 @@ async function enrichData(data, options = {}) {
         logger.info(`Processing batch ${i + 1} of ${batches.length}...`);
         
         // Process items in parallel
-        const batchPromises = batches[i].map(item => processItem(item, fields, instruction));
+        const batchPromises = batches[i].map(item => processItem(item, fields, instruction, stats));
         const batchResults = await Promise.all(batchPromises);
         
         enrichedData.push(...batchResults);
@@ -44,7 +45,7 @@ async function enrichData(data, options = {}) {
     } 
     // Process a single item
     else if (typeof data === 'object' && data !== null) {
-      const result = await processItem(data, fields, instruction);
+      const result = await processItem(data, fields, instruction, stats);
       logger.info('Successfully enriched data');
       return result;
     }
@@ -63,9 +64,10 @@ async function enrichData(data, options = {}) {
  * @param {Object} item - The item to enrich
  * @param {Array<string>} fields - The fields to include in enrichment
  * @param {string} instruction - The enrichment instruction
+ * @param {Object} [stats] - Accumulates the number of LLM request attempts (stats.attempts)
  * @returns {Promise<Object>} The enriched item
  */
-async function processItem(item, fields, instruction) {
+async function processItem(item, fields, instruction, stats) {
   try {
     // Create a subset of the item with only the specified fields
     const subset = fields
@@ -78,7 +80,7 @@ async function processItem(item, fields, instruction) {
       : item;
     
     // Enrich the subset
-    const enrichedSubset = await enrichWithLLM(subset, instruction);
+    const enrichedSubset = await enrichWithLLM(subset, instruction, { stats });
     
     // Merge the enriched subset with the original item
     return { ...item, ...enrichedSubset };
@@ -93,9 +95,10 @@ async function processItem(item, fields, instruction) {
  * @param {Object|Array} data - The data to summarize
  * @param {Array<string>} textFields - The fields to summarize
  * @param {number} maxLength - Maximum summary length
+ * @param {Object} [stats] - Accumulates the number of LLM request attempts (stats.attempts)
  * @returns {Promise<Object|Array>} The data with summaries
  */
-async function generateSummaries(data, textFields, maxLength = 100) {
+async function generateSummaries(data, textFields, maxLength = 100, stats = {}) {
   try {
     logger.info('Generating summaries...');
     
@@ -113,7 +116,7 @@ async function generateSummaries(data, textFields, maxLength = 100) {
           
           for (const field of textFields) {
             if (field in item && typeof item[field] === 'string' && item[field].length > maxLength) {
-              const summary = await enrichWithLLM({ text: item[field] }, instruction);
+              const summary = await enrichWithLLM({ text: item[field] }, instruction, { stats });
               result[`${field}_summary`] = summary.summary || summary.text || item[field];
             }
           }
@@ -129,7 +132,7 @@ async function generateSummaries(data, textFields, maxLength = 100) {
       
       for (const field of textFields) {
         if (field in data && typeof data[field] === 'string' && data[field].length > maxLength) {
-          const summary = await enrichWithLLM({ text: data[field] }, instruction);
+          const summary = await enrichWithLLM({ text: data[field] }, instruction, { stats });
           result[`${field}_summary`] = summary.summary || summary.text || data[field];
         }
       }
@@ -150,9 +153,10 @@ async function generateSummaries(data, textFields, maxLength = 100) {
  * @param {Object|Array} data - The data to categorize
  * @param {Array<string>} categories - The categories to assign
  * @param {string} textField - The field to use for categorization
+ * @param {Object} [stats] - Accumulates the number of LLM request attempts (stats.attempts)
  * @returns {Promise<Object|Array>} The categorized data
  */
-async function categorizeData(data, categories, textField) {
+async function categorizeData(data, categories, textField, stats = {}) {
   try {
     logger.info('Categorizing data...');
     
@@ -174,7 +178,7 @@ async function categorizeData(data, categories, textField) {
         data.map(async item => {
           if (textField in item && typeof item[textField] === 'string') {
             const result = { ...item };
-            const categorization = await enrichWithLLM({ text: item[textField] }, instruction);
+            const categorization = await enrichWithLLM({ text: item[textField] }, instruction, { stats });
             
             // The model should return just the category name
             let category = categorization;
@@ -201,7 +205,7 @@ async function categorizeData(data, categories, textField) {
     } else if (typeof data === 'object' && data !== null) {
       if (textField in data && typeof data[textField] === 'string') {
         const result = { ...data };
-        const categorization = await enrichWithLLM({ text: data[textField] }, instruction);
+        const categorization = await enrichWithLLM({ text: data[textField] }, instruction, { stats });
         
         // The model should return just the category name
         let category = categorization;
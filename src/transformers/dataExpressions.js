@@ -0,0 +1,159 @@
+/**
+ * Data Expressions
+ * Filters records and computes fields with expressions (see utils/expressions for the language).
+ */
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const { compileExpression, isExpressionError, isTruthy } = require('../utils/expressions');
+const { parseFieldPath, setPath } = require('./dataMapper');
+
+const ON_ERROR_MODES = ['fail', 'reject'];
+
+/**
+ * Check the onError option of an expression transformation
+ * @param {string} [onError] - fail (stop the transformation) or reject (dead-letter the record)
+ * @param {string} stage - Transformation name, for errors
+ * @returns {string} Mode
+ */
+function getOnErrorMode(onError = 'fail', stage) {
+  if (!ON_ERROR_MODES.includes(onError)) {
+    throw new AppError(`${stage}.onError must be one of ${ON_ERROR_MODES.join(', ')}`, 400);
+  }
+  return onError;
+}
+
+/**
+ * Evaluate an expression against a record, naming the record in errors
+ * @param {Function} evaluate - Compiled expression
+ * @param {any} record - Record
+ * @param {number} index - Record index
+ * @param {string} label - Expression label, for errors ("filter", "derive total")
+ * @returns {any} Value
+ */
+function evaluateRecord(evaluate, record, index, label) {
+  try {
+    return evaluate(record);
+  } catch (error) {
+    if (!isExpressionError(error)) {
+      throw error;
+    }
+    throw new AppError(`${label} failed for record at index ${index}: ${error.message}`, 400, { ...error.details, index });
+  }
+}
+
+/**
+ * Run an expression transformation over records, rejecting the records that fail with onError "reject"
+ * @param {Array} records - Records
+ * @param {string} stage - Transformation name
+ * @param {string} onError - fail or reject
+ * @param {Function} transform - (record, index) => result, throws on failures
+ * @returns {Object} { results: [{ index, value }] of the records that did not fail, rejected }
+ */
+function runExpressions(records, stage, onError, transform) {
+  const results = [];
+  const rejected = [];
+
+  records.forEach((record, index) => {
+    try {
+      results.push({ index, value: transform(record, index) });
+    } catch (error) {
+      if (onError !== 'reject' || !(error instanceof AppError)) {
+        throw error;
+      }
+      rejected.push({ stage, reason: 'Expression failed', details: [error.message], item: record, index });
+    }
+  });
+
+  return { results, rejected };
+}
+
+/**
+ * Keep the records for which an expression is true
+ * @param {Object|Array} data - The data to filter (one object is filtered as a list of one record)
+ * @param {string|Object} options - Expression, or { expression, onError }
+ * @param {string} options.expression - Expression kept records satisfy ("status != 'inactive'")
+ * @param {string} [options.onError] - fail (default) stops at the first record the expression fails for,
+ *   reject removes it as a rejected record
+ * @returns {Object} { data, filteredCount, rejected }
+ */
+function filterData(data, options) {
+  const { expression, onError } = typeof options === 'string' ? { expression: options } : options || {};
+  const evaluate = compileExpression(expression);
+  const mode = getOnErrorMode(onError, 'filter');
+  const records = Array.isArray(data) ? data : [data];
+
+  logger.info(`Filtering data with: ${expression}`);
+
+  const { results, rejected } = runExpressions(records, 'filter', mode, (record, index) => (
+    isTruthy(evaluateRecord(evaluate, record, index, 'filter'))
+  ));
+  const kept = results.filter(({ value }) => value).map(({ index }) => records[index]);
+
+  logger.info(`Data filtering completed: ${kept.length} of ${records.length} records kept`);
+
+  return { data: kept, filteredCount: results.length - kept.length, rejected };
+}
+
+/**
+ * Add computed fields to records, in order (later expressions see the fields computed before them)
+ * @param {Object|Array} data - The data to extend
+ * @param {Object} options - Derive options
+ * @param {Object} options.fields - Expressions by field path ({ "total": "price * qty" })
+ * @param {string} [options.onError] - fail (default) or reject, as for filterData
+ * @returns {Object} { data, rejected }
+ */
+function deriveData(data, options = {}) {
+  const { fields, onError } = options;
+
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    throw new AppError('derive.fields must be an object of field paths and expressions', 400);
+  }
+
+  const mode = getOnErrorMode(onError, 'derive');
+  const derivations = Object.entries(fields).map(([field, expression]) => ({
+    field,
+    steps: parseFieldPath(field),
+    evaluate: compileExpression(expression),
+  }));
+  const records = Array.isArray(data) ? data : [data];
+
+  logger.info(`Deriving fields: ${derivations.map(({ field }) => field).join(', ')}`);
+
+  const { results, rejected } = runExpressions(records, 'derive', mode, (record, index) => {
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+      return record;
+    }
+    return derivations.reduce(
+      (result, { field, steps, evaluate }) => setPath(result, steps, evaluateRecord(evaluate, result, index, `derive ${field}`) ?? null),
+      record,
+    );
+  });
+  const derived = results.map(({ value }) => value);
+
+  logger.info('Field derivation completed');
+
+  return { data: Array.isArray(data) ? derived : derived[0] ?? null, rejected };
+}
+
+/**
+ * Get the indexes of the records for which an expression is true
+ * @param {Array} records - Records
+ * @param {string} expression - Expression
+ * @param {string} label - Expression label, for errors
+ * @returns {Array<number>} Indexes of the matching records
+ */
+function matchRecords(records, expression, label) {
+  const evaluate = compileExpression(expression);
+  return records.reduce((matched, record, index) => {
+    if (isTruthy(evaluateRecord(evaluate, record, index, label))) {
+      matched.push(index);
+    }
+    return matched;
+  }, []);
+}
+
+module.exports = {
+  filterData,
+  deriveData,
+  matchRecords,
+};
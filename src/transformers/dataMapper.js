@@ -0,0 +1,242 @@
+/**
+ * Data Mapper
+ * Reshapes records to match a destination: renames and moves fields (nested paths such as
+ * "address.city" included), keeps or drops fields, applies default values and sets constants.
+ */
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const { parsePath } = require('../utils/jsonPath');
+
+// Returned by path updates to remove the value
+const REMOVE = Symbol('remove');
+
+/**
+ * Check whether a value is a plain object (not an array, date, ObjectId, ...)
+ * @param {any} value - Value
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Parse a field path into key and index steps
+ * @param {string} path - Field path ("name", "address.city", "tags[0]", "['odd key']")
+ * @returns {Array<string|number>} Keys and indexes
+ */
+function parseFieldPath(path) {
+  if (typeof path !== 'string' || path.trim() === '' || path.trim() === '$') {
+    throw new AppError(`Invalid field path: ${JSON.stringify(path)}`, 400);
+  }
+
+  return parsePath(path).map(step => {
+    if (step.wildcard || step.descend) {
+      throw new AppError(`Field path "${path}" must name a single field`, 400);
+    }
+    return step.key ?? step.index;
+  });
+}
+
+/**
+ * Read the value at a path
+ * @param {any} value - Record
+ * @param {Array<string|number>} steps - Path steps
+ * @returns {Object} { found, value }
+ */
+function readPath(value, steps) {
+  let current = value;
+
+  for (const step of steps) {
+    if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, step)) {
+      return { found: false };
+    }
+    current = current[step];
+  }
+
+  return { found: true, value: current };
+}
+
+/**
+ * Update the value at a path, copying the objects and arrays along it (the record is not modified)
+ * @param {any} value - Record
+ * @param {Array<string|number>} steps - Path steps
+ * @param {Function} update - Receives the current value (undefined when missing), returns the
+ *   new value or REMOVE
+ * @returns {any} Updated record (REMOVE when the record itself, or an object emptied by a removal, goes)
+ */
+function updatePath(value, steps, update) {
+  if (steps.length === 0) {
+    return update(value);
+  }
+
+  const [step, ...rest] = steps;
+  const exists = value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, step);
+  const child = exists ? value[step] : undefined;
+  const updated = updatePath(child, rest, update);
+
+  if (updated === REMOVE) {
+    if (!exists) {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      return value.filter((_, index) => index !== step);
+    }
+    const { [step]: _removed, ...remaining } = value;
+    // Objects emptied by the removal go too
+    return Object.keys(remaining).length === 0 ? REMOVE : remaining;
+  }
+
+  if (Array.isArray(value)) {
+    const copy = [...value];
+    copy[step] = updated;
+    return copy;
+  }
+
+  if (isPlainObject(value)) {
+    return { ...value, [step]: updated };
+  }
+
+  // Missing parents are created
+  if (typeof step === 'number') {
+    const created = [];
+    created[step] = updated;
+    return created;
+  }
+  return { [step]: updated };
+}
+
+/**
+ * Set the value at a path, copying the objects and arrays along it (the record is not modified)
+ * @param {any} record - Record
+ * @param {Array<string|number>} steps - Path steps (see parseFieldPath)
+ * @param {any} value - Value
+ * @returns {any} Updated record
+ */
+function setPath(record, steps, value) {
+  return updatePath(record, steps, () => value);
+}
+
+/**
+ * Check the mapping options
+ * @param {Object} options - Mapping options
+ * @returns {Object} Parsed options ({ rename, select, drop, defaults, set } with parsed paths)
+ */
+function parseMapping(options) {
+  if (!isPlainObject(options)) {
+    throw new AppError('map must be an object of mapping options', 400);
+  }
+
+  const { rename = {}, select, drop = [], defaults = {}, set = {} } = options;
+
+  if (!isPlainObject(rename) || Object.values(rename).some(target => typeof target !== 'string')) {
+    throw new AppError('map.rename must be an object of source paths and target paths', 400);
+  }
+  [['select', select ?? []], ['drop', drop]].forEach(([name, paths]) => {
+    if (!Array.isArray(paths) || paths.some(path => typeof path !== 'string')) {
+      throw new AppError(`map.${name} must be a list of field paths`, 400);
+    }
+  });
+  [['defaults', defaults], ['set', set]].forEach(([name, values]) => {
+    if (!isPlainObject(values)) {
+      throw new AppError(`map.${name} must be an object of field paths and values`, 400);
+    }
+  });
+
+  return {
+    rename: Object.entries(rename).map(([from, to]) => [parseFieldPath(from), parseFieldPath(to)]),
+    select: select && select.map(parseFieldPath),
+    drop: drop.map(parseFieldPath),
+    defaults: Object.entries(defaults).map(([path, value]) => [parseFieldPath(path), value]),
+    set: Object.entries(set).map(([path, value]) => [parseFieldPath(path), value]),
+  };
+}
+
+/**
+ * Map one record (values that are not objects are returned as they are)
+ * @param {any} record - Record
+ * @param {Object} mapping - Parsed mapping options
+ * @returns {any} Mapped record
+ */
+function mapRecord(record, mapping) {
+  if (!isPlainObject(record)) {
+    return record;
+  }
+
+  let result = record;
+  const setValue = (steps, value) => {
+    result = setPath(result, steps, value);
+  };
+  const removeValue = steps => {
+    const updated = updatePath(result, steps, () => REMOVE);
+    result = updated === REMOVE ? {} : updated;
+  };
+
+  // Read every renamed field first, so renames can swap fields
+  const moved = mapping.rename.map(([from, to]) => ({ from, to, ...readPath(record, from) }));
+  moved.forEach(({ from, found }) => found && removeValue(from));
+  moved.forEach(({ to, found, value }) => found && setValue(to, value));
+
+  if (mapping.select) {
+    const source = result;
+    result = {};
+    mapping.select.forEach(steps => {
+      const { found, value } = readPath(source, steps);
+      if (found) {
+        setValue(steps, value);
+      }
+    });
+  }
+
+  mapping.drop.forEach(removeValue);
+
+  mapping.defaults.forEach(([steps, value]) => {
+    const current = readPath(result, steps);
+    if (!current.found || current.value === null || current.value === undefined) {
+      setValue(steps, value);
+    }
+  });
+
+  mapping.set.forEach(([steps, value]) => setValue(steps, value));
+
+  return result;
+}
+
+/**
+ * Reshape records: the steps apply in the order rename, select, drop, defaults, set
+ * @param {Object|Array} data - The data to map
+ * @param {Object} options - Mapping options
+ * @param {Object} [options.rename] - Target paths by source path ({ "address.city": "city" }); the
+ *   value is moved, and objects left empty are removed
+ * @param {Array<string>} [options.select] - Paths to keep (after renaming), all others are left out
+ * @param {Array<string>} [options.drop] - Paths to remove
+ * @param {Object} [options.defaults] - Values by path, set when the field is missing or null
+ * @param {Object} [options.set] - Constant values by path, always set
+ * @returns {Object|Array} The mapped data
+ */
+function mapData(data, options) {
+  const mapping = parseMapping(options);
+
+  logger.info('Mapping data...');
+
+  const result = Array.isArray(data)
+    ? data.map(record => mapRecord(record, mapping))
+    : mapRecord(data, mapping);
+
+  logger.info('Data mapping completed');
+
+  return result;
+}
+
+module.exports = {
+  mapData,
+  mapRecord,
+  parseMapping,
+  parseFieldPath,
+  readPath,
+  setPath,
+  isPlainObject,
+};
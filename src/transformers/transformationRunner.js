@@ -0,0 +1,381 @@
+/**
+ * Transformation Runner
+ * Applies the configured transformations to a dataset (or to one chunk of a streamed dataset)
+ */
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+const { cleanData } = require('./dataCleaner');
+const { enrichData, generateSummaries, categorizeData } = require('./dataEnricher');
+const { validateData } = require('./dataValidator');
+const { mapData } = require('./dataMapper');
+const { filterData, deriveData, matchRecords } = require('./dataExpressions');
+const { dedupeData, MAX_REPORTED_GROUPS } = require('./dataDeduplicator');
+
+/**
+ * Remove items whose LLM enrichment could not be parsed
+ * @param {Array} data - Enriched data
+ * @param {Array<Object>} rejected - Rejected records, receives the removed items
+ * @returns {Array} Successfully enriched items
+ */
+function removeUnparsedItems(data, rejected) {
+  return data.filter((item, index) => {
+    if (!item || !item._parse_error) {
+      return true;
+    }
+
+    // Dead-letter the item as it was before enrichment
+    const { enriched_text: _enrichedText, _parse_error: parseError, ...original } = item;
+    rejected.push({
+      stage: 'enrich',
+      reason: 'LLM response could not be parsed',
+      details: [parseError],
+      item: original,
+      index,
+    });
+    return false;
+  });
+}
+
+/**
+ * Transformations by name, in the order the object form of the configuration applies them.
+ * run(data, config) returns { data, result, rejected } where result holds the counters reported
+ * next to applied and rejected the records removed
+ */
+const TRANSFORMATIONS = {
+  clean: {
+    description: 'data cleaning',
+    failure: 'cleaning data',
+    run: async (data, config) => ({ data: cleanData(data, config) }),
+  },
+  filter: {
+    description: 'filter',
+    failure: 'filtering data',
+    run: async (data, config) => {
+      const result = filterData(data, config);
+      return {
+        data: result.data,
+        result: { filteredCount: result.filteredCount, failedCount: result.rejected.length },
+        rejected: result.rejected,
+      };
+    },
+  },
+  derive: {
+    description: 'derive',
+    failure: 'deriving fields',
+    run: async (data, config) => {
+      const result = deriveData(data, config);
+      return { data: result.data, result: { failedCount: result.rejected.length }, rejected: result.rejected };
+    },
+  },
+  dedupe: {
+    description: 'deduplication',
+    failure: 'removing duplicates',
+    run: async (data, config) => {
+      const { data: deduped, ...result } = dedupeData(data, config);
+      return { data: deduped, result };
+    },
+  },
+  validate: {
+    description: 'data validation',
+    failure: 'validating data',
+    run: async (data, config) => {
+      const validationResult = validateData(data, config.schema, config.removeInvalid);
+      const result = {
+        isValid: validationResult.isValid,
+        invalidCount: validationResult.invalidItems?.length || 0,
+      };
+
+      // Keep the data as is unless removeInvalid is true
+      if (!config.removeInvalid) {
+        return { data, result };
+      }
+      const rejected = (validationResult.invalidItems || []).map(({ item, index, errors }) => (
+        { stage: 'validate', reason: 'Validation failed', details: errors, item, index }
+      ));
+      return { data: validationResult.data, result, rejected };
+    },
+  },
+  enrich: {
+    description: 'data enrichment',
+    failure: 'enriching data',
+    run: async (data, config) => {
+      const stats = {};
+      const enriched = await enrichData(data, config, stats);
+      if (!Array.isArray(enriched)) {
+        return { data: enriched, result: { attempts: stats.attempts } };
+      }
+      const rejected = [];
+      const enrichedItems = removeUnparsedItems(enriched, rejected);
+      return { data: enrichedItems, result: { unparsedCount: rejected.length, attempts: stats.attempts }, rejected };
+    },
+  },
+  summarize: {
+    description: 'summarization',
+    failure: 'generating summaries',
+    run: async (data, config) => {
+      const stats = {};
+      const summarized = await generateSummaries(data, config.fields, config.maxLength, stats);
+      return { data: summarized, result: { attempts: stats.attempts } };
+    },
+  },
+  categorize: {
+    description: 'categorization',
+    failure: 'categorizing data',
+    run: async (data, config) => {
+      const stats = {};
+      const categorized = await categorizeData(data, config.categories, config.field, stats);
+      return { data: categorized, result: { attempts: stats.attempts } };
+    },
+  },
+  map: {
+    description: 'field mapping',
+    failure: 'mapping data',
+    run: async (data, config) => ({ data: mapData(data, config) }),
+  },
+};
+
+const TRANSFORMATION_NAMES = Object.keys(TRANSFORMATIONS);
+const STEP_OPTIONS = ['when', 'name'];
+
+/**
+ * Describe one step of a transformation list
+ * @param {Object} step - Step ({ <transformation>: config, when, name })
+ * @param {number} position - Step position (1-based), for errors
+ * @param {Object} occurrences - Steps seen so far by transformation, for labels
+ * @returns {Object} { type, config, when, label }
+ */
+function parseStep(step, position, occurrences) {
+  const types = step && typeof step === 'object' && !Array.isArray(step)
+    ? Object.keys(step).filter(key => !STEP_OPTIONS.includes(key))
+    : [];
+
+  if (types.length !== 1 || !TRANSFORMATIONS[types[0]]) {
+    throw new AppError(
+      `Transformation step ${position} must have exactly one of ${TRANSFORMATION_NAMES.join(', ')}`,
+      400,
+      { step: position },
+    );
+  }
+
+  const [type] = types;
+  const { when, name } = step;
+
+  if (when !== undefined && (typeof when !== 'string' || !when.trim())) {
+    throw new AppError(`Transformation step ${position}: when must be an expression`, 400, { step: position });
+  }
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    throw new AppError(`Transformation step ${position}: name must be a non-empty string`, 400, { step: position });
+  }
+
+  occurrences[type] = (occurrences[type] || 0) + 1;
+  const label = name || (occurrences[type] === 1 ? type : `${type}#${occurrences[type]}`);
+
+  return { type, config: step[type], when, label };
+}
+
+/**
+ * Get the steps of a transformation configuration
+ * @param {Object|Array} transformations - Object of transformations (applied in the fixed order of
+ *   TRANSFORMATIONS) or list of steps (applied in the given order)
+ * @returns {Array<Object>} Steps ({ type, config, when, label })
+ */
+function getTransformationSteps(transformations) {
+  if (!transformations) {
+    return [];
+  }
+
+  if (!Array.isArray(transformations)) {
+    return TRANSFORMATION_NAMES
+      .filter(type => transformations[type])
+      .map(type => ({ type, config: transformations[type], label: type }));
+  }
+
+  const occurrences = {};
+  const steps = transformations.map((step, index) => parseStep(step, index + 1, occurrences));
+  const labels = new Set();
+  steps.forEach(({ label }, index) => {
+    if (labels.has(label)) {
+      throw new AppError(`Transformation step ${index + 1}: duplicate step name ${label}`, 400, { step: index + 1 });
+    }
+    labels.add(label);
+  });
+
+  return steps;
+}
+
+/**
+ * Work out the position in the data of each output of a step run on some of the records
+ * @param {Array} records - All records
+ * @param {Array<number>} matched - Indexes of the records the step ran on
+ * @param {Array} outputs - Step outputs
+ * @param {Array<Object>} rejected - Records the step removed (indexed in the matched records)
+ * @returns {Array<number>|null} Index of each output, or null when the outputs do not map to records
+ */
+function getOutputPositions(records, matched, outputs, rejected) {
+  // Steps that keep or drop records (filter, dedupe) return the records themselves
+  const positions = new Map(matched.map(index => [records[index], index]));
+  const kept = outputs.map(output => positions.get(output));
+  if (kept.every(index => index !== undefined) && new Set(kept).size === kept.length) {
+    return kept;
+  }
+
+  // Steps that rewrite records return one output per record they did not reject
+  const removed = new Set(rejected.map(entry => entry.index));
+  const remaining = matched.filter((_, position) => !removed.has(position));
+  return remaining.length === outputs.length ? remaining : null;
+}
+
+/**
+ * Put the output of a step run on some of the records back in place of those records
+ * @param {Array} records - All records
+ * @param {Array<number>} matched - Indexes of the records the step ran on
+ * @param {Object|Array} output - Step output
+ * @param {Array<Object>} [rejected] - Records the step removed (indexed in the matched records)
+ * @returns {Array} Records (each output takes the position of its record; outputs that do not map to
+ *   records, such as summaries, fill the matched positions in order and extra outputs follow the last one)
+ */
+function mergeMatchedRecords(records, matched, output, rejected = []) {
+  const outputs = Array.isArray(output) ? output : [output];
+  const matchedIndexes = new Set(matched);
+  const positions = getOutputPositions(records, matched, outputs, rejected);
+
+  if (positions) {
+    const outputsByIndex = new Map(positions.map((index, position) => [index, outputs[position]]));
+    return records.flatMap((record, index) => {
+      if (!matchedIndexes.has(index)) {
+        return [record];
+      }
+      return outputsByIndex.has(index) ? [outputsByIndex.get(index)] : [];
+    });
+  }
+
+  const last = matched[matched.length - 1];
+  const merged = [];
+  let next = 0;
+
+  records.forEach((record, index) => {
+    if (!matchedIndexes.has(index)) {
+      merged.push(record);
+    } else if (index === last) {
+      merged.push(...outputs.slice(next));
+    } else if (next < outputs.length) {
+      merged.push(outputs[next]);
+      next += 1;
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Run one step, on the records matching its when condition if it has one
+ * @param {Object} step - Step ({ type, config, when, label })
+ * @param {Object|Array} data - The data to transform
+ * @returns {Promise<Object>} { data, result, rejected }
+ */
+async function runStep(step, data) {
+  const { run } = TRANSFORMATIONS[step.type];
+
+  if (!step.when) {
+    const output = await run(data, step.config);
+    return { data: output.data, result: output.result || {}, rejected: output.rejected || [] };
+  }
+
+  const records = Array.isArray(data) ? data : [data];
+  const matched = matchRecords(records, step.when, `${step.label} when`);
+
+  if (matched.length === 0) {
+    return { data, result: { matchedCount: 0 }, rejected: [] };
+  }
+
+  const subset = matched.map(index => records[index]);
+  const output = await run(Array.isArray(data) ? subset : data, step.config);
+  // Rejected records are indexed in the subset, report their index in the data
+  const rejected = (output.rejected || []).map(entry => ({ ...entry, index: matched[entry.index] ?? entry.index }));
+
+  return {
+    data: Array.isArray(data) ? mergeMatchedRecords(records, matched, output.data, output.rejected) : output.data,
+    result: { ...output.result, matchedCount: matched.length },
+    rejected,
+  };
+}
+
+/**
+ * Apply transformations to data
+ * @param {Object|Array} data - The data to transform
+ * @param {Object|Array} transformations - Transformation configuration: an object of transformations
+ *   (clean, filter, derive, dedupe, validate, enrich, summarize, categorize, map) applied in that order, or a list
+ *   of steps applied in the given order ({ <transformation>: config, when, name })
+ * @returns {Promise<Object>} { data, results, rejected } where results holds the outcome of each
+ *   transformation (by step label) and rejected the records removed ({ stage, reason, details, item, index })
+ */
+async function applyTransformations(data, transformations) {
+  let transformedData = data;
+  const transformationResults = {};
+  // Records removed by the transformations ({ stage, reason, details, item, index })
+  const rejected = [];
+  
+  for (const step of getTransformationSteps(transformations)) {
+    const { description, failure } = TRANSFORMATIONS[step.type];
+    const label = step.label === step.type ? '' : ` (${step.label})`;
+
+    try {
+      logger.info(`Applying ${description} transformation${label}...`);
+      const output = await runStep(step, transformedData);
+      transformedData = output.data;
+      rejected.push(...output.rejected);
+      transformationResults[step.label] = { applied: true, ...output.result };
+    } catch (error) {
+      logger.error(`Error ${failure}${label}: ${error.message}`);
+      transformationResults[step.label] = { applied: false, error: error.message };
+    }
+  }
+  
+  return {
+    data: transformedData,
+    results: transformationResults,
+    rejected,
+  };
+}
+
+/**
+ * Merge the transformation results of one chunk into the results of a whole stream
+ * @param {Object} total - Accumulated results (updated in place)
+ * @param {Object} results - Results of the chunk
+ * @returns {Object} Accumulated results
+ */
+function mergeTransformationResults(total, results) {
+  Object.entries(results).forEach(([name, result]) => {
+    const merged = total[name];
+
+    if (!merged) {
+      total[name] = { ...result };
+      return;
+    }
+
+    // A transformation counts as applied only if it was applied to every chunk
+    merged.applied = merged.applied && result.applied;
+    merged.error = merged.error || result.error;
+    if ('isValid' in result) {
+      merged.isValid = merged.isValid && result.isValid;
+    }
+    [
+      'invalidCount', 'unparsedCount', 'filteredCount', 'failedCount', 'matchedCount', 'duplicateCount', 'groupCount',
+      'attempts',
+    ].forEach(counter => {
+      if (result[counter] !== undefined) {
+        merged[counter] = (merged[counter] || 0) + result[counter];
+      }
+    });
+    if (result.groups) {
+      merged.groups = [...(merged.groups || []), ...result.groups].slice(0, MAX_REPORTED_GROUPS);
+    }
+  });
+
+  return total;
+}
+
+module.exports = {
+  applyTransformations,
+  mergeTransformationResults,
+};
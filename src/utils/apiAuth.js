@@ -0,0 +1,283 @@
+/**
+ * API Authentication
+ * Authenticates the requests of API sources from a declarative auth block (source.auth):
+ * OAuth2 client credentials, basic auth, API keys and HMAC request signing.
+ * Secrets can be given as credential references ({ "$credential": "name" }).
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger');
+const { AppError } = require('./errorHandler');
+const { resolveSecret } = require('./credentials');
+
+// Supported auth types
+const AUTH_TYPES = ['oauth2', 'basic', 'apiKey', 'hmac'];
+
+// Required fields by auth type
+const REQUIRED_FIELDS = {
+  oauth2: ['tokenUrl', 'clientId', 'clientSecret'],
+  basic: ['username', 'password'],
+  apiKey: ['value'],
+  hmac: ['secret'],
+};
+
+// Tokens are refreshed this long before they expire (in milliseconds)
+const TOKEN_EXPIRY_MARGIN = 60000;
+
+// Lifetime of tokens returned without expires_in (in milliseconds)
+const DEFAULT_TOKEN_LIFETIME = 3600000;
+
+// Cached OAuth2 access tokens by client ({ promise, expiresAt })
+const tokenCache = new Map();
+
+/**
+ * Validate an auth block
+ * @param {Object} auth - Auth configuration
+ * @returns {Object|null} The auth configuration, or null without one
+ */
+function getAuthConfig(auth) {
+  if (!auth) {
+    return null;
+  }
+
+  if (!AUTH_TYPES.includes(auth.type)) {
+    throw new AppError(`Invalid auth type "${auth.type}" (expected ${AUTH_TYPES.join(', ')})`, 400);
+  }
+
+  const missing = REQUIRED_FIELDS[auth.type].filter(field => auth[field] === undefined || auth[field] === '');
+  if (missing.length > 0) {
+    throw new AppError(`${auth.type} auth requires ${missing.join(', ')}`, 400);
+  }
+
+  if (auth.type === 'apiKey' && auth.in && !['header', 'query'].includes(auth.in)) {
+    throw new AppError('API key auth "in" must be header or query', 400);
+  }
+
+  return auth;
+}
+
+/**
+ * Get the cache key of an OAuth2 client
+ * The client secret (a literal value or a credential reference) is part of the key as a hash,
+ * so a request with another secret never gets the token of a client it could not authenticate as
+ * @param {Object} auth - OAuth2 auth configuration
+ * @returns {string} Cache key
+ */
+function getTokenCacheKey(auth) {
+  const secretHash = crypto.createHash('sha256').update(JSON.stringify(auth.clientSecret)).digest('hex');
+  return JSON.stringify([auth.tokenUrl, auth.clientId, secretHash, auth.clientAuth, auth.scope, auth.audience]);
+}
+
+/**
+ * Request an access token with the OAuth2 client credentials grant
+ * @param {Object} auth - OAuth2 auth configuration
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+async function requestAccessToken(auth) {
+  const clientSecret = await resolveSecret(auth.clientSecret);
+  const form = new URLSearchParams({ grant_type: 'client_credentials' });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  // The client authenticates in the Authorization header, or in the form with clientAuth: 'body'
+  if (auth.clientAuth === 'body') {
+    form.set('client_id', auth.clientId);
+    form.set('client_secret', clientSecret);
+  } else {
+    headers.Authorization = `Basic ${Buffer.from(`${auth.clientId}:${clientSecret}`).toString('base64')}`;
+  }
+
+  if (auth.scope) {
+    form.set('scope', Array.isArray(auth.scope) ? auth.scope.join(' ') : auth.scope);
+  }
+  if (auth.audience) {
+    form.set('audience', auth.audience);
+  }
+
+  logger.info(`Requesting OAuth2 access token from ${auth.tokenUrl}`);
+
+  let response;
+  try {
+    response = await axios({
+      method: 'POST',
+      url: auth.tokenUrl,
+      headers,
+      data: form.toString(),
+      timeout: auth.timeout || 30000,
+    });
+  } catch (error) {
+    throw new AppError(
+      `OAuth2 token request failed${error.response ? ` with status ${error.response.status}` : ''}: ${error.message}`,
+      error.response ? 401 : 502,
+      { tokenUrl: auth.tokenUrl },
+    );
+  }
+
+  const token = response.data?.access_token;
+  if (!token) {
+    throw new AppError('OAuth2 token response did not include an access_token', 502, { tokenUrl: auth.tokenUrl });
+  }
+
+  const lifetime = response.data.expires_in ? Number(response.data.expires_in) * 1000 : DEFAULT_TOKEN_LIFETIME;
+
+  return {
+    token,
+    // Some servers answer "bearer", which not every API accepts back
+    tokenType: !response.data.token_type || /^bearer$/i.test(response.data.token_type)
+      ? 'Bearer'
+      : response.data.token_type,
+    expiresAt: Date.now() + lifetime - TOKEN_EXPIRY_MARGIN,
+  };
+}
+
+/**
+ * Get a cached access token, requesting a new one when missing or about to expire
+ * (concurrent requests share the same token request)
+ * @param {Object} auth - OAuth2 auth configuration
+ * @returns {Promise<Object>} { token, tokenType, expiresAt }
+ */
+async function getAccessToken(auth) {
+  const key = getTokenCacheKey(auth);
+  const cached = tokenCache.get(key);
+
+  if (cached && (cached.expiresAt === undefined || cached.expiresAt > Date.now())) {
+    return cached.promise;
+  }
+
+  const entry = { promise: requestAccessToken(auth) };
+  tokenCache.set(key, entry);
+
+  try {
+    const accessToken = await entry.promise;
+    entry.expiresAt = accessToken.expiresAt;
+    return accessToken;
+  } catch (error) {
+    tokenCache.delete(key);
+    throw error;
+  }
+}
+
+/**
+ * Build the URL of a request with its query parameters
+ * @param {string} url - Request URL
+ * @param {Object} [params] - Query parameters
+ * @returns {URL} URL
+ */
+function buildUrl(url, params) {
+  const built = new URL(url);
+
+  for (const [key, value] of Object.entries(params || {})) {
+    if (value !== undefined && value !== null) {
+      built.searchParams.append(key, value);
+    }
+  }
+
+  return built;
+}
+
+/**
+ * Sign a request with an HMAC of "timestamp\nMETHOD\npath?query\nbody"
+ * (the query and body are serialized here so the signed bytes are the ones sent)
+ * @param {Object} auth - HMAC auth configuration
+ * @param {Object} request - Axios request configuration
+ * @returns {Promise<Object>} Signed request configuration
+ */
+async function signRequest(auth, request) {
+  const secret = await resolveSecret(auth.secret);
+  const url = buildUrl(request.url, request.params);
+  const headers = { ...request.headers };
+
+  let body = request.data ?? '';
+  if (typeof body !== 'string') {
+    body = JSON.stringify(body);
+    if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = 'application/json';
+    }
+  }
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const payload = [timestamp, request.method.toUpperCase(), `${url.pathname}${url.search}`, body].join('\n');
+  const signature = crypto
+    .createHmac(auth.algorithm || 'sha256', secret)
+    .update(payload)
+    .digest(auth.encoding || 'hex');
+
+  headers[auth.header || 'X-Signature'] = `${auth.prefix || ''}${signature}`;
+  headers[auth.timestampHeader || 'X-Timestamp'] = timestamp;
+  if (auth.keyId) {
+    headers[auth.keyIdHeader || 'X-Key-Id'] = auth.keyId;
+  }
+
+  return {
+    ...request,
+    url: url.toString(),
+    params: undefined,
+    data: request.data === undefined || request.data === null ? request.data : body,
+    headers,
+  };
+}
+
+/**
+ * Add the credentials of an auth block to a request
+ * @param {Object} auth - Auth configuration (source.auth)
+ * @param {Object} request - Axios request configuration
+ * @returns {Promise<Object>} Authenticated request configuration
+ */
+async function authorizeRequest(auth, request) {
+  if (!getAuthConfig(auth)) {
+    return request;
+  }
+
+  switch (auth.type) {
+    case 'oauth2': {
+      const { token, tokenType } = await getAccessToken(auth);
+      return { ...request, headers: { ...request.headers, Authorization: `${tokenType} ${token}` } };
+    }
+
+    case 'basic': {
+      const password = await resolveSecret(auth.password);
+      const encoded = Buffer.from(`${auth.username}:${password}`).toString('base64');
+      return { ...request, headers: { ...request.headers, Authorization: `Basic ${encoded}` } };
+    }
+
+    case 'apiKey': {
+      const value = await resolveSecret(auth.value);
+      if (auth.in === 'query') {
+        return { ...request, params: { ...request.params, [auth.name || 'api_key']: value } };
+      }
+      return { ...request, headers: { ...request.headers, [auth.name || 'X-API-Key']: value } };
+    }
+
+    case 'hmac':
+      return signRequest(auth, request);
+
+    default:
+      return request;
+  }
+}
+
+/**
+ * Forget the cached token of an auth block after the API rejected it
+ * @param {Object} auth - Auth configuration
+ * @returns {boolean} True if a new token can be requested (so the request is worth retrying)
+ */
+function invalidateAuth(auth) {
+  if (auth?.type !== 'oauth2') {
+    return false;
+  }
+
+  return tokenCache.delete(getTokenCacheKey(auth));
+}
+
+/**
+ * Clear all cached access tokens
+ */
+function clearTokenCache() {
+  tokenCache.clear();
+}
+
+module.exports = {
+  getAuthConfig,
+  authorizeRequest,
+  invalidateAuth,
+  clearTokenCache,
+};
@@ -1,10 +1,12 @@
 /**
- * Azure Blob Storage Utilities
+ * Blob Storage Utilities
+ * Azure Blob Storage clients, and listing and deletion across storage providers
  */
 const { BlobServiceClient } = require('@azure/storage-blob');
 const logger = require('./logger');
 const { AppError } = require('./errorHandler');
 const { config } = require('../config/config');
+const { getStorage } = require('../storage');
 
 // Cached blob service client
 let blobServiceClient = null;
@@ -60,31 +62,13 @@ async function getBlobClient(containerName, blobName) {
 
 /**
  * List blobs in a container
- * @param {string} containerName - The container name
- * @param {Object} options - List options
- * @returns {Promise<Array>} Array of blob items
+ * @param {string} containerName - The container (bucket) name
+ * @param {Object} options - List options ({ prefix, provider, connection })
+ * @returns {Promise<Array>} Array of blob items ({ name, size, lastModified, etag })
  */
 async function listBlobs(containerName, options = {}) {
   try {
-    const serviceClient = await getBlobServiceClient();
-    const containerClient = serviceClient.getContainerClient(containerName);
-
-    const containerExists = await containerClient.exists();
-    if (!containerExists) {
-      logger.warn(`Container "${containerName}" does not exist`);
-      return [];
-    }
-
-    const blobs = [];
-    const iterator = containerClient.listBlobsFlat(options);
-    let blobItem = await iterator.next();
-    
-    while (!blobItem.done) {
-      blobs.push(blobItem.value);
-      blobItem = await iterator.next();
-    }
-
-    return blobs;
+    return await getStorage(options).list(containerName, { prefix: options.prefix });
   } catch (error) {
     logger.error(`Error listing blobs: ${error.message}`);
     throw new AppError(`Failed to list blobs: ${error.message}`, 500);
@@ -93,22 +77,21 @@ async function listBlobs(containerName, options = {}) {
 
 /**
  * Delete a blob
- * @param {string} containerName - The container name
+ * @param {string} containerName - The container (bucket) name
  * @param {string} blobName - The blob name
+ * @param {Object} [options] - Storage options ({ provider, connection })
  * @returns {Promise<boolean>} True if deleted successfully
  */
-async function deleteBlob(containerName, blobName) {
+async function deleteBlob(containerName, blobName, options = {}) {
   try {
-    const blobClient = await getBlobClient(containerName, blobName);
-    const response = await blobClient.deleteIfExists();
+    const deleted = await getStorage(options).delete(containerName, blobName);
     
-    if (response.succeeded) {
+    if (deleted) {
       logger.info(`Blob "${containerName}/${blobName}" deleted successfully`);
-      return true;
     } else {
       logger.warn(`Blob "${containerName}/${blobName}" not found`);
-      return false;
     }
+    return deleted;
   } catch (error) {
     logger.error(`Error deleting blob: ${error.message}`);
     throw new AppError(`Failed to delete blob: ${error.message}`, 500);
@@ -120,4 +103,4 @@ module.exports = {
   getBlobClient,
   listBlobs,
   deleteBlob,
-}; 
\ No newline at end of file
+};
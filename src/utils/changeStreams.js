@@ -0,0 +1,81 @@
+/**
+ * Change Stream Registry
+ * Keeps track of the change stream consumers running in this process, at most one per ID
+ */
+const logger = require('./logger');
+const { createChangeStreamConsumer } = require('../extractors/changeStreamExtractor');
+
+// Running consumers by ID
+const consumers = new Map();
+
+/**
+ * Start a change stream consumer, replacing any existing consumer with the same ID
+ * @param {string} id - Consumer ID
+ * @param {Object} options - Consumer options (see createChangeStreamConsumer)
+ * @returns {Promise<Object>} Consumer status
+ */
+async function startChangeStream(id, options) {
+  await stopChangeStream(id);
+
+  const consumer = createChangeStreamConsumer({ name: id, ...options });
+  consumers.set(id, consumer);
+  consumer.start();
+
+  return getChangeStreamStatus(id);
+}
+
+/**
+ * Stop a change stream consumer, after the batch in progress is processed
+ * @param {string} id - Consumer ID
+ * @returns {Promise<boolean>} True if a consumer was stopped
+ */
+async function stopChangeStream(id) {
+  const consumer = consumers.get(id);
+  if (!consumer) {
+    return false;
+  }
+
+  consumers.delete(id);
+  await consumer.stop();
+
+  return true;
+}
+
+/**
+ * Stop all change stream consumers
+ * @returns {Promise<void>}
+ */
+async function stopChangeStreams() {
+  const ids = [...consumers.keys()];
+  await Promise.all(ids.map(stopChangeStream));
+
+  if (ids.length > 0) {
+    logger.info(`Stopped ${ids.length} change stream(s)`);
+  }
+}
+
+/**
+ * Get the status of a change stream consumer
+ * @param {string} id - Consumer ID
+ * @returns {Object|null} Consumer status, or null if no consumer has the ID
+ */
+function getChangeStreamStatus(id) {
+  const consumer = consumers.get(id);
+  return consumer ? { id, ...consumer.getStatus() } : null;
+}
+
+/**
+ * Get the status of all change stream consumers
+ * @returns {Array<Object>} Consumer statuses
+ */
+function getChangeStreams() {
+  return [...consumers.keys()].map(getChangeStreamStatus);
+}
+
+module.exports = {
+  startChangeStream,
+  stopChangeStream,
+  stopChangeStreams,
+  getChangeStreamStatus,
+  getChangeStreams,
+};
@@ -0,0 +1,404 @@
+/**
+ * Compression Utility
+ * Decompression of gzip, brotli and zip sources and compression of destinations.
+ *
+ * Compressed sources are detected by the `compression` option, else by their extension
+ * (e.g. "orders.csv.gz"), else by the content type of blobs, else by their first bytes (gzip and zip).
+ * The records of a zip archive are read from one entry: the `entry` option (name or glob pattern),
+ * or the only file of the archive. Destinations are compressed only with a `compression` option.
+ * Decompressed content is limited to config.etl.maxDecompressedSize bytes (413 beyond).
+ */
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { Readable, PassThrough, pipeline } = require('stream');
+const JSZip = require('jszip');
+const { AppError } = require('./errorHandler');
+const { isGlobPattern, createMatcher } = require('./fileMatching');
+const { config } = require('../config/config');
+
+const COMPRESSIONS = {
+  gzip: {
+    extensions: ['gz', 'gzip'],
+    contentType: 'application/gzip',
+    mimeTypes: ['application/x-gzip'],
+    magic: [0x1f, 0x8b],
+  },
+  brotli: {
+    extensions: ['br'],
+    contentType: 'application/x-brotli',
+    mimeTypes: [],
+  },
+  zip: {
+    extensions: ['zip'],
+    contentType: 'application/zip',
+    mimeTypes: ['application/x-zip-compressed'],
+    magic: [0x50, 0x4b, 0x03, 0x04],
+  },
+};
+
+// Formats stored as zip archives, whose first bytes are not a sign of compression
+const ZIP_BASED_FORMATS = ['xlsx', 'excel'];
+
+// zlib and brotli errors on invalid content (other stream errors are passed on as they are)
+const DECOMPRESSION_ERROR_PATTERN = /^(Z_|ERR__ERROR)/;
+
+/**
+ * Check a compression option
+ * @param {string} [compression] - Compression (gzip, brotli, zip or none)
+ * @returns {string|undefined} Compression name (undefined for none)
+ */
+function getCompression(compression) {
+  if (compression === undefined || compression === null || compression === 'none') {
+    return undefined;
+  }
+
+  const name = String(compression).toLowerCase();
+  if (!COMPRESSIONS[name]) {
+    throw new AppError(`Unsupported compression: ${compression} (expected ${Object.keys(COMPRESSIONS).join(', ')} or none)`, 400);
+  }
+
+  return name;
+}
+
+/**
+ * Get the compression of a file extension
+ * @param {string} [name] - File path or blob name
+ * @returns {string|undefined} Compression name
+ */
+function detectCompressionFromPath(name) {
+  const extension = path.extname(String(name ?? '')).slice(1).toLowerCase();
+  return Object.keys(COMPRESSIONS).find(compression => COMPRESSIONS[compression].extensions.includes(extension));
+}
+
+/**
+ * Remove the compression extension of a file name ("orders.csv.gz" -> "orders.csv")
+ * @param {string} name - File path or blob name
+ * @returns {string} Name without the compression extension
+ */
+function stripCompressionExtension(name) {
+  const text = String(name);
+  return detectCompressionFromPath(text) ? text.slice(0, -path.extname(text).length) : text;
+}
+
+/**
+ * Get the compression of a content type
+ * @param {string} [contentType] - Content type
+ * @returns {string|undefined} Compression name
+ */
+function detectCompressionFromContentType(contentType = '') {
+  const mimeType = String(contentType).split(';')[0].trim().toLowerCase();
+  return Object.keys(COMPRESSIONS).find(compression => COMPRESSIONS[compression].contentType === mimeType
+    || COMPRESSIONS[compression].mimeTypes.includes(mimeType));
+}
+
+/**
+ * Get the compression of content from its first bytes
+ * @param {Buffer} head - First bytes
+ * @param {string} [format] - Format of the content, when known
+ * @returns {string|undefined} Compression name
+ */
+function detectCompressionFromContent(head, format) {
+  return Object.keys(COMPRESSIONS).find(compression => {
+    const { magic } = COMPRESSIONS[compression];
+    if (!magic || (compression === 'zip' && ZIP_BASED_FORMATS.includes(String(format).toLowerCase()))) {
+      return false;
+    }
+    return head.length >= magic.length && magic.every((byte, index) => head[index] === byte);
+  });
+}
+
+/**
+ * Get the compression of a source
+ * @param {Object} options - { compression, name, contentType, format }
+ * @param {Buffer} head - First bytes of the content
+ * @returns {string|undefined} Compression name (undefined for uncompressed content)
+ */
+function detectCompression({ compression, name, contentType, format }, head) {
+  if (compression !== undefined && compression !== null) {
+    return getCompression(compression);
+  }
+
+  return detectCompressionFromPath(name)
+    || detectCompressionFromContentType(contentType)
+    || detectCompressionFromContent(head, format);
+}
+
+/**
+ * Select the entry of a zip archive to read
+ * @param {Object} zip - JSZip archive
+ * @param {string} [entry] - Entry name or glob pattern (default: the only file of the archive)
+ * @returns {Object} JSZip entry
+ */
+function selectZipEntry(zip, entry) {
+  const files = Object.values(zip.files)
+    .filter(file => !file.dir && !file.name.startsWith('__MACOSX/'))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const names = files.map(file => file.name).join(', ') || 'none';
+
+  let matches = files;
+  if (entry !== undefined) {
+    const isMatch = isGlobPattern(entry) ? createMatcher(entry) : name => name === entry;
+    matches = files.filter(file => isMatch(file.name));
+  }
+
+  if (matches.length === 0) {
+    throw new AppError(`Zip entry not found: ${entry ?? 'no files'} (archive entries: ${names})`, 404);
+  }
+
+  if (matches.length > 1) {
+    throw new AppError(`Zip archive has several ${entry === undefined ? 'files' : `entries matching ${entry}`}, select one with entry (archive entries: ${names})`, 400);
+  }
+
+  return matches[0];
+}
+
+/**
+ * Open a zip archive
+ * @param {Buffer} content - Archive content
+ * @returns {Promise<Object>} JSZip archive
+ */
+async function openZip(content) {
+  try {
+    return await JSZip.loadAsync(content);
+  } catch (error) {
+    throw new AppError(`Invalid zip archive: ${error.message}`, 400);
+  }
+}
+
+/**
+ * Open the content stream of a zip entry (JSZip streams are not async iterable, so they are wrapped)
+ * @param {Object} entry - JSZip entry
+ * @returns {Readable} Entry content
+ */
+function openZipEntry(entry) {
+  return new Readable().wrap(entry.nodeStream('nodebuffer'));
+}
+
+/**
+ * Convert a decompression error to an AppError
+ * @param {Error} error - Error
+ * @param {string} compression - Compression name
+ * @returns {Error} Error
+ */
+function toDecompressionError(error, compression) {
+  if (error instanceof AppError || !DECOMPRESSION_ERROR_PATTERN.test(error.code || '')) {
+    return error;
+  }
+  return new AppError(`Invalid ${compression} content: ${error.message}`, 400);
+}
+
+/**
+ * Create the error of content decompressing beyond the size limit
+ * @param {string} compression - Compression name
+ * @param {number} maxSize - Size limit (in bytes)
+ * @returns {AppError} Error
+ */
+function toSizeLimitError(compression, maxSize) {
+  return new AppError(
+    `Decompressed ${compression} content exceeds ${maxSize} bytes (ETL_MAX_DECOMPRESSED_SIZE)`,
+    413,
+  );
+}
+
+/**
+ * Pass on the chunks of a decompression stream, reporting invalid content as AppErrors
+ * and stopping once more than maxSize bytes were decompressed
+ * @param {Readable} stream - Decompression stream
+ * @param {string} compression - Compression name
+ * @param {number} maxSize - Size limit (in bytes)
+ * @returns {AsyncGenerator<Buffer>} Chunks
+ */
+async function* readDecompressed(stream, compression, maxSize) {
+  let size = 0;
+
+  try {
+    for await (const chunk of stream) {
+      size += chunk.length;
+      if (size > maxSize) {
+        throw toSizeLimitError(compression, maxSize);
+      }
+      yield chunk;
+    }
+  } catch (error) {
+    throw toDecompressionError(error, compression);
+  }
+}
+
+/**
+ * Decompress the content of a source
+ * @param {Buffer} content - Content
+ * @param {Object} options - { compression, entry, name, contentType, format }
+ * @returns {Promise<Object>} { content, name (the zip entry name, or the name without compression extension), compression }
+ */
+async function decompress(content, options) {
+  const compression = detectCompression(options, content);
+  const maxSize = config.etl.maxDecompressedSize;
+
+  if (!compression) {
+    return { content, name: options.name };
+  }
+
+  if (compression === 'zip') {
+    const entry = selectZipEntry(await openZip(content), options.entry);
+    // The sizes in the archive index are not trusted: the entry is inflated as a stream and counted
+    const buffers = [];
+    for await (const chunk of readDecompressed(openZipEntry(entry), compression, maxSize)) {
+      buffers.push(chunk);
+    }
+    return { content: Buffer.concat(buffers), name: entry.name, compression };
+  }
+
+  try {
+    const decompressed = compression === 'gzip'
+      ? await promisify(zlib.gunzip)(content, { maxOutputLength: maxSize })
+      : await promisify(zlib.brotliDecompress)(content, { maxOutputLength: maxSize });
+    return { content: decompressed, name: stripCompressionExtension(options.name), compression };
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw toSizeLimitError(compression, maxSize);
+    }
+    throw toDecompressionError(error, compression);
+  }
+}
+
+/**
+ * Decompress a source stream (zip archives are read whole first, as their index is at the end)
+ * @param {Readable} readable - Content stream
+ * @param {Object} options - { compression, entry, name, contentType, format }
+ * @returns {Promise<Object>} { stream, name (as for decompress), compression }
+ */
+async function decompressStream(readable, options) {
+  const iterator = readable[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  const head = first.done ? Buffer.alloc(0) : Buffer.from(first.value);
+  const compression = detectCompression(options, head);
+  const maxSize = config.etl.maxDecompressedSize;
+
+  // The stream again, with its first chunk
+  const content = Readable.from((async function* () {
+    yield head;
+    for (let chunk = await iterator.next(); !chunk.done; chunk = await iterator.next()) {
+      yield chunk.value;
+    }
+  }()), { objectMode: false });
+
+  if (!compression) {
+    return { stream: content, name: options.name };
+  }
+
+  if (compression === 'zip') {
+    const buffers = [];
+    for await (const chunk of content) {
+      buffers.push(chunk);
+    }
+    const entry = selectZipEntry(await openZip(Buffer.concat(buffers)), options.entry);
+    return {
+      stream: Readable.from(readDecompressed(openZipEntry(entry), compression, maxSize), { objectMode: false }),
+      name: entry.name,
+      compression,
+    };
+  }
+
+  const decompressor = compression === 'gzip' ? zlib.createGunzip() : zlib.createBrotliDecompress();
+  // pipeline() forwards read errors to the decompressor, so they surface in the iteration
+  pipeline(content, decompressor, () => {});
+
+  return {
+    stream: Readable.from(readDecompressed(decompressor, compression, maxSize), { objectMode: false }),
+    name: stripCompressionExtension(options.name),
+    compression,
+  };
+}
+
+/**
+ * Compress the content of a destination
+ * @param {string|Buffer} content - Content
+ * @param {string} [compression] - Compression (gzip, brotli, zip or none)
+ * @param {Object} [options] - { entry: name of the zip entry }
+ * @returns {Promise<string|Buffer>} Compressed content (the content itself without compression)
+ */
+async function compress(content, compression, { entry } = {}) {
+  switch (getCompression(compression)) {
+    case 'gzip':
+      return promisify(zlib.gzip)(content);
+    case 'brotli':
+      return promisify(zlib.brotliCompress)(content);
+    case 'zip':
+      return new JSZip().file(entry, content).generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    default:
+      return content;
+  }
+}
+
+/**
+ * Create a stream compressing what is written to it into an output stream
+ * (ending it finishes the compression and ends the output)
+ * @param {Writable} output - Output stream
+ * @param {string} [compression] - Compression (gzip, brotli, zip or none)
+ * @param {Object} [options] - { entry: name of the zip entry }
+ * @returns {Writable} Input stream (the output itself without compression)
+ */
+function createCompressor(output, compression, { entry } = {}) {
+  const name = getCompression(compression);
+
+  switch (name) {
+    case 'gzip':
+    case 'brotli': {
+      const compressor = name === 'gzip' ? zlib.createGzip() : zlib.createBrotliCompress();
+      // Output failures destroy the compressor, so they surface in writes
+      pipeline(compressor, output, () => {});
+      return compressor;
+    }
+    case 'zip': {
+      const input = new PassThrough();
+      const archive = new JSZip()
+        .file(entry, input, { binary: true })
+        .generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' });
+      pipeline(archive, output, () => {});
+      output.once('error', error => input.destroy(error));
+      return input;
+    }
+    default:
+      return output;
+  }
+}
+
+/**
+ * Get the name of the zip entry of a destination: the entry option, else the file name
+ * without the .zip extension (with the extension of the format when it has none)
+ * @param {Object} options - Destination configuration ({ entry })
+ * @param {string} name - File path or blob name
+ * @param {string} format - Format name
+ * @returns {string} Entry name
+ */
+function getZipEntryName(options, name, format) {
+  if (options.entry) {
+    return options.entry;
+  }
+
+  const fileName = path.basename(stripCompressionExtension(name));
+  return path.extname(fileName) ? fileName : `${fileName}.${format}`;
+}
+
+/**
+ * Get the content type of a compressed destination
+ * @param {string} [compression] - Compression
+ * @returns {string|undefined} Content type (undefined without compression)
+ */
+function getCompressionContentType(compression) {
+  const name = getCompression(compression);
+  return name && COMPRESSIONS[name].contentType;
+}
+
+module.exports = {
+  getCompression,
+  detectCompressionFromPath,
+  stripCompressionExtension,
+  decompress,
+  decompressStream,
+  compress,
+  createCompressor,
+  getZipEntryName,
+  getCompressionContentType,
+};
@@ -0,0 +1,135 @@
+/**
+ * Credential Store
+ * Resolves secrets referenced by name ({ "$credential": "name" }) so they never have to be
+ * pasted into request bodies or saved pipeline definitions.
+ * Credentials are read from the encrypted credentials collection, then from
+ * ETL_CREDENTIAL_<NAME> environment variables.
+ */
+const mongoose = require('mongoose');
+const logger = require('./logger');
+const { AppError } = require('./errorHandler');
+const { encrypt, decrypt } = require('./encryption');
+const CredentialModel = require('../models/credentialModel');
+
+// Prefix of the environment variables holding credentials
+const CREDENTIAL_ENV_PREFIX = 'ETL_CREDENTIAL_';
+
+/**
+ * Get the environment variable name of a credential
+ * @param {string} name - Credential name (for example "crm-client-secret")
+ * @returns {string} Environment variable name (for example ETL_CREDENTIAL_CRM_CLIENT_SECRET)
+ */
+function toEnvName(name) {
+  return `${CREDENTIAL_ENV_PREFIX}${String(name).toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+/**
+ * Check whether a value is a credential reference
+ * @param {any} value - Value
+ * @returns {boolean} True for { "$credential": "name" }
+ */
+function isCredentialReference(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.$credential === 'string';
+}
+
+/**
+ * Get the value of a credential
+ * @param {string} name - Credential name
+ * @returns {Promise<string>} Credential value
+ */
+async function getCredential(name) {
+  // The stored credentials need a database connection, environment credentials do not
+  if (mongoose.connection.readyState === 1) {
+    const credential = await CredentialModel.findOne({ name: String(name) });
+
+    if (credential) {
+      const value = decrypt(credential);
+
+      CredentialModel.updateOne({ _id: credential._id }, { lastUsedAt: new Date() }).catch(error => {
+        logger.warn(`Error recording use of credential "${name}": ${error.message}`);
+      });
+
+      return value;
+    }
+  }
+
+  const value = process.env[toEnvName(name)];
+
+  if (value === undefined || value === '') {
+    throw new AppError(`Credential not found: ${name}`, 400);
+  }
+
+  return value;
+}
+
+/**
+ * Store a credential, encrypted with the master key (an existing credential is rotated)
+ * @param {Object} credential - Credential
+ * @param {string} credential.name - Credential name
+ * @param {string} credential.value - Secret value
+ * @param {string} [credential.description] - Description
+ * @returns {Promise<Object>} { credential, created }
+ */
+async function saveCredential({ name, value, description }) {
+  const encrypted = encrypt(value);
+  const update = { ...encrypted };
+  if (description !== undefined) {
+    update.description = description;
+  }
+
+  const result = await CredentialModel.findOneAndUpdate(
+    { name },
+    { $set: update },
+    { upsert: true, new: true, runValidators: true, includeResultMetadata: true },
+  );
+
+  return {
+    credential: result.value,
+    created: !result.lastErrorObject?.updatedExisting,
+  };
+}
+
+/**
+ * Resolve a secret that is either a literal value or a credential reference
+ * @param {string|Object} value - Literal value or { "$credential": "name" }
+ * @returns {Promise<any>} Secret value
+ */
+async function resolveSecret(value) {
+  return isCredentialReference(value) ? getCredential(value.$credential) : value;
+}
+
+/**
+ * Replace the credential references found anywhere in a configuration
+ * @param {any} value - Source or destination configuration
+ * @returns {Promise<any>} Copy of the configuration with the secrets filled in
+ *   (the configuration itself is returned when it holds no reference)
+ */
+async function resolveCredentials(value) {
+  if (isCredentialReference(value)) {
+    return getCredential(value.$credential);
+  }
+
+  if (Array.isArray(value)) {
+    const items = await Promise.all(value.map(resolveCredentials));
+    return items.some((item, index) => item !== value[index]) ? items : value;
+  }
+
+  // Only plain objects are walked (not dates, ObjectIds or buffers)
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const entries = await Promise.all(
+      Object.entries(value).map(async ([key, item]) => [key, await resolveCredentials(item)]),
+    );
+    return entries.some(([key, item]) => item !== value[key]) ? Object.fromEntries(entries) : value;
+  }
+
+  return value;
+}
+
+module.exports = {
+  getCredential,
+  saveCredential,
+  resolveSecret,
+  resolveCredentials,
+  isCredentialReference,
+  toEnvName,
+};
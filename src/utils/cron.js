@@ -0,0 +1,212 @@
+/**
+ * Cron Expression Utilities
+ * Minimal parser for standard 5-field cron expressions
+ * (minute hour day-of-month month day-of-week), evaluated in server local time
+ */
+const { AppError } = require('./errorHandler');
+
+// Allowed range and aliases for each cron field
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  {
+    name: 'month',
+    min: 1,
+    max: 12,
+    aliases: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'],
+    aliasOffset: 1,
+  },
+  {
+    name: 'dayOfWeek',
+    min: 0,
+    max: 7,
+    aliases: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'],
+    aliasOffset: 0,
+  },
+];
+
+// Shorthand expressions
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Give up searching for a fire time after this many years
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse a single value of a cron field
+ * @param {string} value - Field value (number or alias)
+ * @param {Object} field - Field definition
+ * @returns {number} Parsed value
+ */
+function parseValue(value, field) {
+  const upper = value.toUpperCase();
+
+  if (field.aliases && field.aliases.includes(upper)) {
+    return field.aliases.indexOf(upper) + field.aliasOffset;
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new AppError(`Invalid ${field.name} value in cron expression: ${value}`, 400);
+  }
+
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new AppError(`${field.name} value out of range (${field.min}-${field.max}): ${value}`, 400);
+  }
+
+  return number;
+}
+
+/**
+ * Parse a cron field into the set of values it matches
+ * @param {string} expression - Field expression (e.g. '*', '1-5', '*\/15', 'MON,WED')
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} Matching values
+ */
+function parseField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [range, stepValue] = part.split('/');
+    const step = stepValue === undefined ? 1 : parseInt(stepValue, 10);
+
+    if (!Number.isInteger(step) || step <= 0 || (stepValue !== undefined && !/^\d+$/.test(stepValue))) {
+      throw new AppError(`Invalid step in cron expression: ${part}`, 400);
+    }
+
+    let start;
+    let end;
+
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+    } else {
+      start = parseValue(range, field);
+      end = stepValue === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new AppError(`Invalid range in cron expression: ${part}`, 400);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  // Sunday can be written as 0 or 7
+  if (field.name === 'dayOfWeek' && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression (5 fields or a macro such as '@hourly')
+ * @returns {Object} Parsed expression
+ */
+function parseCron(expression) {
+  if (!expression || typeof expression !== 'string') {
+    throw new AppError('Cron expression must be a non-empty string', 400);
+  }
+
+  const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new AppError(`Cron expression must have ${FIELDS.length} fields: ${expression}`, 400);
+  }
+
+  const parsed = { expression };
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  // Day-of-month and day-of-week are OR'ed when both are restricted; as in Vixie cron,
+  // a field starting with "*" (such as */2) is not restricted
+  parsed.dayOfMonthRestricted = !parts[2].startsWith('*');
+  parsed.dayOfWeekRestricted = !parts[4].startsWith('*');
+
+  return parsed;
+}
+
+/**
+ * Check whether a date matches the day fields of a parsed expression
+ * @param {Object} parsed - Parsed cron expression
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(parsed, date) {
+  const dayOfMonth = parsed.dayOfMonth.has(date.getDate());
+  const dayOfWeek = parsed.dayOfWeek.has(date.getDay());
+
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Get the next time a cron expression fires after a given date
+ * @param {string|Object} expression - Cron expression or parsed expression
+ * @param {Date} [after=new Date()] - Date to search from (exclusive)
+ * @returns {Date|null} Next fire time, or null if none within the search window
+ */
+function getNextFireTime(expression, after = new Date()) {
+  const parsed = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = after.getFullYear() + MAX_SEARCH_YEARS;
+
+  while (date.getFullYear() <= limit) {
+    if (!parsed.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return date;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  getNextFireTime,
+};
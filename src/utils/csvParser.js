@@ -0,0 +1,251 @@
+/**
+ * CSV Parser
+ * Parses CSV documents and streams into records for the file and blob extractors, with
+ * configurable delimiter, quote character, header row and text encoding, and optional
+ * column type inference (CSV values are otherwise strings).
+ *
+ * Source options:
+ * - delimiter: field separator (default ",")
+ * - quote: quote character (default '"')
+ * - header: whether the first row names the columns (default true)
+ * - columns: column names, replacing the header row (or naming the columns of headerless files)
+ * - encoding: text encoding (default utf-8; any encoding supported by TextDecoder, e.g. latin1, utf-16le)
+ * - inferTypes: convert the values of number and boolean columns, inferred from the first
+ *   1000 rows (empty values of converted columns become null)
+ * - columnTypes: types by column name (number, boolean, date or string), overriding inference
+ */
+const { Readable, Transform, pipeline } = require('stream');
+const csv = require('csv-parser');
+const { AppError } = require('./errorHandler');
+
+// Rows sampled to infer column types when streaming
+const INFERENCE_SAMPLE_SIZE = 1000;
+
+// Numbers without leading zeros (so identifiers such as zip codes stay strings)
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const BOOLEAN_PATTERN = /^(true|false)$/i;
+
+const COLUMN_TYPES = ['number', 'boolean', 'date', 'string'];
+
+/**
+ * Get the csv-parser options of a source
+ * @param {Object} options - Source configuration ({ delimiter, quote, header, columns })
+ * @returns {Object} csv-parser options
+ */
+function getParserOptions({ delimiter = ',', quote = '"', header = true, columns } = {}) {
+  for (const [name, value] of Object.entries({ delimiter, quote })) {
+    if (typeof value !== 'string' || value.length !== 1) {
+      throw new AppError(`CSV ${name} must be a single character`, 400);
+    }
+  }
+
+  if (columns !== undefined && (!Array.isArray(columns) || columns.some(column => typeof column !== 'string'))) {
+    throw new AppError('CSV columns must be a list of column names', 400);
+  }
+
+  const options = { separator: delimiter, quote, escape: quote };
+
+  if (columns) {
+    options.headers = columns;
+    options.skipLines = header ? 1 : 0;
+  } else if (!header) {
+    // Columns are named by their index
+    options.headers = false;
+  }
+
+  return options;
+}
+
+/**
+ * Create a stream decoding text in an encoding into UTF-8 (dropping byte order marks)
+ * @param {string} [encoding='utf-8'] - Text encoding
+ * @returns {Transform} Decoding stream
+ */
+function createDecoder(encoding = 'utf-8') {
+  let decoder;
+  try {
+    decoder = new TextDecoder(encoding);
+  } catch (error) {
+    throw new AppError(`Unsupported CSV encoding: ${encoding}`, 400);
+  }
+
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    },
+  });
+}
+
+/**
+ * Validate the explicit column types of a source
+ * @param {Object} [columnTypes] - Types by column name
+ * @returns {Object} Column types
+ */
+function getColumnTypes(columnTypes = {}) {
+  if (typeof columnTypes !== 'object' || Array.isArray(columnTypes)) {
+    throw new AppError('CSV columnTypes must map column names to types', 400);
+  }
+
+  for (const [column, type] of Object.entries(columnTypes)) {
+    if (!COLUMN_TYPES.includes(type)) {
+      throw new AppError(`Unsupported CSV column type for ${column}: ${type} (expected ${COLUMN_TYPES.join(', ')})`, 400);
+    }
+  }
+
+  return columnTypes;
+}
+
+/**
+ * Infer the types of CSV columns: a column is a number or boolean column when all its
+ * non-empty values are, and a string column otherwise
+ * @param {Array<Object>} records - Parsed records (string values)
+ * @returns {Object} Types by column name (number, boolean or string)
+ */
+function inferColumnTypes(records) {
+  const types = {};
+
+  for (const record of records) {
+    for (const [column, value] of Object.entries(record)) {
+      if (value === '' || types[column] === 'string') {
+        types[column] = types[column] || null;
+        continue;
+      }
+
+      const type = NUMBER_PATTERN.test(value) ? 'number' : BOOLEAN_PATTERN.test(value) ? 'boolean' : 'string';
+      types[column] = !types[column] || types[column] === type ? type : 'string';
+    }
+  }
+
+  return Object.fromEntries(Object.entries(types).map(([column, type]) => [column, type || 'string']));
+}
+
+/**
+ * Convert a CSV value to a column type (values that do not fit the type are kept as strings)
+ * @param {string} value - CSV value
+ * @param {string} type - Column type
+ * @returns {any} Converted value
+ */
+function convertValue(value, type) {
+  if (!type || type === 'string') {
+    return value;
+  }
+  if (value === '') {
+    return null;
+  }
+
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      // Integers beyond the safe range would lose precision
+      return NUMBER_PATTERN.test(value) && (!Number.isInteger(number) || Number.isSafeInteger(number)) ? number : value;
+    }
+    case 'boolean':
+      return BOOLEAN_PATTERN.test(value) ? value.toLowerCase() === 'true' : value;
+    case 'date': {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? value : date;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Convert the values of a record to their column types
+ * @param {Object} record - Parsed record
+ * @param {Object} types - Types by column name
+ * @returns {Object} Converted record
+ */
+function convertRecord(record, types) {
+  return Object.fromEntries(Object.entries(record).map(([column, value]) => [column, convertValue(value, types[column])]));
+}
+
+/**
+ * Check whether a source converts CSV values
+ * @param {Object} options - Source configuration
+ * @returns {boolean} True with inferTypes or columnTypes
+ */
+function hasTypeConversion(options) {
+  return Boolean(options.inferTypes) || (options.columnTypes !== undefined && Object.keys(options.columnTypes).length > 0);
+}
+
+/**
+ * Convert the values of streamed records, inferring column types from the first rows
+ * @param {AsyncIterable<Object>} records - Parsed records
+ * @param {Object} options - Source configuration ({ inferTypes, columnTypes })
+ * @returns {AsyncGenerator<Object>} Converted records
+ */
+async function* convertRecords(records, options) {
+  const columnTypes = getColumnTypes(options.columnTypes);
+  let sample = options.inferTypes ? [] : null;
+  let types = options.inferTypes ? null : columnTypes;
+
+  for await (const record of records) {
+    if (types) {
+      yield convertRecord(record, types);
+      continue;
+    }
+
+    sample.push(record);
+    if (sample.length >= INFERENCE_SAMPLE_SIZE) {
+      types = { ...inferColumnTypes(sample), ...columnTypes };
+      yield* sample.map(sampled => convertRecord(sampled, types));
+      sample = null;
+    }
+  }
+
+  if (sample) {
+    types = { ...inferColumnTypes(sample), ...columnTypes };
+    yield* sample.map(sampled => convertRecord(sampled, types));
+  }
+}
+
+/**
+ * Parse a CSV stream into records as it is read
+ * @param {Readable} readable - CSV byte stream
+ * @param {Object} [options] - Source configuration (see the module options)
+ * @returns {AsyncIterable<Object>} Records
+ */
+function parseCsvStream(readable, options = {}) {
+  const parserOptions = getParserOptions(options);
+  const decoder = createDecoder(options.encoding);
+  getColumnTypes(options.columnTypes);
+
+  // pipeline() forwards read errors to the parser, so they surface in the iteration
+  const records = pipeline(readable, decoder, csv(parserOptions), () => {});
+
+  return hasTypeConversion(options) ? convertRecords(records, options) : records;
+}
+
+/**
+ * Parse CSV content into records
+ * @param {string|Buffer} content - CSV content (buffers are decoded with the source encoding)
+ * @param {Object} [options] - Source configuration (see the module options)
+ * @returns {Promise<Array<Object>>} Records
+ */
+async function parseCsv(content, options = {}) {
+  const readable = Readable.from([Buffer.isBuffer(content) ? content : Buffer.from(content)]);
+  const records = [];
+
+  try {
+    for await (const record of parseCsvStream(readable, { ...options, encoding: Buffer.isBuffer(content) ? options.encoding : 'utf-8' })) {
+      records.push(record);
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError(`CSV parsing error: ${error.message}`, 400);
+  }
+
+  return records;
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvStream,
+  inferColumnTypes,
+};
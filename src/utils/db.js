@@ -48,7 +48,18 @@ async function disconnectFromDatabase() {
   }
 }
 
+/**
+ * Get a native MongoDB driver collection, connecting first if needed
+ * @param {string} name - Collection name
+ * @returns {Promise<Object>} MongoDB collection
+ */
+async function getCollection(name) {
+  await connectToDatabase();
+  return mongoose.connection.db.collection(name);
+}
+
 module.exports = {
   connectToDatabase,
   disconnectFromDatabase,
+  getCollection,
 }; 
\ No newline at end of file
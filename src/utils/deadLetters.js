@@ -0,0 +1,51 @@
+/**
+ * Dead Letter Utility
+ * Stores records rejected by filters, derived fields, validation, enrichment or loading so they can be replayed later.
+ * Persistence failures are logged and never fail the ETL run itself.
+ */
+const mongoose = require('mongoose');
+const logger = require('./logger');
+const DeadLetterModel = require('../models/deadLetterModel');
+
+/**
+ * Store rejected records in the dead-letter collection
+ * @param {Array<Object>} entries - Rejected records ({ stage, reason, details, item, index })
+ * @param {Object} [options] - Options
+ * @param {string} [options.runId] - Run that rejected the records
+ * @param {string} [options.recordId] - Intermediate data record
+ * @returns {Promise<number>} Number of records stored
+ */
+async function recordDeadLetters(entries, { runId, recordId } = {}) {
+  if (!entries || entries.length === 0) {
+    return 0;
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    logger.warn(`${entries.length} rejected records will not be dead-lettered: database is not connected`);
+    return 0;
+  }
+
+  try {
+    const documents = entries.map(entry => ({
+      runId: runId ? String(runId) : null,
+      recordId: recordId ? String(recordId) : undefined,
+      stage: entry.stage,
+      reason: entry.reason,
+      details: entry.details,
+      item: entry.item,
+      index: entry.index,
+    }));
+
+    await DeadLetterModel.insertMany(documents);
+
+    logger.info(`Dead-lettered ${documents.length} rejected records${runId ? ` for run ${runId}` : ''}`);
+    return documents.length;
+  } catch (error) {
+    logger.error(`Error storing dead letters: ${error.message}`);
+    return 0;
+  }
+}
+
+module.exports = {
+  recordDeadLetters,
+};
@@ -0,0 +1,76 @@
+/**
+ * Encryption Utility
+ * AES-256-GCM encryption of secrets at rest with the master key from CREDENTIALS_MASTER_KEY
+ */
+const crypto = require('crypto');
+const { AppError } = require('./errorHandler');
+const { config } = require('../config/config');
+
+// Cipher used for secrets at rest
+const ALGORITHM = 'aes-256-gcm';
+
+// Initialization vector length recommended for GCM (in bytes)
+const IV_LENGTH = 12;
+
+/**
+ * Get the 32 byte master key (given as base64 or hex)
+ * @returns {Buffer} Master key
+ */
+function getMasterKey() {
+  const value = config.credentials.masterKey;
+  if (!value) {
+    throw new AppError('CREDENTIALS_MASTER_KEY is not set, the credential store is unavailable', 500);
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new AppError('CREDENTIALS_MASTER_KEY must be 32 bytes, encoded as base64 or hex', 500);
+  }
+
+  return key;
+}
+
+/**
+ * Encrypt a secret
+ * @param {string} plaintext - Secret
+ * @returns {Object} { ciphertext, iv, authTag } as base64 strings
+ */
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getMasterKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return {
+    ciphertext: ciphertext.toString('base64'),
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+  };
+}
+
+/**
+ * Decrypt a secret
+ * @param {Object} encrypted - { ciphertext, iv, authTag } as base64 strings
+ * @returns {string} Secret
+ */
+function decrypt({ ciphertext, iv, authTag }) {
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getMasterKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    // A wrong master key or tampered data fails the authentication tag check
+    throw new AppError('Unable to decrypt credential, check CREDENTIALS_MASTER_KEY', 500);
+  }
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+};
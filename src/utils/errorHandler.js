@@ -96,8 +96,11 @@ async function handlePromise(promise, errorHandler) {
 
 /**
  * Retry a function with exponential backoff
- * @param {Function} fn - The function to retry
+ * @param {Function} fn - The function to retry (receives the attempt number)
  * @param {Object} options - Retry options
+ * @param {number} [options.retries=3] - Maximum number of attempts
+ * @param {Function} [options.shouldRetry] - Returns false for errors that must not be retried
+ * @param {Function} [options.getDelay] - Overrides the wait before the next attempt (error, attempt, delay)
  * @returns {Promise} Promise that resolves to the function result
  */
 async function retry(fn, options = {}) {
@@ -107,6 +110,8 @@ async function retry(fn, options = {}) {
     maxDelay = 30000,
     factor = 2,
     onRetry = null,
+    shouldRetry = null,
+    getDelay = null,
   } = options;
   
   let attempts = 0;
@@ -114,23 +119,24 @@ async function retry(fn, options = {}) {
   
   while (true) {
     try {
-      return await fn();
+      return await fn(attempts + 1);
     } catch (error) {
       attempts++;
       
-      if (attempts >= retries) {
+      if (attempts >= retries || (shouldRetry && !shouldRetry(error))) {
         throw error;
       }
       
       delay = Math.min(delay * factor, maxDelay);
+      const wait = getDelay ? getDelay(error, attempts, delay) : delay;
       
       if (onRetry) {
-        onRetry(error, attempts, delay);
+        onRetry(error, attempts, wait);
       }
       
-      logger.warn(`Retrying operation after error: ${error.message}. Attempt ${attempts} of ${retries}. Waiting ${delay}ms...`);
+      logger.warn(`Retrying operation after error: ${error.message}. Attempt ${attempts} of ${retries}. Waiting ${wait}ms...`);
       
-      await new Promise(resolve => setTimeout(resolve, delay));
+      await new Promise(resolve => setTimeout(resolve, wait));
     }
   }
 }
@@ -0,0 +1,693 @@
+/**
+ * Expression Utility
+ * A small expression language evaluated against records, for filters and computed fields:
+ *
+ *   status != 'inactive' and total > 100
+ *   price * qty
+ *   coalesce(nickname, upper(substring(name, 0, 1)) + '.')
+ *
+ * Expressions are parsed into a tree and interpreted: they can only read the fields of the record
+ * and call the functions below, never run JavaScript. Fields are names (`status`), dot paths
+ * (`address.city`), indexes (`items[0]`) or backquoted names (`order date`); missing fields are
+ * null. Operators: + - * / %, == != < <= > >=, in [...], and/or/not (&& || !), ?? and ? :.
+ * Arithmetic converts numeric text (CSV values), gives null when an operand is null and for
+ * division by zero; + joins text when either operand is text.
+ */
+const { AppError } = require('./errorHandler');
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null,
+};
+
+// Operators, longest first
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '??', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', '[', ']', ',', '.'];
+
+const DATE_UNITS = {
+  millisecond: 1,
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Create the error of an expression, at a position of its text
+ * @param {string} message - Error message
+ * @param {number} [position] - Position in the expression (from 0)
+ * @returns {AppError} Error (details: { reason, position })
+ */
+function expressionError(message, position) {
+  return new AppError(
+    position === undefined ? message : `${message} at position ${position + 1}`,
+    400,
+    { reason: message, position },
+  );
+}
+
+/**
+ * Check whether an error was raised by an expression
+ * @param {Error} error - Error
+ * @returns {boolean} True for expression errors
+ */
+function isExpressionError(error) {
+  return error instanceof AppError && error.details?.reason !== undefined;
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} text - Expression
+ * @returns {Array<Object>} Tokens ({ type: number|string|name|operator|end, value, position })
+ */
+function tokenize(text) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const rest = text.slice(position);
+    let match;
+
+    if ((match = rest.match(/^\s+/))) {
+      position += match[0].length;
+      continue;
+    }
+
+    if ((match = rest.match(/^(\d+(\.\d+)?|\.\d+)([eE][+-]?\d+)?/))) {
+      tokens.push({ type: 'number', value: Number(match[0]), position });
+    } else if ((match = rest.match(/^('([^'\\]|\\.)*'|"([^"\\]|\\.)*")/))) {
+      const value = match[0].slice(1, -1).replace(/\\(.)/g, (_, char) => ({ n: '\n', t: '\t', r: '\r' }[char] ?? char));
+      tokens.push({ type: 'string', value, position });
+    } else if ((match = rest.match(/^`([^`]*)`/))) {
+      tokens.push({ type: 'name', value: match[1], quoted: true, position });
+    } else if ((match = rest.match(/^[A-Za-z_$][\w$]*/))) {
+      tokens.push({ type: 'name', value: match[0], position });
+    } else {
+      const operator = OPERATORS.find(candidate => rest.startsWith(candidate));
+      if (!operator) {
+        throw expressionError(`Unexpected character "${rest[0]}"`, position);
+      }
+      match = [operator];
+      tokens.push({ type: 'operator', value: operator, position });
+    }
+
+    position += match[0].length;
+  }
+
+  tokens.push({ type: 'end', position });
+  return tokens;
+}
+
+/**
+ * Parse an expression into a tree
+ * @param {string} text - Expression
+ * @returns {Object} Expression tree
+ */
+function parse(text) {
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+  const isWord = (...values) => peek().type === 'name' && !peek().quoted && values.includes(peek().value);
+  const describe = token => (token.type === 'end' ? 'end of expression' : `"${token.type === 'string' ? `'${token.value}'` : token.value}"`);
+  const expect = value => {
+    if (!isOperator(value)) {
+      throw expressionError(`Expected "${value}" but found ${describe(peek())}`, peek().position);
+    }
+    return next();
+  };
+
+  /**
+   * Parse binary operators of one precedence level
+   * @param {Function} parseOperand - Parser of the operands
+   * @param {Object} operators - Operator names by token (operators and keywords)
+   * @returns {Object} Expression tree
+   */
+  const parseBinary = (parseOperand, operators) => {
+    let left = parseOperand();
+    for (;;) {
+      const token = peek();
+      const operator = (token.type === 'operator' || (token.type === 'name' && !token.quoted))
+        && Object.prototype.hasOwnProperty.call(operators, token.value) ? operators[token.value] : undefined;
+      if (!operator) {
+        return left;
+      }
+      next();
+      left = { type: 'binary', operator, left, right: parseOperand(), position: token.position };
+    }
+  };
+
+  let parseTernary;
+
+  const parseArguments = close => {
+    const items = [];
+    if (!isOperator(close)) {
+      do {
+        items.push(parseTernary());
+      } while (isOperator(',') && next());
+    }
+    expect(close);
+    return items;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      const expression = parseTernary();
+      expect(')');
+      return expression;
+    }
+
+    if (token.type === 'operator' && token.value === '[') {
+      return { type: 'array', items: parseArguments(']'), position: token.position };
+    }
+
+    if (token.type === 'name') {
+      if (!token.quoted && Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)) {
+        return { type: 'literal', value: KEYWORDS[token.value] };
+      }
+      if (!token.quoted && isOperator('(')) {
+        next();
+        const definition = Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : undefined;
+        if (!definition) {
+          throw expressionError(`Unknown function ${token.value}`, token.position);
+        }
+        const args = parseArguments(')');
+        const [min, max = min] = definition.arity;
+        if (args.length < min || args.length > max) {
+          const expected = max === Infinity ? `at least ${min}` : min === max ? `${min}` : `${min} to ${max}`;
+          throw expressionError(`Function ${token.value} expects ${expected} argument${max === 1 ? '' : 's'}`, token.position);
+        }
+        return { type: 'call', name: token.value, args, position: token.position };
+      }
+      return { type: 'field', name: token.value, position: token.position };
+    }
+
+    throw expressionError(`Unexpected ${describe(token)}`, token.position);
+  };
+
+  const parsePostfix = () => {
+    let expression = parsePrimary();
+    for (;;) {
+      if (isOperator('.')) {
+        next();
+        const name = next();
+        if (name.type !== 'name') {
+          throw expressionError(`Expected a field name but found ${describe(name)}`, name.position);
+        }
+        expression = { type: 'member', object: expression, key: { type: 'literal', value: name.value }, position: name.position };
+      } else if (isOperator('[')) {
+        const token = next();
+        const key = parseTernary();
+        expect(']');
+        expression = { type: 'member', object: expression, key, position: token.position };
+      } else {
+        return expression;
+      }
+    }
+  };
+
+  const parseUnary = () => {
+    if (isOperator('-', '!') || isWord('not')) {
+      const token = next();
+      return { type: 'unary', operator: token.value === '-' ? '-' : 'not', operand: parseUnary(), position: token.position };
+    }
+    return parsePostfix();
+  };
+
+  const parseMultiplicative = () => parseBinary(parseUnary, { '*': '*', '/': '/', '%': '%' });
+  const parseAdditive = () => parseBinary(parseMultiplicative, { '+': '+', '-': '-' });
+  const parseComparison = () => parseBinary(parseAdditive, { '<': '<', '<=': '<=', '>': '>', '>=': '>=', in: 'in' });
+  const parseEquality = () => parseBinary(parseComparison, { '==': '==', '!=': '!=' });
+  const parseAnd = () => parseBinary(parseEquality, { and: 'and', '&&': 'and' });
+  const parseOr = () => parseBinary(parseAnd, { or: 'or', '||': 'or' });
+  const parseCoalesce = () => parseBinary(parseOr, { '??': '??' });
+
+  parseTernary = () => {
+    const condition = parseCoalesce();
+    if (!isOperator('?')) {
+      return condition;
+    }
+    const token = next();
+    const consequent = parseTernary();
+    expect(':');
+    return { type: 'conditional', condition, consequent, alternate: parseTernary(), position: token.position };
+  };
+
+  const tree = parseTernary();
+  if (peek().type !== 'end') {
+    throw expressionError(`Unexpected ${describe(peek())}`, peek().position);
+  }
+  return tree;
+}
+
+/**
+ * Describe a value for error messages
+ * @param {any} value - Value
+ * @returns {string} Description
+ */
+function describeValue(value) {
+  if (typeof value === 'string') {
+    return `text ${JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}...` : value)}`;
+  }
+  if (value instanceof Date) {
+    return 'a date';
+  }
+  if (Array.isArray(value)) {
+    return 'a list';
+  }
+  return typeof value === 'object' ? 'an object' : `${typeof value} ${value}`;
+}
+
+/**
+ * Check whether a value counts as true
+ * @param {any} value - Value
+ * @returns {boolean} False for null, false, 0, NaN and empty text
+ */
+function isTruthy(value) {
+  return value !== null && value !== undefined && value !== false && value !== 0 && value !== '' && !Number.isNaN(value);
+}
+
+/**
+ * Convert a value to a number for arithmetic (numeric text is converted)
+ * @param {any} value - Value
+ * @param {string} operation - Operation, for errors
+ * @returns {number|null} Number (null for null)
+ */
+function toNumber(value, operation) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'boolean') {
+    return Number(value);
+  }
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  throw expressionError(`Cannot use ${describeValue(value)} in ${operation}`);
+}
+
+/**
+ * Convert a value to a date (dates, ISO text and timestamps)
+ * @param {any} value - Value
+ * @returns {Date|null} Date (null for null and invalid dates)
+ */
+function toDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Convert a value to text
+ * @param {any} value - Value
+ * @returns {string|null} Text (null for null)
+ */
+function toText(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Bring two values to comparable forms: numbers with numeric text, dates with date text
+ * @param {any} left - Left value
+ * @param {any} right - Right value
+ * @returns {Array} Comparable values
+ */
+function toComparable(left, right) {
+  const convert = (value, other) => {
+    if (typeof other === 'number' && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      return Number(value);
+    }
+    if (other instanceof Date && typeof value === 'string') {
+      return toDate(value) ?? value;
+    }
+    return value;
+  };
+  const values = [convert(left, right), convert(right, left)];
+  return values.map(value => (value instanceof Date ? value.getTime() : value));
+}
+
+/**
+ * Check whether two values are equal (text is compared to numbers and dates by value)
+ * @param {any} left - Left value
+ * @param {any} right - Right value
+ * @returns {boolean} True if equal
+ */
+function isEqual(left, right) {
+  const [a, b] = toComparable(left ?? null, right ?? null);
+  if (a !== null && typeof a === 'object' && b !== null && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+/**
+ * Compare two values with an ordering operator (false when either is null)
+ * @param {string} operator - <, <=, > or >=
+ * @param {any} left - Left value
+ * @param {any} right - Right value
+ * @returns {boolean} Comparison result
+ */
+function compare(operator, left, right) {
+  if (left === null || left === undefined || right === null || right === undefined) {
+    return false;
+  }
+  const [a, b] = toComparable(left, right);
+  if (typeof a !== typeof b || !['number', 'string', 'boolean'].includes(typeof a)) {
+    throw expressionError(`Cannot compare ${describeValue(left)} with ${describeValue(right)}`);
+  }
+  switch (operator) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    default: return a >= b;
+  }
+}
+
+/**
+ * Get the size of a date unit in milliseconds
+ * @param {string} unit - Unit (millisecond, second, minute, hour, day, week, with or without a final s)
+ * @returns {number} Milliseconds
+ */
+function getDateUnit(unit) {
+  const name = String(unit).toLowerCase().replace(/s$/, '');
+  if (!DATE_UNITS[name] && !['month', 'year'].includes(name)) {
+    throw expressionError(`Unknown date unit: ${unit} (expected ${[...Object.keys(DATE_UNITS), 'month', 'year'].join(', ')})`);
+  }
+  return name;
+}
+
+/**
+ * Wrap a function of text so that null gives null
+ * @param {Function} fn - Function receiving the text and the other arguments
+ * @returns {Function} Function
+ */
+const textFunction = fn => (value, ...args) => (value === null || value === undefined ? null : fn(toText(value), ...args));
+
+/**
+ * Wrap a function of numbers so that null gives null
+ * @param {string} name - Function name, for errors
+ * @param {Function} fn - Function receiving the numbers
+ * @returns {Function} Function
+ */
+const numberFunction = (name, fn) => (...args) => {
+  const numbers = args.map(arg => toNumber(arg, `${name}()`));
+  return numbers.some(number => number === null) ? null : fn(...numbers);
+};
+
+/**
+ * Wrap a function of a date so that null and invalid dates give null
+ * @param {Function} fn - Function receiving the date and the other arguments
+ * @returns {Function} Function
+ */
+const dateFunction = fn => (value, ...args) => {
+  const date = toDate(value);
+  return date === null ? null : fn(date, ...args);
+};
+
+// Functions by name: { arity: [min, max], fn, lazy } (lazy functions receive argument thunks)
+const FUNCTIONS = Object.assign(Object.create(null), {
+  // Text
+  lower: { arity: [1], fn: textFunction(text => text.toLowerCase()) },
+  upper: { arity: [1], fn: textFunction(text => text.toUpperCase()) },
+  trim: { arity: [1], fn: textFunction(text => text.trim()) },
+  length: { arity: [1], fn: value => (Array.isArray(value) ? value.length : textFunction(text => text.length)(value)) },
+  substring: {
+    arity: [2, 3],
+    fn: textFunction((text, start, length) => {
+      const from = toNumber(start, 'substring()') ?? 0;
+      const count = toNumber(length ?? null, 'substring()');
+      return text.substring(from, count === null ? undefined : from + count);
+    }),
+  },
+  replace: { arity: [3], fn: textFunction((text, search, replacement) => text.split(toText(search) ?? '').join(toText(replacement) ?? '')) },
+  contains: { arity: [2], fn: textFunction((text, search) => text.includes(toText(search) ?? '')) },
+  startsWith: { arity: [2], fn: textFunction((text, search) => text.startsWith(toText(search) ?? '')) },
+  endsWith: { arity: [2], fn: textFunction((text, search) => text.endsWith(toText(search) ?? '')) },
+  split: { arity: [2], fn: textFunction((text, separator) => text.split(toText(separator) ?? '')) },
+  concat: { arity: [1, Infinity], fn: (...values) => values.map(value => toText(value) ?? '').join('') },
+  string: { arity: [1], fn: toText },
+
+  // Numbers
+  number: {
+    arity: [1],
+    fn: value => {
+      if (typeof value === 'string') {
+        return value.trim() === '' || Number.isNaN(Number(value)) ? null : Number(value);
+      }
+      return typeof value === 'number' || typeof value === 'boolean' ? Number(value) : null;
+    },
+  },
+  abs: { arity: [1], fn: numberFunction('abs', Math.abs) },
+  floor: { arity: [1], fn: numberFunction('floor', Math.floor) },
+  ceil: { arity: [1], fn: numberFunction('ceil', Math.ceil) },
+  round: {
+    arity: [1, 2],
+    fn: numberFunction('round', (value, digits = 0) => {
+      const factor = 10 ** digits;
+      return Math.round((value + Number.EPSILON * Math.sign(value)) * factor) / factor;
+    }),
+  },
+  min: { arity: [1, Infinity], fn: numberFunction('min', Math.min) },
+  max: { arity: [1, Infinity], fn: numberFunction('max', Math.max) },
+  pow: { arity: [2], fn: numberFunction('pow', Math.pow) },
+
+  // Dates (UTC)
+  now: { arity: [0], fn: () => new Date() },
+  date: { arity: [1], fn: toDate },
+  year: { arity: [1], fn: dateFunction(date => date.getUTCFullYear()) },
+  month: { arity: [1], fn: dateFunction(date => date.getUTCMonth() + 1) },
+  day: { arity: [1], fn: dateFunction(date => date.getUTCDate()) },
+  dateAdd: {
+    arity: [3],
+    fn: dateFunction((date, amount, unit) => {
+      const count = toNumber(amount, 'dateAdd()');
+      const name = getDateUnit(unit);
+      if (count === null) {
+        return null;
+      }
+      const result = new Date(date.getTime());
+      if (name === 'month' || name === 'year') {
+        result.setUTCMonth(result.getUTCMonth() + count * (name === 'year' ? 12 : 1));
+        return result;
+      }
+      return new Date(date.getTime() + count * DATE_UNITS[name]);
+    }),
+  },
+  dateDiff: {
+    arity: [3],
+    fn: (end, start, unit) => {
+      const [to, from] = [toDate(end), toDate(start)];
+      const name = getDateUnit(unit);
+      if (to === null || from === null) {
+        return null;
+      }
+      if (name === 'month' || name === 'year') {
+        const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+        return Math.trunc(name === 'year' ? months / 12 : months);
+      }
+      return Math.trunc((to.getTime() - from.getTime()) / DATE_UNITS[name]);
+    },
+  },
+  formatDate: {
+    arity: [2],
+    fn: dateFunction((date, pattern) => {
+      const pad = (value, size = 2) => String(value).padStart(size, '0');
+      const parts = {
+        YYYY: pad(date.getUTCFullYear(), 4),
+        MM: pad(date.getUTCMonth() + 1),
+        DD: pad(date.getUTCDate()),
+        HH: pad(date.getUTCHours()),
+        mm: pad(date.getUTCMinutes()),
+        ss: pad(date.getUTCSeconds()),
+      };
+      return String(pattern).replace(/YYYY|MM|DD|HH|mm|ss/g, token => parts[token]);
+    }),
+  },
+
+  // Null handling and conditions
+  coalesce: {
+    arity: [1, Infinity],
+    lazy: true,
+    fn: (...thunks) => {
+      for (const thunk of thunks) {
+        const value = thunk();
+        if (value !== null && value !== undefined) {
+          return value;
+        }
+      }
+      return null;
+    },
+  },
+  ifNull: { arity: [2], lazy: true, fn: (value, fallback) => value() ?? fallback() },
+  isNull: { arity: [1], fn: value => value === null || value === undefined },
+  isEmpty: {
+    arity: [1],
+    fn: value => value === null || value === undefined || value === ''
+      || (Array.isArray(value) && value.length === 0)
+      || (typeof value === 'object' && !(value instanceof Date) && Object.keys(value).length === 0),
+  },
+  if: { arity: [3], lazy: true, fn: (condition, consequent, alternate) => (isTruthy(condition()) ? consequent() : alternate()) },
+});
+
+/**
+ * Read an own property of an object or array (anything else, and missing properties, give null)
+ * @param {any} object - Object
+ * @param {any} key - Property name or index
+ * @returns {any} Value
+ */
+function getProperty(object, key) {
+  if (object === null || typeof object !== 'object' || object instanceof Date || key === null || key === undefined) {
+    return null;
+  }
+  const name = Array.isArray(object) && typeof key === 'number' && key < 0 ? object.length + key : key;
+  return Object.prototype.hasOwnProperty.call(object, name) ? object[name] ?? null : null;
+}
+
+/**
+ * Evaluate an arithmetic operator
+ * @param {string} operator - Operator
+ * @param {any} left - Left value
+ * @param {any} right - Right value
+ * @returns {any} Result
+ */
+function calculate(operator, left, right) {
+  if (operator === '+' && (typeof left === 'string' || typeof right === 'string')) {
+    return left === null || left === undefined || right === null || right === undefined ? null : toText(left) + toText(right);
+  }
+
+  const operation = { '+': 'an addition', '-': 'a subtraction', '*': 'a multiplication', '/': 'a division', '%': 'a remainder' }[operator];
+  const [a, b] = [toNumber(left, operation), toNumber(right, operation)];
+  if (a === null || b === null) {
+    return null;
+  }
+
+  switch (operator) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return b === 0 ? null : a / b;
+    default: return b === 0 ? null : a % b;
+  }
+}
+
+/**
+ * Evaluate an expression tree against a record
+ * @param {Object} node - Expression tree
+ * @param {Object} record - Record
+ * @returns {any} Value
+ */
+function evaluate(node, record) {
+  try {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'field':
+        return getProperty(record, node.name);
+      case 'member':
+        return getProperty(evaluate(node.object, record), evaluate(node.key, record));
+      case 'array':
+        return node.items.map(item => evaluate(item, record));
+      case 'unary': {
+        const value = evaluate(node.operand, record);
+        if (node.operator === 'not') {
+          return !isTruthy(value);
+        }
+        const number = toNumber(value, 'a negation');
+        return number === null ? null : -number;
+      }
+      case 'conditional':
+        return isTruthy(evaluate(node.condition, record)) ? evaluate(node.consequent, record) : evaluate(node.alternate, record);
+      case 'call': {
+        const { fn, lazy } = FUNCTIONS[node.name];
+        return lazy
+          ? fn(...node.args.map(arg => () => evaluate(arg, record)))
+          : fn(...node.args.map(arg => evaluate(arg, record)));
+      }
+      case 'binary': {
+        const { operator } = node;
+        if (operator === 'and') {
+          return isTruthy(evaluate(node.left, record)) && isTruthy(evaluate(node.right, record));
+        }
+        if (operator === 'or') {
+          return isTruthy(evaluate(node.left, record)) || isTruthy(evaluate(node.right, record));
+        }
+        if (operator === '??') {
+          return evaluate(node.left, record) ?? evaluate(node.right, record);
+        }
+
+        const left = evaluate(node.left, record);
+        const right = evaluate(node.right, record);
+        switch (operator) {
+          case '==': return isEqual(left, right);
+          case '!=': return !isEqual(left, right);
+          case '<':
+          case '<=':
+          case '>':
+          case '>=':
+            return compare(operator, left, right);
+          case 'in':
+            if (!Array.isArray(right)) {
+              throw expressionError(`"in" needs a list, not ${describeValue(right)}`);
+            }
+            return right.some(item => isEqual(left, item));
+          default:
+            return calculate(operator, left, right);
+        }
+      }
+      default:
+        throw expressionError(`Unknown expression node ${node.type}`);
+    }
+  } catch (error) {
+    // Point at the innermost operator or function that failed
+    if (isExpressionError(error) && error.details.position === undefined && node.position !== undefined) {
+      throw expressionError(error.details.reason, node.position);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Compile an expression
+ * @param {string} text - Expression
+ * @returns {Function} Evaluates the expression against a record: (record) => value
+ */
+function compileExpression(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw expressionError('Expression must be a non-empty string');
+  }
+
+  let tree;
+  try {
+    tree = parse(text);
+  } catch (error) {
+    throw expressionError(`Invalid expression "${text}": ${error.message}`);
+  }
+
+  return record => evaluate(tree, record);
+}
+
+module.exports = {
+  compileExpression,
+  isExpressionError,
+  isTruthy,
+};
@@ -0,0 +1,122 @@
+/**
+ * File Matching Utility
+ * Glob matching of local files and blob names for multi-file sources, and origin tagging of
+ * the records read from each file.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const picomatch = require('picomatch');
+
+// Record field naming the file a record was read from
+const DEFAULT_ORIGIN_FIELD = '_file';
+
+/**
+ * Check whether a path or blob name is a glob pattern
+ * @param {string} pattern - Path or pattern
+ * @returns {boolean} True for glob patterns ("data/*.csv", "exports/**\/orders-{a,b}.json")
+ */
+function isGlobPattern(pattern) {
+  return typeof pattern === 'string' && picomatch.scan(pattern).isGlob;
+}
+
+/**
+ * Get the static part of a pattern before its first glob segment
+ * @param {string} pattern - Glob pattern
+ * @returns {string} Base ("data/in" for "data/in/**\/*.csv")
+ */
+function getGlobBase(pattern) {
+  return picomatch.scan(pattern).base;
+}
+
+/**
+ * Create a matcher of names against a glob pattern
+ * @param {string} pattern - Glob pattern
+ * @returns {Function} (name) => boolean
+ */
+function createMatcher(pattern) {
+  return picomatch(pattern, { dot: false });
+}
+
+/**
+ * List the local files matching a glob pattern, sorted by path
+ * @param {string} pattern - Glob pattern, relative to the working directory or absolute
+ * @returns {Promise<Array<Object>>} Files ({ name, path, size, lastModified, fingerprint }),
+ *   where name is the path as matched by the pattern
+ */
+async function listMatchingFiles(pattern) {
+  const normalized = pattern.split(path.sep).join('/');
+  const { base, glob } = picomatch.scan(normalized);
+  const baseDir = path.resolve(base || '.');
+  const isMatch = createMatcher(glob);
+
+  let entries;
+  try {
+    entries = await fs.readdir(baseDir, { recursive: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries.sort()) {
+    const relative = entry.split(path.sep).join('/');
+    if (!isMatch(relative)) {
+      continue;
+    }
+
+    const filePath = path.join(baseDir, entry);
+    const stats = await fs.stat(filePath);
+    if (!stats.isFile()) {
+      continue;
+    }
+
+    files.push({
+      name: base ? `${base}/${relative}` : relative,
+      path: filePath,
+      size: stats.size,
+      lastModified: stats.mtime,
+      fingerprint: `${stats.size}:${stats.mtimeMs}`,
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Get the origin field of a multi-file source
+ * @param {Object} source - Source configuration (originField: field name, or false to disable tagging)
+ * @returns {string|null} Field name, or null without tagging
+ */
+function getOriginField(source) {
+  if (source.originField === false) {
+    return null;
+  }
+  return source.originField || DEFAULT_ORIGIN_FIELD;
+}
+
+/**
+ * Tag records with the file they were read from (only object records are tagged)
+ * @param {Array} records - Records
+ * @param {string|null} field - Origin field
+ * @param {string} name - File or blob name
+ * @returns {Array} Tagged records
+ */
+function tagOrigin(records, field, name) {
+  if (!field) {
+    return records;
+  }
+  return records.map(record => (
+    record !== null && typeof record === 'object' && !Array.isArray(record) ? { ...record, [field]: name } : record
+  ));
+}
+
+module.exports = {
+  isGlobPattern,
+  getGlobBase,
+  createMatcher,
+  listMatchingFiles,
+  getOriginField,
+  tagOrigin,
+};
@@ -0,0 +1,156 @@
+/**
+ * Job Queue Utility
+ * In-memory queue that runs long operations in the background and tracks their progress
+ */
+const crypto = require('crypto');
+const logger = require('./logger');
+const monitor = require('./monitor');
+const { config } = require('../config/config');
+
+// Jobs by ID, in submission order
+const jobs = new Map();
+
+// Jobs waiting for a free worker
+const pending = [];
+
+// Number of jobs currently running
+let activeCount = 0;
+
+/**
+ * Get a serializable snapshot of a job
+ * @param {Object} job - Job
+ * @returns {Object} Job status
+ */
+function toStatus(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    state: job.state,
+    step: job.step,
+    progress: { ...job.progress },
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Drop the oldest finished jobs once the history limit is exceeded
+ */
+function pruneHistory() {
+  const maxHistory = config.jobs.maxHistory;
+
+  for (const [id, job] of jobs) {
+    if (jobs.size <= maxHistory) {
+      break;
+    }
+    if (job.state === 'succeeded' || job.state === 'failed') {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Start queued jobs while workers are available
+ */
+function drain() {
+  while (activeCount < config.jobs.concurrency && pending.length > 0) {
+    runJob(pending.shift());
+  }
+}
+
+/**
+ * Run a job and record its outcome
+ * @param {Object} job - Job
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  activeCount++;
+  job.state = 'running';
+  job.startedAt = new Date();
+
+  logger.info(`Job ${job.id} (${job.type}) started`);
+
+  const handle = {
+    id: job.id,
+    /**
+     * Report job progress
+     * @param {Object} update - Progress update ({ step, ...counts })
+     */
+    reportProgress: ({ step, ...counts } = {}) => {
+      if (step) {
+        job.step = step;
+      }
+      Object.assign(job.progress, counts);
+    },
+  };
+
+  try {
+    job.result = await job.task(handle);
+    job.state = 'succeeded';
+    logger.info(`Job ${job.id} (${job.type}) succeeded`);
+  } catch (error) {
+    job.state = 'failed';
+    job.error = {
+      message: error.message,
+      ...(error.statusCode ? { statusCode: error.statusCode } : {}),
+      ...(error.details && Object.keys(error.details).length > 0 ? { details: error.details } : {}),
+    };
+    logger.error(`Job ${job.id} (${job.type}) failed: ${error.message}`);
+    monitor.trackError(error, 'jobQueue');
+  } finally {
+    job.finishedAt = new Date();
+    activeCount--;
+    pruneHistory();
+    drain();
+  }
+}
+
+/**
+ * Submit a job for background execution
+ * @param {string} type - Job type (e.g. 'orchestrate')
+ * @param {Function} task - Async function receiving a job handle with reportProgress()
+ * @returns {Object} Job status
+ */
+function enqueueJob(type, task) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    task,
+    state: 'queued',
+    step: null,
+    progress: {},
+    result: null,
+    error: null,
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  jobs.set(job.id, job);
+  pending.push(job);
+
+  logger.info(`Job ${job.id} (${type}) queued`);
+
+  // Start on the next tick so the caller gets the queued status back first
+  setImmediate(drain);
+
+  return toStatus(job);
+}
+
+/**
+ * Get the status of a job
+ * @param {string} id - Job ID
+ * @returns {Object|null} Job status, or null if unknown
+ */
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? toStatus(job) : null;
+}
+
+module.exports = {
+  enqueueJob,
+  getJob,
+};
@@ -0,0 +1,202 @@
+/**
+ * JSON Path Utility
+ * Reads values out of JSON documents with dot paths ("data.items", "results[0].id") or a JSONPath
+ * subset ("$.data.items", "$.groups[*].items", "$..orders", "$['odd key']"), and selects the
+ * records of nested responses.
+ */
+const { AppError } = require('./errorHandler');
+
+/**
+ * Split a path into steps
+ * @param {string} path - Path ("$" or empty for the document itself)
+ * @returns {Array<Object>} Steps ({ key }, { index }, { wildcard: true }, with descend: true for "..")
+ */
+function parsePath(path) {
+  const source = String(path).trim().replace(/^\$/, '');
+  const steps = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const rest = source.slice(position);
+    let match;
+
+    if ((match = rest.match(/^(\.\.?)(\*|[^.[\]]+)/))) {
+      // .key, ..key, .*, ..*
+      steps.push({
+        ...(match[2] === '*' ? { wildcard: true } : { key: match[2] }),
+        descend: match[1] === '..',
+      });
+    } else if ((match = rest.match(/^\[\s*(\*|-?\d+|'[^']*'|"[^"]*")\s*\]/))) {
+      // [*], [0], [-1], ['key'], ["key"]
+      const token = match[1];
+      if (token === '*') {
+        steps.push({ wildcard: true });
+      } else if (/^-?\d+$/.test(token)) {
+        steps.push({ index: Number(token) });
+      } else {
+        steps.push({ key: token.slice(1, -1) });
+      }
+    } else if (position === 0 && (match = rest.match(/^[^.[\]]+/))) {
+      // Leading key of a dot path without "$."
+      steps.push({ key: match[0] });
+    } else {
+      throw new AppError(`Invalid path "${path}" at "${rest}"`, 400);
+    }
+
+    position += match[0].length;
+  }
+
+  return steps;
+}
+
+/**
+ * Get the children of a value (array items or object values)
+ * @param {any} value - Value
+ * @returns {Array} Children
+ */
+function getChildren(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return value !== null && typeof value === 'object' ? Object.values(value) : [];
+}
+
+/**
+ * Get a value and all its descendants
+ * @param {any} value - Value
+ * @returns {Array} The value followed by its descendants
+ */
+function getDescendants(value) {
+  return [value, ...getChildren(value).flatMap(getDescendants)];
+}
+
+/**
+ * Apply one path step to a value
+ * @param {any} value - Value
+ * @param {Object} step - Path step
+ * @returns {Array} Matched values
+ */
+function applyStep(value, step) {
+  if (step.wildcard) {
+    return getChildren(value);
+  }
+
+  if (value === null || value === undefined || typeof value !== 'object') {
+    return [];
+  }
+
+  if (step.index !== undefined) {
+    const items = Array.isArray(value) ? value : [];
+    const index = step.index < 0 ? items.length + step.index : step.index;
+    return index in items ? [items[index]] : [];
+  }
+
+  return Object.prototype.hasOwnProperty.call(value, step.key) ? [value[step.key]] : [];
+}
+
+/**
+ * Get all the values matching a path
+ * @param {any} document - JSON document
+ * @param {string} [path] - Path, the whole document matches without one
+ * @returns {Array} Matched values
+ */
+function queryPath(document, path) {
+  if (!path) {
+    return [document];
+  }
+
+  return parsePath(path).reduce(
+    (values, step) => (step.descend ? values.flatMap(getDescendants) : values)
+      .flatMap(value => applyStep(value, step)),
+    [document],
+  );
+}
+
+/**
+ * Get the value at a path of a document
+ * @param {any} document - JSON document
+ * @param {string} [path] - Path, the whole document is returned without one
+ * @returns {any} First matched value, or undefined if the path does not exist
+ */
+function getValueAtPath(document, path) {
+  return queryPath(document, path)[0];
+}
+
+/**
+ * Check whether a source selects records out of its documents
+ * @param {Object} source - Source configuration
+ * @returns {boolean} True if the source has a recordPath or envelope fields
+ */
+function hasRecordSelection(source) {
+  return Boolean(source?.recordPath || source?.envelope);
+}
+
+/**
+ * Get the envelope fields of a source as { field: path }
+ * (a list of paths names each field after the last key of its path)
+ * @param {Object|Array<string>} envelope - Envelope fields
+ * @returns {Object} Paths by field name
+ */
+function getEnvelopeFields(envelope) {
+  if (!envelope) {
+    return {};
+  }
+
+  if (Array.isArray(envelope)) {
+    return envelope.reduce((fields, path) => {
+      const last = parsePath(path).filter(step => step.key !== undefined).pop();
+      if (!last) {
+        throw new AppError(`Envelope path "${path}" does not name a field`, 400);
+      }
+      fields[last.key] = path;
+      return fields;
+    }, {});
+  }
+
+  if (typeof envelope !== 'object' || Object.values(envelope).some(path => typeof path !== 'string')) {
+    throw new AppError('envelope must be a list of paths or an object of field names and paths', 400);
+  }
+
+  return envelope;
+}
+
+/**
+ * Select the records of a document and copy envelope fields onto each of them
+ * @param {any} document - Parsed response or file
+ * @param {Object} options - Selection options (usually the source configuration)
+ * @param {string} [options.recordPath] - Path of the records (matched arrays are flattened)
+ * @param {Object|Array<string>} [options.envelope] - Document fields to copy onto every record
+ *   ({ field: path } or a list of paths); fields of the record itself take precedence
+ * @returns {Array} Records
+ */
+function selectRecords(document, { recordPath, envelope } = {}) {
+  if (recordPath !== undefined && typeof recordPath !== 'string') {
+    throw new AppError('recordPath must be a string', 400);
+  }
+
+  const records = queryPath(document, recordPath)
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .flatMap(value => (Array.isArray(value) ? value : [value]));
+
+  const fields = Object.entries(getEnvelopeFields(envelope));
+  if (fields.length === 0) {
+    return records;
+  }
+
+  const values = fields.reduce((selected, [field, path]) => {
+    selected[field] = getValueAtPath(document, path);
+    return selected;
+  }, {});
+
+  return records.map(record => (
+    record !== null && typeof record === 'object' && !Array.isArray(record) ? { ...values, ...record } : record
+  ));
+}
+
+module.exports = {
+  parsePath,
+  queryPath,
+  getValueAtPath,
+  hasRecordSelection,
+  selectRecords,
+};
@@ -3,6 +3,7 @@ const logger = require('./logger');
 const { config } = require('../config/config');
 const { AppError } = require('./errorHandler');
 const monitor = require('./monitor');
+const { withRetry } = require('./retryPolicy');
 
 /**
  * Check if Ollama is available
@@ -39,10 +40,22 @@ async function checkOllamaAvailability() {
   }
 }
 
+/**
+ * Count request attempts in a stats object
+ * @param {Object} [stats] - Stats receiving the attempts
+ * @param {number} [attempts] - Attempts made by a request
+ */
+function addAttempts(stats, attempts) {
+  if (stats && attempts) {
+    stats.attempts = (stats.attempts || 0) + attempts;
+  }
+}
+
 /**
  * Generate text using Ollama's Mistral model
  * @param {string} prompt - The prompt to generate text from
  * @param {Object} options - Additional options for text generation
+ * @param {Object} [options.stats] - Accumulates the number of request attempts (stats.attempts)
  * @returns {Promise<string>} The generated text
  */
 async function generateText(prompt, options = {}) {
@@ -67,17 +80,21 @@ async function generateText(prompt, options = {}) {
       });
     }
     
-    const response = await axios.post(ollamaEndpoint, {
-      model: model,
-      prompt: prompt,
-      options: {
-        temperature: options.temperature || config.ollama.temperature,
-        num_predict: options.maxTokens || config.ollama.maxTokens,
-      },
-      stream: false,
-    }, {
-      timeout: options.timeout || 60000, // 60 second timeout for LLM responses
-    });
+    const { result: response, attempts } = await withRetry(
+      () => axios.post(ollamaEndpoint, {
+        model: model,
+        prompt: prompt,
+        options: {
+          temperature: options.temperature || config.ollama.temperature,
+          num_predict: options.maxTokens || config.ollama.maxTokens,
+        },
+        stream: false,
+      }, {
+        timeout: options.timeout || 60000, // 60 second timeout for LLM responses
+      }),
+      { operation: `Ollama generation (${model})` },
+    );
+    addAttempts(options.stats, attempts);
 
     if (!response.data || !response.data.response) {
       throw new AppError('Invalid response from Ollama', 500);
@@ -86,12 +103,13 @@ async function generateText(prompt, options = {}) {
     // Track successful call
     success = true;
     const _duration = Date.now() - startTime;
-    logger.info(`Generated text with Ollama in ${_duration}ms`);
+    logger.info(`Generated text with Ollama in ${_duration}ms (${attempts} attempt${attempts === 1 ? '' : 's'})`);
     
     // Return the generated text
     return response.data.response;
   } catch (error) {
     const _duration = Date.now() - startTime;
+    addAttempts(options.stats, error.attempts);
     
     if (error.code === 'ECONNREFUSED') {
       logger.error('Failed to connect to Ollama. Is the Ollama server running?');
@@ -128,6 +146,7 @@ async function generateText(prompt, options = {}) {
  * @param {Object} data - The data to enrich
  * @param {string} instruction - The instruction for enrichment
  * @param {Object} options - Additional options for enrichment
+ * @param {Object} [options.stats] - Accumulates the number of request attempts (stats.attempts)
  * @returns {Promise<Object>} The enriched data
  */
 async function enrichData(data, instruction, options = {}) {
@@ -160,6 +179,7 @@ async function enrichData(data, instruction, options = {}) {
       maxTokens: options.maxTokens || config.ollama.maxTokens,
       model: options.model || config.ollama.model,
       timeout: options.timeout || 60000,
+      stats: options.stats,
     };
 
     const response = await generateText(prompt, generationOptions);
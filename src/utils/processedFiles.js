@@ -0,0 +1,120 @@
+/**
+ * Processed Files Utility
+ * Remembers the files of glob and prefix sources that were extracted, so that sources with
+ * skipProcessed only extract new or changed files in later runs. Files are marked once the
+ * extraction (or the orchestrated run it belongs to) succeeded, so failed runs pick them up again.
+ * Marking failures are logged and never fail the ETL run itself.
+ */
+const mongoose = require('mongoose');
+const logger = require('./logger');
+const { AppError } = require('./errorHandler');
+const ProcessedFileModel = require('../models/processedFileModel');
+
+/**
+ * Get the tracking scope of a multi-file source
+ * @param {Object} source - Source configuration (skipProcessed: true, or a tracking key)
+ * @param {string} pattern - Location matched by the source (path pattern, or container and prefix)
+ * @returns {string} Scope
+ */
+function getProcessedScope(source, pattern) {
+  return typeof source.skipProcessed === 'string' ? source.skipProcessed : `${source.type}:${pattern}`;
+}
+
+/**
+ * Drop the files already processed in a scope (unless they changed since)
+ * @param {Array<Object>} files - Matching files ({ name, fingerprint })
+ * @param {string} scope - Tracking scope
+ * @returns {Promise<Object>} { files: files still to process, skipped: number of skipped files }
+ */
+async function filterProcessedFiles(files, scope) {
+  if (mongoose.connection.readyState !== 1) {
+    throw new AppError('skipProcessed requires a database connection to track processed files', 503);
+  }
+
+  const processed = await ProcessedFileModel.find({ scope, name: { $in: files.map(file => file.name) } })
+    .select('name fingerprint')
+    .lean();
+  const fingerprints = new Map(processed.map(file => [file.name, file.fingerprint]));
+
+  const pending = files.filter(file => !fingerprints.has(file.name) || fingerprints.get(file.name) !== file.fingerprint);
+
+  return { files: pending, skipped: files.length - pending.length };
+}
+
+/**
+ * Mark the files of an extraction as processed
+ * @param {Object} processed - Extracted files ({ scope, files: [{ name, fingerprint }] }), as returned by extract
+ * @param {Object} [options] - Options
+ * @param {string} [options.runId] - Run that processed the files
+ * @returns {Promise<number>} Number of files marked
+ */
+async function markFilesProcessed(processed, { runId } = {}) {
+  if (!processed?.scope || !processed.files?.length) {
+    return 0;
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    logger.warn(`${processed.files.length} files will not be marked as processed: database is not connected`);
+    return 0;
+  }
+
+  try {
+    await ProcessedFileModel.bulkWrite(processed.files.map(file => ({
+      updateOne: {
+        filter: { scope: processed.scope, name: file.name },
+        update: {
+          $set: {
+            fingerprint: file.fingerprint,
+            runId: runId ? String(runId) : null,
+            processedAt: new Date(),
+          },
+        },
+        upsert: true,
+      },
+    })));
+
+    logger.info(`Marked ${processed.files.length} files as processed for ${processed.scope}`);
+    return processed.files.length;
+  } catch (error) {
+    // The data is already extracted (and loaded): the files are extracted again by the next run
+    logger.error(`Error marking files as processed: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Select the matching files a multi-file source extracts, skipping processed files with skipProcessed
+ * @param {Object} source - Source configuration
+ * @param {Array<Object>} files - Matching files ({ name, fingerprint, ... })
+ * @param {string} pattern - Location matched by the source
+ * @param {Object} [stats] - Receives the extracted file names (stats.files), the number of skipped
+ *   files (stats.skippedFiles) and the files to mark once processed (stats.processed)
+ * @returns {Promise<Array<Object>>} Files to extract
+ */
+async function selectFilesToProcess(source, files, pattern, stats = {}) {
+  let selected = files;
+  let skipped = 0;
+
+  if (source.skipProcessed) {
+    const scope = getProcessedScope(source, pattern);
+    ({ files: selected, skipped } = await filterProcessedFiles(files, scope));
+    stats.processed = {
+      scope,
+      files: selected.map(({ name, fingerprint }) => ({ name, fingerprint })),
+    };
+  }
+
+  stats.files = selected.map(file => file.name);
+  stats.skippedFiles = skipped;
+
+  logger.info(`Matched ${files.length} files with ${pattern}${skipped ? ` (${skipped} already processed)` : ''}`);
+
+  return selected;
+}
+
+module.exports = {
+  getProcessedScope,
+  selectFilesToProcess,
+  filterProcessedFiles,
+  markFilesProcessed,
+};
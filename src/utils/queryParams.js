@@ -0,0 +1,82 @@
+/**
+ * Query Parameter Utility
+ * Parsing helpers for listing endpoints (pagination and date filters)
+ */
+const { AppError } = require('./errorHandler');
+
+// Pagination defaults for listings
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse a positive integer query parameter
+ * @param {string} value - Query parameter value
+ * @param {number} defaultValue - Value used when the parameter is missing
+ * @param {string} name - Parameter name (for errors)
+ * @returns {number} Parsed value
+ */
+function parsePositiveInt(value, defaultValue, name) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new AppError(`Query parameter "${name}" must be a positive integer`, 400);
+  }
+
+  return number;
+}
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - Query parameter value
+ * @param {string} name - Parameter name (for errors)
+ * @returns {Date} Parsed date
+ */
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new AppError(`Query parameter "${name}" must be a valid date`, 400);
+  }
+  return date;
+}
+
+/**
+ * Parse the page and limit query parameters
+ * @param {Object} query - Request query parameters
+ * @returns {Object} { page, limit, skip }
+ */
+function parsePagination(query = {}) {
+  const page = parsePositiveInt(query.page, 1, 'page');
+  const limit = Math.min(parsePositiveInt(query.limit, DEFAULT_PAGE_SIZE, 'limit'), MAX_PAGE_SIZE);
+
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+/**
+ * Build a date range filter from the from and to query parameters
+ * @param {Object} query - Request query parameters
+ * @returns {Object|undefined} Mongo range filter, or undefined if neither bound is set
+ */
+function buildDateRange(query = {}) {
+  if (!query.from && !query.to) {
+    return undefined;
+  }
+
+  const range = {};
+  if (query.from) {
+    range.$gte = parseDate(query.from, 'from');
+  }
+  if (query.to) {
+    range.$lte = parseDate(query.to, 'to');
+  }
+  return range;
+}
+
+module.exports = {
+  parsePositiveInt,
+  parseDate,
+  parsePagination,
+  buildDateRange,
+};
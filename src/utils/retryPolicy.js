@@ -0,0 +1,165 @@
+/**
+ * Retry Policy
+ * Shared retry wrapper for network calls to sources, the LLM and destinations.
+ * Only transient failures are retried, using jittered exponential backoff driven by config.etl.
+ */
+const { retry } = require('./errorHandler');
+const logger = require('./logger');
+const { config } = require('../config/config');
+
+// Network error codes worth retrying
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+]);
+
+// MongoDB driver errors worth retrying
+const TRANSIENT_MONGO_ERRORS = new Set([
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoServerSelectionError',
+]);
+
+// Upper bound for a server supplied Retry-After wait
+const MAX_RETRY_AFTER = 120000;
+
+/**
+ * Get the HTTP status code of an error from axios, Azure or the application
+ * @param {Error} error - The error
+ * @returns {number|undefined} Status code
+ */
+function getStatusCode(error) {
+  return error.response?.status ?? error.statusCode ?? error.status;
+}
+
+/**
+ * Check whether an error is a transient failure that may succeed on retry
+ * (timeouts, connection resets, 408, 429 and 5xx responses, retryable MongoDB errors)
+ * @param {Error} error - The error
+ * @returns {boolean} True if the operation should be retried
+ */
+function isTransientError(error) {
+  if (!error) {
+    return false;
+  }
+
+  if (TRANSIENT_ERROR_CODES.has(error.code) || error.name === 'TimeoutError') {
+    return true;
+  }
+
+  if (TRANSIENT_MONGO_ERRORS.has(error.name)) {
+    return true;
+  }
+
+  if (typeof error.hasErrorLabel === 'function'
+    && (error.hasErrorLabel('RetryableWriteError') || error.hasErrorLabel('TransientTransactionError'))) {
+    return true;
+  }
+
+  const statusCode = getStatusCode(error);
+  return statusCode === 408 || statusCode === 429 || (statusCode >= 500 && statusCode <= 599);
+}
+
+/**
+ * Read the Retry-After header of a failed response
+ * @param {Error} error - The error
+ * @returns {number|null} Wait in milliseconds, or null if the header is missing or invalid
+ */
+function getRetryAfterMs(error) {
+  const headers = error?.response?.headers;
+  if (!headers) {
+    return null;
+  }
+
+  const value = typeof headers.get === 'function'
+    ? headers.get('retry-after')
+    : headers['retry-after'] ?? headers['Retry-After'];
+
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(value);
+  const waitMs = Number.isNaN(seconds) ? new Date(value).getTime() - Date.now() : seconds * 1000;
+
+  if (Number.isNaN(waitMs)) {
+    return null;
+  }
+
+  return Math.min(Math.max(waitMs, 0), MAX_RETRY_AFTER);
+}
+
+/**
+ * Compute the jittered exponential backoff before a retry
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {number} baseDelay - Delay before the first retry (in milliseconds)
+ * @param {number} maxDelay - Maximum delay (in milliseconds)
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoff(attempt, baseDelay, maxDelay) {
+  const exponential = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+
+  // Equal jitter: half fixed, half random, so concurrent callers spread out
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Run an operation, retrying transient failures
+ * @param {Function} fn - Async operation (receives the attempt number)
+ * @param {Object} [options] - Retry options
+ * @param {string} [options.operation='operation'] - Operation name used in logs
+ * @param {number} [options.attempts=config.etl.retryAttempts] - Maximum number of attempts
+ * @param {number} [options.baseDelay=config.etl.retryDelay] - Delay before the first retry
+ * @param {number} [options.maxDelay=30000] - Maximum delay between attempts
+ * @param {Function} [options.shouldRetry=isTransientError] - Decides whether an error is retried
+ * @returns {Promise<Object>} { result, attempts }; a final error carries an `attempts` property
+ */
+async function withRetry(fn, options = {}) {
+  const {
+    operation = 'operation',
+    attempts: maxAttempts = config.etl.retryAttempts,
+    baseDelay = config.etl.retryDelay,
+    maxDelay = 30000,
+    shouldRetry = isTransientError,
+  } = options;
+
+  let attempts = 0;
+
+  try {
+    const result = await retry(
+      attempt => {
+        attempts = attempt;
+        return fn(attempt);
+      },
+      {
+        retries: Math.max(maxAttempts, 1),
+        shouldRetry,
+        getDelay: (error, attempt) => getRetryAfterMs(error) ?? computeBackoff(attempt, baseDelay, maxDelay),
+        onRetry: (error, attempt, wait) => {
+          logger.warn(`${operation} failed on attempt ${attempt} (${error.message}), retrying in ${wait}ms`);
+        },
+      },
+    );
+
+    if (attempts > 1) {
+      logger.info(`${operation} succeeded after ${attempts} attempts`);
+    }
+
+    return { result, attempts };
+  } catch (error) {
+    error.attempts = attempts;
+    throw error;
+  }
+}
+
+module.exports = {
+  withRetry,
+  isTransientError,
+  getRetryAfterMs,
+  computeBackoff,
+};
@@ -0,0 +1,170 @@
+/**
+ * Scheduler Utility
+ * In-process cron scheduler that fires tasks on time and never overlaps runs of the same task
+ */
+const logger = require('./logger');
+const monitor = require('./monitor');
+const { parseCron, getNextFireTime } = require('./cron');
+
+// setTimeout cannot wait longer than this, longer waits are re-armed
+const MAX_TIMEOUT = 2147483647;
+
+// Scheduled tasks by ID
+const tasks = new Map();
+
+/**
+ * Arm the timer of a scheduled task for its next fire time
+ * @param {Object} task - Scheduled task
+ */
+function armTimer(task) {
+  clearTimeout(task.timer);
+
+  task.nextFireAt = getNextFireTime(task.parsed);
+  if (!task.nextFireAt) {
+    logger.warn(`Schedule "${task.name}" (${task.cron}) has no upcoming fire time`);
+    return;
+  }
+
+  const delay = Math.min(task.nextFireAt.getTime() - Date.now(), MAX_TIMEOUT);
+
+  task.timer = setTimeout(() => {
+    if (Date.now() < task.nextFireAt.getTime()) {
+      armTimer(task);
+      return;
+    }
+
+    fireTask(task);
+    armTimer(task);
+  }, Math.max(delay, 0));
+
+  // Do not keep the process alive just for scheduled tasks
+  if (task.timer.unref) {
+    task.timer.unref();
+  }
+}
+
+/**
+ * Fire a scheduled task unless its previous run is still in progress
+ * @param {Object} task - Scheduled task
+ * @returns {Promise<void>}
+ */
+async function fireTask(task) {
+  if (task.running) {
+    task.skippedRuns++;
+    logger.warn(`Skipping scheduled run of "${task.name}": previous run is still in progress`);
+    return;
+  }
+
+  task.running = true;
+  task.lastFireAt = new Date();
+  logger.info(`Firing scheduled run of "${task.name}" (${task.cron})`);
+
+  try {
+    await task.run();
+    task.lastStatus = 'success';
+    task.lastError = undefined;
+  } catch (error) {
+    task.lastStatus = 'failed';
+    task.lastError = error.message;
+    logger.error(`Scheduled run of "${task.name}" failed: ${error.message}`);
+    monitor.trackError(error, 'scheduler');
+  } finally {
+    task.running = false;
+    task.lastDurationMs = Date.now() - task.lastFireAt.getTime();
+  }
+}
+
+/**
+ * Schedule a task, replacing any existing schedule with the same ID
+ * @param {string} id - Task ID
+ * @param {Object} options - Schedule options
+ * @param {string} options.cron - Cron expression
+ * @param {string} [options.name] - Task name used in logs
+ * @param {Function} options.run - Async function executed on every fire
+ * @returns {Object} Schedule status
+ */
+function schedule(id, { cron, name = id, run }) {
+  const parsed = parseCron(cron);
+
+  // Update an existing task in place so its run history and running flag survive re-scheduling
+  const task = tasks.get(id) || { id, skippedRuns: 0 };
+  clearTimeout(task.timer);
+  Object.assign(task, { name, cron, parsed, run });
+
+  tasks.set(id, task);
+  armTimer(task);
+
+  logger.info(`Scheduled "${name}" (${cron}), next run at ${task.nextFireAt?.toISOString()}`);
+
+  return getScheduleStatus(id);
+}
+
+/**
+ * Remove a scheduled task
+ * @param {string} id - Task ID
+ * @returns {boolean} True if a task was removed
+ */
+function unschedule(id) {
+  const task = tasks.get(id);
+  if (!task) {
+    return false;
+  }
+
+  clearTimeout(task.timer);
+  tasks.delete(id);
+  logger.info(`Unscheduled "${task.name}"`);
+
+  return true;
+}
+
+/**
+ * Remove all scheduled tasks
+ */
+function stopScheduler() {
+  for (const id of [...tasks.keys()]) {
+    unschedule(id);
+  }
+}
+
+/**
+ * Get the status of a scheduled task
+ * @param {string} id - Task ID
+ * @returns {Object|null} Schedule status, or null if not scheduled
+ */
+function getScheduleStatus(id) {
+  const task = tasks.get(id);
+  if (!task) {
+    return null;
+  }
+
+  return {
+    id: task.id,
+    name: task.name,
+    cron: task.cron,
+    nextFireAt: task.nextFireAt || null,
+    lastFireAt: task.lastFireAt || null,
+    lastStatus: task.lastStatus || null,
+    lastError: task.lastError || null,
+    lastDurationMs: task.lastDurationMs ?? null,
+    running: Boolean(task.running),
+    skippedRuns: task.skippedRuns,
+  };
+}
+
+/**
+ * Get the status of all scheduled tasks
+ * @returns {Array<Object>} Schedule statuses ordered by next fire time
+ */
+function getSchedules() {
+  return [...tasks.keys()]
+    .map(getScheduleStatus)
+    .sort((a, b) => (a.nextFireAt?.getTime() ?? Infinity) - (b.nextFireAt?.getTime() ?? Infinity));
+}
+
+module.exports = {
+  schedule,
+  unschedule,
+  stopScheduler,
+  getScheduleStatus,
+  getSchedules,
+};
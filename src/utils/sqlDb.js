@@ -0,0 +1,112 @@
+/**
+ * SQL Database Utility
+ * Shared knex connection pools for PostgreSQL, MySQL and SQLite sources and destinations
+ */
+const knex = require('knex');
+const logger = require('./logger');
+const { AppError } = require('./errorHandler');
+
+// knex drivers by dialect name
+const SQL_CLIENTS = {
+  postgres: 'pg',
+  postgresql: 'pg',
+  pg: 'pg',
+  mysql: 'mysql2',
+  mysql2: 'mysql2',
+  sqlite: 'better-sqlite3',
+  sqlite3: 'better-sqlite3',
+};
+
+// Connection pools by connection settings, reused across requests
+const pools = new Map();
+
+/**
+ * Work out the knex driver of a source or destination
+ * (from `client`, or else from the scheme of a connection URL)
+ * @param {Object} options - SQL configuration ({ client, connection })
+ * @returns {string} knex driver
+ */
+function getSqlClient({ client, connection }) {
+  if (client) {
+    const driver = SQL_CLIENTS[String(client).toLowerCase()];
+    if (!driver) {
+      throw new AppError(`Unsupported SQL client: ${client} (expected postgres, mysql or sqlite)`, 400);
+    }
+    return driver;
+  }
+
+  if (typeof connection === 'string') {
+    const scheme = connection.match(/^([a-z0-9]+):/i)?.[1];
+    if (scheme && SQL_CLIENTS[scheme.toLowerCase()]) {
+      return SQL_CLIENTS[scheme.toLowerCase()];
+    }
+  }
+
+  if (connection?.filename) {
+    return SQL_CLIENTS.sqlite;
+  }
+
+  throw new AppError('SQL configuration must include a client (postgres, mysql or sqlite)', 400);
+}
+
+/**
+ * Get the knex connection settings of a driver
+ * @param {string} driver - knex driver
+ * @param {string|Object} connection - Connection URL or settings
+ * @returns {string|Object} knex connection
+ */
+function toConnection(driver, connection) {
+  if (driver !== SQL_CLIENTS.sqlite || typeof connection !== 'string') {
+    return connection;
+  }
+
+  // "sqlite:data/etl.db", "sqlite://data/etl.db" and plain paths name the database file
+  return { filename: connection.replace(/^sqlite3?:(\/\/)?/i, '') };
+}
+
+/**
+ * Get the connection pool of a SQL source or destination, creating it on first use
+ * @param {Object} options - SQL configuration
+ * @param {string} [options.client] - postgres, mysql or sqlite
+ * @param {string|Object} options.connection - Connection URL, or knex connection settings
+ * @param {Object} [options.pool] - Pool size ({ min, max })
+ * @returns {Object} knex instance
+ */
+function getSqlDb(options) {
+  if (!options.connection) {
+    throw new AppError('SQL configuration must include a connection', 400);
+  }
+
+  const driver = getSqlClient(options);
+  const connection = toConnection(driver, options.connection);
+  const key = JSON.stringify([driver, connection]);
+
+  if (!pools.has(key)) {
+    pools.set(key, knex({
+      client: driver,
+      connection,
+      pool: options.pool,
+      // SQLite has no DEFAULT keyword for the missing columns of multi-row inserts
+      useNullAsDefault: driver === SQL_CLIENTS.sqlite,
+    }));
+    logger.info(`Created ${driver} connection pool`);
+  }
+
+  return pools.get(key);
+}
+
+/**
+ * Close every connection pool (on shutdown)
+ * @returns {Promise<void>}
+ */
+async function closeSqlDbs() {
+  const dbs = [...pools.values()];
+  pools.clear();
+  await Promise.all(dbs.map(db => db.destroy()));
+}
+
+module.exports = {
+  getSqlClient,
+  getSqlDb,
+  closeSqlDbs,
+};
@@ -0,0 +1,134 @@
+/**
+ * Stream Utility Functions
+ * Helpers for the streaming pipeline mode: records flow as async iterables of chunks
+ * so datasets larger than memory can be processed.
+ */
+const readline = require('readline');
+const { once } = require('events');
+const { stringify } = require('csv-stringify/sync');
+const { AppError } = require('./errorHandler');
+const { config } = require('../config/config');
+
+/**
+ * Group the records of an (async) iterable into chunks
+ * @param {AsyncIterable|Iterable} records - Records
+ * @param {number} [chunkSize=config.etl.batchSize] - Records per chunk
+ * @returns {AsyncGenerator<Array>} Record chunks
+ */
+async function* chunkRecords(records, chunkSize = config.etl.batchSize) {
+  let chunk = [];
+
+  for await (const record of records) {
+    chunk.push(record);
+    if (chunk.length >= chunkSize) {
+      yield chunk;
+      chunk = [];
+    }
+  }
+
+  if (chunk.length > 0) {
+    yield chunk;
+  }
+}
+
+/**
+ * Read the non-empty lines of a text stream
+ * @param {Readable} readable - Text stream
+ * @returns {AsyncGenerator<string>} Lines
+ */
+async function* readLines(readable) {
+  const lines = readline.createInterface({ input: readable, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (line.trim()) {
+      yield line;
+    }
+  }
+}
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ * @param {Writable} stream - Destination stream
+ * @param {string|Buffer} content - Content to write
+ * @returns {Promise<void>}
+ */
+async function writeToStream(stream, content) {
+  if (!stream.write(content)) {
+    await once(stream, 'drain');
+  }
+}
+
+/**
+ * Convert a record to plain data for the serializers of document formats
+ * (dates become ISO strings, ObjectIds strings)
+ * @param {any} record - Record
+ * @returns {any} Plain record
+ */
+function toPlain(record) {
+  return record === undefined ? null : JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Create a serializer that writes record chunks as one JSON, CSV or text document
+ * (the CSV columns are taken from the first chunk)
+ * @param {string} format - Output format ('json', 'csv', 'txt' or 'text')
+ * @returns {Object} Serializer ({ contentType, start(), serialize(records), end() })
+ */
+function createRecordSerializer(format = 'json') {
+  let count = 0;
+  let columns;
+
+  switch (format.toLowerCase()) {
+    case 'json':
+      return {
+        contentType: 'application/json',
+        start: () => '[\n',
+        serialize: records => records
+          .map(record => `${count++ === 0 ? '' : ',\n'}  ${JSON.stringify(record)}`)
+          .join(''),
+        end: () => (count > 0 ? '\n]\n' : ']\n'),
+      };
+
+    case 'csv':
+      return {
+        contentType: 'text/csv',
+        start: () => '',
+        serialize: records => {
+          if (records.length === 0) {
+            return '';
+          }
+          const header = !columns;
+          columns = columns || [...new Set(records.flatMap(record => Object.keys(record)))];
+          count += records.length;
+          return stringify(records, {
+            header,
+            columns,
+            cast: { object: value => JSON.stringify(value) },
+          });
+        },
+        end: () => '',
+      };
+
+    case 'txt':
+    case 'text':
+      return {
+        contentType: 'text/plain',
+        start: () => '',
+        serialize: records => records
+          .map(record => `${typeof record === 'string' ? record : JSON.stringify(record)}\n`)
+          .join(''),
+        end: () => '',
+      };
+
+    default:
+      throw new AppError(`Unsupported streaming format: ${format}`, 400);
+  }
+}
+
+module.exports = {
+  chunkRecords,
+  readLines,
+  writeToStream,
+  toPlain,
+  createRecordSerializer,
+};
@@ -0,0 +1,94 @@
+/**
+ * Text Similarity
+ * Similarity scores between 0 (nothing in common) and 1 (same text) for fuzzy matching, computed on
+ * normalized text (case, accents, punctuation and spacing are ignored).
+ */
+
+/**
+ * Normalize text for comparisons
+ * @param {any} value - Value (numbers and booleans are compared as text)
+ * @returns {string} Lowercase text without accents or punctuation, words separated by one space
+ */
+function normalizeText(value) {
+  if (value === null || value === undefined || typeof value === 'object') {
+    return '';
+  }
+  return String(value)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein (edit) distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of insertions, deletions and substitutions turning a into b
+ */
+function levenshteinDistance(a, b) {
+  if (a.length < b.length) {
+    return levenshteinDistance(b, a);
+  }
+
+  // One row of the distance matrix at a time
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Edit distance similarity: 1 - distance / length of the longer text
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number} Similarity (0 when either text is empty)
+ */
+function levenshteinSimilarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+
+  if (!left || !right) {
+    return 0;
+  }
+  return 1 - levenshteinDistance(left, right) / Math.max(left.length, right.length);
+}
+
+/**
+ * Token similarity: shared words / distinct words of both texts (Jaccard index), ignoring word order
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number} Similarity (0 when either text is empty)
+ */
+function tokenSimilarity(a, b) {
+  const left = new Set(normalizeText(a).split(' ').filter(Boolean));
+  const right = new Set(normalizeText(b).split(' ').filter(Boolean));
+
+  if (left.size === 0 || right.size === 0) {
+    return 0;
+  }
+  const shared = [...left].filter(token => right.has(token)).length;
+  return shared / (left.size + right.size - shared);
+}
+
+// Similarity functions by method name
+const SIMILARITY_METHODS = {
+  levenshtein: levenshteinSimilarity,
+  token: tokenSimilarity,
+};
+
+module.exports = {
+  SIMILARITY_METHODS,
+  normalizeText,
+  levenshteinDistance,
+  levenshteinSimilarity,
+  tokenSimilarity,
+};
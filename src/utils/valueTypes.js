@@ -0,0 +1,67 @@
+/**
+ * Value Types
+ * Infers the column types of records for destinations that need a schema (SQL tables, Parquet files).
+ */
+
+// ISO 8601 date and date-time strings, stored in timestamp columns
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Get the column type of a value
+ * @param {any} value - Value
+ * @returns {string|null} integer, float, boolean, timestamp, json or text (null for missing values)
+ */
+function getValueType(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return Number.isSafeInteger(value) ? 'integer' : 'float';
+  }
+  if (typeof value === 'bigint') {
+    return 'integer';
+  }
+  if (typeof value === 'boolean') {
+    return 'boolean';
+  }
+  if (value instanceof Date || (typeof value === 'string' && ISO_DATE_PATTERN.test(value) && !isNaN(Date.parse(value)))) {
+    return 'timestamp';
+  }
+  if (typeof value === 'object' && !value._bsontype && !Buffer.isBuffer(value)) {
+    return 'json';
+  }
+  return 'text';
+}
+
+/**
+ * Infer the column types of records: a column keeps the type shared by all its values,
+ * integers and floats widen to float, and anything else mixed falls back to text
+ * @param {Array<Object>} records - Records
+ * @returns {Object} Column types by column name
+ */
+function inferColumnTypes(records) {
+  const types = {};
+
+  for (const record of records) {
+    for (const [column, value] of Object.entries(record)) {
+      const type = getValueType(value);
+      const current = types[column];
+
+      if (!current || current === type) {
+        types[column] = type || current || null;
+      } else if (type && ['integer', 'float'].includes(current) && ['integer', 'float'].includes(type)) {
+        types[column] = 'float';
+      } else if (type) {
+        types[column] = 'text';
+      }
+    }
+  }
+
+  return Object.fromEntries(Object.entries(types).map(([column, type]) => [column, type || 'text']));
+}
+
+module.exports = {
+  ISO_DATE_PATTERN,
+  getValueType,
+  inferColumnTypes,
+};
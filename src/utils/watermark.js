@@ -0,0 +1,177 @@
+/**
+ * Watermark Utility
+ * Incremental extraction: a source declares a watermark field (source.incremental) and only
+ * records whose field is greater than the last seen value are extracted.
+ */
+const mongoose = require('mongoose');
+const { AppError } = require('./errorHandler');
+
+// Supported watermark value types
+const WATERMARK_TYPES = ['date', 'number', 'string', 'objectId'];
+
+// Source types that can filter on a watermark
+const INCREMENTAL_SOURCES = ['mongodb', 'api'];
+
+/**
+ * Read and validate the incremental configuration of a source
+ * @param {Object} source - Source configuration
+ * @returns {Object|null} { field, type, param, initial }, or null if the source is not incremental
+ */
+function getIncrementalConfig(source) {
+  const incremental = source?.incremental;
+  if (!incremental) {
+    return null;
+  }
+
+  if (!INCREMENTAL_SOURCES.includes(source.type)) {
+    throw new AppError(`Incremental extraction is not supported for ${source.type} sources`, 400);
+  }
+
+  if (!incremental.field || typeof incremental.field !== 'string') {
+    throw new AppError('Incremental source must include a watermark field', 400);
+  }
+
+  if (incremental.type && !WATERMARK_TYPES.includes(incremental.type)) {
+    throw new AppError(`Invalid watermark type "${incremental.type}" (expected ${WATERMARK_TYPES.join(', ')})`, 400);
+  }
+
+  return {
+    field: incremental.field,
+    type: incremental.type,
+    param: incremental.param || incremental.field,
+    initial: incremental.initial,
+  };
+}
+
+/**
+ * Convert a watermark value to the declared type (values are kept as-is without a type)
+ * @param {any} value - Watermark value
+ * @param {string} [type] - Watermark type
+ * @returns {any} Converted value
+ */
+function toWatermarkValue(value, type) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+
+  switch (type) {
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new AppError(`Invalid date watermark: ${value}`, 400);
+      }
+      return date;
+    }
+    case 'number': {
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        throw new AppError(`Invalid number watermark: ${value}`, 400);
+      }
+      return number;
+    }
+    case 'string':
+      return String(value);
+    case 'objectId':
+      if (!mongoose.Types.ObjectId.isValid(String(value))) {
+        throw new AppError(`Invalid ObjectId watermark: ${value}`, 400);
+      }
+      return new mongoose.Types.ObjectId(String(value));
+    default:
+      return value;
+  }
+}
+
+/**
+ * Compare two watermark values
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareWatermarks(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() - b.getTime();
+  }
+
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Read a (dot separated) field of a record
+ * @param {Object} record - Record
+ * @param {string} field - Field path
+ * @returns {any} Field value
+ */
+function getFieldValue(record, field) {
+  return field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+}
+
+/**
+ * Add the "greater than watermark" filter to a source
+ * (a Mongo query condition, or a query parameter for APIs)
+ * @param {Object} source - Source configuration
+ * @param {any} watermark - Last seen watermark value
+ * @returns {Object} Source configuration to extract with
+ */
+function applyWatermark(source, watermark) {
+  const incremental = getIncrementalConfig(source);
+  const value = toWatermarkValue(watermark ?? incremental?.initial, incremental?.type);
+
+  if (!incremental || value === undefined || value === null) {
+    return source;
+  }
+
+  if (source.type === 'mongodb') {
+    const condition = { [incremental.field]: { $gt: value } };
+    return {
+      ...source,
+      query: source.query && Object.keys(source.query).length > 0
+        ? { $and: [source.query, condition] }
+        : condition,
+    };
+  }
+
+  return {
+    ...source,
+    params: {
+      ...source.params,
+      [incremental.param]: value instanceof Date ? value.toISOString() : String(value),
+    },
+  };
+}
+
+/**
+ * Get the highest watermark value of extracted records
+ * @param {Object|Array} data - Extracted records
+ * @param {Object} source - Source configuration
+ * @param {any} [current] - Watermark the records were extracted with
+ * @returns {any} New watermark (the current one if no record has a higher value)
+ */
+function getMaxWatermark(data, source, current) {
+  const incremental = getIncrementalConfig(source);
+  if (!incremental) {
+    return undefined;
+  }
+
+  const records = Array.isArray(data) ? data : [data];
+
+  return records.reduce((max, record) => {
+    const value = toWatermarkValue(getFieldValue(record, incremental.field), incremental.type);
+    if (value === undefined || value === null) {
+      return max;
+    }
+    return max === undefined || max === null || compareWatermarks(value, max) > 0 ? value : max;
+  }, toWatermarkValue(current ?? incremental.initial, incremental.type));
+}
+
+module.exports = {
+  getIncrementalConfig,
+  applyWatermark,
+  getMaxWatermark,
+  compareWatermarks,
+};
@@ -0,0 +1,136 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const { extractFromApi, parseLinkHeader } = require('../../../src/extractors/apiExtractor');
+const { AppError } = require('../../../src/utils/errorHandler');
+
+/**
+ * Mock the API responses in order
+ * @param {Array<Object>} responses - Responses ({ data, headers })
+ */
+function mockResponses(responses) {
+  axios.mockReset();
+  for (const response of responses) {
+    axios.mockResolvedValueOnce({ status: 200, headers: {}, ...response });
+  }
+}
+
+describe('apiExtractor', () => {
+  describe('parseLinkHeader', () => {
+    test('should return the URLs by relation type', () => {
+      const header = '<https://api.example.com/items?page=2>; rel="next", <https://api.example.com/items?page=5>; rel="last"';
+
+      expect(parseLinkHeader(header)).toEqual({
+        next: 'https://api.example.com/items?page=2',
+        last: 'https://api.example.com/items?page=5',
+      });
+      expect(parseLinkHeader(undefined)).toEqual({});
+    });
+  });
+
+  describe('extractFromApi with pagination', () => {
+    test('should request pages until a short page', async () => {
+      mockResponses([
+        { data: { items: [{ id: 1 }, { id: 2 }] } },
+        { data: { items: [{ id: 3 }] } },
+      ]);
+      const stats = {};
+
+      const data = await extractFromApi({
+        url: 'https://api.example.com/items',
+        params: { status: 'open' },
+        pagination: { type: 'page', recordPath: 'items', sizeParam: 'per_page', pageSize: 2 },
+      }, stats);
+
+      expect(data).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+      expect(axios.mock.calls.map(([request]) => request.params)).toEqual([
+        { status: 'open', page: 1, per_page: 2 },
+        { status: 'open', page: 2, per_page: 2 },
+      ]);
+      expect(stats).toEqual({ attempts: 2, pages: 2 });
+    });
+
+    test('should advance the offset by the records received', async () => {
+      mockResponses([{ data: [{ id: 1 }, { id: 2 }] }, { data: [] }]);
+
+      await extractFromApi({
+        url: 'https://api.example.com/items',
+        pagination: { type: 'offset', limit: 2 },
+      });
+
+      expect(axios.mock.calls[1][0].params).toEqual({ offset: 2, limit: 2 });
+    });
+
+    test('should pass the cursor found in the body', async () => {
+      mockResponses([
+        { data: { data: [{ id: 1 }], meta: { next: 'abc' } } },
+        { data: { data: [{ id: 2 }], meta: { next: null } } },
+      ]);
+
+      const data = await extractFromApi({
+        url: 'https://api.example.com/items',
+        pagination: { type: 'cursor', recordPath: '$.data', cursorPath: '$.meta.next', cursorParam: 'after' },
+      });
+
+      expect(data).toEqual([{ id: 1 }, { id: 2 }]);
+      expect(axios.mock.calls[1][0].params).toEqual({ after: 'abc' });
+    });
+
+    test('should follow Link headers and relative next URLs', async () => {
+      mockResponses([
+        { data: [{ id: 1 }], headers: { link: '</items?page=2>; rel="next"' } },
+        { data: [{ id: 2 }] },
+      ]);
+
+      await extractFromApi({
+        url: 'https://api.example.com/items?page=1',
+        pagination: { type: 'link' },
+      });
+
+      expect(axios.mock.calls[1][0]).toMatchObject({ url: 'https://api.example.com/items?page=2', params: undefined });
+    });
+
+    test('should not follow next pages on another origin with the source credentials', async () => {
+      mockResponses([
+        { data: [{ id: 1 }], headers: { link: '<https://collector.example.net/items?page=2>; rel="next"' } },
+        { data: { results: [{ id: 2 }], next: '//api.example.com:8443/items?page=2' } },
+      ]);
+
+      const linked = await extractFromApi({
+        url: 'https://api.example.com/items',
+        auth: { type: 'apiKey', value: 'secret' },
+        pagination: { type: 'link' },
+      });
+      const nextUrl = await extractFromApi({
+        url: 'https://api.example.com/items',
+        pagination: { type: 'next-url', nextUrlPath: 'next', recordPath: 'results' },
+      });
+
+      expect(linked).toEqual([{ id: 1 }]);
+      expect(nextUrl).toEqual([{ id: 2 }]);
+      expect(axios).toHaveBeenCalledTimes(2);
+    });
+
+    test('should stop at maxPages', async () => {
+      mockResponses([
+        { data: { results: [{ id: 1 }], next: '/items?page=2' } },
+        { data: { results: [{ id: 2 }], next: '/items?page=3' } },
+      ]);
+
+      const data = await extractFromApi({
+        url: 'https://api.example.com/items',
+        pagination: { type: 'next-url', nextUrlPath: 'next', recordPath: 'results', maxPages: 1 },
+      });
+
+      expect(data).toEqual([{ id: 1 }]);
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject invalid pagination configurations', async () => {
+      const source = { url: 'https://api.example.com/items' };
+
+      await expect(extractFromApi({ ...source, pagination: { type: 'scroll' } })).rejects.toThrow(AppError);
+      await expect(extractFromApi({ ...source, pagination: { type: 'cursor' } })).rejects.toThrow('cursorPath');
+    });
+  });
+});
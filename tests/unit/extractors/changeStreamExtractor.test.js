@@ -0,0 +1,140 @@
+const { createChangeStreamConsumer, toRecords } = require('../../../src/extractors/changeStreamExtractor');
+const { AppError } = require('../../../src/utils/errorHandler');
+
+/**
+ * Create a fake change stream that returns the given events, then nothing
+ * @param {Array<Object>} events - Change events
+ * @returns {Object} Fake stream ({ tryNext(), close() })
+ */
+function createFakeStream(events) {
+  const pending = [...events];
+  return {
+    tryNext: jest.fn(async () => pending.shift() || null),
+    close: jest.fn(async () => {}),
+  };
+}
+
+/**
+ * Create an insert change event
+ * @param {number} id - Document ID
+ * @returns {Object} Change event
+ */
+const insertEvent = id => ({
+  _id: { _data: `token-${id}` },
+  operationType: 'insert',
+  documentKey: { _id: id },
+  fullDocument: { _id: id, name: `item ${id}` },
+});
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Condition to wait for
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('changeStreamExtractor', () => {
+  describe('toRecords', () => {
+    test('should return documents and optionally deletes', () => {
+      const events = [
+        insertEvent(1),
+        { _id: { _data: 'token-2' }, operationType: 'delete', documentKey: { _id: 2 } },
+      ];
+
+      expect(toRecords(events, { collection: 'orders' })).toEqual([{ _id: 1, name: 'item 1' }]);
+      expect(toRecords(events, { collection: 'orders', includeDeletes: true })).toEqual([
+        { _id: 1, name: 'item 1' },
+        { _id: 2, _deleted: true },
+      ]);
+    });
+  });
+
+  describe('createChangeStreamConsumer', () => {
+    test('should reject sources without a collection', () => {
+      expect(() => createChangeStreamConsumer({ name: 'test', source: {}, onBatch: jest.fn() })).toThrow(AppError);
+    });
+
+    test('should batch events by count and save the token of the last event', async () => {
+      const stream = createFakeStream([1, 2, 3, 4, 5].map(insertEvent));
+      const onBatch = jest.fn(async () => {});
+      const saveResumeToken = jest.fn(async () => {});
+
+      const consumer = createChangeStreamConsumer({
+        name: 'test',
+        source: { collection: 'orders', batchSize: 2, batchWindowMs: 50 },
+        onBatch,
+        saveResumeToken,
+        openStream: async () => stream,
+      });
+
+      consumer.start();
+      await waitFor(() => consumer.getStatus().events === 5);
+      await consumer.stop();
+
+      expect(onBatch.mock.calls.map(([batch]) => batch.length)).toEqual([2, 2, 1]);
+      expect(saveResumeToken).toHaveBeenLastCalledWith({ _data: 'token-5' }, expect.any(Array));
+      expect(stream.close).toHaveBeenCalled();
+      expect(consumer.getStatus()).toMatchObject({ state: 'stopped', batches: 3, events: 5 });
+    });
+
+    test('should flush a partial batch when the time window elapses', async () => {
+      const onBatch = jest.fn(async () => {});
+
+      const consumer = createChangeStreamConsumer({
+        name: 'test',
+        source: { collection: 'orders', batchSize: 100, batchWindowMs: 20 },
+        onBatch,
+        openStream: async () => createFakeStream([insertEvent(1)]),
+      });
+
+      consumer.start();
+      await waitFor(() => onBatch.mock.calls.length === 1);
+
+      expect(onBatch.mock.calls[0][0]).toHaveLength(1);
+      expect(consumer.getStatus().state).toBe('running');
+
+      await consumer.stop();
+    });
+
+    test('should resume after the given token', async () => {
+      const openStream = jest.fn(async () => createFakeStream([]));
+
+      const consumer = createChangeStreamConsumer({
+        name: 'test',
+        source: { collection: 'orders' },
+        resumeToken: { _data: 'token-9' },
+        onBatch: jest.fn(),
+        openStream,
+      });
+
+      consumer.start();
+      await consumer.stop();
+
+      expect(openStream).toHaveBeenCalledWith({ collection: 'orders' }, { _data: 'token-9' });
+    });
+
+    test('should stop without saving the token when a batch fails', async () => {
+      const saveResumeToken = jest.fn(async () => {});
+
+      const consumer = createChangeStreamConsumer({
+        name: 'test',
+        source: { collection: 'orders', batchSize: 1 },
+        onBatch: jest.fn(async () => {
+          throw new Error('destination unavailable');
+        }),
+        saveResumeToken,
+        openStream: async () => createFakeStream([insertEvent(1)]),
+      });
+
+      consumer.start();
+      await waitFor(() => consumer.getStatus().state === 'failed');
+
+      expect(saveResumeToken).not.toHaveBeenCalled();
+      expect(consumer.getStatus()).toMatchObject({ state: 'failed', lastError: 'destination unavailable', events: 0 });
+    });
+  });
+});
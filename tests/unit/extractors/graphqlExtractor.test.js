@@ -0,0 +1,103 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const { extractFromGraphql, streamFromGraphql, findConnection } = require('../../../src/extractors/graphqlExtractor');
+const { AppError } = require('../../../src/utils/errorHandler');
+
+/**
+ * Mock the GraphQL response bodies in order
+ * @param {Array<Object>} bodies - Response bodies ({ data, errors })
+ */
+function mockResponses(bodies) {
+  axios.mockReset();
+  for (const body of bodies) {
+    axios.mockResolvedValueOnce({ status: 200, headers: {}, data: body });
+  }
+}
+
+/**
+ * Build a Relay connection page
+ * @param {Array<number>} ids - Node ids
+ * @param {string|null} endCursor - End cursor, null on the last page
+ * @returns {Object} Connection
+ */
+function connection(ids, endCursor) {
+  return {
+    edges: ids.map(id => ({ cursor: `c${id}`, node: { id } })),
+    pageInfo: { hasNextPage: Boolean(endCursor), endCursor },
+  };
+}
+
+describe('graphqlExtractor', () => {
+  const source = {
+    type: 'graphql',
+    url: 'https://api.example.com/graphql',
+    query: 'query Orders($first: Int, $after: String) { orders(first: $first, after: $after) { edges { node { id } } pageInfo { hasNextPage endCursor } } }',
+    variables: { first: 2 },
+    operationName: 'Orders',
+  };
+
+  test('should follow pageInfo cursors across pages', async () => {
+    mockResponses([
+      { data: { orders: connection([1, 2], 'c2') } },
+      { data: { orders: connection([3], null) } },
+    ]);
+    const stats = {};
+
+    const data = await extractFromGraphql(source, stats);
+
+    expect(data).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    expect(stats.pages).toBe(2);
+    expect(axios.mock.calls[0][0]).toMatchObject({
+      method: 'POST',
+      data: { query: source.query, variables: { first: 2 }, operationName: 'Orders' },
+    });
+    expect(axios.mock.calls[1][0].data.variables).toEqual({ first: 2, after: 'c2' });
+  });
+
+  test('should stream the nodes of a connection at connectionPath', async () => {
+    mockResponses([
+      { data: { shop: { orders: { nodes: [{ id: 1 }], pageInfo: { hasNextPage: true, endCursor: 'x' } } } } },
+      { data: { shop: { orders: { nodes: [{ id: 2 }], pageInfo: { hasNextPage: false, endCursor: 'y' } } } } },
+    ]);
+
+    const chunks = [];
+    for await (const chunk of streamFromGraphql({ ...source, connectionPath: 'shop.orders', cursorVariable: 'cursor' }, { chunkSize: 5 })) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks).toEqual([[{ id: 1 }, { id: 2 }]]);
+    expect(axios.mock.calls[1][0].data.variables.cursor).toBe('x');
+  });
+
+  test('should return the data of queries without a connection', async () => {
+    mockResponses([{ data: { viewer: { login: 'etl' } } }]);
+
+    expect(await extractFromGraphql(source)).toEqual({ viewer: { login: 'etl' } });
+    expect(findConnection({ viewer: { login: 'etl' } })).toBeNull();
+  });
+
+  test('should surface GraphQL errors as structured failures', async () => {
+    mockResponses([{
+      data: null,
+      errors: [
+        { message: 'Cannot query field "totl" on type "Order".', locations: [{ line: 1, column: 40 }] },
+        { message: 'Variable "$first" is invalid', extensions: { code: 'BAD_USER_INPUT' } },
+      ],
+    }]);
+
+    const error = await extractFromGraphql(source).catch(err => err);
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('GraphQL request failed: Cannot query field "totl" on type "Order". (and 1 more)');
+    expect(error.details.errors).toEqual([
+      { message: 'Cannot query field "totl" on type "Order".', locations: [{ line: 1, column: 40 }], path: undefined, extensions: undefined },
+      { message: 'Variable "$first" is invalid', extensions: { code: 'BAD_USER_INPUT' }, path: undefined, locations: undefined },
+    ]);
+  });
+
+  test('should require a URL and a query', async () => {
+    await expect(extractFromGraphql({ type: 'graphql', url: source.url })).rejects.toThrow('GraphQL source must include a query');
+  });
+});
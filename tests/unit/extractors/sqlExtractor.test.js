@@ -0,0 +1,65 @@
+const { extractFromSql, streamFromSql } = require('../../../src/extractors/sqlExtractor');
+const { getSqlDb, getSqlClient, closeSqlDbs } = require('../../../src/utils/sqlDb');
+const { AppError } = require('../../../src/utils/errorHandler');
+
+describe('sqlExtractor', () => {
+  const connection = { connection: 'sqlite::memory:' };
+  const db = getSqlDb(connection);
+
+  beforeAll(async () => {
+    await db.schema.createTable('orders', table => {
+      table.integer('id').primary();
+      table.text('status');
+      table.double('total');
+    });
+    await db('orders').insert([
+      { id: 5, status: 'paid', total: 10 },
+      { id: 1, status: 'paid', total: 20 },
+      { id: 3, status: 'open', total: 30 },
+      { id: 2, status: 'paid', total: 40 },
+      { id: 4, status: 'paid', total: 50 },
+    ]);
+  });
+
+  afterAll(() => closeSqlDbs());
+
+  test('should run a parameterized query', async () => {
+    const data = await extractFromSql({
+      ...connection,
+      query: 'SELECT id, total FROM orders WHERE status = :status AND total > :min ORDER BY id;',
+      bindings: { status: 'paid', min: 15 },
+    });
+
+    expect(data).toEqual([{ id: 1, total: 20 }, { id: 2, total: 40 }, { id: 4, total: 50 }]);
+  });
+
+  test('should read chunks by keyset pagination', async () => {
+    const stats = {};
+    const chunks = [];
+
+    for await (const chunk of streamFromSql(
+      { ...connection, query: 'SELECT id FROM orders WHERE status = ?', bindings: ['paid'], keyColumn: 'id' },
+      { chunkSize: 2, stats },
+    )) {
+      chunks.push(chunk.map(row => row.id));
+    }
+
+    expect(chunks).toEqual([[1, 2], [4, 5]]);
+    expect(stats).toMatchObject({ chunks: 2, attempts: 3 });
+  });
+
+  test('should read a table with selected columns', async () => {
+    const stats = {};
+    const data = await extractFromSql({ ...connection, table: 'orders', columns: ['id'], keyColumn: 'id', chunkSize: 3 }, stats);
+
+    expect(data.map(row => row.id)).toEqual([1, 2, 3, 4, 5]);
+    expect(stats.chunks).toBe(2);
+  });
+
+  test('should validate the source and surface database errors', async () => {
+    await expect(extractFromSql({ ...connection })).rejects.toThrow('SQL source must include a query or a table');
+    await expect(extractFromSql({ ...connection, table: 'missing' })).rejects.toThrow(AppError);
+    expect(() => getSqlClient({ client: 'oracle', connection: 'x' })).toThrow('Unsupported SQL client');
+    expect(getSqlClient({ connection: 'postgresql://localhost/etl' })).toBe('pg');
+  });
+});
@@ -0,0 +1,127 @@
+const { Readable, PassThrough } = require('stream');
+const {
+  detectFormatFromPath,
+  detectFormatFromContentType,
+  parseRecords,
+  streamRecords,
+  serializeRecords,
+  createFormatWriter,
+} = require('../../../src/formats');
+
+/**
+ * Collect an async iterable into an array
+ * @param {AsyncIterable} iterable - Iterable
+ * @returns {Promise<Array>} Items
+ */
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+/**
+ * Write record chunks with a format writer and return the written content
+ * @param {string} format - Format name
+ * @param {Array<Array>} chunks - Record chunks
+ * @param {Object} [options] - Destination configuration
+ * @returns {Promise<Buffer>} Content
+ */
+async function writeChunks(format, chunks, options) {
+  const stream = new PassThrough();
+  const content = collect(stream);
+  const writer = await createFormatWriter(format, stream, options);
+
+  for (const chunk of chunks) {
+    await writer.write(chunk);
+  }
+  await writer.end();
+
+  return Buffer.concat((await content).map(chunk => Buffer.from(chunk)));
+}
+
+describe('formats', () => {
+  const records = [
+    { id: 1, name: 'Ada', total: 9.5 },
+    { id: 2, name: 'Grace', total: 3 },
+  ];
+
+  test('should detect formats from extensions and content types', () => {
+    expect(detectFormatFromPath('data/orders.JSONL')).toBe('ndjson');
+    expect(detectFormatFromPath('report.xlsx')).toBe('xlsx');
+    expect(detectFormatFromPath('config.yml')).toBe('yaml');
+    expect(detectFormatFromPath('orders.bin')).toBeUndefined();
+    expect(detectFormatFromContentType('application/x-ndjson; charset=utf-8')).toBe('ndjson');
+    expect(detectFormatFromContentType('text/xml')).toBe('xml');
+    expect(detectFormatFromContentType('application/octet-stream')).toBeUndefined();
+  });
+
+  test.each(['ndjson', 'xlsx', 'parquet', 'yaml'])('should write and read back %s records', async format => {
+    const content = await serializeRecords(records, format);
+    expect(await parseRecords(Buffer.from(content), format)).toEqual(records);
+
+    const streamed = await writeChunks(format, [[records[0]], [records[1]]]);
+    expect(await collect(streamRecords(Readable.from([streamed]), format))).toEqual(records);
+  });
+
+  test('should read NDJSON line by line and report invalid records', async () => {
+    const readable = Readable.from(['{"id":1}\n\n{"id"', ':2}\n']);
+    expect(await collect(streamRecords(readable, 'jsonl'))).toEqual([{ id: 1 }, { id: 2 }]);
+
+    await expect(parseRecords(Buffer.from('{"id":1}\nnot json\n'), 'ndjson'))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('Invalid NDJSON record 2') });
+  });
+
+  test('should select XML record elements and keep attributes', async () => {
+    const xml = `<?xml version="1.0"?>
+      <export><meta><count>2</count></meta>
+        <orders><order id="A1"><total>010</total></order><order id="A2"><total>20</total></order></orders>
+      </export>`;
+
+    expect(await parseRecords(Buffer.from(xml), 'xml', { recordElement: 'order' })).toEqual([
+      { '@id': 'A1', total: '010' },
+      { '@id': 'A2', total: '20' },
+    ]);
+    expect(await parseRecords(Buffer.from(xml), 'xml', { recordPath: 'meta.count' })).toEqual(['2']);
+    await expect(parseRecords(Buffer.from('<a><b></a>'), 'xml')).rejects.toThrow('Invalid XML format');
+  });
+
+  test('should write XML records inside a root element', async () => {
+    const xml = (await serializeRecords([{ sku: 'a&b' }], 'xml', { rootElement: 'items', recordElement: 'item' })).toString();
+
+    expect(xml).toBe('<?xml version="1.0" encoding="UTF-8"?>\n<items>\n  <item>\n    <sku>a&amp;b</sku>\n  </item>\n</items>\n');
+    expect(await parseRecords(Buffer.from(xml), 'xml')).toEqual([{ sku: 'a&b' }]);
+  });
+
+  test('should read the selected worksheet of a workbook', async () => {
+    const workbook = await serializeRecords([{ sku: 'A', price: 2 }], 'xlsx', { sheet: 'Prices' });
+
+    expect(await parseRecords(workbook, 'xlsx', { sheet: 'Prices' })).toEqual([{ sku: 'A', price: 2 }]);
+    expect(await parseRecords(workbook, 'xlsx', { sheet: 1, header: false })).toEqual([
+      { 0: 'sku', 1: 'price' },
+      { 0: 'A', 1: 2 },
+    ]);
+    await expect(parseRecords(workbook, 'xlsx', { sheet: 'Orders' }))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Worksheet not found: Orders (workbook sheets: Prices)' });
+  });
+
+  test('should write Parquet files with a configured schema', async () => {
+    const schema = { id: { type: 'UTF8' }, amount: { type: 'INT64', optional: true } };
+    const content = await serializeRecords([{ id: 7, amount: 12 }, { id: 8 }], 'parquet', { schema });
+
+    expect(await parseRecords(content, 'parquet')).toEqual([{ id: '7', amount: 12 }, { id: '8', amount: null }]);
+    expect(await parseRecords(content, 'parquet', { columns: ['id'] })).toEqual([{ id: '7' }, { id: '8' }]);
+    await expect(serializeRecords([{ id: 'x' }], 'parquet', { schema: { id: { type: 'INT64' } } }))
+      .rejects.toThrow('Record does not match the Parquet schema');
+  });
+
+  test('should read multi-document YAML as one record per document', async () => {
+    expect(await parseRecords(Buffer.from('id: 1\n---\nid: 2\n'), 'yml')).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(await serializeRecords([], 'yaml')).toBe('[]\n');
+  });
+
+  test('should reject unknown formats', async () => {
+    await expect(parseRecords(Buffer.from(''), 'avro')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,178 @@
+jest.mock('../../../src/handlers/loadHandler', () => ({ load: jest.fn() }));
+
+const mongoose = require('mongoose');
+const DeadLetterModel = require('../../../src/models/deadLetterModel');
+const RunModel = require('../../../src/models/runModel');
+const { load } = require('../../../src/handlers/loadHandler');
+const { listDeadLetters, replayDeadLetters } = require('../../../src/handlers/deadLetterHandler');
+
+describe('deadLetterHandler', () => {
+  const destination = { type: 'mongodb', collection: 'orders' };
+
+  /**
+   * Create dead letter documents
+   * @param {Array<Object>} entries - Dead letter fields
+   * @returns {Array<Object>} Dead letter documents
+   */
+  function createDeadLetters(entries) {
+    return entries.map(entry => new DeadLetterModel({ runId: null, reason: 'Invalid', ...entry }));
+  }
+
+  /**
+   * Serve dead letters from find, through sort, skip and limit, and let a replay claim all of them
+   * @param {Array<Object>} deadLetters - Dead letter documents
+   * @param {Array<Object>} [claimed] - Dead letters the replay claims
+   * @returns {Object} Query mock
+   */
+  function mockFind(deadLetters, claimed = deadLetters) {
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue(deadLetters),
+    };
+    jest.spyOn(DeadLetterModel, 'find').mockImplementation(filter => (
+      filter.replayId ? { sort: async () => claimed } : query
+    ));
+    jest.spyOn(DeadLetterModel, 'updateMany').mockResolvedValue({ modifiedCount: claimed.length });
+    return query;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(DeadLetterModel.prototype, 'save').mockImplementation(async function save() {
+      return this;
+    });
+    load.mockImplementation(async (context, req) => ({
+      status: 200,
+      body: { success: true, result: { insertedCount: req.body.data.length } },
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('listDeadLetters', () => {
+    test('should filter and paginate the dead letters', async () => {
+      const query = mockFind([]);
+      jest.spyOn(DeadLetterModel, 'countDocuments').mockResolvedValue(3);
+
+      const response = await listDeadLetters({}, { query: { stage: 'validate', status: { $ne: 'x' }, limit: '2' } });
+
+      expect(response.headers).toEqual({ 'X-Total-Count': '3' });
+      expect(response.body.pagination).toEqual({ page: 1, limit: 2, total: 3, pages: 2 });
+      expect(DeadLetterModel.find).toHaveBeenCalledWith({ stage: 'validate', status: '[object Object]' });
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+    });
+  });
+
+  describe('replayDeadLetters', () => {
+    test('should transform the records again and load the ones that pass', async () => {
+      const deadLetters = createDeadLetters([
+        { stage: 'validate', item: { id: 1, email: 'a@example.com' } },
+        { stage: 'validate', item: { id: 2 } },
+        { stage: 'load', item: { id: 3 } },
+      ]);
+      mockFind(deadLetters);
+
+      const response = await replayDeadLetters({}, {
+        body: {
+          destination,
+          transformations: { validate: { schema: { required: ['id', 'email'] }, removeInvalid: true } },
+        },
+      });
+
+      expect(response.body).toMatchObject({ success: true, replayed: 2, dropped: 0, failed: 1 });
+      expect(load.mock.calls[0][1].body.data).toEqual([{ id: 1, email: 'a@example.com' }, { id: 3 }]);
+      expect(deadLetters.map(deadLetter => deadLetter.status)).toEqual(['replayed', 'failed', 'replayed']);
+      expect(deadLetters[1].lastError).toMatch(/email/);
+      expect(deadLetters.every(deadLetter => deadLetter.replayCount === 1)).toBe(true);
+      expect(DeadLetterModel.find).toHaveBeenCalledWith({ status: { $in: ['pending', 'failed'] } });
+      expect(DeadLetterModel.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: deadLetters.map(deadLetter => deadLetter._id) }, status: { $in: ['pending', 'failed'] } },
+        { $set: { status: 'replaying', replayId: expect.any(String) } },
+      );
+    });
+
+    test('should replay only the dead letters it claimed', async () => {
+      const deadLetters = createDeadLetters([{ stage: 'load', item: { id: 1 } }, { stage: 'load', item: { id: 2 } }]);
+      // The first record is being replayed by a concurrent replay
+      mockFind(deadLetters, [deadLetters[1]]);
+
+      const response = await replayDeadLetters({}, { body: { destination } });
+
+      expect(response.body).toMatchObject({ replayed: 1, failed: 0 });
+      expect(load.mock.calls[0][1].body.data).toEqual([{ id: 2 }]);
+      expect(deadLetters[0].replayCount).toBe(0);
+    });
+
+    test('should give the claimed dead letters their status back when the replay fails', async () => {
+      const deadLetters = createDeadLetters([
+        { stage: 'load', item: { id: 1 } },
+        { stage: 'load', item: { id: 2 }, status: 'failed' },
+      ]);
+      mockFind(deadLetters);
+      load.mockRejectedValue(new Error('Connection lost'));
+
+      const response = await replayDeadLetters({}, { body: { destination } });
+
+      expect(response.status).toBe(500);
+      const [, releasePending, releaseFailed] = DeadLetterModel.updateMany.mock.calls;
+      expect(releasePending).toEqual([
+        { _id: { $in: [deadLetters[0]._id] }, replayId: expect.any(String), status: 'replaying' },
+        { $set: { status: 'pending' }, $unset: { replayId: 1 } },
+      ]);
+      expect(releaseFailed[1].$set).toEqual({ status: 'failed' });
+      expect(DeadLetterModel.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('should report records a filter drops instead of loading them', async () => {
+      const deadLetters = createDeadLetters([
+        { stage: 'filter', item: { id: 1, qty: 0 } },
+        { stage: 'filter', item: { id: 2, qty: 4 } },
+      ]);
+      mockFind(deadLetters);
+
+      const response = await replayDeadLetters({}, {
+        body: { destination, transformations: { filter: 'qty > 0' } },
+      });
+
+      expect(response.body).toMatchObject({ replayed: 1, dropped: 1, failed: 0 });
+      expect(load.mock.calls[0][1].body.data).toEqual([{ id: 2, qty: 4 }]);
+      expect(deadLetters[0].status).toBe('dropped');
+      expect(deadLetters[0].validateSync()).toBeUndefined();
+    });
+
+    test('should mark the records a failed load could not write', async () => {
+      const deadLetters = createDeadLetters([{ stage: 'load', item: { id: 1 } }, { stage: 'load', item: { id: 2 } }]);
+      mockFind(deadLetters);
+      load.mockResolvedValue({
+        status: 200,
+        body: { success: true, result: { insertedCount: 1, failed: [{ index: 1, error: 'E11000 duplicate key' }] } },
+      });
+
+      const response = await replayDeadLetters({}, { body: { destination } });
+
+      expect(response.body.results.map(result => result.status)).toEqual(['replayed', 'failed']);
+      expect(deadLetters[1].lastError).toBe('E11000 duplicate key');
+    });
+
+    test('should replay with the configuration of the run and validate the request', async () => {
+      const runId = String(new mongoose.Types.ObjectId());
+      mockFind(createDeadLetters([{ runId, stage: 'load', item: { id: 1 } }]));
+      jest.spyOn(RunModel, 'findById').mockReturnValue({
+        select: async () => ({ config: { destination } }),
+      });
+
+      await replayDeadLetters({}, { body: { runId } });
+      expect(load.mock.calls[0][1].body.destination).toEqual(destination);
+
+      jest.spyOn(RunModel, 'findById').mockReturnValue({ select: async () => null });
+      const noDestination = await replayDeadLetters({}, { body: { runId } });
+      expect(noDestination.status).toBe(409);
+
+      expect((await replayDeadLetters({}, { body: { status: 'replayed' } })).status).toBe(400);
+      expect((await replayDeadLetters({}, { body: { ids: ['nope'] } })).status).toBe(400);
+    });
+  });
+});
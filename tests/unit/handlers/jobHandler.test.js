@@ -0,0 +1,77 @@
+jest.mock('../../../src/handlers/orchestratorHandler', () => ({ orchestrate: jest.fn() }));
+
+const { orchestrate } = require('../../../src/handlers/orchestratorHandler');
+const { submitOrchestrationJob, getJobStatus } = require('../../../src/handlers/jobHandler');
+
+/**
+ * Let the submitted job run to completion
+ * @returns {Promise<void>}
+ */
+const flush = () => new Promise(setImmediate);
+
+describe('jobHandler', () => {
+  const body = {
+    source: { type: 'file', path: 'orders.csv' },
+    destination: { type: 'mongodb', collection: 'orders' },
+  };
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should validate the request before queuing a job', async () => {
+    const noSource = await submitOrchestrationJob({}, { body: { destination: body.destination } });
+    const noDestination = await submitOrchestrationJob({}, { body: { source: body.source } });
+
+    expect(noSource).toMatchObject({ status: 400, body: { error: 'Source configuration is required' } });
+    expect(noDestination).toMatchObject({ status: 400, body: { error: 'Destination configuration is required' } });
+    await flush();
+    expect(orchestrate).not.toHaveBeenCalled();
+  });
+
+  test('should run the orchestration as a job and expose its progress and result', async () => {
+    orchestrate.mockImplementation(async context => {
+      context.onProgress({ step: 'load', transformed: 2 });
+      return { status: 200, body: { success: true, runId: 'run-1' } };
+    });
+
+    const submitted = await submitOrchestrationJob({}, { body, apiKeyInfo: { key: 'abc...' } });
+
+    expect(submitted.status).toBe(202);
+    expect(submitted.body).toMatchObject({ state: 'queued', statusUrl: `/jobs/${submitted.body.jobId}` });
+
+    await flush();
+    const { status, body: statusBody } = await getJobStatus({}, { params: { id: submitted.body.jobId } });
+
+    expect(status).toBe(200);
+    expect(statusBody.job).toMatchObject({
+      state: 'succeeded',
+      step: 'load',
+      progress: { transformed: 2 },
+      result: { success: true, runId: 'run-1' },
+    });
+    expect(orchestrate).toHaveBeenCalledWith(
+      expect.objectContaining({ trigger: 'job' }),
+      { body, apiKeyInfo: { key: 'abc...' } },
+    );
+  });
+
+  test('should fail the job with the orchestration error and run ID', async () => {
+    orchestrate.mockResolvedValue({ status: 500, body: { success: false, error: { message: 'Load failed' }, runId: 'run-2' } });
+
+    const submitted = await submitOrchestrationJob({}, { body });
+    await flush();
+    const { body: statusBody } = await getJobStatus({}, { params: { id: submitted.body.jobId } });
+
+    expect(statusBody.job).toMatchObject({
+      state: 'failed',
+      error: { message: 'Load failed', statusCode: 500, details: { runId: 'run-2' } },
+    });
+  });
+
+  test('should answer 404 for unknown jobs', async () => {
+    const response = await getJobStatus({}, { params: { id: 'missing' } });
+
+    expect(response).toMatchObject({ status: 404, body: { error: 'Job not found: missing' } });
+  });
+});
@@ -0,0 +1,197 @@
+jest.mock('../../../src/extractors/mongoExtractor', () => ({
+  ...jest.requireActual('../../../src/extractors/mongoExtractor'),
+  streamFromMongo: jest.fn(),
+}));
+jest.mock('../../../src/loaders/mongoLoader', () => ({
+  ...jest.requireActual('../../../src/loaders/mongoLoader'),
+  createMongoWriter: jest.fn(),
+}));
+jest.mock('../../../src/utils/runTracker', () => ({
+  ...jest.requireActual('../../../src/utils/runTracker'),
+  startRun: jest.fn(),
+}));
+jest.mock('../../../src/utils/deadLetters', () => ({ recordDeadLetters: jest.fn() }));
+jest.mock('../../../src/utils/processedFiles', () => ({
+  ...jest.requireActual('../../../src/utils/processedFiles'),
+  markFilesProcessed: jest.fn(),
+}));
+
+const { streamFromMongo } = require('../../../src/extractors/mongoExtractor');
+const { createMongoWriter } = require('../../../src/loaders/mongoLoader');
+const { startRun } = require('../../../src/utils/runTracker');
+const { recordDeadLetters } = require('../../../src/utils/deadLetters');
+const { orchestrate } = require('../../../src/handlers/orchestratorHandler');
+
+/**
+ * Create a run tracker that records the order of its step updates
+ * @returns {Object} Run tracker ({ events } lists "start:<step>" and "<status>:<step>")
+ */
+function createRunTracker() {
+  const events = [];
+  return {
+    id: 'run-1',
+    events,
+    startStep: jest.fn(async name => events.push(`start:${name}`)),
+    finishStep: jest.fn(async (name, { status }) => events.push(`${status}:${name}`)),
+    finish: jest.fn(),
+    addWarning: jest.fn(),
+    setExtracted: jest.fn(),
+  };
+}
+
+/**
+ * Create a writer that keeps the records written to it
+ * @param {Function} [write] - Write implementation
+ * @returns {Object} Writer ({ written } holds each written chunk)
+ */
+function createWriter(write) {
+  const writer = { written: [] };
+  writer.write = jest.fn(write || (async records => {
+    writer.written.push(records);
+    return { insertedCount: records.length };
+  }));
+  writer.close = jest.fn(async () => ({ insertedCount: writer.written.flat().length }));
+  writer.abort = jest.fn();
+  return writer;
+}
+
+/**
+ * Serve chunks from the source stream, failing after them if told to
+ * @param {Array<Array<Object>>} chunks - Chunks of records
+ * @param {Error} [error] - Error thrown after the chunks
+ */
+function mockSourceStream(chunks, error) {
+  streamFromMongo.mockImplementation(async function* stream() {
+    yield* chunks;
+    if (error) {
+      throw error;
+    }
+  });
+}
+
+describe('orchestrateStream', () => {
+  const source = { type: 'mongodb', collection: 'orders', incremental: { field: 'updatedAt' } };
+  const destination = { type: 'mongodb', collection: 'orders_copy' };
+  let run;
+
+  /**
+   * Run a streaming orchestration
+   * @param {Object} [body] - Request body overrides
+   * @param {Object} [context] - Invocation context
+   * @returns {Promise<Object>} HTTP response
+   */
+  const orchestrateStream = (body = {}, context = {}) => orchestrate(context, {
+    body: { source, destination, options: { streaming: true, chunkSize: 2 }, ...body },
+  });
+
+  beforeEach(() => {
+    run = createRunTracker();
+    startRun.mockResolvedValue(run);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should transform and write the source chunk by chunk', async () => {
+    const writer = createWriter();
+    createMongoWriter.mockResolvedValue(writer);
+    mockSourceStream([
+      [{ id: 1, qty: 2, updatedAt: 5 }, { id: 2, qty: 0, updatedAt: 9 }],
+      [{ id: 3, qty: 1, updatedAt: 7 }],
+    ]);
+    const onProgress = jest.fn();
+
+    const response = await orchestrateStream({ transformations: { filter: 'qty > 0' } }, { onProgress, watermark: 3 });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, streaming: true, chunks: 2, watermark: 9, runId: 'run-1' });
+    expect(writer.written).toEqual([[{ id: 1, qty: 2, updatedAt: 5 }], [{ id: 3, qty: 1, updatedAt: 7 }]]);
+    expect(writer.close).toHaveBeenCalledTimes(1);
+    expect(streamFromMongo.mock.calls[0][1]).toMatchObject({ chunkSize: 2 });
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ step: 'stream', chunks: 2, extracted: 3, loaded: 2 }));
+    expect(run.finish).toHaveBeenCalledWith({ status: 'success', recordsIn: 3, recordsOut: 2 });
+  });
+
+  test('should start each step when its first work begins', async () => {
+    createMongoWriter.mockResolvedValue(createWriter());
+    mockSourceStream([[{ id: 1 }]]);
+
+    await orchestrateStream();
+
+    expect(run.events).toEqual([
+      'start:load',
+      'start:extract',
+      'start:transform',
+      'success:extract',
+      'success:transform',
+      'success:load',
+    ]);
+
+    // Nothing is transformed without records, and a failing writer stops the run before the source is read
+    run = createRunTracker();
+    startRun.mockResolvedValue(run);
+    mockSourceStream([]);
+    await orchestrateStream();
+    expect(run.events).toEqual(expect.arrayContaining(['start:transform', 'success:transform']));
+
+    run = createRunTracker();
+    startRun.mockResolvedValue(run);
+    createMongoWriter.mockRejectedValue(new Error('Connection refused'));
+    const response = await orchestrateStream();
+    expect(response.status).toBe(500);
+    expect(run.events).toEqual(['start:load', 'failed:load']);
+  });
+
+  test('should abort the writer and fail the run when a chunk fails', async () => {
+    const writer = createWriter();
+    createMongoWriter.mockResolvedValue(writer);
+    mockSourceStream([[{ id: 1 }, { id: 2 }]], new Error('Cursor lost'));
+
+    const response = await orchestrateStream();
+
+    expect(response.status).toBe(500);
+    expect(response.body.runId).toBe('run-1');
+    expect(writer.abort).toHaveBeenCalledWith(expect.objectContaining({ message: 'Cursor lost' }));
+    expect(writer.close).not.toHaveBeenCalled();
+    expect(run.finishStep).toHaveBeenCalledWith('extract', { status: 'failed', error: 'Cursor lost' });
+    expect(run.finishStep).toHaveBeenCalledWith('load', {
+      status: 'failed',
+      error: 'Stopped after the extract step failed',
+    });
+    expect(run.finish).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      recordsIn: 2,
+      recordsOut: 2,
+      error: { message: 'Cursor lost', step: 'extract' },
+    }));
+  });
+
+  test('should dead-letter rejected records with their position in the whole stream', async () => {
+    const writer = createWriter(async records => {
+      writer.written.push(records);
+      // The second record of the second chunk breaks a unique index
+      return records[0].id === 3
+        ? { insertedCount: 1, failed: [{ index: 1, error: 'E11000 duplicate key' }] }
+        : { insertedCount: records.length };
+    });
+    createMongoWriter.mockResolvedValue(writer);
+    mockSourceStream([
+      [{ id: 1, qty: 1 }, { id: 2, qty: 'n/a' }],
+      [{ id: 3, qty: 1 }, { id: 4, qty: 2 }],
+    ]);
+
+    const response = await orchestrateStream({
+      transformations: { derive: { fields: { double: 'qty * 2' }, onError: 'reject' } },
+    });
+
+    expect(response.body.transformResult.rejectedCount).toBe(2);
+    const deadLetters = recordDeadLetters.mock.calls.flatMap(([entries]) => entries);
+    expect(deadLetters).toEqual([
+      expect.objectContaining({ stage: 'derive', index: 1, item: { id: 2, qty: 'n/a' } }),
+      expect.objectContaining({ stage: 'load', index: 2, item: { id: 4, qty: 2, double: 4 } }),
+    ]);
+    expect(recordDeadLetters).toHaveBeenCalledWith(expect.any(Array), { runId: 'run-1' });
+    expect(run.addWarning).toHaveBeenCalledWith('2 records were rejected');
+  });
+});
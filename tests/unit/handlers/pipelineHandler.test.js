@@ -0,0 +1,225 @@
+jest.mock('../../../src/utils/changeStreams');
+jest.mock('../../../src/handlers/orchestratorHandler', () => ({ orchestrate: jest.fn() }));
+
+const mongoose = require('mongoose');
+const PipelineModel = require('../../../src/models/pipelineModel');
+const changeStreams = require('../../../src/utils/changeStreams');
+const scheduler = require('../../../src/utils/scheduler');
+const { orchestrate } = require('../../../src/handlers/orchestratorHandler');
+const {
+  listPipelines,
+  getPipeline,
+  createPipeline,
+  updatePipeline,
+  deletePipeline,
+  runPipeline,
+} = require('../../../src/handlers/pipelineHandler');
+
+describe('pipelineHandler', () => {
+  // Pipeline as stored in the database
+  let stored;
+
+  /**
+   * Create a pipeline document and serve it from findById
+   * @param {Object} definition - Pipeline fields
+   * @returns {Object} Pipeline document
+   */
+  function mockPipeline(definition) {
+    const pipeline = new PipelineModel({ _id: new mongoose.Types.ObjectId(), name: 'orders', ...definition });
+    stored = pipeline.toObject();
+    jest.spyOn(PipelineModel, 'findById').mockImplementation(() => Object.assign(Promise.resolve(pipeline), {
+      select: () => ({ lean: async () => stored }),
+    }));
+    return pipeline;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(PipelineModel.prototype, 'save').mockImplementation(async function save() {
+      stored = this.toObject();
+      return this;
+    });
+    // Starting a stream replaces the running consumer, as the registry does
+    changeStreams.startChangeStream.mockImplementation(async id => {
+      await changeStreams.stopChangeStream(id);
+      return { id, running: true };
+    });
+    changeStreams.stopChangeStream.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('pipeline definitions', () => {
+    const definition = {
+      name: 'orders',
+      source: { type: 'mongodb', collection: 'orders' },
+      destination: { type: 'mongodb', collection: 'orders_copy' },
+    };
+
+    afterEach(() => {
+      scheduler.stopScheduler();
+    });
+
+    test('should create a pipeline at version 1 and schedule it', async () => {
+      const response = await createPipeline({}, {
+        body: { ...definition, schedule: { cron: '0 * * * *' }, lastRun: { status: 'success' } },
+      });
+
+      expect(response.status).toBe(201);
+      expect(stored).toMatchObject({ name: 'orders', version: 1, enabled: true });
+      expect(stored.lastRun).toBeUndefined();
+      expect(response.body.schedule).toMatchObject({ cron: '0 * * * *' });
+      expect(scheduler.getSchedules()).toHaveLength(1);
+    });
+
+    test('should reject invalid definitions', async () => {
+      const invalid = [
+        [{ ...definition, name: undefined }, 'Pipeline name is required'],
+        [{ ...definition, source: {} }, 'Source configuration is required'],
+        [{ ...definition, destination: undefined }, 'Destination configuration is required'],
+        [{ ...definition, schedule: { cron: 'every hour' } }, /cron/i],
+        [{ ...definition, source: { type: 'file', path: 'a.csv', incremental: { field: 'id' } } }, 'not supported'],
+      ];
+
+      for (const [body, error] of invalid) {
+        const response = await createPipeline({}, { body });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toMatch(error);
+      }
+      expect(PipelineModel.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('should answer 409 for a duplicate name', async () => {
+      PipelineModel.prototype.save.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      const response = await createPipeline({}, { body: definition });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('A pipeline with this name already exists');
+    });
+
+    test('should only bump the version when the ETL configuration changes', async () => {
+      const pipeline = mockPipeline(definition);
+
+      await updatePipeline({}, { params: { id: String(pipeline._id) }, body: { description: 'Copy of the orders' } });
+      expect(stored).toMatchObject({ description: 'Copy of the orders', version: 1 });
+
+      await updatePipeline({}, { params: { id: String(pipeline._id) }, body: { source: definition.source } });
+      expect(stored.version).toBe(1);
+
+      const response = await updatePipeline({}, {
+        params: { id: String(pipeline._id) },
+        body: { transformations: { clean: { removeEmpty: true } } },
+      });
+      expect(response.status).toBe(200);
+      expect(stored.version).toBe(2);
+    });
+
+    test('should find pipelines by ID or name, list and delete them', async () => {
+      const pipeline = mockPipeline(definition);
+      jest.spyOn(PipelineModel, 'findOne').mockResolvedValue(null);
+      jest.spyOn(PipelineModel, 'find').mockReturnValue({ sort: async () => [pipeline] });
+      jest.spyOn(PipelineModel.prototype, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      expect((await getPipeline({}, { params: { id: String(pipeline._id) } })).body.pipeline).toBe(pipeline);
+      expect((await getPipeline({}, { params: { id: 'invoices' } })).status).toBe(404);
+      expect(PipelineModel.findOne).toHaveBeenCalledWith({ name: 'invoices' });
+
+      // ObjectId.isValid accepts any 12-character string, such names are still found by name
+      PipelineModel.findById.mockClear();
+      PipelineModel.findOne.mockResolvedValueOnce(pipeline);
+      expect((await getPipeline({}, { params: { id: 'daily-orders' } })).body.pipeline).toBe(pipeline);
+      expect(PipelineModel.findById).not.toHaveBeenCalled();
+      expect(PipelineModel.findOne).toHaveBeenLastCalledWith({ name: 'daily-orders' });
+
+      const listed = await listPipelines({}, { query: { enabled: 'false' } });
+      expect(listed.body.count).toBe(1);
+      expect(PipelineModel.find).toHaveBeenCalledWith({ enabled: false });
+
+      const deleted = await deletePipeline({}, { params: { id: String(pipeline._id) } });
+      expect(deleted.status).toBe(200);
+      expect(pipeline.deleteOne).toHaveBeenCalled();
+      expect(changeStreams.stopChangeStream).toHaveBeenCalledWith(String(pipeline._id));
+    });
+  });
+
+  describe('runPipeline', () => {
+    const definition = {
+      source: { type: 'mongodb', collection: 'orders', incremental: { field: 'updatedAt', type: 'date' } },
+      destination: { type: 'mongodb', collection: 'orders_copy' },
+    };
+
+    test('should refuse a run while another run of the pipeline is in progress', async () => {
+      const pipeline = mockPipeline(definition);
+      let finishRun;
+      orchestrate.mockImplementation(() => new Promise(resolve => {
+        finishRun = () => resolve({ status: 200, body: { success: true, watermark: '2025-03-01T00:00:00.000Z' } });
+      }));
+
+      const scheduled = runPipeline({ trigger: 'schedule' }, { params: { id: String(pipeline._id) }, body: {} });
+      await new Promise(setImmediate);
+      const manual = await runPipeline({}, { params: { id: String(pipeline._id) }, body: {} });
+
+      expect(manual.status).toBe(409);
+      expect(manual.body.error).toBe('Pipeline "orders" is already running');
+      expect(orchestrate).toHaveBeenCalledTimes(1);
+
+      finishRun();
+      expect((await scheduled).status).toBe(200);
+      expect(stored.watermark.value).toBe('2025-03-01T00:00:00.000Z');
+
+      // The pipeline can run again once the run is over
+      orchestrate.mockResolvedValue({ status: 200, body: { success: true } });
+      expect((await runPipeline({}, { params: { id: String(pipeline._id) }, body: {} })).status).toBe(200);
+    });
+  });
+
+  describe('change stream pipelines', () => {
+    const source = { type: 'mongodb-changestream', collection: 'orders' };
+
+    test('should resume a restarted stream from the token saved when the old consumer stopped', async () => {
+      const pipeline = mockPipeline({ source, destination: { type: 'mongodb' }, changeStream: { resumeToken: 'old' } });
+      // The running consumer flushes its last batch when it stops
+      changeStreams.stopChangeStream.mockImplementation(async () => {
+        stored.changeStream = { resumeToken: 'newer' };
+        return true;
+      });
+
+      const response = await runPipeline({}, { params: { id: String(pipeline._id) }, body: {} });
+
+      expect(response.status).toBe(202);
+      expect(changeStreams.startChangeStream).toHaveBeenCalledWith(
+        String(pipeline._id),
+        expect.objectContaining({ resumeToken: 'newer' }),
+      );
+    });
+
+    test('should stop the old stream before clearing its token on a collection change', async () => {
+      const pipeline = mockPipeline({ source, destination: { type: 'mongodb' }, changeStream: { resumeToken: 'old' } });
+      // The running consumer of the old collection saves its token once, when it stops
+      let running = true;
+      changeStreams.stopChangeStream.mockImplementation(async () => {
+        if (running) {
+          stored.changeStream = { resumeToken: 'flushed' };
+        }
+        running = false;
+        return true;
+      });
+
+      const response = await updatePipeline({}, {
+        params: { id: String(pipeline._id) },
+        body: { source: { ...source, collection: 'invoices' } },
+      });
+
+      expect(response.status).toBe(200);
+      expect(stored.changeStream).toBeUndefined();
+      expect(changeStreams.startChangeStream).toHaveBeenCalledWith(
+        String(pipeline._id),
+        expect.objectContaining({ resumeToken: undefined }),
+      );
+    });
+  });
+});
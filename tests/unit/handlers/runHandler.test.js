@@ -0,0 +1,252 @@
+jest.mock('../../../src/handlers/orchestratorHandler', () => ({ orchestrate: jest.fn() }));
+
+const mongoose = require('mongoose');
+const RunModel = require('../../../src/models/runModel');
+const DataModel = require('../../../src/models/dataModel');
+const PipelineModel = require('../../../src/models/pipelineModel');
+const { orchestrate } = require('../../../src/handlers/orchestratorHandler');
+const { listRuns, getRun, resumeRun } = require('../../../src/handlers/runHandler');
+
+describe('runHandler', () => {
+  const source = { type: 'mongodb', collection: 'orders', incremental: { field: 'updatedAt' } };
+  const destination = { type: 'mongodb', collection: 'orders_copy' };
+
+  /**
+   * Create a failed run document and serve it from findById
+   * @param {Object} fields - Run fields
+   * @returns {Object} Run document
+   */
+  function mockRun(fields) {
+    const run = new RunModel({
+      _id: new mongoose.Types.ObjectId(),
+      configHash: 'hash',
+      config: { source, destination },
+      status: 'failed',
+      startedAt: new Date(),
+      ...fields,
+    });
+    jest.spyOn(RunModel, 'findById').mockReturnValue({ select: async () => run });
+    return run;
+  }
+
+  /**
+   * Create a pipeline document and serve it from findById
+   * @param {Object} [watermark] - Stored watermark
+   * @returns {Object} Pipeline document
+   */
+  function mockPipeline(watermark) {
+    const pipeline = new PipelineModel({ _id: new mongoose.Types.ObjectId(), name: 'orders', source, destination, watermark });
+    jest.spyOn(PipelineModel, 'findById').mockResolvedValue(pipeline);
+    return pipeline;
+  }
+
+  beforeEach(() => {
+    jest.spyOn(RunModel.prototype, 'save').mockImplementation(async function save() {
+      return this;
+    });
+    jest.spyOn(PipelineModel.prototype, 'save').mockImplementation(async function save() {
+      return this;
+    });
+    jest.spyOn(DataModel, 'findById').mockResolvedValue({ transformed: [{ id: 1 }] });
+    jest.spyOn(RunModel, 'findOneAndUpdate').mockImplementation(async filter => ({ _id: filter._id }));
+    jest.spyOn(RunModel, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('listRuns', () => {
+    test('should filter, sort and paginate the runs', async () => {
+      const runs = [{ _id: 'r1' }];
+      const query = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue(runs),
+      };
+      jest.spyOn(RunModel, 'find').mockReturnValue(query);
+      jest.spyOn(RunModel, 'countDocuments').mockResolvedValue(45);
+
+      const response = await listRuns({}, {
+        query: { status: 'failed', pipeline: { $ne: null }, from: '2025-03-01', page: '2', limit: '20' },
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.headers).toEqual({ 'X-Total-Count': '45' });
+      expect(response.body).toMatchObject({ runs, pagination: { page: 2, limit: 20, total: 45, pages: 3 } });
+      expect(RunModel.find).toHaveBeenCalledWith({
+        status: 'failed',
+        'pipeline.name': '[object Object]',
+        startedAt: { $gte: new Date('2025-03-01') },
+      });
+      expect(query.sort).toHaveBeenCalledWith({ startedAt: -1 });
+      expect(query.skip).toHaveBeenCalledWith(20);
+    });
+
+    test('should reject invalid query parameters', async () => {
+      expect((await listRuns({}, { query: { limit: '0' } })).status).toBe(400);
+      expect((await listRuns({}, { query: { to: 'yesterday' } })).status).toBe(400);
+    });
+  });
+
+  describe('getRun', () => {
+    test('should answer 400 for invalid IDs and 404 for unknown runs', async () => {
+      jest.spyOn(RunModel, 'findById').mockResolvedValue(null);
+
+      expect((await getRun({}, { params: { id: 'abc' } })).status).toBe(400);
+      expect((await getRun({}, { params: { id: String(new mongoose.Types.ObjectId()) } })).status).toBe(404);
+    });
+  });
+
+  describe('resumeRun', () => {
+    /**
+     * Resume a run and return the step the orchestrator was asked to start from
+     * @param {Object} run - Run document
+     * @returns {Promise<Object>} { response, fromStep }
+     */
+    async function resume(run) {
+      const response = await resumeRun({}, { params: { id: String(run._id) } });
+      return { response, fromStep: orchestrate.mock.calls.at(-1)?.[0].resume.fromStep };
+    }
+
+    beforeEach(() => {
+      orchestrate.mockResolvedValue({ status: 200, body: { success: true, runId: 'run-2' } });
+    });
+
+    test('should resume from the failed step with the stored configuration and data', async () => {
+      const run = mockRun({ recordId: 'record-1', error: { message: 'timeout', step: 'load' } });
+
+      const { response, fromStep } = await resume(run);
+
+      expect(fromStep).toBe('load');
+      expect(response.body).toMatchObject({ success: true, resumedFrom: String(run._id), resumedStep: 'load' });
+      expect(orchestrate).toHaveBeenCalledWith(
+        expect.objectContaining({ trigger: 'resume', resume: expect.objectContaining({ runId: String(run._id) }) }),
+        expect.objectContaining({ body: { source, destination } }),
+      );
+      expect(DataModel.findById).toHaveBeenCalledWith('record-1');
+      expect(RunModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: run._id, status: 'failed', resumedBy: null },
+        { $set: { resumedBy: 'pending' } },
+      );
+      expect(run.resumedBy).toBe('run-2');
+    });
+
+    test('should start a single resume of a run resumed concurrently', async () => {
+      const run = mockRun({ recordId: 'record-1', error: { message: 'timeout', step: 'load' } });
+      RunModel.findOneAndUpdate
+        .mockImplementationOnce(async () => ({ _id: run._id }))
+        .mockImplementationOnce(async () => null);
+
+      const [first, second] = await Promise.all([resume(run), resume(run)]);
+
+      expect(first.response.status).toBe(200);
+      expect(second.response).toMatchObject({
+        status: 409,
+        body: { error: `Run ${run._id} is already being resumed` },
+      });
+      expect(orchestrate).toHaveBeenCalledTimes(1);
+      expect(run.resumedBy).toBe('run-2');
+    });
+
+    test('should release the run when the resume does not start a run', async () => {
+      const run = mockRun({ recordId: 'record-1', error: { message: 'timeout', step: 'load' } });
+      orchestrate.mockResolvedValueOnce({ status: 400, body: { success: false, error: 'Invalid configuration' } });
+
+      expect((await resume(run)).response.status).toBe(400);
+      expect(RunModel.updateOne).toHaveBeenCalledWith(
+        { _id: run._id, resumedBy: 'pending' },
+        { $unset: { resumedBy: 1 } },
+      );
+
+      orchestrate.mockRejectedValueOnce(new Error('Connection lost'));
+      expect((await resume(run)).response.status).toBe(500);
+      expect(RunModel.updateOne).toHaveBeenCalledTimes(2);
+    });
+
+    test('should work out the step to resume from', async () => {
+      // Without an error step, the step that was still running failed
+      const running = mockRun({
+        recordId: 'record-1',
+        steps: [{ name: 'extract', status: 'success' }, { name: 'transform', status: 'running' }],
+      });
+      expect((await resume(running)).fromStep).toBe('transform');
+
+      // Nothing is stored before extract, so it runs again without looking for data
+      DataModel.findById.mockClear();
+      expect((await resume(mockRun({ error: { message: 'timeout', step: 'extract' } }))).fromStep).toBe('extract');
+      expect(DataModel.findById).not.toHaveBeenCalled();
+
+      // A load cannot be resumed without the transformed data
+      DataModel.findById.mockResolvedValue({ raw: [{ id: 1 }] });
+      expect((await resume(mockRun({ recordId: 'record-1', error: { step: 'load' } }))).fromStep).toBe('transform');
+    });
+
+    test('should refuse runs that cannot be resumed', async () => {
+      const refusals = [
+        [{ status: 'success' }, 'Only failed runs can be resumed (run status: success)'],
+        [{ resumedBy: 'run-3', error: { step: 'load' } }, 'Run was already resumed by run run-3'],
+        [{ config: undefined, error: { step: 'load' } }, 'Run has no stored configuration to resume with'],
+        [{ error: { step: 'transform' } }, 'Run has no stored intermediate data to resume from'],
+      ];
+
+      for (const [fields, error] of refusals) {
+        const { response } = await resume(mockRun(fields));
+
+        expect(response.status).toBe(409);
+        expect(response.body.error).toMatch(error);
+      }
+
+      DataModel.findById.mockResolvedValue(null);
+      const { response } = await resume(mockRun({ recordId: 'record-1', error: { step: 'load' } }));
+      expect(response.body.error).toBe('Intermediate data record not found: record-1');
+      expect(orchestrate).not.toHaveBeenCalled();
+    });
+
+    test('should resume with the watermark and files of the failed run and move the pipeline watermark', async () => {
+      const pipeline = mockPipeline({ field: 'updatedAt', value: 10 });
+      const processedFiles = { scope: 'orders', files: [{ name: 'a.csv', fingerprint: '1:1' }] };
+      const run = mockRun({
+        pipeline: { id: String(pipeline._id), name: 'orders', version: 1 },
+        watermark: { from: 10, to: 25 },
+        processedFiles,
+        recordId: 'record-1',
+        error: { message: 'timeout', step: 'load' },
+      });
+      orchestrate.mockResolvedValue({ status: 200, body: { success: true, runId: 'run-2', watermark: 25 } });
+
+      const response = await resumeRun({}, { params: { id: String(run._id) } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.resumedStep).toBe('load');
+      const [context] = orchestrate.mock.calls[0];
+      expect(context.watermark).toBe(10);
+      expect(context.resume).toMatchObject({ fromStep: 'load', recordId: 'record-1', watermark: 25, processedFiles });
+      expect(pipeline.watermark.value).toBe(25);
+      expect(PipelineModel.prototype.save).toHaveBeenCalledTimes(1);
+      expect(run.resumedBy).toBe('run-2');
+    });
+
+    test('should not move the pipeline watermark backwards or after a failed resume', async () => {
+      const pipeline = mockPipeline({ field: 'updatedAt', value: 40 });
+      const run = mockRun({
+        pipeline: { id: String(pipeline._id), name: 'orders', version: 1 },
+        watermark: { from: 10, to: 25 },
+        recordId: 'record-1',
+        error: { message: 'timeout', step: 'load' },
+      });
+      orchestrate.mockResolvedValue({ status: 200, body: { success: true, watermark: 25 } });
+
+      await resumeRun({}, { params: { id: String(run._id) } });
+      expect(pipeline.watermark.value).toBe(40);
+
+      pipeline.watermark = { field: 'updatedAt', value: 10 };
+      orchestrate.mockResolvedValue({ status: 500, body: { success: false, watermark: 25 } });
+
+      await resumeRun({}, { params: { id: String(run._id) } });
+      expect(pipeline.watermark.value).toBe(10);
+      expect(PipelineModel.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+});
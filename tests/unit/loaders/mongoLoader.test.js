@@ -0,0 +1,70 @@
+jest.mock('../../../src/utils/db', () => ({ connectToDatabase: jest.fn() }));
+
+const mongoose = require('mongoose');
+const { config } = require('../../../src/config/config');
+const { loadToMongo } = require('../../../src/loaders/mongoLoader');
+
+/**
+ * Create the error of an unordered insert that some documents failed
+ * @param {number} insertedCount - Documents inserted
+ * @param {Array<Object>} writeErrors - Rejected documents ({ index, code, errmsg })
+ * @returns {Error} Bulk write error
+ */
+function createBulkWriteError(insertedCount, writeErrors) {
+  return Object.assign(new Error('Bulk write failed'), { insertedCount, writeErrors });
+}
+
+describe('mongoLoader', () => {
+  const retryDelay = config.etl.retryDelay;
+
+  beforeAll(() => {
+    config.etl.retryDelay = 0;
+  });
+
+  afterAll(() => {
+    config.etl.retryDelay = retryDelay;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('loadToMongo', () => {
+    test('should report the documents an unordered insert rejected', async () => {
+      const insertMany = jest.fn().mockRejectedValue(createBulkWriteError(2, [
+        { index: 1, code: 11000, errmsg: 'E11000 duplicate key' },
+      ]));
+      jest.spyOn(mongoose.connection, 'collection').mockReturnValue({ insertMany });
+
+      const result = await loadToMongo([{ id: 1 }, { id: 2 }, { id: 3 }], { collection: 'orders' });
+
+      expect(result).toMatchObject({
+        insertedCount: 2,
+        failedCount: 1,
+        failed: [{ index: 1, error: 'E11000 duplicate key', code: 11000 }],
+      });
+    });
+
+    test('should count the documents a retried insert wrote before failing as inserted', async () => {
+      // The connection drops after the first two documents are written
+      const insertMany = jest.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('Connection reset'), { code: 'ECONNRESET' }))
+        .mockRejectedValueOnce(createBulkWriteError(1, [
+          { index: 0, code: 11000, errmsg: 'E11000 duplicate key' },
+          { index: 1, code: 11000, errmsg: 'E11000 duplicate key' },
+          { index: 3, code: 121, errmsg: 'Document failed validation' },
+        ]));
+      jest.spyOn(mongoose.connection, 'collection').mockReturnValue({ insertMany });
+
+      const result = await loadToMongo([{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }], { collection: 'orders' });
+
+      expect(insertMany).toHaveBeenCalledTimes(2);
+      expect(result).toMatchObject({
+        insertedCount: 3,
+        failedCount: 1,
+        failed: [{ index: 3, error: 'Document failed validation', code: 121 }],
+        attempts: 2,
+      });
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { loadToSql, createSqlWriter, inferColumnTypes } = require('../../../src/loaders/sqlLoader');
+const { getSqlDb, closeSqlDbs } = require('../../../src/utils/sqlDb');
+
+describe('sqlLoader', () => {
+  const connection = { client: 'sqlite', connection: ':memory:' };
+  const db = getSqlDb(connection);
+
+  afterAll(() => closeSqlDbs());
+
+  describe('inferColumnTypes', () => {
+    test('should infer a type per column, widening mixed values', () => {
+      expect(inferColumnTypes([
+        { id: 1, price: 3, paid: true, at: '2025-03-01T10:00:00Z', tags: ['a'], note: null, code: 'A1' },
+        { id: 2, price: 3.5, paid: false, at: new Date(), tags: [], note: 'n', code: 7 },
+      ])).toEqual({
+        id: 'integer',
+        price: 'float',
+        paid: 'boolean',
+        at: 'timestamp',
+        tags: 'json',
+        note: 'text',
+        code: 'text',
+      });
+    });
+  });
+
+  describe('loadToSql', () => {
+    test('should create the table and insert the records', async () => {
+      const result = await loadToSql(
+        [{ id: 1, name: 'Product A', meta: { color: 'red' } }, { id: 2, name: 'Product B' }],
+        { ...connection, table: 'products' },
+      );
+
+      expect(result).toMatchObject({ success: true, created: true, insertedCount: 2, failedCount: 0 });
+      expect(await db('products').orderBy('id')).toEqual([
+        { id: 1, name: 'Product A', meta: '{"color":"red"}' },
+        { id: 2, name: 'Product B', meta: null },
+      ]);
+    });
+
+    test('should upsert on the key and add new columns', async () => {
+      const destination = { ...connection, table: 'customers', upsert: true, upsertKey: 'id' };
+
+      await loadToSql([{ id: 1, name: 'Ada' }, { id: 2, name: 'Grace' }], destination);
+      const result = await loadToSql([{ id: 2, name: 'Grace H.', country: 'US' }, { id: 3, name: 'Linus' }], destination);
+
+      expect(result).toMatchObject({ created: false, upsertedCount: 2 });
+      expect(await db('customers').orderBy('id')).toEqual([
+        { id: 1, name: 'Ada', country: null },
+        { id: 2, name: 'Grace H.', country: 'US' },
+        { id: 3, name: 'Linus', country: null },
+      ]);
+    });
+
+    test('should report the rows the database rejects', async () => {
+      await db.schema.createTable('accounts', table => {
+        table.integer('id').primary();
+        table.text('email').notNullable();
+      });
+
+      const result = await loadToSql(
+        [{ id: 1, email: 'a@example.com' }, { id: 2, email: null }, { id: 3, email: 'c@example.com' }],
+        { ...connection, table: 'accounts', createTable: false },
+      );
+
+      expect(result).toMatchObject({ insertedCount: 2, failedCount: 1 });
+      expect(result.failed[0].index).toBe(1);
+    });
+
+    test('should not create tables when createTable is false', async () => {
+      await expect(loadToSql([{ id: 1 }], { ...connection, table: 'missing', createTable: false }))
+        .rejects.toThrow('SQL table does not exist: missing');
+    });
+  });
+
+  describe('createSqlWriter', () => {
+    test('should load chunks into one table', async () => {
+      const writer = createSqlWriter({ ...connection, table: 'events' });
+
+      await writer.write([{ id: 1 }, { id: 2 }]);
+      await writer.write([{ id: 3, type: 'click' }]);
+
+      expect(await writer.close()).toMatchObject({ success: true, count: 3, created: true });
+      expect(await db('events').count({ count: '*' })).toEqual([{ count: 3 }]);
+    });
+  });
+});
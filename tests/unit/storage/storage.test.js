@@ -0,0 +1,176 @@
+jest.mock('@aws-sdk/client-s3', () => {
+  const actual = jest.requireActual('@aws-sdk/client-s3');
+  return { ...actual, S3Client: jest.fn(options => new actual.S3Client(options)) };
+});
+jest.mock('@google-cloud/storage', () => {
+  const actual = jest.requireActual('@google-cloud/storage');
+  return { ...actual, Storage: jest.fn(options => new actual.Storage(options)) };
+});
+
+const { Readable } = require('stream');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { Storage } = require('@google-cloud/storage');
+const { config } = require('../../../src/config/config');
+const { getStorage, getObjectLocation, registerStorageProvider } = require('../../../src/storage');
+const { extractFromBlob, streamFromBlob, listBlobs } = require('../../../src/extractors/blobExtractor');
+const { loadToBlob, createBlobWriter } = require('../../../src/loaders/blobLoader');
+const { AppError } = require('../../../src/utils/errorHandler');
+
+/**
+ * Create an in-memory storage provider
+ * @param {Map} objects - Stored objects by "container/name"
+ * @returns {Object} Storage provider
+ */
+function createMemoryStorage(objects) {
+  return {
+    provider: 'memory',
+    defaultContainer: 'default',
+    ensureContainer: async () => {},
+    download: async (container, name) => {
+      const object = objects.get(`${container}/${name}`);
+      if (!object) {
+        throw new AppError(`Blob not found: ${container}/${name}`, 404);
+      }
+      return { body: Readable.from([Buffer.from(object.content)]), contentType: object.contentType };
+    },
+    upload: async (container, name, content, { contentType }) => {
+      objects.set(`${container}/${name}`, { content: Buffer.from(content), contentType });
+      return { etag: 'etag', url: `memory://${container}/${name}` };
+    },
+    uploadStream: async (container, name, stream, { contentType }) => {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+      }
+      objects.set(`${container}/${name}`, { content: Buffer.concat(chunks), contentType });
+      return { etag: 'etag', url: `memory://${container}/${name}` };
+    },
+    list: async (container, { prefix = '' } = {}) => [...objects.keys()]
+      .filter(key => key.startsWith(`${container}/${prefix}`))
+      .map(key => ({ name: key.slice(container.length + 1) })),
+    delete: async (container, name) => objects.delete(`${container}/${name}`),
+  };
+}
+
+describe('object storage', () => {
+  const objects = new Map();
+
+  beforeAll(() => {
+    registerStorageProvider('memory', () => createMemoryStorage(objects));
+  });
+
+  beforeEach(() => objects.clear());
+
+  test('should select providers by name and reuse them per connection', () => {
+    expect(getStorage({ provider: 'memory' })).toBe(getStorage({ provider: 'MEMORY' }));
+    const s3Connection = { endpoint: 'http://localhost:9000', accessKeyId: 'minio', secretAccessKey: 'secret' };
+    expect(getStorage({ provider: 's3', connection: s3Connection }).provider).toBe('s3');
+    expect(getStorage({ provider: 'gcs', connection: { apiEndpoint: 'http://localhost:4443' } }).provider).toBe('gcs');
+    expect(() => getStorage({ provider: 'ftp' })).toThrow('Unsupported storage provider: ftp');
+  });
+
+  test('should not send the credentials of the environment to the endpoint of a connection', () => {
+    const s3Config = { ...config.s3 };
+    const gcsConfig = { ...config.gcs };
+    Object.assign(config.s3, { accessKeyId: 'server-key', secretAccessKey: 'server-secret' });
+    Object.assign(config.gcs, { keyFilename: './service-account-key.json' });
+
+    try {
+      expect(() => getStorage({ provider: 's3', connection: { endpoint: 'http://attacker.example' } }))
+        .toThrow('An S3 connection with its own endpoint needs its own accessKeyId and secretAccessKey');
+
+      getStorage({
+        provider: 's3',
+        connection: { endpoint: 'http://minio.example', accessKeyId: 'minio', secretAccessKey: 'minio-secret' },
+      });
+      expect(S3Client.mock.calls.at(-1)[0].credentials).toEqual({
+        accessKeyId: 'minio',
+        secretAccessKey: 'minio-secret',
+        sessionToken: undefined,
+      });
+
+      getStorage({ provider: 'gcs', connection: { apiEndpoint: 'http://attacker.example' } });
+      expect(Storage.mock.calls.at(-1)[0]).toMatchObject({ keyFilename: undefined, token: 'emulator' });
+
+      // Without an endpoint of its own, a connection still uses the credentials of the environment
+      getStorage({ provider: 's3', connection: { region: 'eu-west-1' } });
+      expect(S3Client.mock.calls.at(-1)[0].credentials).toMatchObject({ accessKeyId: 'server-key' });
+    } finally {
+      Object.assign(config.s3, s3Config);
+      Object.assign(config.gcs, gcsConfig);
+    }
+  });
+
+  test('should resolve bucket and key aliases and the default container', () => {
+    const storage = getStorage({ provider: 'memory' });
+
+    expect(getObjectLocation({ bucket: 'raw', key: 'a.json' }, storage)).toEqual({ containerName: 'raw', blobName: 'a.json' });
+    expect(getObjectLocation({ blobName: 'a.json' }, storage)).toEqual({ containerName: 'default', blobName: 'a.json' });
+  });
+
+  test('should load and extract blobs through the selected provider', async () => {
+    const result = await loadToBlob([{ id: 1 }, { id: 2 }], { provider: 'memory', bucket: 'raw', key: 'orders.json' });
+
+    expect(result).toMatchObject({ success: true, provider: 'memory', url: 'memory://raw/orders.json' });
+    expect(await extractFromBlob({ provider: 'memory', bucket: 'raw', key: 'orders.json' })).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(await listBlobs({ provider: 'memory', containerName: 'raw', prefix: 'ord' })).toEqual(['orders.json']);
+  });
+
+  test('should stream records to and from a provider', async () => {
+    const writer = await createBlobWriter({ provider: 'memory', containerName: 'raw', blobName: 'events.csv', format: 'csv' });
+    await writer.write([{ id: 1, type: 'click' }]);
+    await writer.write([{ id: 2, type: 'view' }]);
+    expect(await writer.close()).toMatchObject({ success: true, count: 2 });
+
+    const chunks = [];
+    for await (const chunk of streamFromBlob({ provider: 'memory', containerName: 'raw', blobName: 'events.csv' }, { chunkSize: 10 })) {
+      chunks.push(chunk);
+    }
+    expect(chunks).toEqual([[{ id: '1', type: 'click' }, { id: '2', type: 'view' }]]);
+  });
+
+  test('should parse CSV blobs into records', async () => {
+    objects.set('raw/prices.csv', { content: 'sku|price\nA-1|9.90\n', contentType: 'application/octet-stream' });
+
+    expect(await extractFromBlob({ provider: 'memory', bucket: 'raw', key: 'prices.csv', delimiter: '|', inferTypes: true }))
+      .toEqual([{ sku: 'A-1', price: 9.9 }]);
+  });
+
+  test('should compress blobs on request and decompress them transparently', async () => {
+    const destination = { provider: 'memory', bucket: 'raw', key: 'orders.csv.gz', compression: 'gzip' };
+    expect(await loadToBlob([{ id: 1 }], destination)).toMatchObject({ success: true });
+    expect(objects.get('raw/orders.csv.gz').contentType).toBe('application/gzip');
+
+    const writer = await createBlobWriter({ provider: 'memory', bucket: 'raw', key: 'events.zip', format: 'ndjson', compression: 'zip' });
+    await writer.write([{ id: 2 }]);
+    await writer.close();
+
+    expect(await extractFromBlob({ provider: 'memory', bucket: 'raw', key: 'orders.csv.gz' })).toEqual([{ id: '1' }]);
+    const chunks = [];
+    for await (const chunk of streamFromBlob({ provider: 'memory', bucket: 'raw', key: 'events.zip', entry: 'events.ndjson' })) {
+      chunks.push(chunk);
+    }
+    expect(chunks).toEqual([[{ id: 2 }]]);
+  });
+
+  test('should extract every blob matching a pattern, tagged with its name', async () => {
+    objects.set('raw/exports/2025-03/orders.json', { content: '[{"id":1}]', contentType: 'application/json' });
+    objects.set('raw/exports/2025-04/orders.csv', { content: 'id\n2\n', contentType: 'text/csv' });
+    objects.set('raw/exports/2025-04/readme.txt', { content: 'notes', contentType: 'text/plain' });
+
+    const stats = {};
+    const data = await extractFromBlob({ provider: 'memory', bucket: 'raw', pattern: 'exports/*/orders.*' }, stats);
+
+    expect(data).toEqual([
+      { id: 1, _file: 'exports/2025-03/orders.json' },
+      { id: '2', _file: 'exports/2025-04/orders.csv' },
+    ]);
+    expect(stats.files).toEqual(['exports/2025-03/orders.json', 'exports/2025-04/orders.csv']);
+    expect(await extractFromBlob({ provider: 'memory', bucket: 'raw', prefix: 'exports/2025-04/' })).toHaveLength(2);
+  });
+
+  test('should report missing blobs as 404', async () => {
+    await expect(extractFromBlob({ provider: 'memory', bucket: 'raw', key: 'missing.json' }))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Blob not found: raw/missing.json' });
+  });
+});
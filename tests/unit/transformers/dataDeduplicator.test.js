@@ -0,0 +1,71 @@
+const { dedupeData } = require('../../../src/transformers/dataDeduplicator');
+const { applyTransformations } = require('../../../src/transformers/transformationRunner');
+const { levenshteinSimilarity, tokenSimilarity } = require('../../../src/utils/textSimilarity');
+
+describe('dataDeduplicator', () => {
+  const contacts = [
+    { id: 1, email: 'ada@example.com', country: 'GB', name: 'Ada Lovelace' },
+    { id: 2, email: 'alan@example.com', country: 'GB', name: 'Alan Turing' },
+    { id: 3, email: 'ada@example.com', country: 'GB', name: 'Ada Lovelace', phone: '555-0100' },
+    { id: 4, email: 'ada@example.com', country: 'FR', name: 'Ada L.' },
+    { id: 5, email: null, country: 'GB', name: 'Anonymous' },
+    { id: 6, email: null, country: 'GB', name: 'Anonymous' },
+  ];
+
+  test('should remove duplicates by composite key and report the groups', () => {
+    const result = dedupeData(contacts, { keys: ['email', 'country'] });
+
+    expect(result.data.map(record => record.id)).toEqual([1, 2, 4, 5, 6]);
+    expect(result.duplicateCount).toBe(1);
+    expect(result.groups).toEqual([{ key: { email: 'ada@example.com', country: 'GB' }, kept: 0, removed: [2] }]);
+  });
+
+  test('should keep the first, last or most complete record', () => {
+    const ids = keep => dedupeData(contacts, { keys: ['email'], keep }).data.map(record => record.id);
+
+    expect(ids('first')).toEqual([1, 2, 5, 6]);
+    expect(ids('last')).toEqual([2, 4, 5, 6]);
+    expect(ids('mostComplete')).toEqual([2, 3, 5, 6]);
+  });
+
+  test('should compare normalized text by edit distance or shared words', () => {
+    expect(levenshteinSimilarity('Café  Central!', 'cafe central')).toBe(1);
+    expect(levenshteinSimilarity('Jon Smith', 'John Smith')).toBe(0.9);
+    expect(tokenSimilarity('Smith, John', 'john smith')).toBe(1);
+    expect(tokenSimilarity('John Smith', 'John Smith Jr')).toBeCloseTo(0.667, 3);
+    expect(levenshteinSimilarity(null, '')).toBe(0);
+  });
+
+  test('should group similar records with fuzzy matching', () => {
+    const companies = [
+      { name: 'Acme Corporation', city: 'Berlin' },
+      { name: 'ACME Corporation.', city: 'berlin' },
+      { name: 'Acme Corp', city: 'Berlin' },
+      { name: 'Acme Corporation', city: 'Paris' },
+      { name: 'Globex', city: 'Berlin' },
+    ];
+
+    const result = dedupeData(companies, { fuzzy: { fields: ['name', 'city'], threshold: 0.8 } });
+    expect(result.data).toEqual([companies[0], companies[2], companies[3], companies[4]]);
+    expect(result.groups).toEqual([
+      { key: { name: 'Acme Corporation', city: 'Berlin' }, kept: 0, removed: [1], similarity: 1 },
+    ]);
+
+    const byToken = dedupeData(companies, { keys: ['city'], fuzzy: { fields: ['name'], method: 'token', threshold: 0.3 } });
+    expect(byToken.data).toEqual([companies[0], companies[1], companies[3], companies[4]]);
+    expect(byToken.groups[0]).toMatchObject({ kept: 0, removed: [2], similarity: 0.333 });
+  });
+
+  test('should report invalid options and results in transform()', async () => {
+    expect(() => dedupeData(contacts, {})).toThrow('dedupe needs keys, fuzzy or both');
+    expect(() => dedupeData(contacts, { keys: ['id'], keep: 'newest' }))
+      .toThrow('dedupe.keep must be one of first, last, mostComplete');
+    for (const method of ['toString', 'constructor', '__proto__']) {
+      expect(() => dedupeData(contacts, { fuzzy: { fields: ['name'], method } })).toThrow('dedupe.fuzzy.method must be one of');
+    }
+
+    const { data, results } = await applyTransformations(contacts, [{ dedupe: { keys: ['email'] } }]);
+    expect(data).toHaveLength(4);
+    expect(results.dedupe).toMatchObject({ applied: true, duplicateCount: 2, groupCount: 1 });
+  });
+});
@@ -0,0 +1,53 @@
+const { filterData, deriveData } = require('../../../src/transformers/dataExpressions');
+const { applyTransformations } = require('../../../src/transformers/transformationRunner');
+
+describe('dataExpressions', () => {
+  const customers = [
+    { id: 1, status: 'active', price: 10, qty: 2 },
+    { id: 2, status: 'inactive', price: 5, qty: 1 },
+    { id: 3, status: 'active', price: 'n/a', qty: 1 },
+  ];
+
+  test('should keep the records matching a filter', () => {
+    const result = filterData(customers, "status != 'inactive'");
+
+    expect(result.data.map(record => record.id)).toEqual([1, 3]);
+    expect(result.filteredCount).toBe(1);
+  });
+
+  test('should compute fields in order without modifying the records', () => {
+    const { data } = deriveData(customers.slice(0, 2), {
+      fields: { total: 'price * qty', 'flags.large': 'total >= 20' },
+    });
+
+    expect(data).toEqual([
+      { id: 1, status: 'active', price: 10, qty: 2, total: 20, flags: { large: true } },
+      { id: 2, status: 'inactive', price: 5, qty: 1, total: 5, flags: { large: false } },
+    ]);
+    expect(customers[0]).not.toHaveProperty('total');
+  });
+
+  test('should name the failing record and stop, or reject it with onError reject', () => {
+    expect(() => deriveData(customers, { fields: { total: 'price * qty' } }))
+      .toThrow('derive total failed for record at index 2: Cannot use text "n/a" in a multiplication at position 7');
+
+    const { data, rejected } = deriveData(customers, { fields: { total: 'price * qty' }, onError: 'reject' });
+    expect(data).toHaveLength(2);
+    expect(rejected).toEqual([expect.objectContaining({ stage: 'derive', reason: 'Expression failed', index: 2, item: customers[2] })]);
+  });
+
+  test('should run filter and derive in transform()', async () => {
+    const { data, results, rejected } = await applyTransformations(customers, {
+      filter: "status == 'active'",
+      derive: { fields: { total: 'price * qty' }, onError: 'reject' },
+    });
+
+    expect(data).toEqual([{ id: 1, status: 'active', price: 10, qty: 2, total: 20 }]);
+    expect(results.filter).toEqual({ applied: true, filteredCount: 1, failedCount: 0 });
+    expect(results.derive).toEqual({ applied: true, failedCount: 1 });
+    expect(rejected).toHaveLength(1);
+
+    const invalid = await applyTransformations(customers, { filter: 'status ==' });
+    expect(invalid.results.filter).toMatchObject({ applied: false, error: expect.stringContaining('Invalid expression') });
+  });
+});
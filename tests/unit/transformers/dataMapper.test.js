@@ -0,0 +1,62 @@
+const { mapData } = require('../../../src/transformers/dataMapper');
+const { applyTransformations } = require('../../../src/transformers/transformationRunner');
+
+describe('dataMapper', () => {
+  const customer = {
+    id: 7,
+    fullName: 'Ada Lovelace',
+    address: { city: 'London', zip: 'W1' },
+    internalNotes: 'vip',
+    country: null,
+  };
+
+  test('should rename fields and move nested paths', () => {
+    const result = mapData([customer], { rename: { fullName: 'name', 'address.city': 'city', 'address.zip': 'postal.code' } });
+
+    expect(result).toEqual([{
+      id: 7,
+      name: 'Ada Lovelace',
+      city: 'London',
+      postal: { code: 'W1' },
+      internalNotes: 'vip',
+      country: null,
+    }]);
+  });
+
+  test('should select and drop fields', () => {
+    expect(mapData(customer, { select: ['id', 'address.city', 'missing'] })).toEqual({ id: 7, address: { city: 'London' } });
+    expect(mapData(customer, { drop: ['internalNotes', 'address.zip', 'country'] })).toEqual({
+      id: 7,
+      fullName: 'Ada Lovelace',
+      address: { city: 'London' },
+    });
+  });
+
+  test('should apply defaults to missing or null fields and set constants', () => {
+    const result = mapData([customer, { id: 8, country: 'FR', source: 'web' }], {
+      select: ['id', 'country', 'source'],
+      defaults: { country: 'GB', tier: 'standard' },
+      set: { source: 'crm', 'meta.version': 2 },
+    });
+
+    expect(result).toEqual([
+      { id: 7, country: 'GB', tier: 'standard', source: 'crm', meta: { version: 2 } },
+      { id: 8, country: 'FR', tier: 'standard', source: 'crm', meta: { version: 2 } },
+    ]);
+  });
+
+  test('should leave the input records unchanged', () => {
+    const record = { a: 1, nested: { b: 2 } };
+    mapData([record], { rename: { 'nested.b': 'b' }, set: { c: 3 } });
+
+    expect(record).toEqual({ a: 1, nested: { b: 2 } });
+  });
+
+  test('should report invalid mappings in the transformation results', async () => {
+    expect(() => mapData([], { select: ['items[*].id'] })).toThrow('Field path "items[*].id" must name a single field');
+
+    const { data, results } = await applyTransformations([{ a: 1 }], { map: { rename: { a: 5 } } });
+    expect(data).toEqual([{ a: 1 }]);
+    expect(results.map).toEqual({ applied: false, error: 'map.rename must be an object of source paths and target paths' });
+  });
+});
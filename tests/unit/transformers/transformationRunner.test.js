@@ -0,0 +1,110 @@
+jest.mock('../../../src/utils/ollamaClient');
+
+const { enrichData } = require('../../../src/utils/ollamaClient');
+const { applyTransformations, mergeTransformationResults } = require('../../../src/transformers/transformationRunner');
+
+describe('transformationRunner', () => {
+  const orders = [
+    { id: 1, status: ' Active ', price: 10, qty: 2 },
+    { id: 2, status: 'inactive', price: 5, qty: 1 },
+    { id: 3, status: 'active', price: 8, qty: 'n/a' },
+  ];
+
+  test('should apply the object form in the fixed order', async () => {
+    const { data, results } = await applyTransformations(orders, {
+      map: { select: ['id', 'total'] },
+      derive: { fields: { total: 'price * 2' } },
+    });
+
+    expect(data).toEqual([{ id: 1, total: 20 }, { id: 2, total: 10 }, { id: 3, total: 16 }]);
+    expect(Object.keys(results)).toEqual(['derive', 'map']);
+  });
+
+  test('should apply a list of steps in order, labelling repeated steps', async () => {
+    const { data, results } = await applyTransformations(orders, [
+      { map: { rename: { status: 'state' } } },
+      { derive: { fields: { state: 'lower(trim(state))' } } },
+      { filter: "state == 'active'" },
+      { map: { drop: ['price', 'qty'] }, name: 'trim' },
+      { map: { set: { source: 'shop' } } },
+    ]);
+
+    expect(data).toEqual([
+      { id: 1, state: 'active', source: 'shop' },
+      { id: 3, state: 'active', source: 'shop' },
+    ]);
+    expect(Object.keys(results)).toEqual(['map', 'derive', 'filter', 'trim', 'map#3']);
+  });
+
+  test('should run a step on the records matching its when condition only', async () => {
+    const { data, results, rejected } = await applyTransformations(orders, [
+      { derive: { fields: { total: 'price * qty' }, onError: 'reject' }, when: "status != 'inactive'" },
+      { filter: 'total > 0', when: 'id > 2' },
+    ]);
+
+    expect(data).toEqual([{ ...orders[0], total: 20 }, orders[1]]);
+    expect(results.derive).toEqual({ applied: true, failedCount: 1, matchedCount: 2 });
+    expect(results.filter).toEqual({ applied: true, matchedCount: 0 });
+    expect(rejected).toEqual([expect.objectContaining({ stage: 'derive', index: 2, item: orders[2] })]);
+  });
+
+  test('should keep the records of a step with a when condition in place when it drops some', async () => {
+    const records = [
+      { id: 'A', type: 'x', qty: 0, price: 'n/a' },
+      { id: 'B', type: 'y', qty: 1 },
+      { id: 'C', type: 'x', qty: 2, price: 4 },
+      { id: 'D', type: 'y', qty: 3 },
+    ];
+
+    const filtered = await applyTransformations(records, [{ filter: 'qty > 0', when: "type == 'x'" }]);
+    const derived = await applyTransformations(records, [
+      { derive: { fields: { total: 'price * qty' }, onError: 'reject' }, when: "type == 'x'" },
+    ]);
+
+    expect(filtered.data.map(record => record.id)).toEqual(['B', 'C', 'D']);
+    expect(derived.data.map(record => record.id)).toEqual(['B', 'C', 'D']);
+    expect(derived.data[1]).toEqual({ ...records[2], total: 8 });
+  });
+
+  test('should report failing when conditions and reject invalid steps', async () => {
+    const { data, results } = await applyTransformations(orders, [{ map: { drop: ['qty'] }, when: 'qty > 1' }]);
+    expect(data).toBe(orders);
+    expect(results.map).toEqual({
+      applied: false,
+      error: 'map when failed for record at index 2: Cannot compare text "n/a" with number 1 at position 5',
+    });
+
+    await expect(applyTransformations(orders, [{ clean: {}, map: {} }]))
+      .rejects.toThrow('Transformation step 1 must have exactly one of clean, filter, derive');
+    await expect(applyTransformations(orders, [{ map: {} }, { map: {}, name: 'map' }]))
+      .rejects.toThrow('Transformation step 2: duplicate step name map');
+  });
+
+  test('should add up the matched records of each chunk', () => {
+    const total = mergeTransformationResults({}, { filter: { applied: true, filteredCount: 1, matchedCount: 2 } });
+    mergeTransformationResults(total, { filter: { applied: true, filteredCount: 0, matchedCount: 3 } });
+
+    expect(total.filter).toEqual({ applied: true, filteredCount: 1, matchedCount: 5 });
+  });
+
+  test('should report the LLM request attempts of the enrichment steps', async () => {
+    // The first request of each record is retried once
+    enrichData.mockImplementation(async (data, instruction, { stats }) => {
+      stats.attempts = (stats.attempts || 0) + 2;
+      return { sentiment: 'positive' };
+    });
+
+    const { data, results } = await applyTransformations(orders.slice(0, 2), {
+      enrich: { instruction: 'Add the sentiment', fields: ['status'] },
+      categorize: { categories: ['a', 'b'], field: 'missing' },
+    });
+
+    expect(data[0]).toMatchObject({ id: 1, sentiment: 'positive' });
+    expect(results.enrich).toEqual({ applied: true, unparsedCount: 0, attempts: 4 });
+    expect(results.categorize).toEqual({ applied: true });
+
+    const total = mergeTransformationResults({}, results);
+    mergeTransformationResults(total, { enrich: { applied: true, unparsedCount: 1, attempts: 1 } });
+    expect(total.enrich).toEqual({ applied: true, unparsedCount: 1, attempts: 5 });
+  });
+});
@@ -0,0 +1,100 @@
+jest.mock('axios');
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { authorizeRequest, invalidateAuth, clearTokenCache, getAuthConfig } = require('../../../src/utils/apiAuth');
+const { AppError } = require('../../../src/utils/errorHandler');
+
+describe('apiAuth', () => {
+  const request = { method: 'GET', url: 'https://api.example.com/items', headers: {}, params: { page: 1 } };
+
+  beforeEach(() => {
+    axios.mockReset();
+    clearTokenCache();
+    process.env.ETL_CREDENTIAL_TEST_SECRET = 's3cret';
+  });
+
+  afterEach(() => {
+    delete process.env.ETL_CREDENTIAL_TEST_SECRET;
+  });
+
+  test('should reject unknown types and missing fields', () => {
+    expect(() => getAuthConfig({ type: 'kerberos' })).toThrow(AppError);
+    expect(() => getAuthConfig({ type: 'basic', username: 'etl' })).toThrow('password');
+  });
+
+  test('should add basic auth with a password from the credential store', async () => {
+    const authorized = await authorizeRequest(
+      { type: 'basic', username: 'etl', password: { $credential: 'test-secret' } },
+      request,
+    );
+
+    expect(authorized.headers.Authorization).toBe(`Basic ${Buffer.from('etl:s3cret').toString('base64')}`);
+  });
+
+  test('should fail on unknown credentials', async () => {
+    await expect(authorizeRequest({ type: 'basic', username: 'etl', password: { $credential: 'missing' } }, request))
+      .rejects.toThrow('Credential not found: missing');
+  });
+
+  test('should add API keys to the header or the query', async () => {
+    const header = await authorizeRequest({ type: 'apiKey', value: 'key' }, request);
+    const query = await authorizeRequest({ type: 'apiKey', value: 'key', in: 'query', name: 'token' }, request);
+
+    expect(header.headers['X-API-Key']).toBe('key');
+    expect(query.params).toEqual({ page: 1, token: 'key' });
+  });
+
+  test('should cache OAuth2 tokens until they are invalidated', async () => {
+    axios
+      .mockResolvedValueOnce({ data: { access_token: 'first', expires_in: 3600, token_type: 'bearer' } })
+      .mockResolvedValueOnce({ data: { access_token: 'second', expires_in: 3600 } });
+    const auth = {
+      type: 'oauth2',
+      tokenUrl: 'https://auth.example.com/token',
+      clientId: 'etl',
+      clientSecret: { $credential: 'test-secret' },
+      scope: 'read',
+    };
+
+    const [first, second] = await Promise.all([authorizeRequest(auth, request), authorizeRequest(auth, request)]);
+
+    expect(first.headers.Authorization).toBe('Bearer first');
+    expect(second.headers.Authorization).toBe('Bearer first');
+    expect(axios).toHaveBeenCalledTimes(1);
+    expect(axios.mock.calls[0][0].data).toBe('grant_type=client_credentials&scope=read');
+
+    expect(invalidateAuth(auth)).toBe(true);
+    expect((await authorizeRequest(auth, request)).headers.Authorization).toBe('Bearer second');
+  });
+
+  test('should not serve a cached OAuth2 token to another client secret', async () => {
+    axios
+      .mockResolvedValueOnce({ data: { access_token: 'granted' } })
+      .mockRejectedValueOnce(Object.assign(new Error('Unauthorized'), { response: { status: 401 } }));
+    const auth = { type: 'oauth2', tokenUrl: 'https://auth.example.com/token', clientId: 'etl', clientSecret: 's3cret' };
+
+    expect((await authorizeRequest(auth, request)).headers.Authorization).toBe('Bearer granted');
+    await expect(authorizeRequest({ ...auth, clientSecret: 'wrong' }, request))
+      .rejects.toMatchObject({ statusCode: 401 });
+    expect(axios).toHaveBeenCalledTimes(2);
+  });
+
+  test('should sign the serialized request with HMAC', async () => {
+    const signed = await authorizeRequest(
+      { type: 'hmac', secret: { $credential: 'test-secret' }, prefix: 'sha256=' },
+      { ...request, method: 'post', data: { id: 1 } },
+    );
+
+    const timestamp = signed.headers['X-Timestamp'];
+    const expected = crypto
+      .createHmac('sha256', 's3cret')
+      .update(`${timestamp}\nPOST\n/items?page=1\n{"id":1}`)
+      .digest('hex');
+
+    expect(signed.url).toBe('https://api.example.com/items?page=1');
+    expect(signed.params).toBeUndefined();
+    expect(signed.data).toBe('{"id":1}');
+    expect(signed.headers['X-Signature']).toBe(`sha256=${expected}`);
+  });
+});
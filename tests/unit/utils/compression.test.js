@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const JSZip = require('jszip');
+const { Readable } = require('stream');
+const { config } = require('../../../src/config/config');
+const { decompress, decompressStream, compress, stripCompressionExtension } = require('../../../src/utils/compression');
+const { detectFormatFromPath } = require('../../../src/formats');
+const { extractFromFile, streamFromFile } = require('../../../src/extractors/fileExtractor');
+const { loadToFile, createFileWriter } = require('../../../src/loaders/fileLoader');
+
+describe('compression', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'etl-compression-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should detect formats behind compression extensions', () => {
+    expect(stripCompressionExtension('exports/orders.csv.gz')).toBe('exports/orders.csv');
+    expect(detectFormatFromPath('orders.csv.gz')).toBe('csv');
+    expect(detectFormatFromPath('events.ndjson.br')).toBe('ndjson');
+    expect(detectFormatFromPath('orders.zip')).toBeUndefined();
+  });
+
+  test('should extract gzip and brotli files by extension and gzip files by content', async () => {
+    fs.writeFileSync(path.join(dir, 'orders.csv.gz'), zlib.gzipSync('id,total\n1,10\n'));
+    fs.writeFileSync(path.join(dir, 'orders.json.br'), zlib.brotliCompressSync('[{"id":2}]'));
+    fs.writeFileSync(path.join(dir, 'vendor.csv'), zlib.gzipSync('id\n3\n'));
+
+    expect(await extractFromFile({ path: path.join(dir, 'orders.csv.gz') })).toEqual([{ id: '1', total: '10' }]);
+    expect(await extractFromFile({ path: path.join(dir, 'orders.json.br') })).toEqual([{ id: 2 }]);
+    expect(await extractFromFile({ path: path.join(dir, 'vendor.csv') })).toEqual([{ id: '3' }]);
+
+    const chunks = [];
+    for await (const chunk of streamFromFile({ path: path.join(dir, 'orders.csv.gz') })) {
+      chunks.push(chunk);
+    }
+    expect(chunks).toEqual([[{ id: '1', total: '10' }]]);
+  });
+
+  test('should select zip entries by name or pattern', async () => {
+    const archive = await new JSZip()
+      .file('export/orders.csv', 'id\n1\n')
+      .file('export/readme.txt', 'notes')
+      .generateAsync({ type: 'nodebuffer' });
+    fs.writeFileSync(path.join(dir, 'export.zip'), archive);
+
+    expect(await extractFromFile({ path: path.join(dir, 'export.zip'), entry: '**/*.csv' })).toEqual([{ id: '1' }]);
+    await expect(extractFromFile({ path: path.join(dir, 'export.zip') }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('select one with entry') });
+    await expect(extractFromFile({ path: path.join(dir, 'export.zip'), entry: 'orders.json' }))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Zip entry not found: orders.json (archive entries: export/orders.csv, export/readme.txt)' });
+  });
+
+  test('should not read workbooks as zip archives', async () => {
+    const filePath = path.join(dir, 'prices.xlsx');
+    await loadToFile([{ sku: 'A-1' }], { path: filePath });
+
+    expect(await extractFromFile({ path: filePath })).toEqual([{ sku: 'A-1' }]);
+  });
+
+  test('should compress destinations on request', async () => {
+    const rows = [{ id: 1 }, { id: 2 }];
+    await loadToFile(rows, { path: path.join(dir, 'out.csv.gz'), compression: 'gzip' });
+    const writer = await createFileWriter({ path: path.join(dir, 'out.zip'), format: 'ndjson', compression: 'zip' });
+    await writer.write(rows);
+    await writer.close();
+
+    expect(zlib.gunzipSync(fs.readFileSync(path.join(dir, 'out.csv.gz'))).toString()).toBe('id\n1\n2\n');
+    expect(await extractFromFile({ path: path.join(dir, 'out.zip'), entry: 'out.ndjson' })).toEqual(rows);
+  });
+
+  test('should report invalid content and unknown compressions as 400', async () => {
+    await expect(decompress(Buffer.from('not gzip'), { name: 'orders.csv.gz' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid gzip content: incorrect header check' });
+    await expect(compress('data', 'lz4'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Unsupported compression: lz4 (expected gzip, brotli, zip or none)' });
+  });
+
+  describe('decompressed size limit', () => {
+    const { maxDecompressedSize } = config.etl;
+    const content = Buffer.alloc(64 * 1024, 'a');
+
+    beforeEach(() => {
+      config.etl.maxDecompressedSize = 16 * 1024;
+    });
+
+    afterEach(() => {
+      config.etl.maxDecompressedSize = maxDecompressedSize;
+    });
+
+    /**
+     * Read a decompressed stream whole
+     * @param {Buffer} compressed - Compressed content
+     * @param {Object} options - Decompression options
+     * @returns {Promise<Buffer>} Decompressed content
+     */
+    async function readStream(compressed, options) {
+      const { stream } = await decompressStream(Readable.from([compressed]), options);
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    }
+
+    test('should refuse content decompressing beyond the limit with 413', async () => {
+      const archives = {
+        'orders.csv.gz': zlib.gzipSync(content),
+        'orders.csv.br': zlib.brotliCompressSync(content),
+        'orders.zip': await new JSZip().file('orders.csv', content).generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }),
+      };
+
+      for (const [name, compressed] of Object.entries(archives)) {
+        const error = { statusCode: 413, message: expect.stringContaining('exceeds 16384 bytes') };
+
+        await expect(decompress(compressed, { name })).rejects.toMatchObject(error);
+        await expect(readStream(compressed, { name })).rejects.toMatchObject(error);
+      }
+
+      fs.writeFileSync(path.join(dir, 'bomb.csv.gz'), archives['orders.csv.gz']);
+      await expect(extractFromFile({ path: path.join(dir, 'bomb.csv.gz') })).rejects.toMatchObject({ statusCode: 413 });
+    });
+
+    test('should decompress content within the limit', async () => {
+      const small = content.subarray(0, 16 * 1024);
+
+      expect((await decompress(zlib.gzipSync(small), { name: 'orders.csv.gz' })).content).toEqual(small);
+      expect(await readStream(zlib.brotliCompressSync(small), { name: 'orders.csv.br' })).toEqual(small);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { config } = require('../../../src/config/config');
+const { encrypt, decrypt } = require('../../../src/utils/encryption');
+const { resolveCredentials, toEnvName } = require('../../../src/utils/credentials');
+const { AppError } = require('../../../src/utils/errorHandler');
+
+describe('credentials', () => {
+  const masterKey = config.credentials.masterKey;
+
+  beforeEach(() => {
+    config.credentials.masterKey = crypto.randomBytes(32).toString('base64');
+    process.env.ETL_CREDENTIAL_WAREHOUSE_TOKEN = 'token-123';
+  });
+
+  afterEach(() => {
+    config.credentials.masterKey = masterKey;
+    delete process.env.ETL_CREDENTIAL_WAREHOUSE_TOKEN;
+  });
+
+  describe('encryption', () => {
+    test('should decrypt what it encrypted without storing the plaintext', () => {
+      const encrypted = encrypt('p@ssw0rd');
+
+      expect(JSON.stringify(encrypted)).not.toContain('p@ssw0rd');
+      expect(decrypt(encrypted)).toBe('p@ssw0rd');
+    });
+
+    test('should fail with another master key or tampered data', () => {
+      const encrypted = encrypt('p@ssw0rd');
+      const tampered = { ...encrypted, ciphertext: Buffer.from('other').toString('base64') };
+
+      expect(() => decrypt(tampered)).toThrow('Unable to decrypt credential');
+
+      config.credentials.masterKey = crypto.randomBytes(32).toString('hex');
+      expect(() => decrypt(encrypted)).toThrow(AppError);
+    });
+
+    test('should require a 32 byte master key', () => {
+      config.credentials.masterKey = 'too-short';
+
+      expect(() => encrypt('secret')).toThrow('CREDENTIALS_MASTER_KEY must be 32 bytes');
+    });
+  });
+
+  describe('resolveCredentials', () => {
+    test('should replace references anywhere in a configuration', async () => {
+      const source = {
+        type: 'api',
+        url: 'https://api.example.com',
+        headers: { Authorization: { $credential: 'warehouse-token' } },
+        params: [{ key: { $credential: 'warehouse-token' } }],
+      };
+
+      const resolved = await resolveCredentials(source);
+
+      expect(resolved.headers.Authorization).toBe('token-123');
+      expect(resolved.params[0].key).toBe('token-123');
+      expect(source.headers.Authorization).toEqual({ $credential: 'warehouse-token' });
+    });
+
+    test('should return configurations without references unchanged', async () => {
+      const destination = { type: 'mongodb', collection: 'orders', createdAfter: new Date() };
+
+      expect(await resolveCredentials(destination)).toBe(destination);
+    });
+
+    test('should fail on unknown credentials', async () => {
+      await expect(resolveCredentials({ token: { $credential: 'missing' } })).rejects.toThrow('Credential not found');
+      expect(toEnvName('warehouse-token')).toBe('ETL_CREDENTIAL_WAREHOUSE_TOKEN');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const { parseCron, getNextFireTime } = require('../../../src/utils/cron');
+const { AppError } = require('../../../src/utils/errorHandler');
+
+describe('cron', () => {
+  describe('parseCron', () => {
+    test('should expand wildcards, ranges, steps and lists', () => {
+      const parsed = parseCron('*/15 9-11 1,15 * MON-FRI');
+
+      expect([...parsed.minute]).toEqual([0, 15, 30, 45]);
+      expect([...parsed.hour]).toEqual([9, 10, 11]);
+      expect([...parsed.dayOfMonth]).toEqual([1, 15]);
+      expect(parsed.month.size).toBe(12);
+      expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('should support macros', () => {
+      const parsed = parseCron('@hourly');
+
+      expect([...parsed.minute]).toEqual([0]);
+      expect(parsed.hour.size).toBe(24);
+    });
+
+    test('should treat 7 as Sunday', () => {
+      const parsed = parseCron('0 0 * * 7');
+
+      expect([...parsed.dayOfWeek]).toEqual([0]);
+    });
+
+    test('should reject invalid expressions', () => {
+      expect(() => parseCron('* * *')).toThrow(AppError);
+      expect(() => parseCron('60 * * * *')).toThrow('minute value out of range');
+      expect(() => parseCron('*/0 * * * *')).toThrow('Invalid step');
+      expect(() => parseCron('')).toThrow(AppError);
+    });
+  });
+
+  describe('getNextFireTime', () => {
+    test('should return the next matching minute', () => {
+      const next = getNextFireTime('*/15 * * * *', new Date(2025, 0, 1, 10, 7, 30));
+
+      expect(next).toEqual(new Date(2025, 0, 1, 10, 15, 0));
+    });
+
+    test('should be exclusive of the start time', () => {
+      const next = getNextFireTime('0 * * * *', new Date(2025, 0, 1, 10, 0, 0));
+
+      expect(next).toEqual(new Date(2025, 0, 1, 11, 0, 0));
+    });
+
+    test('should roll over days, months and years', () => {
+      const next = getNextFireTime('30 2 1 1 *', new Date(2025, 5, 10, 12, 0, 0));
+
+      expect(next).toEqual(new Date(2026, 0, 1, 2, 30, 0));
+    });
+
+    test('should match either day field when both are restricted', () => {
+      // 2025-03-03 is a Monday, the 15th is matched by day-of-month
+      const next = getNextFireTime('0 0 15 * MON', new Date(2025, 2, 1, 0, 0, 0));
+
+      expect(next).toEqual(new Date(2025, 2, 3, 0, 0, 0));
+    });
+
+    test('should not treat day fields starting with a wildcard as restricted', () => {
+      // From Tuesday 2025-03-04: the odd days that are Mondays, not the odd days or the Mondays
+      expect(getNextFireTime('0 0 */2 * MON', new Date(2025, 2, 4))).toEqual(new Date(2025, 2, 17, 0, 0, 0));
+      expect(getNextFireTime('0 0 */1 * MON', new Date(2025, 2, 4))).toEqual(new Date(2025, 2, 10, 0, 0, 0));
+      expect(getNextFireTime('0 0 15 * */1', new Date(2025, 2, 4))).toEqual(new Date(2025, 2, 15, 0, 0, 0));
+    });
+
+    test('should return null when the expression never fires', () => {
+      expect(getNextFireTime('0 0 31 2 *', new Date(2025, 0, 1))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { Readable } = require('stream');
+const { parseCsv, parseCsvStream, inferColumnTypes } = require('../../../src/utils/csvParser');
+
+describe('csvParser', () => {
+  test('should parse quoted fields with a custom delimiter and quote character', async () => {
+    const content = "id;name;note\n1;'Smith; John';'said ''hi'''\n";
+
+    expect(await parseCsv(content, { delimiter: ';', quote: "'" })).toEqual([
+      { id: '1', name: 'Smith; John', note: "said 'hi'" },
+    ]);
+  });
+
+  test('should name the columns of files without a header row', async () => {
+    const content = '1,a\n2,b\n';
+
+    expect(await parseCsv(content, { header: false })).toEqual([{ 0: '1', 1: 'a' }, { 0: '2', 1: 'b' }]);
+    expect(await parseCsv(content, { header: false, columns: ['id', 'code'] })).toEqual([
+      { id: '1', code: 'a' },
+      { id: '2', code: 'b' },
+    ]);
+    expect(await parseCsv(`id,x\n${content}`, { columns: ['id', 'code'] })).toHaveLength(2);
+  });
+
+  test('should decode buffers with the configured encoding', async () => {
+    const content = Buffer.from('city\nMünchen\n', 'latin1');
+
+    expect(await parseCsv(content, { encoding: 'latin1' })).toEqual([{ city: 'München' }]);
+    expect(await parseCsv(Buffer.from('﻿id\n1\n'))).toEqual([{ id: '1' }]);
+    await expect(parseCsv(content, { encoding: 'klingon' })).rejects.toThrow('Unsupported CSV encoding: klingon');
+  });
+
+  test('should infer number and boolean columns', async () => {
+    const content = 'id,zip,price,active,name\n1,02134,9.5,true,a\n2,10001,,FALSE,b\n';
+
+    expect(await parseCsv(content, { inferTypes: true })).toEqual([
+      { id: 1, zip: '02134', price: 9.5, active: true, name: 'a' },
+      { id: 2, zip: '10001', price: null, active: false, name: 'b' },
+    ]);
+  });
+
+  test('should apply explicit column types over inferred ones', async () => {
+    const content = 'id,created\n1,2025-03-01T10:00:00Z\n';
+    const [record] = await parseCsv(content, { inferTypes: true, columnTypes: { id: 'string', created: 'date' } });
+
+    expect(record.id).toBe('1');
+    expect(record.created).toEqual(new Date('2025-03-01T10:00:00Z'));
+    await expect(parseCsv(content, { columnTypes: { id: 'money' } })).rejects.toThrow('Unsupported CSV column type');
+  });
+
+  test('should infer column types from all sampled values', () => {
+    expect(inferColumnTypes([{ a: '1', b: 'true', c: '' }, { a: 'x', b: 'false', c: '' }])).toEqual({
+      a: 'string',
+      b: 'boolean',
+      c: 'string',
+    });
+  });
+
+  test('should stream records while converting their values', async () => {
+    const readable = Readable.from([Buffer.from('id,total\n1,'), Buffer.from('10\n2,20\n')]);
+    const records = [];
+
+    for await (const record of parseCsvStream(readable, { inferTypes: true })) {
+      records.push(record);
+    }
+
+    expect(records).toEqual([{ id: 1, total: 10 }, { id: 2, total: 20 }]);
+  });
+});
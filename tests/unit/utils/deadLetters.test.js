@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const DeadLetterModel = require('../../../src/models/deadLetterModel');
+const { recordDeadLetters } = require('../../../src/utils/deadLetters');
+const { filterData } = require('../../../src/transformers/dataExpressions');
+
+/**
+ * Fake the state of the default mongoose connection
+ * @param {number} state - Ready state (1 = connected)
+ */
+function setReadyState(state) {
+  Object.defineProperty(mongoose.connection, 'readyState', { value: state, configurable: true });
+}
+
+describe('deadLetters', () => {
+  let insertMany;
+
+  beforeEach(() => {
+    // Validate the documents as insertMany would, without a database
+    insertMany = jest.spyOn(DeadLetterModel, 'insertMany').mockImplementation(async documents => (
+      documents.map(document => {
+        const deadLetter = new DeadLetterModel(document);
+        const error = deadLetter.validateSync();
+        if (error) {
+          throw error;
+        }
+        return deadLetter;
+      })
+    ));
+  });
+
+  afterEach(() => {
+    insertMany.mockRestore();
+    delete mongoose.connection.readyState;
+  });
+
+  test('should store the records rejected by a filter', async () => {
+    setReadyState(1);
+    const { rejected } = filterData([{ qty: 2 }, { qty: 'n/a' }], { expression: 'qty * 2 > 1', onError: 'reject' });
+
+    const stored = await recordDeadLetters(
+      [...rejected, { stage: 'validate', reason: 'Validation failed', details: ['id is required'], item: {}, index: 0 }],
+      { runId: 'run-1' },
+    );
+
+    expect(stored).toBe(2);
+    expect(insertMany.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ runId: 'run-1', stage: 'filter', reason: 'Expression failed', item: { qty: 'n/a' }, index: 1 }),
+      expect.objectContaining({ stage: 'validate' }),
+    ]);
+  });
+
+  test('should not store anything without a database connection', async () => {
+    setReadyState(0);
+
+    expect(await recordDeadLetters([{ stage: 'derive', reason: 'Expression failed', item: {} }])).toBe(0);
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,62 @@
+const { compileExpression } = require('../../../src/utils/expressions');
+
+/**
+ * Evaluate an expression against a record
+ * @param {string} expression - Expression
+ * @param {Object} [record] - Record
+ * @returns {any} Value
+ */
+const evaluate = (expression, record = {}) => compileExpression(expression)(record);
+
+describe('expressions', () => {
+  const order = {
+    status: 'active',
+    price: '9.5',
+    qty: 4,
+    customer: { name: ' Ada ', tags: ['vip'] },
+    'order date': '2025-03-01T10:00:00Z',
+  };
+
+  test('should evaluate arithmetic, converting numeric text and propagating null', () => {
+    expect(evaluate('price * qty', order)).toBe(38);
+    expect(evaluate('(qty + 1) % 3 - -1', order)).toBe(3);
+    expect(evaluate('price * discount', order)).toBeNull();
+    expect(evaluate('qty / 0', order)).toBeNull();
+    expect(evaluate("'#' + qty", order)).toBe('#4');
+  });
+
+  test('should evaluate comparisons and logic', () => {
+    expect(evaluate("status != 'inactive' and qty >= 2", order)).toBe(true);
+    expect(evaluate("status in ['trial', 'active'] && not (price > 10)", order)).toBe(true);
+    expect(evaluate('missing > 1 or missing == null', order)).toBe(true);
+    expect(evaluate("qty > 3 ? 'bulk' : 'single'", order)).toBe('bulk');
+  });
+
+  test('should read nested, indexed and quoted fields but no inherited properties', () => {
+    expect(evaluate('customer.tags[0]', order)).toBe('vip');
+    expect(evaluate("customer['name']", order)).toBe(' Ada ');
+    expect(evaluate('year(`order date`)', order)).toBe(2025);
+    expect(evaluate('customer.constructor ?? toString', order)).toBeNull();
+  });
+
+  test('should provide text, number, date and null functions', () => {
+    expect(evaluate('upper(trim(customer.name))', order)).toBe('ADA');
+    expect(evaluate("concat(substring(status, 0, 3), '-', replace('a b', ' ', '_'))", order)).toBe('act-a_b');
+    expect(evaluate('round(price / 3, 2)', order)).toBe(3.17);
+    expect(evaluate("formatDate(dateAdd(`order date`, 1, 'month'), 'YYYY-MM-DD')", order)).toBe('2025-04-01');
+    expect(evaluate("dateDiff('2025-03-11', `order date`, 'days')", order)).toBe(9);
+    expect(evaluate("coalesce(nickname, ifNull(alias, 'anonymous'))", order)).toBe('anonymous');
+    expect(evaluate('if(qty == 0, 0, price / qty)', { price: 1, qty: 0 })).toBe(0);
+  });
+
+  test('should report syntax errors with their position', () => {
+    expect(() => compileExpression('price *')).toThrow('Invalid expression "price *": Unexpected end of expression at position 8');
+    expect(() => compileExpression('eval(price)')).toThrow('Unknown function eval at position 1');
+    expect(() => compileExpression('lower(a, b)')).toThrow('Function lower expects 1 argument at position 1');
+  });
+
+  test('should report type errors with the failing operator', () => {
+    expect(() => evaluate('qty * status', order)).toThrow('Cannot use text "active" in a multiplication at position 5');
+    expect(() => evaluate('status < 1', order)).toThrow('Cannot compare text "active" with number 1 at position 8');
+  });
+});
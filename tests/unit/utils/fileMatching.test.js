@@ -0,0 +1,93 @@
+jest.mock('../../../src/models/processedFileModel');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const ProcessedFileModel = require('../../../src/models/processedFileModel');
+const { isGlobPattern, listMatchingFiles, tagOrigin } = require('../../../src/utils/fileMatching');
+const { extractFromFile } = require('../../../src/extractors/fileExtractor');
+
+/**
+ * Fake the state of the default mongoose connection
+ * @param {number} state - Ready state (1 = connected)
+ */
+function setReadyState(state) {
+  Object.defineProperty(mongoose.connection, 'readyState', { value: state, configurable: true });
+}
+
+describe('fileMatching', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'etl-glob-'));
+    fs.mkdirSync(path.join(dir, 'march'));
+    fs.writeFileSync(path.join(dir, 'orders-1.csv'), 'id,total\n1,10\n2,20\n');
+    fs.writeFileSync(path.join(dir, 'march', 'orders-2.json'), '[{"id":3,"total":30}]');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'skip me');
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.readyState;
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should detect glob patterns', () => {
+    expect(isGlobPattern('data/*.csv')).toBe(true);
+    expect(isGlobPattern('data/{a,b}.json')).toBe(true);
+    expect(isGlobPattern('data/orders.csv')).toBe(false);
+  });
+
+  test('should list matching files recursively and in order', async () => {
+    const files = await listMatchingFiles(`${dir}/**/orders-*.{csv,json}`);
+
+    expect(files.map(file => file.name)).toEqual([`${dir}/march/orders-2.json`, `${dir}/orders-1.csv`]);
+    expect(files[0].fingerprint).toMatch(/^\d+:/);
+    expect(await listMatchingFiles(`${dir}/missing/*.csv`)).toEqual([]);
+  });
+
+  test('should tag object records with their origin', () => {
+    expect(tagOrigin([{ id: 1 }, 'raw'], '_file', 'a.csv')).toEqual([{ id: 1, _file: 'a.csv' }, 'raw']);
+    expect(tagOrigin([{ id: 1 }], null, 'a.csv')).toEqual([{ id: 1 }]);
+  });
+
+  describe('extractFromFile with a glob path', () => {
+    test('should concatenate the records of every matching file', async () => {
+      const stats = {};
+      const data = await extractFromFile({ type: 'file', path: `${dir}/**/orders-*`, originField: 'sourceFile' }, stats);
+
+      expect(data).toEqual([
+        { id: 3, total: 30, sourceFile: `${dir}/march/orders-2.json` },
+        { id: '1', total: '10', sourceFile: `${dir}/orders-1.csv` },
+        { id: '2', total: '20', sourceFile: `${dir}/orders-1.csv` },
+      ]);
+      expect(stats.files).toHaveLength(2);
+    });
+
+    test('should skip files already processed unless they changed', async () => {
+      const [csvFile] = await listMatchingFiles(`${dir}/*.csv`);
+      setReadyState(1);
+      ProcessedFileModel.find.mockReturnValue({
+        select: () => ({ lean: async () => [{ name: csvFile.name, fingerprint: csvFile.fingerprint }] }),
+      });
+
+      const stats = {};
+      const data = await extractFromFile({ type: 'file', path: `${dir}/**/orders-*`, skipProcessed: 'orders' }, stats);
+
+      expect(data).toEqual([{ id: 3, total: 30, _file: `${dir}/march/orders-2.json` }]);
+      expect(stats.skippedFiles).toBe(1);
+      expect(stats.processed.scope).toBe('orders');
+      expect(stats.processed.files.map(file => file.name)).toEqual([`${dir}/march/orders-2.json`]);
+    });
+
+    test('should require a database connection to skip processed files', async () => {
+      setReadyState(0);
+
+      await expect(extractFromFile({ type: 'file', path: `${dir}/*.csv`, skipProcessed: true }))
+        .rejects.toThrow('skipProcessed requires a database connection');
+    });
+  });
+});
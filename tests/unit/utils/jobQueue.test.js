@@ -0,0 +1,103 @@
+const { config } = require('../../../src/config/config');
+const { AppError } = require('../../../src/utils/errorHandler');
+const { enqueueJob, getJob } = require('../../../src/utils/jobQueue');
+
+/**
+ * Let queued jobs start and settled tasks record their outcome
+ * @returns {Promise<void>}
+ */
+const flush = () => new Promise(setImmediate);
+
+/**
+ * Create a task that finishes when told to
+ * @returns {Object} { task, resolve, reject }
+ */
+function deferredTask() {
+  const deferred = {};
+  deferred.task = jest.fn(handle => new Promise((resolve, reject) => {
+    deferred.handle = handle;
+    deferred.resolve = resolve;
+    deferred.reject = reject;
+  }));
+  return deferred;
+}
+
+describe('jobQueue', () => {
+  const jobsConfig = { ...config.jobs };
+
+  afterEach(() => {
+    Object.assign(config.jobs, jobsConfig);
+  });
+
+  test('should run a job in the background and report its progress and result', async () => {
+    const deferred = deferredTask();
+
+    const queued = enqueueJob('orchestrate', deferred.task);
+
+    expect(queued).toMatchObject({ type: 'orchestrate', state: 'queued', progress: {}, result: null });
+    expect(deferred.task).not.toHaveBeenCalled();
+
+    await flush();
+    deferred.handle.reportProgress({ step: 'extract', extracted: 10 });
+    deferred.handle.reportProgress({ transformed: 8 });
+    expect(getJob(queued.id)).toMatchObject({
+      state: 'running',
+      step: 'extract',
+      progress: { extracted: 10, transformed: 8 },
+    });
+
+    deferred.resolve({ recordId: 'abc' });
+    await flush();
+    const job = getJob(queued.id);
+    expect(job).toMatchObject({ state: 'succeeded', result: { recordId: 'abc' }, error: null });
+    expect(job.finishedAt).toBeInstanceOf(Date);
+    expect(getJob('unknown')).toBeNull();
+  });
+
+  test('should record the error of a failed job', async () => {
+    const deferred = deferredTask();
+
+    const { id } = enqueueJob('orchestrate', deferred.task);
+    await flush();
+    deferred.reject(new AppError('Load failed', 502, { runId: 'run-1' }));
+    await flush();
+
+    expect(getJob(id)).toMatchObject({
+      state: 'failed',
+      error: { message: 'Load failed', statusCode: 502, details: { runId: 'run-1' } },
+    });
+  });
+
+  test('should queue jobs beyond the concurrency limit', async () => {
+    config.jobs.concurrency = 1;
+    const first = deferredTask();
+    const second = deferredTask();
+
+    const firstJob = enqueueJob('orchestrate', first.task);
+    const secondJob = enqueueJob('orchestrate', second.task);
+    await flush();
+
+    expect(getJob(firstJob.id).state).toBe('running');
+    expect(getJob(secondJob.id).state).toBe('queued');
+
+    first.resolve();
+    await flush();
+    expect(getJob(secondJob.id).state).toBe('running');
+
+    second.resolve();
+    await flush();
+    expect(getJob(secondJob.id).state).toBe('succeeded');
+  });
+
+  test('should drop the oldest finished jobs beyond the history limit', async () => {
+    config.jobs.maxHistory = 1;
+
+    const first = enqueueJob('orchestrate', async () => 1);
+    await flush();
+    const second = enqueueJob('orchestrate', async () => 2);
+    await flush();
+
+    expect(getJob(first.id)).toBeNull();
+    expect(getJob(second.id)).toMatchObject({ state: 'succeeded', result: 2 });
+  });
+});
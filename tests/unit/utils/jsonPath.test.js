@@ -0,0 +1,71 @@
+const { queryPath, getValueAtPath, selectRecords } = require('../../../src/utils/jsonPath');
+const { AppError } = require('../../../src/utils/errorHandler');
+
+describe('jsonPath', () => {
+  const document = {
+    data: { items: [{ id: 1 }, { id: 2 }, { id: 3 }] },
+    meta: { page: 3, 'generated at': '2025-03-01' },
+    groups: [
+      { name: 'a', orders: [{ id: 10 }] },
+      { name: 'b', orders: [{ id: 11 }, { id: 12 }] },
+    ],
+  };
+
+  describe('getValueAtPath', () => {
+    test('should read dot paths with or without the $ root', () => {
+      expect(getValueAtPath(document, 'meta.page')).toBe(3);
+      expect(getValueAtPath(document, '$.meta.page')).toBe(3);
+      expect(getValueAtPath(document, 'data.items[1].id')).toBe(2);
+      expect(getValueAtPath(document, 'data.items.0.id')).toBe(1);
+      expect(getValueAtPath(document, '$')).toBe(document);
+    });
+
+    test('should support bracket keys and negative indexes', () => {
+      expect(getValueAtPath(document, "$.meta['generated at']")).toBe('2025-03-01');
+      expect(getValueAtPath(document, '$.data.items[-1].id')).toBe(3);
+    });
+
+    test('should return undefined for missing paths and reject invalid ones', () => {
+      expect(getValueAtPath(document, 'meta.total.count')).toBeUndefined();
+      expect(() => getValueAtPath(document, '$.data[')).toThrow(AppError);
+    });
+  });
+
+  describe('queryPath', () => {
+    test('should expand wildcards and recursive descent', () => {
+      expect(queryPath(document, '$.groups[*].name')).toEqual(['a', 'b']);
+      expect(queryPath(document, '$..orders')).toEqual([[{ id: 10 }], [{ id: 11 }, { id: 12 }]]);
+    });
+  });
+
+  describe('selectRecords', () => {
+    test('should select the records array', () => {
+      expect(selectRecords(document, { recordPath: 'data.items' })).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    });
+
+    test('should concatenate the arrays matched by a wildcard', () => {
+      expect(selectRecords(document, { recordPath: '$.groups[*].orders' }).map(order => order.id))
+        .toEqual([10, 11, 12]);
+    });
+
+    test('should copy envelope fields onto every record without overriding record fields', () => {
+      const records = selectRecords(
+        { items: [{ id: 1 }, { id: 2, page: 'own' }], meta: { page: 3 } },
+        { recordPath: 'items', envelope: ['meta.page'] },
+      );
+
+      expect(records).toEqual([{ page: 3, id: 1 }, { page: 'own', id: 2 }]);
+    });
+
+    test('should name envelope fields from an object', () => {
+      const records = selectRecords(document, { recordPath: 'data.items[0]', envelope: { pageNumber: '$.meta.page' } });
+
+      expect(records).toEqual([{ pageNumber: 3, id: 1 }]);
+    });
+
+    test('should return no records for missing paths', () => {
+      expect(selectRecords(document, { recordPath: 'data.missing' })).toEqual([]);
+      expect(() => selectRecords(document, { recordPath: 42 })).toThrow('recordPath must be a string');
+    });
+  });
+});
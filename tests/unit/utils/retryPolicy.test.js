@@ -0,0 +1,95 @@
+const {
+  withRetry,
+  isTransientError,
+  getRetryAfterMs,
+  computeBackoff,
+} = require('../../../src/utils/retryPolicy');
+
+/**
+ * Build an axios-like HTTP error
+ * @param {number} status - Response status
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} Error
+ */
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+describe('retryPolicy', () => {
+  describe('isTransientError', () => {
+    test('should retry timeouts, connection resets, 429 and 5xx', () => {
+      expect(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+      expect(isTransientError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))).toBe(true);
+      expect(isTransientError(httpError(429))).toBe(true);
+      expect(isTransientError(httpError(503))).toBe(true);
+      expect(isTransientError(Object.assign(new Error('down'), { statusCode: 502 }))).toBe(true);
+    });
+
+    test('should not retry client errors', () => {
+      expect(isTransientError(httpError(400))).toBe(false);
+      expect(isTransientError(httpError(404))).toBe(false);
+      expect(isTransientError(new Error('Validation failed'))).toBe(false);
+    });
+  });
+
+  describe('getRetryAfterMs', () => {
+    test('should read seconds and HTTP dates', () => {
+      expect(getRetryAfterMs(httpError(429, { 'retry-after': '2' }))).toBe(2000);
+
+      const date = new Date(Date.now() + 5000).toUTCString();
+      const wait = getRetryAfterMs(httpError(503, { 'retry-after': date }));
+      expect(wait).toBeGreaterThan(3000);
+      expect(wait).toBeLessThanOrEqual(5000);
+    });
+
+    test('should ignore missing or invalid headers', () => {
+      expect(getRetryAfterMs(httpError(429))).toBeNull();
+      expect(getRetryAfterMs(httpError(429, { 'retry-after': 'soon' }))).toBeNull();
+      expect(getRetryAfterMs(new Error('no response'))).toBeNull();
+    });
+  });
+
+  describe('computeBackoff', () => {
+    test('should grow exponentially within the jitter range and cap at maxDelay', () => {
+      for (let attempt = 1; attempt <= 4; attempt++) {
+        const delay = computeBackoff(attempt, 100, 10000);
+        const exponential = 100 * 2 ** (attempt - 1);
+        expect(delay).toBeGreaterThanOrEqual(exponential / 2);
+        expect(delay).toBeLessThanOrEqual(exponential);
+      }
+
+      expect(computeBackoff(20, 100, 1000)).toBeLessThanOrEqual(1000);
+    });
+  });
+
+  describe('withRetry', () => {
+    test('should retry transient failures and report the attempts', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+        .mockResolvedValue('ok');
+
+      const { result, attempts } = await withRetry(fn, { attempts: 3, baseDelay: 0 });
+
+      expect(result).toBe('ok');
+      expect(attempts).toBe(3);
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not retry permanent failures', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(401));
+
+      await expect(withRetry(fn, { attempts: 3, baseDelay: 0 })).rejects.toMatchObject({ attempts: 1 });
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('should give up after the maximum number of attempts', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(500));
+
+      await expect(withRetry(fn, { attempts: 2, baseDelay: 0 })).rejects.toMatchObject({ attempts: 2 });
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const scheduler = require('../../../src/utils/scheduler');
+
+describe('scheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date(2025, 2, 1, 10, 0, 30) });
+  });
+
+  afterEach(() => {
+    scheduler.stopScheduler();
+    jest.useRealTimers();
+  });
+
+  test('should fire a task on its next fire time and record the outcome', async () => {
+    const run = jest.fn().mockResolvedValue();
+
+    const status = scheduler.schedule('orders', { cron: '* * * * *', name: 'Orders', run });
+    expect(status).toMatchObject({ id: 'orders', name: 'Orders', nextFireAt: new Date(2025, 2, 1, 10, 1), running: false });
+
+    await jest.advanceTimersByTimeAsync(30000);
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(scheduler.getScheduleStatus('orders')).toMatchObject({
+      lastFireAt: new Date(2025, 2, 1, 10, 1),
+      lastStatus: 'success',
+      nextFireAt: new Date(2025, 2, 1, 10, 2),
+    });
+  });
+
+  test('should skip a fire while the previous run is in progress and report failures', async () => {
+    let finishRun;
+    const run = jest.fn(() => new Promise((resolve, reject) => {
+      finishRun = () => reject(new Error('Source unavailable'));
+    }));
+    scheduler.schedule('orders', { cron: '* * * * *', run });
+
+    await jest.advanceTimersByTimeAsync(90000);
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(scheduler.getScheduleStatus('orders')).toMatchObject({ running: true, skippedRuns: 1 });
+
+    finishRun();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(scheduler.getScheduleStatus('orders')).toMatchObject({
+      running: false,
+      lastStatus: 'failed',
+      lastError: 'Source unavailable',
+    });
+  });
+
+  test('should replace, list and remove schedules', async () => {
+    const run = jest.fn().mockResolvedValue();
+    scheduler.schedule('hourly', { cron: '@hourly', run });
+    scheduler.schedule('daily', { cron: '0 0 * * *', run });
+    scheduler.schedule('daily', { cron: '*/5 * * * *', run });
+
+    expect(scheduler.getSchedules().map(({ id, cron }) => [id, cron])).toEqual([
+      ['daily', '*/5 * * * *'],
+      ['hourly', '@hourly'],
+    ]);
+
+    expect(scheduler.unschedule('daily')).toBe(true);
+    expect(scheduler.unschedule('daily')).toBe(false);
+    await jest.advanceTimersByTimeAsync(5 * 60000);
+    expect(run).not.toHaveBeenCalled();
+    expect(() => scheduler.schedule('bad', { cron: '* *', run })).toThrow();
+  });
+});
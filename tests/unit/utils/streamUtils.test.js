@@ -0,0 +1,78 @@
+const { Readable } = require('stream');
+const { chunkRecords, readLines, createRecordSerializer } = require('../../../src/utils/streamUtils');
+const { AppError } = require('../../../src/utils/errorHandler');
+
+/**
+ * Collect an async iterable into an array
+ * @param {AsyncIterable} iterable - Iterable
+ * @returns {Promise<Array>} Items
+ */
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('streamUtils', () => {
+  describe('chunkRecords', () => {
+    test('should group records into chunks with a smaller last chunk', async () => {
+      const chunks = await collect(chunkRecords([1, 2, 3, 4, 5], 2));
+
+      expect(chunks).toEqual([[1, 2], [3, 4], [5]]);
+    });
+
+    test('should accept async iterables and yield nothing for empty input', async () => {
+      async function* generate() {
+        yield { id: 1 };
+        yield { id: 2 };
+      }
+
+      expect(await collect(chunkRecords(generate(), 10))).toEqual([[{ id: 1 }, { id: 2 }]]);
+      expect(await collect(chunkRecords([], 10))).toEqual([]);
+    });
+  });
+
+  describe('readLines', () => {
+    test('should yield non-empty lines', async () => {
+      const lines = await collect(readLines(Readable.from(['first\n\nsec', 'ond\r\nthird'])));
+
+      expect(lines).toEqual(['first', 'second', 'third']);
+    });
+  });
+
+  describe('createRecordSerializer', () => {
+    /**
+     * Serialize chunks into one document
+     * @param {string} format - Output format
+     * @param {Array<Array>} chunks - Record chunks
+     * @returns {string} Document
+     */
+    const serialize = (format, chunks) => {
+      const serializer = createRecordSerializer(format);
+      return serializer.start() + chunks.map(chunk => serializer.serialize(chunk)).join('') + serializer.end();
+    };
+
+    test('should write chunks as one JSON array', () => {
+      const json = serialize('json', [[{ id: 1 }, { id: 2 }], [{ id: 3 }]]);
+
+      expect(JSON.parse(json)).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+      expect(JSON.parse(serialize('json', []))).toEqual([]);
+    });
+
+    test('should write the CSV header once using the columns of the first chunk', () => {
+      const csv = serialize('csv', [[{ id: 1, name: 'a' }], [{ id: 2, name: 'b,c', extra: true }]]);
+
+      expect(csv).toBe('id,name\n1,a\n2,"b,c"\n');
+    });
+
+    test('should write one line per record for text', () => {
+      expect(serialize('txt', [['plain', { id: 1 }]])).toBe('plain\n{"id":1}\n');
+    });
+
+    test('should reject unsupported formats', () => {
+      expect(() => createRecordSerializer('xml')).toThrow(AppError);
+    });
+  });
+});
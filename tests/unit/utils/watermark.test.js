@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const {
+  getIncrementalConfig,
+  applyWatermark,
+  getMaxWatermark,
+} = require('../../../src/utils/watermark');
+const { AppError } = require('../../../src/utils/errorHandler');
+
+describe('watermark', () => {
+  describe('getIncrementalConfig', () => {
+    test('should return null for non-incremental sources', () => {
+      expect(getIncrementalConfig({ type: 'mongodb', collection: 'orders' })).toBeNull();
+    });
+
+    test('should default the API parameter to the field name', () => {
+      const config = getIncrementalConfig({ type: 'api', incremental: { field: 'updatedAt' } });
+
+      expect(config).toMatchObject({ field: 'updatedAt', param: 'updatedAt' });
+    });
+
+    test('should reject unsupported sources, missing fields and unknown types', () => {
+      expect(() => getIncrementalConfig({ type: 'file', incremental: { field: 'id' } })).toThrow(AppError);
+      expect(() => getIncrementalConfig({ type: 'api', incremental: {} })).toThrow('watermark field');
+      expect(() => getIncrementalConfig({ type: 'api', incremental: { field: 'id', type: 'uuid' } }))
+        .toThrow('Invalid watermark type');
+    });
+  });
+
+  describe('applyWatermark', () => {
+    test('should add a $gt condition to the Mongo query', () => {
+      const source = {
+        type: 'mongodb',
+        collection: 'orders',
+        query: { status: 'paid' },
+        incremental: { field: 'updatedAt', type: 'date' },
+      };
+
+      const applied = applyWatermark(source, '2025-03-01T00:00:00.000Z');
+
+      expect(applied.query).toEqual({
+        $and: [{ status: 'paid' }, { updatedAt: { $gt: new Date('2025-03-01T00:00:00.000Z') } }],
+      });
+      expect(source.query).toEqual({ status: 'paid' });
+    });
+
+    test('should send the watermark as an API query parameter', () => {
+      const source = {
+        type: 'api',
+        url: 'https://example.com/items',
+        params: { limit: 50 },
+        incremental: { field: 'id', type: 'number', param: 'since_id' },
+      };
+
+      expect(applyWatermark(source, 42).params).toEqual({ limit: 50, since_id: '42' });
+    });
+
+    test('should use the initial watermark and leave the source alone without one', () => {
+      const source = { type: 'mongodb', collection: 'orders', incremental: { field: 'seq' } };
+
+      expect(applyWatermark(source, undefined)).toBe(source);
+      expect(applyWatermark({ ...source, incremental: { field: 'seq', initial: 10 } }).query)
+        .toEqual({ seq: { $gt: 10 } });
+    });
+  });
+
+  describe('getMaxWatermark', () => {
+    test('should return the highest value of the field', () => {
+      const source = { type: 'api', incremental: { field: 'meta.updatedAt', type: 'date' } };
+      const records = [
+        { meta: { updatedAt: '2025-03-02T00:00:00Z' } },
+        { meta: { updatedAt: '2025-03-05T00:00:00Z' } },
+        { meta: {} },
+      ];
+
+      expect(getMaxWatermark(records, source)).toEqual(new Date('2025-03-05T00:00:00Z'));
+    });
+
+    test('should keep the current watermark when no record is newer', () => {
+      const source = { type: 'mongodb', incremental: { field: 'id', type: 'number' } };
+
+      expect(getMaxWatermark([{ id: 3 }, { id: '12' }], source, 10)).toBe(12);
+      expect(getMaxWatermark([], source, 10)).toBe(10);
+    });
+
+    test('should compare ObjectIds', () => {
+      const source = { type: 'mongodb', incremental: { field: '_id', type: 'objectId' } };
+      const older = new mongoose.Types.ObjectId('65f000000000000000000001');
+      const newer = new mongoose.Types.ObjectId('65f000000000000000000002');
+
+      expect(String(getMaxWatermark([{ _id: newer }, { _id: older }], source))).toBe(String(newer));
+    });
+
+    test('should return undefined for non-incremental sources', () => {
+      expect(getMaxWatermark([{ id: 1 }], { type: 'api' })).toBeUndefined();
+    });
+  });
+});